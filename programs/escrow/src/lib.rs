@@ -0,0 +1,378 @@
+//! PumpWork contract escrow
+//!
+//! One program-derived account per contract, seeded with
+//! `["escrow", contract_id]` where `contract_id` is the 16-byte contract UUID.
+//! The account holds the escrowed lamports plus rent and a small state header.
+//!
+//! Instructions (first byte is the tag):
+//! - `0 Initialize { contract_id: [u8; 16], amount: u64 }` - client funds the escrow
+//! - `1 Release` - client releases the full amount to the freelancer
+//! - `2 Refund` - returns the full amount to the client; the freelancer can
+//!   refund alone, the client only with the freelancer or the arbiter co-signing
+//! - `3 Dispute` - client, freelancer or arbiter freezes the escrow
+//! - `4 Resolve { freelancer_bps: u16 }` - arbiter splits a frozen escrow,
+//!   paying `freelancer_bps / 10_000` of the amount to the freelancer and the
+//!   rest to the client
+//!
+//! A disputed escrow can only be settled by `Resolve`. Release, refund and
+//! resolve close the escrow account; rent goes back to the client.
+//!
+//! The arbiter wallet is fixed at build time through the `ESCROW_ARBITER`
+//! environment variable (base58 public key).
+
+use std::str::FromStr;
+
+use solana_program::{
+    account_info::{next_account_info, AccountInfo},
+    entrypoint::ProgramResult,
+    msg,
+    program::invoke_signed,
+    program_error::ProgramError,
+    pubkey::Pubkey,
+    rent::Rent,
+    system_instruction, system_program,
+    sysvar::Sysvar,
+};
+
+#[cfg(not(feature = "no-entrypoint"))]
+solana_program::entrypoint!(process_instruction);
+
+pub const ESCROW_SEED: &[u8] = b"escrow";
+
+/// Wallet allowed to freeze and resolve disputed escrows
+pub const ARBITER: &str = env!("ESCROW_ARBITER");
+
+/// Resolve shares are expressed in basis points of the escrowed amount
+pub const MAX_BPS: u16 = 10_000;
+
+/// status (1) + client (32) + freelancer (32) + amount (8) + contract_id (16) + bump (1)
+pub const ESCROW_STATE_LEN: usize = 1 + 32 + 32 + 8 + 16 + 1;
+
+/// First state byte: 1 = funded, 2 = disputed (frozen)
+const STATUS_FUNDED: u8 = 1;
+const STATUS_DISPUTED: u8 = 2;
+
+#[derive(Debug, PartialEq)]
+pub struct EscrowState {
+    pub disputed: bool,
+    pub client: Pubkey,
+    pub freelancer: Pubkey,
+    pub amount: u64,
+    pub contract_id: [u8; 16],
+    pub bump: u8,
+}
+
+impl EscrowState {
+    pub fn pack(&self, dst: &mut [u8]) {
+        dst[0] = if self.disputed { STATUS_DISPUTED } else { STATUS_FUNDED };
+        dst[1..33].copy_from_slice(self.client.as_ref());
+        dst[33..65].copy_from_slice(self.freelancer.as_ref());
+        dst[65..73].copy_from_slice(&self.amount.to_le_bytes());
+        dst[73..89].copy_from_slice(&self.contract_id);
+        dst[89] = self.bump;
+    }
+
+    pub fn unpack(src: &[u8]) -> Result<Self, ProgramError> {
+        if src.len() < ESCROW_STATE_LEN || (src[0] != STATUS_FUNDED && src[0] != STATUS_DISPUTED) {
+            return Err(ProgramError::UninitializedAccount);
+        }
+
+        let mut contract_id = [0u8; 16];
+        contract_id.copy_from_slice(&src[73..89]);
+
+        Ok(Self {
+            disputed: src[0] == STATUS_DISPUTED,
+            client: Pubkey::try_from(&src[1..33]).map_err(|_| ProgramError::InvalidAccountData)?,
+            freelancer: Pubkey::try_from(&src[33..65]).map_err(|_| ProgramError::InvalidAccountData)?,
+            amount: u64::from_le_bytes(src[65..73].try_into().unwrap()),
+            contract_id,
+            bump: src[89],
+        })
+    }
+}
+
+pub fn process_instruction(
+    program_id: &Pubkey,
+    accounts: &[AccountInfo],
+    instruction_data: &[u8],
+) -> ProgramResult {
+    let (tag, rest) = instruction_data
+        .split_first()
+        .ok_or(ProgramError::InvalidInstructionData)?;
+
+    match tag {
+        0 => {
+            if rest.len() != 16 + 8 {
+                return Err(ProgramError::InvalidInstructionData);
+            }
+            let mut contract_id = [0u8; 16];
+            contract_id.copy_from_slice(&rest[..16]);
+            let amount = u64::from_le_bytes(rest[16..24].try_into().unwrap());
+            initialize(program_id, accounts, contract_id, amount)
+        }
+        1 => release(program_id, accounts),
+        2 => refund(program_id, accounts),
+        3 => dispute(program_id, accounts),
+        4 => {
+            if rest.len() != 2 {
+                return Err(ProgramError::InvalidInstructionData);
+            }
+            let freelancer_bps = u16::from_le_bytes(rest[..2].try_into().unwrap());
+            resolve(program_id, accounts, freelancer_bps)
+        }
+        _ => Err(ProgramError::InvalidInstructionData),
+    }
+}
+
+/// Accounts: [client (signer, writable), freelancer, escrow (writable), system_program]
+fn initialize(
+    program_id: &Pubkey,
+    accounts: &[AccountInfo],
+    contract_id: [u8; 16],
+    amount: u64,
+) -> ProgramResult {
+    let iter = &mut accounts.iter();
+    let client = next_account_info(iter)?;
+    let freelancer = next_account_info(iter)?;
+    let escrow = next_account_info(iter)?;
+    let system = next_account_info(iter)?;
+
+    if !client.is_signer {
+        return Err(ProgramError::MissingRequiredSignature);
+    }
+    if *system.key != system_program::id() {
+        return Err(ProgramError::IncorrectProgramId);
+    }
+    if amount == 0 {
+        msg!("Escrow amount must be greater than zero");
+        return Err(ProgramError::InvalidArgument);
+    }
+    if client.key == freelancer.key {
+        msg!("Client and freelancer must be different wallets");
+        return Err(ProgramError::InvalidArgument);
+    }
+
+    let (expected, bump) = Pubkey::find_program_address(&[ESCROW_SEED, &contract_id], program_id);
+    if expected != *escrow.key {
+        return Err(ProgramError::InvalidSeeds);
+    }
+    if escrow.lamports() > 0 || !escrow.data_is_empty() {
+        msg!("Escrow for this contract already exists");
+        return Err(ProgramError::AccountAlreadyInitialized);
+    }
+
+    let rent = Rent::get()?.minimum_balance(ESCROW_STATE_LEN);
+    let lamports = rent
+        .checked_add(amount)
+        .ok_or(ProgramError::ArithmeticOverflow)?;
+
+    invoke_signed(
+        &system_instruction::create_account(
+            client.key,
+            escrow.key,
+            lamports,
+            ESCROW_STATE_LEN as u64,
+            program_id,
+        ),
+        &[client.clone(), escrow.clone(), system.clone()],
+        &[&[ESCROW_SEED, &contract_id, &[bump]]],
+    )?;
+
+    EscrowState {
+        disputed: false,
+        client: *client.key,
+        freelancer: *freelancer.key,
+        amount,
+        contract_id,
+        bump,
+    }
+    .pack(&mut escrow.try_borrow_mut_data()?);
+
+    msg!("Escrow funded with {} lamports", amount);
+    Ok(())
+}
+
+/// Accounts: [client (signer, writable), freelancer (writable), escrow (writable)]
+fn release(program_id: &Pubkey, accounts: &[AccountInfo]) -> ProgramResult {
+    let iter = &mut accounts.iter();
+    let client = next_account_info(iter)?;
+    let freelancer = next_account_info(iter)?;
+    let escrow = next_account_info(iter)?;
+
+    let state = load_escrow(program_id, escrow)?;
+    ensure_not_disputed(&state)?;
+
+    if !client.is_signer || *client.key != state.client {
+        msg!("Only the client can release escrow");
+        return Err(ProgramError::MissingRequiredSignature);
+    }
+    if *freelancer.key != state.freelancer {
+        return Err(ProgramError::InvalidAccountData);
+    }
+
+    move_lamports(escrow, freelancer, state.amount)?;
+    close_escrow(escrow, client)?;
+
+    msg!("Escrow released {} lamports to freelancer", state.amount);
+    Ok(())
+}
+
+/// Accounts: [signer (client or freelancer), client (writable), escrow (writable),
+/// co-signer (freelancer or arbiter; required when the client signs)]
+///
+/// The client can't take the funds back on its own once work may have been
+/// delivered: the freelancer agrees by signing, or the arbiter does.
+fn refund(program_id: &Pubkey, accounts: &[AccountInfo]) -> ProgramResult {
+    let iter = &mut accounts.iter();
+    let signer = next_account_info(iter)?;
+    let client = next_account_info(iter)?;
+    let escrow = next_account_info(iter)?;
+    let co_signer = next_account_info(iter).ok();
+
+    let state = load_escrow(program_id, escrow)?;
+    ensure_not_disputed(&state)?;
+
+    if !signer.is_signer {
+        return Err(ProgramError::MissingRequiredSignature);
+    }
+    if *signer.key == state.client {
+        let approved = match co_signer {
+            Some(co) => co.is_signer && (*co.key == state.freelancer || *co.key == arbiter()?),
+            None => false,
+        };
+        if !approved {
+            msg!("A client refund needs the freelancer or the arbiter to co-sign");
+            return Err(ProgramError::MissingRequiredSignature);
+        }
+    } else if *signer.key != state.freelancer {
+        msg!("Only a contract party can refund escrow");
+        return Err(ProgramError::MissingRequiredSignature);
+    }
+    if *client.key != state.client {
+        return Err(ProgramError::InvalidAccountData);
+    }
+
+    close_escrow(escrow, client)?;
+
+    msg!("Escrow refunded {} lamports to client", state.amount);
+    Ok(())
+}
+
+/// Accounts: [signer (client, freelancer or arbiter), escrow (writable)]
+fn dispute(program_id: &Pubkey, accounts: &[AccountInfo]) -> ProgramResult {
+    let iter = &mut accounts.iter();
+    let signer = next_account_info(iter)?;
+    let escrow = next_account_info(iter)?;
+
+    let mut state = load_escrow(program_id, escrow)?;
+
+    let allowed = *signer.key == state.client
+        || *signer.key == state.freelancer
+        || *signer.key == arbiter()?;
+    if !signer.is_signer || !allowed {
+        msg!("Only a contract party or the arbiter can dispute escrow");
+        return Err(ProgramError::MissingRequiredSignature);
+    }
+    if state.disputed {
+        msg!("Escrow is already disputed");
+        return Err(ProgramError::InvalidAccountData);
+    }
+
+    state.disputed = true;
+    state.pack(&mut escrow.try_borrow_mut_data()?);
+
+    msg!("Escrow frozen for dispute");
+    Ok(())
+}
+
+/// Accounts: [arbiter (signer), client (writable), freelancer (writable), escrow (writable)]
+fn resolve(program_id: &Pubkey, accounts: &[AccountInfo], freelancer_bps: u16) -> ProgramResult {
+    let iter = &mut accounts.iter();
+    let signer = next_account_info(iter)?;
+    let client = next_account_info(iter)?;
+    let freelancer = next_account_info(iter)?;
+    let escrow = next_account_info(iter)?;
+
+    let state = load_escrow(program_id, escrow)?;
+
+    if !signer.is_signer || *signer.key != arbiter()? {
+        msg!("Only the arbiter can resolve a dispute");
+        return Err(ProgramError::MissingRequiredSignature);
+    }
+    if !state.disputed {
+        msg!("Escrow is not disputed");
+        return Err(ProgramError::InvalidAccountData);
+    }
+    if *client.key != state.client || *freelancer.key != state.freelancer {
+        return Err(ProgramError::InvalidAccountData);
+    }
+    if freelancer_bps > MAX_BPS {
+        return Err(ProgramError::InvalidArgument);
+    }
+
+    let freelancer_share = (state.amount as u128 * freelancer_bps as u128 / MAX_BPS as u128) as u64;
+    if freelancer_share > 0 {
+        move_lamports(escrow, freelancer, freelancer_share)?;
+    }
+    close_escrow(escrow, client)?;
+
+    msg!(
+        "Dispute resolved: {} lamports to freelancer, {} to client",
+        freelancer_share,
+        state.amount - freelancer_share
+    );
+    Ok(())
+}
+
+fn arbiter() -> Result<Pubkey, ProgramError> {
+    Pubkey::from_str(ARBITER).map_err(|_| ProgramError::InvalidArgument)
+}
+
+fn ensure_not_disputed(state: &EscrowState) -> ProgramResult {
+    if state.disputed {
+        msg!("Escrow is frozen by a dispute");
+        return Err(ProgramError::InvalidAccountData);
+    }
+    Ok(())
+}
+
+fn load_escrow(program_id: &Pubkey, escrow: &AccountInfo) -> Result<EscrowState, ProgramError> {
+    if escrow.owner != program_id {
+        return Err(ProgramError::IncorrectProgramId);
+    }
+
+    let state = EscrowState::unpack(&escrow.try_borrow_data()?)?;
+
+    let expected = Pubkey::create_program_address(
+        &[ESCROW_SEED, &state.contract_id, &[state.bump]],
+        program_id,
+    )?;
+    if expected != *escrow.key {
+        return Err(ProgramError::InvalidSeeds);
+    }
+
+    Ok(state)
+}
+
+fn move_lamports(from: &AccountInfo, to: &AccountInfo, amount: u64) -> ProgramResult {
+    let mut from_lamports = from.try_borrow_mut_lamports()?;
+    let mut to_lamports = to.try_borrow_mut_lamports()?;
+
+    **from_lamports = from_lamports
+        .checked_sub(amount)
+        .ok_or(ProgramError::InsufficientFunds)?;
+    **to_lamports = to_lamports
+        .checked_add(amount)
+        .ok_or(ProgramError::ArithmeticOverflow)?;
+
+    Ok(())
+}
+
+/// Sends every remaining lamport to `recipient` and wipes the state header
+fn close_escrow(escrow: &AccountInfo, recipient: &AccountInfo) -> ProgramResult {
+    let remaining = escrow.lamports();
+    move_lamports(escrow, recipient, remaining)?;
+    escrow.try_borrow_mut_data()?.fill(0);
+    Ok(())
+}
+
@@ -0,0 +1,186 @@
+/**
+ * Escrow flow check against a local validator
+ *
+ *   solana-test-validator --bpf-program <PROGRAM_ID> programs/escrow/target/deploy/pumpwork_escrow.so --reset
+ *   ESCROW_PROGRAM_ID=<PROGRAM_ID> [ESCROW_ARBITER_KEYPAIR=<path>] npm run escrow:localnet
+ *
+ * Funds an escrow and releases it to the freelancer, then funds two more and
+ * refunds them to the client (by the freelancer, and by the client with the
+ * freelancer co-signing), asserting balances after each step. With an
+ * arbiter keypair (the wallet the program was built with) it also disputes a
+ * third escrow and resolves it with a 70/30 split.
+ */
+import assert from 'node:assert/strict'
+import { randomUUID } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+import { Connection, Keypair, LAMPORTS_PER_SOL } from '@solana/web3.js'
+import {
+  disputeEscrow,
+  fetchEscrowState,
+  fundEscrow,
+  releaseEscrow,
+  refundEscrow,
+  resolveEscrow,
+  solToLamports,
+} from '../src/lib/escrow.js'
+
+const rpcUrl = process.env.SOLANA_RPC_URL || 'http://127.0.0.1:8899'
+const programId = process.env.ESCROW_PROGRAM_ID
+const arbiterKeypairPath = process.env.ESCROW_ARBITER_KEYPAIR
+
+if (!programId) {
+  console.error('ESCROW_PROGRAM_ID is required')
+  process.exit(1)
+}
+
+const connection = new Connection(rpcUrl, 'confirmed')
+const options = { connection, programId }
+
+// Minimal wallet adapter around a local keypair
+function keypairWallet(keypair) {
+  return {
+    publicKey: keypair.publicKey,
+    signTransaction: async (transaction) => {
+      transaction.partialSign(keypair)
+      return transaction
+    },
+  }
+}
+
+async function airdrop(publicKey, sol) {
+  const signature = await connection.requestAirdrop(publicKey, sol * LAMPORTS_PER_SOL)
+  const latest = await connection.getLatestBlockhash('confirmed')
+  await connection.confirmTransaction({ signature, ...latest }, 'confirmed')
+}
+
+async function balance(publicKey) {
+  return BigInt(await connection.getBalance(publicKey, 'confirmed'))
+}
+
+async function run() {
+  const client = Keypair.generate()
+  const freelancer = Keypair.generate()
+  const clientWallet = keypairWallet(client)
+  const freelancerWallet = keypairWallet(freelancer)
+  const amountSol = 0.5
+  const amount = solToLamports(amountSol)
+
+  await airdrop(client.publicKey, 2)
+  await airdrop(freelancer.publicKey, 1)
+
+  // Fund -> release
+  const releaseContractId = randomUUID()
+  const funded = await fundEscrow(clientWallet, {
+    contractId: releaseContractId,
+    freelancerWallet: freelancer.publicKey.toBase58(),
+    amountSol,
+  }, options)
+  console.log('funded escrow', funded.escrowAddress, funded.signature)
+
+  const state = await fetchEscrowState(releaseContractId, options)
+  assert.ok(state, 'escrow account should exist after funding')
+  assert.equal(state.lamports, amount)
+  assert.ok(state.client.equals(client.publicKey))
+  assert.ok(state.freelancer.equals(freelancer.publicKey))
+
+  await assert.rejects(
+    releaseEscrow(freelancerWallet, releaseContractId, options),
+    'freelancer must not be able to release escrow'
+  )
+
+  const freelancerBefore = await balance(freelancer.publicKey)
+  const released = await releaseEscrow(clientWallet, releaseContractId, options)
+  console.log('released escrow', released.signature)
+
+  assert.equal(await balance(freelancer.publicKey), freelancerBefore + amount)
+  assert.equal(await fetchEscrowState(releaseContractId, options), null, 'escrow should be closed')
+
+  // Fund -> refund (initiated by the freelancer)
+  const refundContractId = randomUUID()
+  await fundEscrow(clientWallet, {
+    contractId: refundContractId,
+    freelancerWallet: freelancer.publicKey.toBase58(),
+    amountSol,
+  }, options)
+
+  await assert.rejects(
+    refundEscrow(clientWallet, refundContractId, options),
+    'client must not be able to refund without a co-signer'
+  )
+
+  const clientBefore = await balance(client.publicKey)
+  const refunded = await refundEscrow(freelancerWallet, refundContractId, options)
+  console.log('refunded escrow', refunded.signature)
+
+  // Client gets the amount plus the escrow account rent back
+  assert.ok(await balance(client.publicKey) > clientBefore + amount)
+  assert.equal(await fetchEscrowState(refundContractId, options), null, 'escrow should be closed')
+
+  // Fund -> refund (client, co-signed by the freelancer)
+  const coSignedContractId = randomUUID()
+  await fundEscrow(clientWallet, {
+    contractId: coSignedContractId,
+    freelancerWallet: freelancer.publicKey.toBase58(),
+    amountSol,
+  }, options)
+
+  const coSigned = await refundEscrow(clientWallet, coSignedContractId, { ...options, coSigner: freelancerWallet })
+  console.log('co-signed refund', coSigned.signature)
+  assert.equal(await fetchEscrowState(coSignedContractId, options), null, 'escrow should be closed')
+
+  if (arbiterKeypairPath) {
+    await runDispute({ client, freelancer, clientWallet, freelancerWallet, amountSol, amount })
+  } else {
+    console.log('ESCROW_ARBITER_KEYPAIR not set, skipping dispute flow')
+  }
+
+  console.log('escrow localnet flow OK')
+}
+
+// Fund -> dispute (freelancer) -> resolve 70% to the freelancer (arbiter)
+async function runDispute({ client, freelancer, clientWallet, freelancerWallet, amountSol, amount }) {
+  const arbiter = Keypair.fromSecretKey(Uint8Array.from(JSON.parse(readFileSync(arbiterKeypairPath, 'utf8'))))
+  const arbiterWallet = keypairWallet(arbiter)
+  await airdrop(arbiter.publicKey, 1)
+
+  const disputeContractId = randomUUID()
+  await fundEscrow(clientWallet, {
+    contractId: disputeContractId,
+    freelancerWallet: freelancer.publicKey.toBase58(),
+    amountSol,
+  }, options)
+
+  const disputed = await disputeEscrow(freelancerWallet, disputeContractId, options)
+  console.log('disputed escrow', disputed.signature)
+  assert.equal((await fetchEscrowState(disputeContractId, options)).disputed, true)
+
+  await assert.rejects(
+    releaseEscrow(clientWallet, disputeContractId, options),
+    'client must not be able to release a disputed escrow'
+  )
+  await assert.rejects(
+    refundEscrow(freelancerWallet, disputeContractId, options),
+    'parties must not be able to refund a disputed escrow'
+  )
+  await assert.rejects(
+    resolveEscrow(clientWallet, disputeContractId, 0, options),
+    'only the arbiter can resolve'
+  )
+
+  const freelancerBefore = await balance(freelancer.publicKey)
+  const clientBefore = await balance(client.publicKey)
+  const resolved = await resolveEscrow(arbiterWallet, disputeContractId, 7000, options)
+  console.log('resolved escrow', resolved.signature)
+
+  const freelancerShare = amount * 7000n / 10000n
+  assert.equal(resolved.freelancerLamports, freelancerShare)
+  assert.equal(await balance(freelancer.publicKey), freelancerBefore + freelancerShare)
+  // Client gets the remaining amount plus the escrow account rent back
+  assert.ok(await balance(client.publicKey) > clientBefore + (amount - freelancerShare))
+  assert.equal(await fetchEscrowState(disputeContractId, options), null, 'escrow should be closed')
+}
+
+run().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})
@@ -1,6 +1,7 @@
 import { Routes, Route } from 'react-router-dom'
 import Navbar from '@/components/layout/Navbar'
 import Footer from '@/components/layout/Footer'
+import RoleGraceBanner from '@/components/layout/RoleGraceBanner'
 import Landing from '@/pages/Landing'
 import Jobs from '@/pages/Jobs'
 import JobDetail from '@/pages/JobDetail'
@@ -12,6 +13,8 @@ import Login from '@/pages/Login'
 import Register from '@/pages/Register'
 import Profile from '@/pages/Profile'
 import Messages from '@/pages/Messages'
+import Notifications from '@/pages/Notifications'
+import NotificationSettings from '@/pages/NotificationSettings'
 import Token from '@/pages/Token'
 import ClientDashboard from '@/pages/dashboard/ClientDashboard'
 import FreelancerDashboard from '@/pages/dashboard/FreelancerDashboard'
@@ -25,6 +28,7 @@ function App() {
   return (
     <div className="min-h-screen flex flex-col">
       <Navbar />
+      <RoleGraceBanner />
       <main className="flex-1">
         <Routes>
           {/* Public routes */}
@@ -59,6 +63,16 @@ function App() {
               <Messages />
             </ProtectedRoute>
           } />
+          <Route path="/notifications" element={
+            <ProtectedRoute>
+              <Notifications />
+            </ProtectedRoute>
+          } />
+          <Route path="/profile/settings" element={
+            <ProtectedRoute>
+              <NotificationSettings />
+            </ProtectedRoute>
+          } />
 
           {/* Dashboard routes - protected with role guards */}
           <Route path="/dashboard/client" element={
@@ -0,0 +1,141 @@
+import { Wallet, Star, Unlink, Plus, Loader2, ShieldCheck } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { useAuth } from '@/context/AuthContext'
+import { useToast } from '@/context/ToastContext'
+import { useLinkedWallets, MAX_LINKED_WALLETS } from '@/hooks/useLinkedWallets'
+import { truncateAddress, formatTokenAmount, formatTimeAgo } from '@/lib/utils'
+
+/**
+ * Own-profile card for linking wallets, choosing the primary (payout)
+ * wallet and seeing what each wallet adds to the token balance
+ */
+export function LinkedWallets() {
+  const { toast } = useToast()
+  const { tokenBalance, walletBalances, tokenVerifiedAt } = useAuth()
+  const { wallets, isLoading, linkWallet, setPrimaryWallet, unlinkWallet } = useLinkedWallets()
+
+  const balanceOf = (address) => walletBalances.find((w) => w.address === address)?.balance
+
+  const handleLink = async () => {
+    const { error } = await linkWallet()
+    if (error && error.message !== 'No wallet selected') {
+      toast({ title: 'Failed to link wallet', description: error.message, variant: 'destructive' })
+    }
+  }
+
+  // Signing a link challenge with the wallet verifies a carried-over link
+  const handleVerify = async (wallet) => {
+    toast({ title: `Connect ${truncateAddress(wallet.address, 6)} and sign to verify it` })
+    const { error } = await linkWallet()
+    if (error && error.message !== 'No wallet selected') {
+      toast({ title: 'Failed to verify wallet', description: error.message, variant: 'destructive' })
+    }
+  }
+
+  const handleSetPrimary = async (wallet) => {
+    if (!confirm(`Make ${truncateAddress(wallet.address, 6)} your primary wallet? Future payouts go to it.`)) return
+    const { error } = await setPrimaryWallet(wallet.id)
+    if (error) toast({ title: 'Failed to change primary wallet', description: error.message, variant: 'destructive' })
+  }
+
+  const handleUnlink = async (wallet) => {
+    if (!confirm(`Unlink ${truncateAddress(wallet.address, 6)}? Its tokens stop counting towards your balance.`)) return
+    const { error } = await unlinkWallet(wallet.id)
+    if (error) toast({ title: 'Failed to unlink wallet', description: error.message, variant: 'destructive' })
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Wallet className="h-5 w-5" />
+              Wallets
+            </CardTitle>
+            <CardDescription>
+              Tokens across all linked wallets count towards your tier. Payouts go to the primary wallet.
+            </CardDescription>
+          </div>
+          <Button size="sm" variant="outline" onClick={handleLink} disabled={wallets.length >= MAX_LINKED_WALLETS}>
+            <Plus className="h-4 w-4 mr-1" />
+            Link Wallet
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {isLoading && wallets.length === 0 ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-5 w-5 animate-spin text-primary" />
+          </div>
+        ) : wallets.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No wallets linked yet. Linking asks your wallet to sign a message; it costs nothing.
+          </p>
+        ) : (
+          <>
+            {wallets.map((wallet) => {
+              const balance = balanceOf(wallet.address)
+              return (
+                <div key={wallet.id} className="flex items-center gap-3 p-3 rounded-lg border bg-background/50">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="font-mono text-sm" title={wallet.address}>
+                        {truncateAddress(wallet.address, 6)}
+                      </span>
+                      {wallet.is_primary && <Badge variant="secondary">Primary</Badge>}
+                      {!wallet.verified_at && (
+                        <Badge variant="outline" className="border-yellow-500/50 text-yellow-600 dark:text-yellow-400">
+                          Unverified
+                        </Badge>
+                      )}
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      {wallet.verified_at ? (
+                        <>
+                          {balance !== undefined ? `${formatTokenAmount(balance)} tokens` : 'Balance not checked yet'}
+                          {' · '}linked {formatTimeAgo(wallet.verified_at)}
+                        </>
+                      ) : (
+                        "Sign with this wallet to verify it. Until then its tokens don't count and it can't sign in."
+                      )}
+                    </p>
+                  </div>
+                  {!wallet.verified_at && (
+                    <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => handleVerify(wallet)} title="Verify">
+                      <ShieldCheck className="h-4 w-4" />
+                    </Button>
+                  )}
+                  {!wallet.is_primary && (
+                    <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => handleSetPrimary(wallet)} title="Make primary">
+                      <Star className="h-4 w-4" />
+                    </Button>
+                  )}
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-8 w-8 text-red-500 hover:text-red-600"
+                    onClick={() => handleUnlink(wallet)}
+                    title="Unlink"
+                  >
+                    <Unlink className="h-4 w-4" />
+                  </Button>
+                </div>
+              )
+            })}
+            <div className="flex items-center justify-between pt-2 text-sm">
+              <span className="text-muted-foreground">
+                Total{tokenVerifiedAt && ` · checked ${formatTimeAgo(tokenVerifiedAt)}`}
+              </span>
+              <span className="font-bold">{Number(tokenBalance).toLocaleString()} tokens</span>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default LinkedWallets
@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react'
+import { Wallet, ExternalLink, ChevronRight } from 'lucide-react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { KNOWN_WALLETS, getWallets, getLastWalletName, onWalletsChange } from '@/lib/wallet'
+
+function WalletIcon({ icon }) {
+  return icon ? (
+    <img src={icon} alt="" className="h-8 w-8 rounded-lg" />
+  ) : (
+    <div className="h-8 w-8 rounded-lg bg-primary/10 flex items-center justify-center">
+      <Wallet className="h-4 w-4 text-primary" />
+    </div>
+  )
+}
+
+/**
+ * Lets the user choose one of the installed Solana wallets
+ * onSelect receives the wallet adapter; closing the dialog cancels
+ */
+export function WalletPickerDialog({ open, onOpenChange, onSelect }) {
+  const [wallets, setWallets] = useState([])
+
+  // Wallets can register after the dialog opens
+  useEffect(() => {
+    if (!open) return
+    setWallets(getWallets())
+    return onWalletsChange(() => setWallets(getWallets()))
+  }, [open])
+
+  const lastWalletName = getLastWalletName()
+  const missing = KNOWN_WALLETS.filter((known) => !wallets.some((w) => w.name === known.name))
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle>Connect a Wallet</DialogTitle>
+          <DialogDescription>
+            {wallets.length > 0
+              ? 'Choose the Solana wallet to use with PumpWork.'
+              : 'No Solana wallet was found in this browser. Install one to continue.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          {wallets.map((wallet) => (
+            <button
+              key={wallet.name}
+              type="button"
+              onClick={() => onSelect(wallet)}
+              className="flex w-full items-center gap-3 rounded-lg border p-3 text-left transition-colors hover:border-primary/50 hover:bg-muted/50"
+            >
+              <WalletIcon icon={wallet.icon} />
+              <span className="flex-1 font-medium">{wallet.name}</span>
+              {wallet.name === lastWalletName && (
+                <span className="text-xs text-muted-foreground">Last used</span>
+              )}
+              <ChevronRight className="h-4 w-4 text-muted-foreground" />
+            </button>
+          ))}
+
+          {missing.map((known) => (
+            <a
+              key={known.name}
+              href={known.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex w-full items-center gap-3 rounded-lg border border-dashed p-3 text-muted-foreground transition-colors hover:text-foreground"
+            >
+              <WalletIcon />
+              <span className="flex-1">{known.name}</span>
+              <span className="flex items-center gap-1 text-xs">
+                Install
+                <ExternalLink className="h-3 w-3" />
+              </span>
+            </a>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default WalletPickerDialog
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react'
+import { FileText, FileArchive, File, Download, ImageOff, Loader2 } from 'lucide-react'
+import { Dialog, DialogContent, DialogTitle, DialogDescription } from '@/components/ui/dialog'
+import { getAttachmentUrls, isImageType } from '@/lib/attachments'
+import { formatFileSize, cn } from '@/lib/utils'
+
+const fileIcon = (contentType) => {
+  if (/zip|tar|gzip|7z/.test(contentType)) return FileArchive
+  if (/pdf|text|json|word|excel|powerpoint|officedocument/.test(contentType)) return FileText
+  return File
+}
+
+// Resolve signed URLs for the attachments' files and thumbnails
+function useAttachmentUrls(attachments) {
+  const [urls, setUrls] = useState({})
+  const paths = attachments.flatMap((a) => [a.storage_path, a.thumbnail_path]).filter(Boolean)
+  const key = paths.join('|')
+
+  useEffect(() => {
+    if (paths.length === 0) return
+    let cancelled = false
+
+    getAttachmentUrls(paths)
+      .then((result) => !cancelled && setUrls(result))
+      .catch((err) => console.error('Error loading attachments:', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [key])
+
+  return urls
+}
+
+/**
+ * Image thumbnails (with a full-size preview) and file cards for a chat message
+ * Pending attachments carry a local _previewUrl until the message is stored
+ */
+export function MessageAttachments({ attachments = [], isOwn, className }) {
+  const urls = useAttachmentUrls(attachments)
+  const [preview, setPreview] = useState(null)
+
+  if (attachments.length === 0) return null
+
+  const images = attachments.filter((a) => isImageType(a.content_type))
+  const files = attachments.filter((a) => !isImageType(a.content_type))
+
+  return (
+    <div className={cn('space-y-2', className)}>
+      {images.length > 0 && (
+        <div className={cn('grid gap-1', images.length > 1 ? 'grid-cols-2' : 'grid-cols-1')}>
+          {images.map((image) => {
+            const src = image._previewUrl || urls[image.thumbnail_path] || urls[image.storage_path]
+
+            return (
+              <button
+                key={image.id}
+                type="button"
+                className="relative block overflow-hidden rounded-lg bg-background/20 min-h-[80px]"
+                style={image.width && image.height ? { aspectRatio: `${image.width} / ${image.height}` } : undefined}
+                onClick={() => src && setPreview(image)}
+                disabled={!src}
+              >
+                {src ? (
+                  <img src={src} alt={image.file_name} loading="lazy" className="h-full w-full object-cover max-h-64" />
+                ) : (
+                  <span className="absolute inset-0 flex items-center justify-center">
+                    {image.storage_path ? <Loader2 className="h-4 w-4 animate-spin opacity-60" /> : <ImageOff className="h-4 w-4 opacity-60" />}
+                  </span>
+                )}
+              </button>
+            )
+          })}
+        </div>
+      )}
+
+      {files.map((file) => {
+        const Icon = fileIcon(file.content_type)
+        const href = urls[file.storage_path]
+
+        return (
+          <a
+            key={file.id}
+            href={href}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={(e) => !href && e.preventDefault()}
+            className={cn(
+              'flex items-center gap-3 rounded-lg px-3 py-2 text-left transition-colors',
+              isOwn ? 'bg-primary-foreground/10 hover:bg-primary-foreground/20' : 'bg-background/60 hover:bg-background'
+            )}
+          >
+            <Icon className="h-5 w-5 shrink-0 opacity-80" />
+            <span className="min-w-0 flex-1">
+              <span className="block truncate text-sm font-medium">{file.file_name}</span>
+              <span className="block text-xs opacity-70">{formatFileSize(file.file_size)}</span>
+            </span>
+            {href && <Download className="h-4 w-4 shrink-0 opacity-70" />}
+          </a>
+        )
+      })}
+
+      <Dialog open={!!preview} onOpenChange={(open) => !open && setPreview(null)}>
+        <DialogContent className="sm:max-w-4xl p-2 sm:p-4">
+          <DialogTitle className="pr-8 truncate text-sm">{preview?.file_name}</DialogTitle>
+          <DialogDescription className="sr-only">Image preview</DialogDescription>
+          {preview && (
+            <div className="flex flex-col items-center gap-3">
+              <img
+                src={preview._previewUrl || urls[preview.storage_path]}
+                alt={preview.file_name}
+                className="max-h-[75vh] w-auto rounded-md object-contain"
+              />
+              {urls[preview.storage_path] && (
+                <a
+                  href={urls[preview.storage_path]}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-1 text-xs text-primary hover:underline"
+                >
+                  <Download className="h-3 w-3" /> Open original ({formatFileSize(preview.file_size)})
+                </a>
+              )}
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
+
+export default MessageAttachments
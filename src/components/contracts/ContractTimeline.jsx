@@ -0,0 +1,112 @@
+import { useState } from 'react'
+import { History, ChevronDown, ChevronUp, Loader2, FilePlus, ArrowRight, Wallet, Flag } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { useContracts } from '@/hooks/useContracts'
+import { CONTRACT_STATUS_LABELS, MILESTONE_STATUS_LABELS } from '@/lib/contractStateMachine'
+import { formatSOL, formatTimeAgo, truncateAddress, cn } from '@/lib/utils'
+
+const eventIcons = {
+  created: { icon: FilePlus, color: 'text-primary bg-primary/10' },
+  status_changed: { icon: ArrowRight, color: 'text-blue-500 bg-blue-500/10' },
+  escrow_changed: { icon: Wallet, color: 'text-green-500 bg-green-500/10' },
+  milestone_created: { icon: Flag, color: 'text-purple-500 bg-purple-500/10' },
+  milestone_status_changed: { icon: Flag, color: 'text-purple-500 bg-purple-500/10' },
+}
+
+const label = (labels, status) => labels[status] || status
+
+function describeEvent(event) {
+  const metadata = event.metadata || {}
+
+  switch (event.event_type) {
+    case 'created':
+      // Hourly contracts start at zero and grow with each paid timesheet
+      return Number(metadata.agreed_amount) > 0
+        ? `created the contract for ${formatSOL(metadata.agreed_amount)}`
+        : 'created the contract'
+    case 'status_changed':
+      return `moved the contract from ${label(CONTRACT_STATUS_LABELS, event.from_status)} to ${label(CONTRACT_STATUS_LABELS, event.to_status)}`
+    case 'escrow_changed':
+      return `changed escrow from ${event.from_status} to ${event.to_status}`
+    case 'milestone_created':
+      return `added milestone "${metadata.title}" (${formatSOL(metadata.amount)})`
+    case 'milestone_status_changed':
+      return `moved "${metadata.title}" from ${label(MILESTONE_STATUS_LABELS, event.from_status)} to ${label(MILESTONE_STATUS_LABELS, event.to_status)}`
+    default:
+      return event.event_type
+  }
+}
+
+/**
+ * Collapsible, append-only contract history (see contract_events)
+ * Loaded the first time it is expanded
+ */
+export function ContractTimeline({ contractId, className }) {
+  const { fetchContractEvents } = useContracts()
+  const [isOpen, setIsOpen] = useState(false)
+  const [events, setEvents] = useState(null)
+
+  const handleToggle = async () => {
+    const opening = !isOpen
+    setIsOpen(opening)
+
+    if (opening) {
+      const { data } = await fetchContractEvents(contractId)
+      setEvents(data || [])
+    }
+  }
+
+  return (
+    <div className={cn('space-y-3', className)}>
+      <Button variant="ghost" size="sm" className="px-2 text-muted-foreground" onClick={handleToggle}>
+        <History className="h-4 w-4 mr-2" />
+        History
+        {isOpen ? <ChevronUp className="h-4 w-4 ml-1" /> : <ChevronDown className="h-4 w-4 ml-1" />}
+      </Button>
+
+      {isOpen && (
+        !events ? (
+          <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+        ) : events.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No history recorded yet.</p>
+        ) : (
+          <ol className="relative space-y-4 border-l border-border/60 ml-3">
+            {events.map((event) => {
+              const type = eventIcons[event.event_type] || eventIcons.status_changed
+              const Icon = type.icon
+              const metadata = event.metadata || {}
+              const notes = metadata.submission_notes || metadata.revision_notes
+
+              return (
+                <li key={event.id} className="ml-5">
+                  <span className={cn('absolute -left-3 flex h-6 w-6 items-center justify-center rounded-full', type.color)}>
+                    <Icon className="h-3 w-3" />
+                  </span>
+                  <div className="text-sm">
+                    <span className="font-medium">
+                      {event.actor?.nickname || (event.actor_role === 'system' ? 'System' : 'Unknown')}
+                    </span>{' '}
+                    <span className="text-muted-foreground">{describeEvent(event)}</span>
+                    <span className="text-xs text-muted-foreground"> · {formatTimeAgo(event.created_at)}</span>
+                  </div>
+                  {notes && (
+                    <p className="text-sm text-foreground/80 mt-1 whitespace-pre-wrap break-words">
+                      {metadata.revision_notes ? 'Revisions requested: ' : ''}{notes}
+                    </p>
+                  )}
+                  {metadata.signature && (
+                    <div className="text-xs text-muted-foreground mt-1 font-mono">
+                      tx {truncateAddress(metadata.signature, 8)}
+                    </div>
+                  )}
+                </li>
+              )
+            })}
+          </ol>
+        )
+      )}
+    </div>
+  )
+}
+
+export default ContractTimeline
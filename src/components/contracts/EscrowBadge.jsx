@@ -0,0 +1,28 @@
+import { Lock, Unlock, Undo2, AlertCircle } from 'lucide-react'
+import { Badge } from '@/components/ui/badge'
+import { truncateAddress } from '@/lib/utils'
+
+const escrowStates = {
+  unfunded: { label: 'Escrow not funded', variant: 'warning', icon: AlertCircle },
+  funded: { label: 'Escrow funded', variant: 'success', icon: Lock },
+  released: { label: 'Escrow released', variant: 'info', icon: Unlock },
+  refunded: { label: 'Escrow refunded', variant: 'secondary', icon: Undo2 },
+}
+
+export function EscrowBadge({ contract, className }) {
+  const state = escrowStates[contract?.escrow_status] || escrowStates.unfunded
+  const Icon = state.icon
+
+  return (
+    <Badge
+      variant={state.variant}
+      className={className}
+      title={contract?.escrow_address ? `Escrow account ${truncateAddress(contract.escrow_address, 6)}` : undefined}
+    >
+      <Icon className="h-3 w-3 mr-1" />
+      {state.label}
+    </Badge>
+  )
+}
+
+export default EscrowBadge
@@ -0,0 +1,80 @@
+import { useState, useEffect } from 'react'
+import { Clock } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { DEFAULT_WEEKLY_HOUR_LIMIT } from '@/hooks/useTimesheets'
+import { formatSOL } from '@/lib/utils'
+
+/**
+ * Collects the rate and weekly hour limit when hiring for hourly work
+ * onSubmit receives { hourlyRate, weeklyHourLimit }
+ */
+export function HourlyTermsDialog({ open, onOpenChange, freelancerName, defaultRate, onSubmit, isSubmitting }) {
+  const [rate, setRate] = useState('')
+  const [limit, setLimit] = useState(String(DEFAULT_WEEKLY_HOUR_LIMIT))
+
+  useEffect(() => {
+    if (open) {
+      setRate(defaultRate != null ? String(defaultRate) : '')
+      setLimit(String(DEFAULT_WEEKLY_HOUR_LIMIT))
+    }
+  }, [open])
+
+  const hourlyRate = Number(rate)
+  const weeklyHourLimit = Number(limit)
+  const isValid = hourlyRate > 0 && weeklyHourLimit > 0 && weeklyHourLimit <= 168
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Clock className="h-5 w-5 text-primary" />
+            Hire Hourly
+          </DialogTitle>
+          <DialogDescription>
+            {freelancerName} logs time against the contract and submits a timesheet each week.
+            You pay approved hours at the agreed rate, never more than the weekly limit.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-2 gap-4 py-4">
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Rate (SOL/hr)</label>
+            <Input type="number" min="0" step="0.01" value={rate} onChange={(e) => setRate(e.target.value)} />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Weekly limit (hours)</label>
+            <Input type="number" min="1" max="168" step="1" value={limit} onChange={(e) => setLimit(e.target.value)} />
+          </div>
+          {isValid && (
+            <p className="col-span-2 text-xs text-muted-foreground">
+              At most {formatSOL(Math.round(hourlyRate * weeklyHourLimit * 1e9) / 1e9)} per week.
+            </p>
+          )}
+        </div>
+        <DialogFooter>
+          <Button variant="ghost" onClick={() => onOpenChange(false)} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button
+            className="gradient-bg"
+            onClick={() => onSubmit({ hourlyRate, weeklyHourLimit })}
+            disabled={isSubmitting || !isValid}
+          >
+            {isSubmitting ? 'Hiring...' : 'Hire'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default HourlyTermsDialog
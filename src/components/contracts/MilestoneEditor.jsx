@@ -0,0 +1,86 @@
+import { Plus, Trash2 } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { formatSOL } from '@/lib/utils'
+
+export const emptyMilestone = () => ({ title: '', amount: '', due_date: '' })
+
+export const isMilestoneDraftValid = (milestones) =>
+  milestones.length > 0 && milestones.every((m) => m.title.trim() && Number(m.amount) > 0)
+
+/**
+ * Editable list of milestone drafts ({ title, amount, due_date })
+ */
+export function MilestoneEditor({ milestones, onChange, disabled }) {
+  const total = milestones.reduce((sum, m) => sum + (Number(m.amount) || 0), 0)
+
+  const updateMilestone = (index, field, value) => {
+    onChange(milestones.map((m, i) => (i === index ? { ...m, [field]: value } : m)))
+  }
+
+  const removeMilestone = (index) => {
+    onChange(milestones.filter((_, i) => i !== index))
+  }
+
+  return (
+    <div className="space-y-3">
+      {milestones.map((milestone, index) => (
+        <div key={index} className="p-3 rounded-lg border bg-background/50 space-y-2">
+          <div className="flex items-center gap-2">
+            <span className="text-xs font-medium text-muted-foreground w-5 shrink-0">{index + 1}.</span>
+            <Input
+              value={milestone.title}
+              onChange={(e) => updateMilestone(index, 'title', e.target.value)}
+              placeholder="Milestone title"
+              disabled={disabled}
+            />
+            <Button
+              type="button"
+              size="icon"
+              variant="ghost"
+              className="shrink-0"
+              onClick={() => removeMilestone(index)}
+              disabled={disabled || milestones.length === 1}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+          <div className="grid grid-cols-2 gap-2 pl-7 pr-12">
+            <Input
+              type="number"
+              min="0"
+              step="0.01"
+              value={milestone.amount}
+              onChange={(e) => updateMilestone(index, 'amount', e.target.value)}
+              placeholder="Amount (SOL)"
+              disabled={disabled}
+            />
+            <Input
+              type="date"
+              value={milestone.due_date}
+              onChange={(e) => updateMilestone(index, 'due_date', e.target.value)}
+              disabled={disabled}
+            />
+          </div>
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between">
+        <Button
+          type="button"
+          size="sm"
+          variant="outline"
+          onClick={() => onChange([...milestones, emptyMilestone()])}
+          disabled={disabled}
+        >
+          <Plus className="h-3 w-3 mr-1" /> Add Milestone
+        </Button>
+        <span className="text-sm">
+          Total: <span className="font-bold text-primary">{formatSOL(total)}</span>
+        </span>
+      </div>
+    </div>
+  )
+}
+
+export default MilestoneEditor
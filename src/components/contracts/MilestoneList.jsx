@@ -0,0 +1,124 @@
+import { Upload, Wallet, CalendarClock, ClipboardCheck } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Progress } from '@/components/ui/progress'
+import { EscrowBadge } from '@/components/contracts/EscrowBadge'
+import { sortMilestones, getMilestoneProgress } from '@/hooks/useMilestones'
+import { formatSOL, formatDate, cn } from '@/lib/utils'
+
+const milestoneStates = {
+  pending: { label: 'Awaiting funding', variant: 'outline' },
+  active: { label: 'In progress', variant: 'default' },
+  submitted: { label: 'Submitted', variant: 'info' },
+  approved: { label: 'Approved', variant: 'success' },
+}
+
+const isOverdue = (milestone) =>
+  milestone.due_date &&
+  milestone.status !== 'approved' &&
+  new Date(`${milestone.due_date}T23:59:59`) < new Date()
+
+/**
+ * Milestones of a contract with the actions available to the viewer
+ * @param {'client'|'freelancer'} role - Which side of the contract is viewing
+ */
+export function MilestoneList({
+  milestones,
+  role,
+  disabled,
+  onFund,
+  onSubmit,
+  onReview,
+  className,
+}) {
+  const sorted = sortMilestones(milestones)
+  const progress = getMilestoneProgress(sorted)
+
+  return (
+    <div className={cn('space-y-3', className)}>
+      <div className="space-y-1">
+        <div className="flex justify-between text-xs text-muted-foreground">
+          <span>{progress.approvedCount} of {sorted.length} milestones approved</span>
+          <span>{formatSOL(progress.approved)} / {formatSOL(progress.total)}</span>
+        </div>
+        <Progress value={progress.percent} className="h-2" />
+      </div>
+
+      <div className="space-y-2">
+        {sorted.map((milestone, index) => {
+          const state = milestoneStates[milestone.status] || milestoneStates.pending
+
+          return (
+            <div
+              key={milestone.id}
+              className={cn(
+                'p-3 rounded-lg border bg-background/50',
+                milestone.status === 'submitted' && role === 'client' && 'border-blue-500/30 bg-blue-500/5'
+              )}
+            >
+              <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium text-sm">
+                    {index + 1}. {milestone.title}
+                  </div>
+                  {milestone.description && (
+                    <p className="text-xs text-muted-foreground mt-1 break-words">{milestone.description}</p>
+                  )}
+                  <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-muted-foreground">
+                    <Badge variant={state.variant}>{state.label}</Badge>
+                    <EscrowBadge contract={milestone} />
+                    {milestone.due_date && (
+                      <span className={cn('flex items-center gap-1', isOverdue(milestone) && 'text-red-500')}>
+                        <CalendarClock className="h-3 w-3" />
+                        Due {formatDate(`${milestone.due_date}T00:00:00`)}
+                      </span>
+                    )}
+                    {milestone.revision_count > 0 && (
+                      <span>
+                        {milestone.revision_count} revision{milestone.revision_count > 1 ? 's' : ''}
+                      </span>
+                    )}
+                  </div>
+
+                  {milestone.status === 'active' && milestone.revision_notes && (
+                    <div className="mt-2 p-2 rounded-md bg-orange-500/10 border border-orange-500/20 text-xs">
+                      <span className="font-semibold text-orange-600 dark:text-orange-400">Revisions requested: </span>
+                      {milestone.revision_notes}
+                    </div>
+                  )}
+                  {milestone.status === 'submitted' && milestone.submission_notes && (
+                    <div className="mt-2 p-2 rounded-md bg-muted/50 text-xs break-words">
+                      {milestone.submission_notes}
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex sm:flex-col items-center sm:items-end justify-between gap-2 shrink-0">
+                  <div className="font-bold text-primary text-sm">{formatSOL(milestone.amount)}</div>
+
+                  {role === 'client' && milestone.status === 'pending' && (
+                    <Button size="sm" className="gradient-bg" onClick={() => onFund?.(milestone)} disabled={disabled}>
+                      <Wallet className="h-3 w-3 mr-1" /> Fund
+                    </Button>
+                  )}
+                  {role === 'client' && milestone.status === 'submitted' && (
+                    <Button size="sm" className="gradient-bg" onClick={() => onReview?.(milestone)} disabled={disabled}>
+                      <ClipboardCheck className="h-3 w-3 mr-1" /> Review
+                    </Button>
+                  )}
+                  {role === 'freelancer' && milestone.status === 'active' && (
+                    <Button size="sm" className="gradient-bg" onClick={() => onSubmit?.(milestone)} disabled={disabled}>
+                      <Upload className="h-3 w-3 mr-1" /> Submit
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default MilestoneList
@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react'
+import { Loader2, Paperclip, ExternalLink, GitCommit } from 'lucide-react'
+import { Badge } from '@/components/ui/badge'
+import { useSubmissions, getCommitUrl } from '@/hooks/useSubmissions'
+import { formatTimeAgo, formatFileSize, cn } from '@/lib/utils'
+import { useToast } from '@/context/ToastContext'
+
+const submissionStates = {
+  pending: { label: 'Awaiting review', variant: 'info' },
+  revisions_requested: { label: 'Revisions requested', variant: 'warning' },
+  approved: { label: 'Approved', variant: 'success' },
+}
+
+function Deliverable({ deliverable, onOpenFile }) {
+  if (deliverable.kind === 'file') {
+    return (
+      <button
+        type="button"
+        onClick={() => onOpenFile(deliverable)}
+        className="inline-flex items-center gap-1 text-xs text-primary hover:underline text-left break-all"
+      >
+        <Paperclip className="h-3 w-3 shrink-0" />
+        {deliverable.label || deliverable.file_name}
+        {deliverable.file_size != null && (
+          <span className="text-muted-foreground">({formatFileSize(deliverable.file_size)})</span>
+        )}
+      </button>
+    )
+  }
+
+  if (deliverable.kind === 'commit') {
+    const url = getCommitUrl(deliverable)
+    const text = (
+      <>
+        <GitCommit className="h-3 w-3 shrink-0" />
+        <span className="font-mono">{deliverable.commit_sha.slice(0, 10)}</span>
+        {deliverable.repository_url && (
+          <span className="text-muted-foreground break-all">{deliverable.repository_url.replace(/^https?:\/\//, '')}</span>
+        )}
+      </>
+    )
+
+    return url ? (
+      <a href={url} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-1 text-xs text-primary hover:underline">
+        {text}
+      </a>
+    ) : (
+      <span className="inline-flex items-center gap-1 text-xs">{text}</span>
+    )
+  }
+
+  return (
+    <a
+      href={deliverable.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="inline-flex items-center gap-1 text-xs text-primary hover:underline break-all"
+    >
+      <ExternalLink className="h-3 w-3 shrink-0" />
+      {deliverable.label || deliverable.url}
+    </a>
+  )
+}
+
+/**
+ * Every submitted version of a contract or milestone, newest first
+ * @param {string|null} milestoneId - null for a contract without milestones
+ */
+export function SubmissionHistory({ contractId, milestoneId = null, className }) {
+  const { toast } = useToast()
+  const { fetchSubmissions, getDeliverableUrl } = useSubmissions()
+  const [submissions, setSubmissions] = useState(null)
+
+  useEffect(() => {
+    setSubmissions(null)
+    fetchSubmissions(contractId, milestoneId).then(({ data }) => setSubmissions(data || []))
+  }, [contractId, milestoneId])
+
+  const handleOpenFile = async (deliverable) => {
+    // Open the tab first so the browser doesn't treat it as a popup
+    const tab = window.open('', '_blank')
+    const { data: url, error } = await getDeliverableUrl(deliverable.storage_path)
+
+    if (error) {
+      tab?.close()
+      toast({ title: `Failed to open ${deliverable.file_name}`, description: error.message, variant: 'destructive' })
+      return
+    }
+    if (tab) {
+      tab.location.href = url
+    } else {
+      window.location.href = url
+    }
+  }
+
+  if (!submissions) {
+    return <Loader2 className={cn('h-5 w-5 animate-spin text-muted-foreground', className)} />
+  }
+
+  if (submissions.length === 0) {
+    return <p className={cn('text-sm text-muted-foreground', className)}>Nothing submitted yet.</p>
+  }
+
+  return (
+    <div className={cn('space-y-3', className)}>
+      {submissions.map((submission, index) => {
+        const state = submissionStates[submission.status] || submissionStates.pending
+
+        return (
+          <div
+            key={submission.id}
+            className={cn('p-3 rounded-lg border bg-background/50 space-y-2', index > 0 && 'opacity-80')}
+          >
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-semibold">Version {submission.version}</span>
+              {index === 0 && <Badge variant="outline">Latest</Badge>}
+              <Badge variant={state.variant}>{state.label}</Badge>
+              <span className="text-xs text-muted-foreground">
+                {submission.submitter?.nickname} · {formatTimeAgo(submission.created_at)}
+              </span>
+            </div>
+
+            {submission.notes && (
+              <p className="text-sm text-foreground/80 whitespace-pre-wrap break-words">{submission.notes}</p>
+            )}
+
+            {submission.deliverables?.length > 0 && (
+              <ul className="space-y-1">
+                {submission.deliverables.map((deliverable) => (
+                  <li key={deliverable.id}>
+                    <Deliverable deliverable={deliverable} onOpenFile={handleOpenFile} />
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {submission.review_notes && (
+              <p className="text-xs text-orange-600 dark:text-orange-400">
+                Client feedback: {submission.review_notes}
+              </p>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default SubmissionHistory
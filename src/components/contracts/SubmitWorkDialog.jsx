@@ -0,0 +1,207 @@
+import { useState, useEffect, useRef } from 'react'
+import { Upload, Paperclip, GitCommit, Plus, Trash2, X } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { MAX_DELIVERABLE_SIZE } from '@/hooks/useSubmissions'
+import { formatFileSize } from '@/lib/utils'
+
+const emptyCommit = () => ({ repositoryUrl: '', sha: '' })
+
+const isUrl = (value) => /^https?:\/\/\S+$/i.test(value)
+const isSha = (value) => /^[0-9a-f]{7,40}$/i.test(value)
+
+/**
+ * Collects notes and deliverables (files, links, commits) for a submission
+ * onSubmit receives { notes, files, links, commits } as expected by createSubmission
+ * @param {string} [revisionNotes] - The client's last revision request, shown as a reminder
+ */
+export function SubmitWorkDialog({ open, onOpenChange, title, revisionNotes, onSubmit, isSubmitting }) {
+  const [notes, setNotes] = useState('')
+  const [files, setFiles] = useState([])
+  const [links, setLinks] = useState('')
+  const [commits, setCommits] = useState([])
+  const fileInput = useRef(null)
+
+  useEffect(() => {
+    if (open) {
+      setNotes('')
+      setFiles([])
+      setLinks('')
+      setCommits([])
+    }
+  }, [open])
+
+  const linkList = links.split('\n').map((line) => line.trim()).filter(Boolean)
+  const filledCommits = commits.filter((commit) => commit.sha.trim() || commit.repositoryUrl.trim())
+  const invalidLink = linkList.find((link) => !isUrl(link))
+  const invalidCommit = filledCommits.find(
+    (commit) => !isSha(commit.sha.trim()) || (commit.repositoryUrl.trim() && !isUrl(commit.repositoryUrl.trim()))
+  )
+  const oversized = files.find((file) => file.size > MAX_DELIVERABLE_SIZE)
+  const isEmpty = !notes.trim() && files.length === 0 && linkList.length === 0 && filledCommits.length === 0
+
+  const handleFiles = (e) => {
+    const picked = Array.from(e.target.files || [])
+    setFiles((prev) => [...prev, ...picked.filter((file) => !prev.some((p) => p.name === file.name && p.size === file.size))])
+    e.target.value = ''
+  }
+
+  const updateCommit = (index, field, value) => {
+    setCommits(commits.map((commit, i) => (i === index ? { ...commit, [field]: value } : commit)))
+  }
+
+  const handleSubmit = () => {
+    onSubmit({
+      notes: notes.trim() || null,
+      files,
+      links: linkList.map((url) => ({ url })),
+      commits: filledCommits.map((commit) => ({
+        repositoryUrl: commit.repositoryUrl.trim() || null,
+        sha: commit.sha.trim(),
+      })),
+    })
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Upload className="h-5 w-5 text-primary" />
+            Submit Work
+          </DialogTitle>
+          <DialogDescription>
+            Attach what the client should review for {title}. Each submission is kept as a new version.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          {revisionNotes && (
+            <div className="p-3 rounded-lg bg-orange-500/10 border border-orange-500/20 text-sm">
+              <span className="font-semibold text-orange-600 dark:text-orange-400">Requested changes: </span>
+              {revisionNotes}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Notes</label>
+            <Textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="What was done, how to test it, what changed since the last version..."
+              rows={4}
+              className="resize-none"
+            />
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Files</label>
+            <input ref={fileInput} type="file" multiple className="hidden" onChange={handleFiles} />
+            {files.length > 0 && (
+              <ul className="space-y-1">
+                {files.map((file, index) => (
+                  <li key={`${file.name}-${file.size}`} className="flex items-center gap-2 text-sm">
+                    <Paperclip className="h-3 w-3 text-muted-foreground shrink-0" />
+                    <span className="truncate flex-1">{file.name}</span>
+                    <span className={file.size > MAX_DELIVERABLE_SIZE ? 'text-xs text-red-500' : 'text-xs text-muted-foreground'}>
+                      {formatFileSize(file.size)}
+                    </span>
+                    <button
+                      type="button"
+                      className="text-muted-foreground hover:text-red-500"
+                      onClick={() => setFiles(files.filter((_, i) => i !== index))}
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <Button type="button" size="sm" variant="outline" onClick={() => fileInput.current?.click()}>
+              <Paperclip className="h-3 w-3 mr-1" /> Attach Files
+            </Button>
+            <p className="text-xs text-muted-foreground">Up to 50 MB per file. Only you, the client and dispute admins can open them.</p>
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Links</label>
+            <Textarea
+              value={links}
+              onChange={(e) => setLinks(e.target.value)}
+              placeholder={'https://...\nOne link per line'}
+              rows={2}
+              className="resize-none font-mono text-xs"
+            />
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Commits</label>
+            {commits.map((commit, index) => (
+              <div key={index} className="flex gap-2">
+                <Input
+                  value={commit.repositoryUrl}
+                  onChange={(e) => updateCommit(index, 'repositoryUrl', e.target.value)}
+                  placeholder="https://github.com/org/repo"
+                  className="font-mono text-xs"
+                />
+                <Input
+                  value={commit.sha}
+                  onChange={(e) => updateCommit(index, 'sha', e.target.value)}
+                  placeholder="Commit SHA"
+                  className="w-36 shrink-0 font-mono text-xs"
+                />
+                <Button
+                  type="button"
+                  size="icon"
+                  variant="ghost"
+                  className="shrink-0"
+                  onClick={() => setCommits(commits.filter((_, i) => i !== index))}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+            <Button type="button" size="sm" variant="outline" onClick={() => setCommits([...commits, emptyCommit()])}>
+              {commits.length === 0 ? <GitCommit className="h-3 w-3 mr-1" /> : <Plus className="h-3 w-3 mr-1" />}
+              Add Commit
+            </Button>
+          </div>
+
+          {(invalidLink || invalidCommit || oversized) && (
+            <p className="text-xs text-red-500">
+              {oversized
+                ? `${oversized.name} is larger than 50 MB.`
+                : invalidLink
+                  ? `"${invalidLink}" is not a valid http(s) link.`
+                  : 'Commits need a 7-40 character SHA and an http(s) repository URL.'}
+            </p>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="ghost" onClick={() => onOpenChange(false)} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button
+            className="gradient-bg"
+            onClick={handleSubmit}
+            disabled={isSubmitting || isEmpty || !!invalidLink || !!invalidCommit || !!oversized}
+          >
+            {isSubmitting ? 'Submitting...' : 'Submit for Review'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default SubmitWorkDialog
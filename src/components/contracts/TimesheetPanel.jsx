@@ -0,0 +1,356 @@
+import { useState, useEffect } from 'react'
+import { Clock, Play, Square, Plus, Trash2, Send, CheckCircle2, RotateCcw, Timer } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Progress } from '@/components/ui/progress'
+import {
+  useTimesheets,
+  getWeekStart,
+  formatHours,
+  getLoggedMinutes,
+  getTimesheetAmount,
+} from '@/hooks/useTimesheets'
+import { formatSOL, formatDate, truncateAddress, cn } from '@/lib/utils'
+import { useToast } from '@/context/ToastContext'
+
+const timesheetStates = {
+  open: { label: 'Open', variant: 'outline' },
+  submitted: { label: 'Awaiting approval', variant: 'info' },
+  approved: { label: 'Paid', variant: 'success' },
+}
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+function RunningTimer({ entry, onStop, disabled }) {
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const seconds = Math.max(0, Math.floor((now - new Date(entry.started_at).getTime()) / 1000))
+  const elapsed = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':')
+
+  return (
+    <div className="flex items-center justify-between gap-3 p-3 rounded-lg border border-primary/30 bg-primary/5">
+      <div className="min-w-0">
+        <div className="font-mono font-bold text-primary">{elapsed}</div>
+        <div className="text-xs text-muted-foreground truncate">{entry.description}</div>
+      </div>
+      <Button size="sm" variant="outline" onClick={onStop} disabled={disabled}>
+        <Square className="h-3 w-3 mr-1" /> Stop
+      </Button>
+    </div>
+  )
+}
+
+/**
+ * Time tracking and weekly timesheets of an hourly contract
+ * @param {'client'|'freelancer'} role - Which side of the contract is viewing
+ * @param {function} [onChange] - Called after a timesheet is paid or the terms change
+ */
+export function TimesheetPanel({ contract, role, onChange, className }) {
+  const { toast } = useToast()
+  const {
+    fetchTimesheets,
+    addTimeEntry,
+    deleteTimeEntry,
+    startTimer,
+    stopTimer,
+    submitTimesheet,
+    approveTimesheet,
+    requestTimesheetChanges,
+    updateWeeklyHourLimit,
+    subscribeToTimesheets,
+  } = useTimesheets()
+  const [timesheets, setTimesheets] = useState(null)
+  const [timerDescription, setTimerDescription] = useState('')
+  const [entryDate, setEntryDate] = useState(today())
+  const [entryHours, setEntryHours] = useState('')
+  const [entryDescription, setEntryDescription] = useState('')
+  const [isWorking, setIsWorking] = useState(false)
+
+  const isActive = contract.status === 'active'
+  const canLog = role === 'freelancer' && isActive
+  const limitMinutes = Number(contract.weekly_hour_limit) * 60
+
+  const loadTimesheets = async () => {
+    const { data } = await fetchTimesheets(contract.id)
+    setTimesheets(data || [])
+  }
+
+  useEffect(() => {
+    loadTimesheets()
+    return subscribeToTimesheets(contract.id, loadTimesheets)
+  }, [contract.id])
+
+  const currentWeek = timesheets?.find((t) => t.week_start === getWeekStart())
+  const weekMinutes = getLoggedMinutes(currentWeek)
+  const runningEntry = timesheets
+    ?.flatMap((t) => t.entries)
+    .find((entry) => entry.source === 'timer' && !entry.ended_at)
+  const approvedMinutes = (timesheets || []).reduce((sum, t) => sum + (t.approved_minutes || 0), 0)
+
+  // Every action reloads the list; realtime keeps the other party in sync
+  const run = async (action, failureMessage) => {
+    setIsWorking(true)
+    const result = await action()
+
+    if (result.error) {
+      toast({ title: failureMessage, description: result.error.message, variant: 'destructive' })
+    } else {
+      await loadTimesheets()
+    }
+
+    setIsWorking(false)
+    return result
+  }
+
+  const handleStartTimer = async () => {
+    const { error } = await run(() => startTimer(contract.id, timerDescription.trim()), 'Failed to start timer')
+    if (!error) setTimerDescription('')
+  }
+
+  const handleStopTimer = async () => {
+    const timesheet = timesheets.find((t) => t.id === runningEntry.timesheet_id)
+    const { error, capped } = await run(() => stopTimer(runningEntry, contract, timesheet), 'Failed to stop timer')
+    if (!error && capped) {
+      toast({ title: 'Weekly limit reached', description: `The weekly limit of ${contract.weekly_hour_limit} hours was reached, so the entry stops at the limit.` })
+    }
+  }
+
+  const handleAddEntry = async () => {
+    const minutes = Math.round(Number(entryHours) * 60)
+    if (!minutes || minutes <= 0 || minutes > 1440) {
+      toast({ title: 'Enter between 0.1 and 24 hours', variant: 'destructive' })
+      return
+    }
+
+    const { error } = await run(
+      () => addTimeEntry(contract.id, { workDate: entryDate, minutes, description: entryDescription.trim() }),
+      'Failed to log time'
+    )
+    if (!error) {
+      setEntryHours('')
+      setEntryDescription('')
+    }
+  }
+
+  const handleDeleteEntry = async (entry) => {
+    if (!confirm(`Remove ${formatHours(entry.minutes)} logged on ${formatDate(`${entry.work_date}T00:00:00`)}?`)) return
+    await run(() => deleteTimeEntry(entry.id), 'Failed to remove entry')
+  }
+
+  const handleSubmit = async (timesheet) => {
+    const notes = prompt(`Submit ${formatHours(getLoggedMinutes(timesheet))} for the week of ${formatDate(`${timesheet.week_start}T00:00:00`)}.\n\nAdd a note for the client (optional):`)
+    if (notes === null) return
+    await run(() => submitTimesheet(timesheet.id, notes.trim() || null), 'Failed to submit timesheet')
+  }
+
+  const handleApprove = async (timesheet) => {
+    // Capped at the limit in force when it was submitted, as the payout is
+    const minutes = Math.min(timesheet.submitted_minutes, Number(timesheet.weekly_hour_limit) * 60)
+    const amount = getTimesheetAmount(minutes, timesheet.hourly_rate)
+    if (!confirm(`Approve ${formatHours(minutes)} at ${formatSOL(Number(timesheet.hourly_rate))}/hr?\n\n${formatSOL(amount)} will be paid to the freelancer now.`)) return
+
+    const { error } = await run(() => approveTimesheet(timesheet, contract), 'Failed to approve timesheet')
+    if (!error) onChange?.()
+  }
+
+  const handleRequestChanges = async (timesheet) => {
+    const notes = prompt('What should the freelancer change on this timesheet?')
+    if (!notes?.trim()) return
+    await run(() => requestTimesheetChanges(timesheet.id, notes.trim()), 'Failed to send timesheet back')
+  }
+
+  const handleChangeLimit = async () => {
+    const input = prompt('New weekly limit in hours (applies to time logged from now on):', contract.weekly_hour_limit)
+    if (input === null) return
+
+    const hours = Number(input)
+    if (!hours || hours <= 0 || hours > 168) {
+      toast({ title: 'The weekly limit must be between 1 and 168 hours', variant: 'destructive' })
+      return
+    }
+
+    const { error } = await run(() => updateWeeklyHourLimit(contract.id, hours), 'Failed to change weekly limit')
+    if (!error) onChange?.()
+  }
+
+  return (
+    <div className={cn('space-y-4', className)}>
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-muted-foreground">
+        <span className="flex items-center gap-1">
+          <Clock className="h-3 w-3" />
+          {formatSOL(Number(contract.hourly_rate))}/hr
+        </span>
+        <span>
+          Limit {contract.weekly_hour_limit}h/week
+          {role === 'client' && isActive && (
+            <button type="button" className="ml-1 text-primary hover:underline" onClick={handleChangeLimit} disabled={isWorking}>
+              change
+            </button>
+          )}
+        </span>
+        <span>{formatHours(approvedMinutes)} paid · {formatSOL(Number(contract.agreed_amount) || 0)}</span>
+      </div>
+
+      {isActive && (
+        <div className="space-y-1">
+          <div className="flex justify-between text-xs text-muted-foreground">
+            <span>This week</span>
+            <span>{formatHours(weekMinutes)} / {contract.weekly_hour_limit}h</span>
+          </div>
+          <Progress value={limitMinutes ? Math.min(100, (weekMinutes / limitMinutes) * 100) : 0} className="h-2" />
+        </div>
+      )}
+
+      {canLog && (
+        <div className="space-y-3">
+          {runningEntry ? (
+            <RunningTimer entry={runningEntry} onStop={handleStopTimer} disabled={isWorking} />
+          ) : (
+            <div className="flex gap-2">
+              <Input
+                value={timerDescription}
+                onChange={(e) => setTimerDescription(e.target.value)}
+                placeholder="What are you working on?"
+              />
+              <Button size="sm" className="gradient-bg shrink-0" onClick={handleStartTimer} disabled={isWorking || !timerDescription.trim()}>
+                <Play className="h-3 w-3 mr-1" /> Start
+              </Button>
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row gap-2">
+            <Input
+              type="date"
+              value={entryDate}
+              max={today()}
+              onChange={(e) => setEntryDate(e.target.value)}
+              className="sm:w-40"
+            />
+            <Input
+              type="number"
+              min="0.1"
+              max="24"
+              step="0.25"
+              value={entryHours}
+              onChange={(e) => setEntryHours(e.target.value)}
+              placeholder="Hours"
+              className="sm:w-24"
+            />
+            <Input
+              value={entryDescription}
+              onChange={(e) => setEntryDescription(e.target.value)}
+              placeholder="Description"
+            />
+            <Button
+              size="sm"
+              variant="outline"
+              className="shrink-0"
+              onClick={handleAddEntry}
+              disabled={isWorking || !entryHours || !entryDescription.trim()}
+            >
+              <Plus className="h-3 w-3 mr-1" /> Log
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {timesheets?.length > 0 && (
+        <div className="space-y-2">
+          {timesheets.map((timesheet) => {
+            const state = timesheetStates[timesheet.status] || timesheetStates.open
+            const logged = timesheet.submitted_minutes ?? getLoggedMinutes(timesheet)
+            const hasRunningTimer = timesheet.entries.some((entry) => entry.source === 'timer' && !entry.ended_at)
+
+            return (
+              <div
+                key={timesheet.id}
+                className={cn(
+                  'p-3 rounded-lg border bg-background/50 space-y-2',
+                  timesheet.status === 'submitted' && role === 'client' && 'border-blue-500/30 bg-blue-500/5'
+                )}
+              >
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="font-medium">Week of {formatDate(`${timesheet.week_start}T00:00:00`)}</span>
+                    <Badge variant={state.variant}>{state.label}</Badge>
+                    <span className="text-muted-foreground">{formatHours(timesheet.approved_minutes ?? logged)}</span>
+                    {timesheet.amount != null && (
+                      <span className="font-semibold text-primary">{formatSOL(Number(timesheet.amount))}</span>
+                    )}
+                  </div>
+                  <div className="flex gap-2">
+                    {role === 'freelancer' && isActive && timesheet.status === 'open' && timesheet.entries.length > 0 && (
+                      <Button size="sm" variant="outline" onClick={() => handleSubmit(timesheet)} disabled={isWorking || hasRunningTimer}>
+                        <Send className="h-3 w-3 mr-1" /> Submit
+                      </Button>
+                    )}
+                    {role === 'client' && isActive && timesheet.status === 'submitted' && (
+                      <>
+                        <Button size="sm" variant="outline" onClick={() => handleRequestChanges(timesheet)} disabled={isWorking}>
+                          <RotateCcw className="h-3 w-3 mr-1" /> Request Changes
+                        </Button>
+                        <Button size="sm" className="gradient-bg" onClick={() => handleApprove(timesheet)} disabled={isWorking}>
+                          <CheckCircle2 className="h-3 w-3 mr-1" /> Approve & Pay
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {timesheet.revision_notes && timesheet.status === 'open' && (
+                  <p className="text-xs text-orange-600 dark:text-orange-400">Changes requested: {timesheet.revision_notes}</p>
+                )}
+                {timesheet.submission_notes && timesheet.status !== 'open' && (
+                  <p className="text-xs text-foreground/80 whitespace-pre-wrap">{timesheet.submission_notes}</p>
+                )}
+
+                <ul className="divide-y divide-border/50 text-xs">
+                  {timesheet.entries.map((entry) => (
+                    <li key={entry.id} className="flex items-center gap-3 py-1.5">
+                      <span className="w-20 shrink-0 text-muted-foreground">{formatDate(`${entry.work_date}T00:00:00`)}</span>
+                      <span className="w-16 shrink-0 font-medium flex items-center gap-1">
+                        {entry.source === 'timer' && <Timer className="h-3 w-3 text-muted-foreground" />}
+                        {entry.ended_at || entry.source === 'manual' ? formatHours(entry.minutes) : 'running'}
+                      </span>
+                      <span className="flex-1 min-w-0 break-words">{entry.description}</span>
+                      {canLog && timesheet.status === 'open' && (entry.ended_at || entry.source === 'manual') && (
+                        <button
+                          type="button"
+                          className="text-muted-foreground hover:text-red-500"
+                          onClick={() => handleDeleteEntry(entry)}
+                          disabled={isWorking}
+                        >
+                          <Trash2 className="h-3 w-3" />
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+
+                {timesheet.payment_signature && (
+                  <div className="text-xs text-muted-foreground font-mono">
+                    tx {truncateAddress(timesheet.payment_signature, 8)}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {timesheets?.length === 0 && !canLog && (
+        <p className="text-sm text-muted-foreground">No time logged yet.</p>
+      )}
+    </div>
+  )
+}
+
+export default TimesheetPanel
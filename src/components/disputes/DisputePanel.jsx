@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react'
+import { Loader2, Gavel } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Textarea } from '@/components/ui/textarea'
+import { DisputeTimeline, describeResolution } from '@/components/disputes/DisputeTimeline'
+import { parseEvidenceUrls } from '@/components/disputes/OpenDisputeDialog'
+import { useDisputes } from '@/hooks/useDisputes'
+import { formatTimeAgo } from '@/lib/utils'
+import { useToast } from '@/context/ToastContext'
+
+/**
+ * Dispute status, live timeline and evidence form for a contract party
+ */
+export function DisputePanel({ contract }) {
+  const { toast } = useToast()
+  const { fetchContractDispute, addEvidence, subscribeToDisputeEvents } = useDisputes()
+  const [dispute, setDispute] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [note, setNote] = useState('')
+  const [links, setLinks] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  useEffect(() => {
+    let unsubscribe = null
+
+    fetchContractDispute(contract.id).then(({ data }) => {
+      setDispute(data)
+      setIsLoading(false)
+
+      if (data) {
+        unsubscribe = subscribeToDisputeEvents(data.id, (event) => {
+          setDispute(prev => prev && !prev.events.some(e => e.id === event.id)
+            ? { ...prev, events: [...prev.events, event] }
+            : prev
+          )
+        })
+      }
+    })
+
+    return () => unsubscribe?.()
+  }, [contract.id])
+
+  const handleAddEvidence = async () => {
+    setIsSubmitting(true)
+    const { data, error } = await addEvidence(dispute.id, note.trim(), parseEvidenceUrls(links))
+
+    if (error) {
+      toast({ title: 'Failed to add evidence', description: error.message, variant: 'destructive' })
+    } else {
+      setNote('')
+      setLinks('')
+      // Realtime may deliver it first; the subscription callback skips duplicates
+      setDispute(prev => prev.events.some(e => e.id === data.id)
+        ? prev
+        : { ...prev, events: [...prev.events, data] }
+      )
+    }
+
+    setIsSubmitting(false)
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+      </div>
+    )
+  }
+
+  if (!dispute) return null
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <Badge variant={dispute.status === 'open' ? 'destructive' : 'success'}>
+          {dispute.status === 'open' ? 'Under review' : 'Resolved'}
+        </Badge>
+        <span className="text-muted-foreground">
+          Opened by {dispute.opener?.nickname} {formatTimeAgo(dispute.created_at)}
+        </span>
+      </div>
+
+      {dispute.status === 'resolved' && (
+        <div className="p-3 rounded-lg bg-green-500/10 border border-green-500/20 text-sm">
+          <div className="flex items-center gap-2 font-semibold">
+            <Gavel className="h-4 w-4" />
+            {describeResolution(dispute.resolution, dispute.freelancer_share_bps)}
+          </div>
+          {dispute.resolution_notes && (
+            <p className="mt-1 text-foreground/80 whitespace-pre-wrap">{dispute.resolution_notes}</p>
+          )}
+        </div>
+      )}
+
+      <DisputeTimeline events={dispute.events} />
+
+      {dispute.status === 'open' && (
+        <div className="space-y-2 pt-2 border-t">
+          <label className="text-sm font-medium">Add Evidence</label>
+          <Textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Anything the admin should know..."
+            rows={2}
+            className="resize-none"
+          />
+          <Textarea
+            value={links}
+            onChange={(e) => setLinks(e.target.value)}
+            placeholder="Links, one per line"
+            rows={1}
+            className="resize-none font-mono text-xs"
+          />
+          <div className="flex justify-end">
+            <Button
+              size="sm"
+              onClick={handleAddEvidence}
+              disabled={isSubmitting || (!note.trim() && parseEvidenceUrls(links).length === 0)}
+            >
+              {isSubmitting ? 'Adding...' : 'Add Evidence'}
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DisputePanel
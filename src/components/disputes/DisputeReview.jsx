@@ -0,0 +1,240 @@
+import { useState, useEffect } from 'react'
+import { Loader2, Gavel, MessageSquare, FileText, Wallet } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Textarea } from '@/components/ui/textarea'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
+import { DisputeTimeline, describeResolution } from '@/components/disputes/DisputeTimeline'
+import { SubmissionHistory } from '@/components/contracts/SubmissionHistory'
+import { MessageAttachments } from '@/components/chat/MessageAttachments'
+import { useDisputes, getHeldEscrows } from '@/hooks/useDisputes'
+import { sortMilestones } from '@/hooks/useMilestones'
+import { formatSOL, formatTimeAgo, cn } from '@/lib/utils'
+import { useToast } from '@/context/ToastContext'
+
+const resolutionOptions = [
+  { value: 'refund', label: 'Full refund', description: 'Everything goes back to the client' },
+  { value: 'release', label: 'Full release', description: 'Everything goes to the freelancer' },
+  { value: 'split', label: 'Split', description: 'Divide the escrow by percentage' },
+]
+
+function Section({ icon: Icon, title, children }) {
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-semibold flex items-center gap-2">
+        <Icon className="h-4 w-4 text-muted-foreground" />
+        {title}
+      </h4>
+      {children}
+    </div>
+  )
+}
+
+/**
+ * Admin view of a single dispute: contract, submissions, chat history,
+ * timeline and the resolution form
+ */
+export function DisputeReview({ dispute, onResolved }) {
+  const { toast } = useToast()
+  const { fetchDisputeCase, resolveDispute } = useDisputes()
+  const [caseData, setCaseData] = useState(null)
+  const [resolution, setResolution] = useState('split')
+  const [freelancerShare, setFreelancerShare] = useState('50')
+  const [notes, setNotes] = useState('')
+  const [isResolving, setIsResolving] = useState(false)
+
+  const contract = dispute.contract
+  const heldEscrows = getHeldEscrows(contract)
+  const heldTotal = heldEscrows.reduce((sum, escrow) => sum + escrow.amount, 0)
+  const milestones = sortMilestones(contract.milestones || [])
+  const sharePercent = resolution === 'release' ? 100 : resolution === 'refund' ? 0 : Number(freelancerShare) || 0
+
+  useEffect(() => {
+    setCaseData(null)
+    fetchDisputeCase(dispute).then(({ data }) => setCaseData(data || { events: [], messages: [] }))
+  }, [dispute.id])
+
+  const handleResolve = async () => {
+    if (resolution === 'split' && (sharePercent < 0 || sharePercent > 100)) {
+      toast({ title: 'The freelancer share must be between 0 and 100%', variant: 'destructive' })
+      return
+    }
+    if (!confirm(`${describeResolution(resolution, Math.round(sharePercent * 100))}.\n\nThis settles ${formatSOL(heldTotal)} on-chain with your arbiter wallet and cannot be undone.`)) return
+
+    setIsResolving(true)
+    const { error } = await resolveDispute(dispute, {
+      resolution,
+      freelancerSharePercent: sharePercent,
+      notes: notes.trim(),
+    })
+
+    if (error) {
+      toast({ title: 'Failed to resolve dispute', description: error.message, variant: 'destructive' })
+    } else {
+      onResolved?.()
+    }
+
+    setIsResolving(false)
+  }
+
+  return (
+    <Card className="glass-card">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2">
+          <span className="truncate">{contract.title}</span>
+          <Badge variant={dispute.status === 'open' ? 'destructive' : 'success'} className="shrink-0">
+            {dispute.status === 'open' ? 'Open' : 'Resolved'}
+          </Badge>
+        </CardTitle>
+        <CardDescription>
+          {contract.client?.nickname} (client) vs {contract.freelancer?.nickname} (freelancer) ·
+          opened by {dispute.opener?.nickname} {formatTimeAgo(dispute.created_at)}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <Section icon={Wallet} title="Escrow">
+          <div className="grid grid-cols-2 gap-3 text-sm">
+            <div className="p-3 rounded-lg border bg-background/50">
+              <div className="text-muted-foreground text-xs">Contract total</div>
+              <div className="font-bold">{formatSOL(contract.agreed_amount)}</div>
+            </div>
+            <div className="p-3 rounded-lg border bg-background/50">
+              <div className="text-muted-foreground text-xs">Held in escrow</div>
+              <div className="font-bold text-primary">{formatSOL(heldTotal)}</div>
+            </div>
+          </div>
+          {heldEscrows.length === 0 && (
+            <p className="text-xs text-muted-foreground">No funds are held; resolving only closes the case.</p>
+          )}
+        </Section>
+
+        <Section icon={FileText} title="Submissions">
+          {milestones.length > 0 ? (
+            <div className="space-y-2">
+              {milestones.map((milestone) => (
+                <div key={milestone.id} className="p-3 rounded-lg border bg-background/50 text-sm">
+                  <div className="flex justify-between gap-2">
+                    <span className="font-medium">{milestone.title}</span>
+                    <span className="text-muted-foreground capitalize">{milestone.status} · {formatSOL(milestone.amount)}</span>
+                  </div>
+                  {milestone.submitted_at && (
+                    <SubmissionHistory className="mt-2" contractId={contract.id} milestoneId={milestone.id} />
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="p-3 rounded-lg border bg-background/50 text-sm space-y-1">
+              <div className="text-muted-foreground">
+                {contract.submitted_at ? `Work submitted ${formatTimeAgo(contract.submitted_at)}` : 'No work submitted'}
+                {contract.revision_count > 0 && ` · ${contract.revision_count} revision${contract.revision_count > 1 ? 's' : ''} requested`}
+              </div>
+              {contract.submitted_at && <SubmissionHistory className="pt-2" contractId={contract.id} />}
+            </div>
+          )}
+        </Section>
+
+        <Section icon={MessageSquare} title="Chat History">
+          {!caseData ? (
+            <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+          ) : caseData.messages.length === 0 ? (
+            <p className="text-sm text-muted-foreground">The parties have not messaged each other.</p>
+          ) : (
+            <div className="max-h-72 overflow-y-auto space-y-2 p-3 rounded-lg border bg-background/50">
+              {caseData.messages.map((message) => (
+                <div
+                  key={message.id}
+                  className={cn(
+                    'text-sm max-w-[85%] p-2 rounded-lg',
+                    message.sender_id === contract.client_id ? 'bg-muted' : 'bg-primary/10 ml-auto'
+                  )}
+                >
+                  <div className="text-xs text-muted-foreground">
+                    {message.sender?.nickname} · {formatTimeAgo(message.created_at)}
+                    {message.edited_at && !message.deleted_at && ' · edited'}
+                  </div>
+                  {message.deleted_at && <p className="italic text-muted-foreground">Message deleted</p>}
+                  {message.content && <p className="whitespace-pre-wrap break-words">{message.content}</p>}
+                  {message.attachments?.length > 0 && (
+                    <MessageAttachments className="mt-1" attachments={message.attachments} />
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </Section>
+
+        <Section icon={Gavel} title="Timeline">
+          {caseData ? <DisputeTimeline events={caseData.events} /> : <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />}
+        </Section>
+
+        {dispute.status === 'open' && (
+          <div className="space-y-3 pt-4 border-t">
+            <h4 className="text-sm font-semibold">Resolution</h4>
+            <div className="grid sm:grid-cols-3 gap-2">
+              {resolutionOptions.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => setResolution(option.value)}
+                  className={cn(
+                    'p-3 rounded-lg border text-left transition-colors',
+                    resolution === option.value ? 'border-primary bg-primary/10' : 'hover:border-primary/30'
+                  )}
+                >
+                  <div className="text-sm font-medium">{option.label}</div>
+                  <div className="text-xs text-muted-foreground">{option.description}</div>
+                </button>
+              ))}
+            </div>
+
+            {resolution === 'split' && (
+              <div className="flex items-center gap-3">
+                <label className="text-sm whitespace-nowrap">Freelancer share (%)</label>
+                <Input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="1"
+                  value={freelancerShare}
+                  onChange={(e) => setFreelancerShare(e.target.value)}
+                  className="w-24"
+                />
+              </div>
+            )}
+
+            <div className="text-sm text-muted-foreground">
+              Freelancer receives <span className="font-semibold text-foreground">{formatSOL(heldTotal * sharePercent / 100)}</span>,
+              client receives <span className="font-semibold text-foreground">{formatSOL(heldTotal * (100 - sharePercent) / 100)}</span>
+            </div>
+
+            <Textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Explain the decision to both parties..."
+              rows={3}
+              className="resize-none"
+            />
+
+            <div className="flex justify-end">
+              <Button className="gradient-bg" onClick={handleResolve} disabled={isResolving}>
+                <Gavel className="h-4 w-4 mr-2" />
+                {isResolving ? 'Resolving...' : 'Resolve Dispute'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {dispute.status === 'resolved' && (
+          <div className="p-3 rounded-lg bg-green-500/10 border border-green-500/20 text-sm">
+            <div className="font-semibold">{describeResolution(dispute.resolution, dispute.freelancer_share_bps)}</div>
+            {dispute.resolution_notes && <p className="mt-1 text-foreground/80 whitespace-pre-wrap">{dispute.resolution_notes}</p>}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default DisputeReview
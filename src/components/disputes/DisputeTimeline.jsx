@@ -0,0 +1,96 @@
+import { AlertTriangle, FileText, Lock, Gavel, ExternalLink } from 'lucide-react'
+import { formatTimeAgo, truncateAddress, cn } from '@/lib/utils'
+
+const eventTypes = {
+  opened: { label: 'opened a dispute', icon: AlertTriangle, color: 'text-red-500 bg-red-500/10' },
+  evidence: { label: 'added evidence', icon: FileText, color: 'text-blue-500 bg-blue-500/10' },
+  escrow_frozen: { label: 'froze escrow', icon: Lock, color: 'text-orange-500 bg-orange-500/10' },
+  resolved: { label: 'resolved the dispute', icon: Gavel, color: 'text-green-500 bg-green-500/10' },
+}
+
+const resolutionLabels = {
+  refund: 'Full refund to client',
+  release: 'Full release to freelancer',
+}
+
+export function describeResolution(resolution, freelancerShareBps) {
+  if (resolution === 'split') {
+    const freelancerPercent = (freelancerShareBps ?? 0) / 100
+    return `Split: ${freelancerPercent}% to freelancer, ${100 - freelancerPercent}% to client`
+  }
+  return resolutionLabels[resolution] || resolution
+}
+
+function EvidenceLinks({ urls }) {
+  if (!urls?.length) return null
+
+  return (
+    <ul className="mt-1 space-y-0.5">
+      {urls.map((url) => (
+        <li key={url}>
+          <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center gap-1 text-xs text-primary hover:underline break-all"
+          >
+            <ExternalLink className="h-3 w-3 shrink-0" />
+            {url}
+          </a>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+/**
+ * Append-only dispute history (see dispute_events)
+ */
+export function DisputeTimeline({ events, className }) {
+  if (!events?.length) {
+    return <p className={cn('text-sm text-muted-foreground', className)}>No activity yet.</p>
+  }
+
+  return (
+    <ol className={cn('relative space-y-4 border-l border-border/60 ml-3', className)}>
+      {events.map((event) => {
+        const type = eventTypes[event.event_type] || eventTypes.evidence
+        const Icon = type.icon
+        const metadata = event.metadata || {}
+
+        return (
+          <li key={event.id} className="ml-5">
+            <span className={cn('absolute -left-3 flex h-6 w-6 items-center justify-center rounded-full', type.color)}>
+              <Icon className="h-3 w-3" />
+            </span>
+            <div className="text-sm">
+              <span className="font-medium">{event.actor?.nickname || 'System'}</span>{' '}
+              <span className="text-muted-foreground">{type.label}</span>
+              <span className="text-xs text-muted-foreground"> · {formatTimeAgo(event.created_at)}</span>
+            </div>
+
+            {event.event_type === 'resolved' && (
+              <div className="text-sm font-medium mt-1">
+                {describeResolution(metadata.resolution, metadata.freelancer_share_bps)}
+              </div>
+            )}
+            {event.message && (
+              <p className="text-sm text-foreground/80 mt-1 whitespace-pre-wrap break-words">{event.message}</p>
+            )}
+            {metadata.evidence && (
+              <p className="text-sm text-foreground/80 mt-1 whitespace-pre-wrap break-words">{metadata.evidence}</p>
+            )}
+            <EvidenceLinks urls={metadata.urls || metadata.evidence_urls} />
+            {metadata.signature && (
+              <div className="text-xs text-muted-foreground mt-1 font-mono">
+                tx {truncateAddress(metadata.signature, 8)}
+              </div>
+            )}
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
+
+export default DisputeTimeline
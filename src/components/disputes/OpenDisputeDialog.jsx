@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react'
+import { AlertTriangle } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+
+// One link per line, http(s) only
+export const parseEvidenceUrls = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => /^https?:\/\/\S+$/i.test(line))
+
+/**
+ * Collects the reason and evidence for a new dispute
+ * onSubmit receives { reason, evidence, evidenceUrls }
+ */
+export function OpenDisputeDialog({ open, onOpenChange, contract, onSubmit, isSubmitting }) {
+  const [reason, setReason] = useState('')
+  const [evidence, setEvidence] = useState('')
+  const [links, setLinks] = useState('')
+
+  useEffect(() => {
+    if (open) {
+      setReason('')
+      setEvidence('')
+      setLinks('')
+    }
+  }, [open])
+
+  const handleSubmit = () => {
+    onSubmit({
+      reason: reason.trim(),
+      evidence: evidence.trim(),
+      evidenceUrls: parseEvidenceUrls(links),
+    })
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <AlertTriangle className="h-5 w-5 text-red-500" />
+            Open Dispute
+          </DialogTitle>
+          <DialogDescription>
+            Opening a dispute on {contract?.title} freezes its escrow until an admin reviews the case.
+            Neither side can release or refund funds in the meantime. Funded escrow is frozen from
+            your wallet first; the dispute opens once that transaction is confirmed.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 py-4">
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Reason</label>
+            <Textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="What went wrong and what outcome do you expect?"
+              rows={4}
+              className="resize-none"
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Evidence (Optional)</label>
+            <Textarea
+              value={evidence}
+              onChange={(e) => setEvidence(e.target.value)}
+              placeholder="Describe the agreed scope, deadlines, what was delivered..."
+              rows={3}
+              className="resize-none"
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Links (Optional)</label>
+            <Textarea
+              value={links}
+              onChange={(e) => setLinks(e.target.value)}
+              placeholder={'https://...\nOne link per line'}
+              rows={2}
+              className="resize-none font-mono text-xs"
+            />
+            <p className="text-xs text-muted-foreground">
+              Your chat history and submissions on this contract are shared with the admin reviewing the dispute.
+            </p>
+          </div>
+        </div>
+        <DialogFooter>
+          <Button variant="ghost" onClick={() => onOpenChange(false)} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={handleSubmit}
+            disabled={isSubmitting || !reason.trim()}
+          >
+            {isSubmitting ? 'Opening...' : 'Open Dispute'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default OpenDisputeDialog
@@ -3,10 +3,12 @@ import { Link, useNavigate, useLocation } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
 import {
   Menu, X, Sun, Moon, Wallet, ChevronDown, User,
-  LayoutDashboard, LogOut, MessageSquare, Loader2, RefreshCw, Power
+  LayoutDashboard, LogOut, MessageSquare, Loader2, RefreshCw, Power, Bell
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { InitialsAvatar } from '@/components/ui/InitialsAvatar'
+import { PresenceDot } from '@/components/presence/PresenceDot'
+import { NotificationBell } from '@/components/notifications/NotificationBell'
 import {
   DropdownMenu, DropdownMenuContent, DropdownMenuItem,
   DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger,
@@ -233,16 +235,23 @@ export default function Navbar() {
                 <MessageSquare className="h-5 w-5" />
               </Button>
 
+              {/* Notifications */}
+              <NotificationBell />
+
               {/* Mobile: Avatar only */}
-              <div className="sm:hidden">
+              <div className="sm:hidden relative">
                 <InitialsAvatar nickname={nickname} size="sm" />
+                <PresenceDot userId={profile?.id} />
               </div>
 
               {/* Desktop: Full dropdown menu */}
               <DropdownMenu>
                 <DropdownMenuTrigger asChild>
                   <Button variant="ghost" className="hidden sm:flex relative h-auto w-auto gap-2 pl-2 pr-3 rounded-full">
-                    <InitialsAvatar nickname={nickname} size="sm" />
+                    <span className="relative">
+                      <InitialsAvatar nickname={nickname} size="sm" />
+                      <PresenceDot userId={profile?.id} />
+                    </span>
                     <span className="text-sm font-medium">{nickname}</span>
                     <ChevronDown className="h-3 w-3 opacity-50" />
                   </Button>
@@ -264,6 +273,9 @@ export default function Navbar() {
                   <DropdownMenuItem onClick={() => navigate('/messages')}>
                     <MessageSquare className="mr-2 h-4 w-4" /> Messages
                   </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => navigate('/notifications')}>
+                    <Bell className="mr-2 h-4 w-4" /> Notifications
+                  </DropdownMenuItem>
                   <DropdownMenuSeparator />
                   <DropdownMenuItem onClick={handleLogout} className="text-destructive focus:text-destructive">
                     <LogOut className="mr-2 h-4 w-4" /> Log out
@@ -360,9 +372,14 @@ export default function Navbar() {
                       <User className="mr-2 h-4 w-4" /> Profile
                     </Button>
                   </div>
-                  <Button variant="outline" className="w-full rounded-full" onClick={() => { navigate('/messages'); setMobileMenuOpen(false); }}>
-                    <MessageSquare className="mr-2 h-4 w-4" /> Messages
-                  </Button>
+                  <div className="grid grid-cols-2 gap-3">
+                    <Button variant="outline" className="w-full rounded-full" onClick={() => { navigate('/messages'); setMobileMenuOpen(false); }}>
+                      <MessageSquare className="mr-2 h-4 w-4" /> Messages
+                    </Button>
+                    <Button variant="outline" className="w-full rounded-full" onClick={() => { navigate('/notifications'); setMobileMenuOpen(false); }}>
+                      <Bell className="mr-2 h-4 w-4" /> Notifications
+                    </Button>
+                  </div>
                   <Button variant="destructive" className="w-full rounded-full" onClick={() => { handleLogout(); setMobileMenuOpen(false); }}>
                     <LogOut className="mr-2 h-4 w-4" /> Log out
                   </Button>
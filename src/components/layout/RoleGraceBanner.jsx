@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { AlertTriangle } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { useAuth } from '@/context/AuthContext'
+import { formatCountdown } from '@/lib/utils'
+
+/**
+ * Site-wide warning while a token role downgrade is pending
+ * Active contracts keep working until the grace period ends; new posts and
+ * applications need the tokens now
+ */
+export function RoleGraceBanner() {
+  const { effectiveRole, roleGraceUntil, roleAfterGrace, tokenThresholds, refreshTokenGate } = useAuth()
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    if (!roleGraceUntil) return
+    const interval = setInterval(() => setNow(Date.now()), 60000)
+    return () => clearInterval(interval)
+  }, [roleGraceUntil])
+
+  const hasEnded = roleGraceUntil && new Date(roleGraceUntil) <= now
+
+  // Pick up the downgrade (or a top-up) once the grace period is over
+  useEffect(() => {
+    if (hasEnded) refreshTokenGate()
+  }, [hasEnded, refreshTokenGate])
+
+  if (!roleGraceUntil || hasEnded) return null
+
+  const required = effectiveRole === 'freelancer' ? tokenThresholds.FREELANCER : tokenThresholds.CLIENT
+
+  return (
+    <div className="border-b border-yellow-500/30 bg-yellow-500/10">
+      <div className="container mx-auto px-4 lg:px-8 py-2 flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+        <AlertTriangle className="h-4 w-4 shrink-0 text-yellow-600 dark:text-yellow-400" />
+        <p className="flex-1 min-w-0">
+          <span className="font-medium">Your token balance is below the {effectiveRole} tier.</span>{' '}
+          Hold {required.toLocaleString()} tokens within {formatCountdown(roleGraceUntil, now)} to keep your{' '}
+          {effectiveRole} access; after that you'll be {roleAfterGrace ? `a ${roleAfterGrace}` : 'without a role'}.
+          Your active contracts carry on, but {effectiveRole === 'freelancer' ? 'new services and applications' : 'new job posts'} are
+          paused until you top up.
+        </p>
+        <Link to="/token">
+          <Button size="sm" variant="outline">Get Tokens</Button>
+        </Link>
+      </div>
+    </div>
+  )
+}
+
+export default RoleGraceBanner
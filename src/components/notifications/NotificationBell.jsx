@@ -0,0 +1,81 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Bell, CheckCheck } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import {
+  DropdownMenu, DropdownMenuContent, DropdownMenuLabel,
+  DropdownMenuSeparator, DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu'
+import { NotificationItem } from '@/components/notifications/NotificationItem'
+import { useAuth } from '@/context/AuthContext'
+import { useNotifications } from '@/hooks/useNotifications'
+import { cn } from '@/lib/utils'
+
+/**
+ * Navbar bell with an unread badge and the latest notifications
+ */
+export function NotificationBell({ className }) {
+  const navigate = useNavigate()
+  const [open, setOpen] = useState(false)
+  const { profile } = useAuth()
+  const { notifications, unreadCount, markAsRead, markAllAsRead } = useNotifications(profile?.id, { limit: 8 })
+
+  const handleOpen = (notification) => {
+    if (!notification.read_at) markAsRead(notification.id)
+    setOpen(false)
+    if (notification.link) navigate(notification.link)
+  }
+
+  return (
+    <DropdownMenu open={open} onOpenChange={setOpen}>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant="ghost"
+          size="icon"
+          className={cn('relative rounded-full text-muted-foreground hover:text-foreground', className)}
+          aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        >
+          <Bell className="h-5 w-5" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 flex h-4 min-w-4 items-center justify-center rounded-full bg-destructive px-1 text-[10px] font-semibold text-destructive-foreground">
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </span>
+          )}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-80 p-0">
+        <div className="flex items-center justify-between px-3 py-2">
+          <DropdownMenuLabel className="p-0">Notifications</DropdownMenuLabel>
+          {unreadCount > 0 && (
+            <Button variant="ghost" size="sm" className="h-7 gap-1 text-xs" onClick={markAllAsRead}>
+              <CheckCheck className="h-3.5 w-3.5" /> Mark all read
+            </Button>
+          )}
+        </div>
+        <DropdownMenuSeparator className="m-0" />
+        <div className="max-h-96 overflow-y-auto p-1">
+          {notifications.length === 0 ? (
+            <p className="px-3 py-6 text-center text-sm text-muted-foreground">You're all caught up</p>
+          ) : (
+            notifications.map((notification) => (
+              <NotificationItem key={notification.id} notification={notification} onClick={handleOpen} />
+            ))
+          )}
+        </div>
+        <DropdownMenuSeparator className="m-0" />
+        <button
+          type="button"
+          className="w-full px-3 py-2 text-center text-sm font-medium text-primary hover:bg-muted/60"
+          onClick={() => {
+            setOpen(false)
+            navigate('/notifications')
+          }}
+        >
+          View all
+        </button>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
+
+export default NotificationBell
@@ -0,0 +1,45 @@
+import { FileText, Briefcase, Handshake, Star, Bookmark, Coins, Bell } from 'lucide-react'
+import { formatTimeAgo, cn } from '@/lib/utils'
+
+const typeIcons = {
+  application_received: FileText,
+  contract_status: Briefcase,
+  service_request_accepted: Handshake,
+  review_received: Star,
+  saved_search_match: Bookmark,
+  token_role: Coins,
+}
+
+/**
+ * One notification row, shared by the Navbar dropdown and the notifications page
+ */
+export function NotificationItem({ notification, onClick, className }) {
+  const Icon = typeIcons[notification.type] || Bell
+  const isUnread = !notification.read_at
+
+  return (
+    <button
+      type="button"
+      onClick={() => onClick(notification)}
+      className={cn(
+        'flex w-full items-start gap-3 rounded-lg px-3 py-2.5 text-left transition-colors hover:bg-muted/60',
+        isUnread && 'bg-primary/5',
+        className
+      )}
+    >
+      <span className="mt-0.5 flex h-8 w-8 shrink-0 items-center justify-center rounded-full bg-primary/10 text-primary">
+        <Icon className="h-4 w-4" />
+      </span>
+      <span className="min-w-0 flex-1">
+        <span className={cn('block text-sm', isUnread ? 'font-semibold' : 'font-medium')}>{notification.title}</span>
+        {notification.body && (
+          <span className="block text-sm text-muted-foreground line-clamp-2">{notification.body}</span>
+        )}
+        <span className="block text-xs text-muted-foreground mt-0.5">{formatTimeAgo(notification.created_at)}</span>
+      </span>
+      {isUnread && <span className="mt-2 h-2 w-2 shrink-0 rounded-full bg-primary" aria-label="Unread" />}
+    </button>
+  )
+}
+
+export default NotificationItem
@@ -0,0 +1,260 @@
+import { useState, useRef } from 'react'
+import { Reorder } from 'framer-motion'
+import {
+  ImageIcon,
+  ExternalLink,
+  GripVertical,
+  Pencil,
+  Trash2,
+  Plus,
+  ShieldCheck,
+  ArrowUpDown,
+  Check,
+} from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { portfolioImageUrl } from '@/hooks/usePortfolio'
+import { formatDate, cn } from '@/lib/utils'
+
+// Hostname of a link for display, e.g. "github.com"
+const linkLabel = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '')
+  } catch {
+    return url
+  }
+}
+
+function PortfolioCover({ item, className }) {
+  const cover = item.image_paths?.[0]
+  return cover ? (
+    <img src={portfolioImageUrl(cover)} alt={item.title} loading="lazy" className={cn("object-cover", className)} />
+  ) : (
+    <div className={cn("flex items-center justify-center bg-muted text-muted-foreground", className)}>
+      <ImageIcon className="h-8 w-8 opacity-50" />
+    </div>
+  )
+}
+
+function PortfolioItemDetail({ item, onClose }) {
+  const [imageIndex, setImageIndex] = useState(0)
+  const images = item?.image_paths || []
+
+  return (
+    <Dialog open={!!item} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-3xl max-h-[90vh] overflow-y-auto">
+        {item && (
+          <>
+            <DialogHeader>
+              <DialogTitle>{item.title}</DialogTitle>
+              {item.contract && (
+                <DialogDescription className="flex items-center gap-1 text-green-600 dark:text-green-400">
+                  <ShieldCheck className="h-4 w-4" />
+                  Completed on PumpWork{item.contract.client?.nickname && ` for ${item.contract.client.nickname}`}
+                  {item.contract.completed_at && ` · ${formatDate(item.contract.completed_at)}`}
+                </DialogDescription>
+              )}
+            </DialogHeader>
+
+            {images.length > 0 && (
+              <div className="space-y-2">
+                <img
+                  src={portfolioImageUrl(images[imageIndex] || images[0])}
+                  alt={item.title}
+                  className="w-full max-h-[60vh] object-contain rounded-lg bg-muted"
+                />
+                {images.length > 1 && (
+                  <div className="flex gap-2 overflow-x-auto pb-1">
+                    {images.map((path, index) => (
+                      <button
+                        key={path}
+                        type="button"
+                        onClick={() => setImageIndex(index)}
+                        className={cn(
+                          "h-14 w-20 shrink-0 overflow-hidden rounded-md border-2",
+                          index === imageIndex ? 'border-primary' : 'border-transparent opacity-70 hover:opacity-100'
+                        )}
+                      >
+                        <img src={portfolioImageUrl(path)} alt="" className="h-full w-full object-cover" />
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {item.description && (
+              <p className="text-sm text-muted-foreground leading-relaxed whitespace-pre-wrap">{item.description}</p>
+            )}
+
+            {item.tags?.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {item.tags.map((tag) => (
+                  <Badge key={tag} variant="secondary">{tag}</Badge>
+                ))}
+              </div>
+            )}
+
+            {item.links?.length > 0 && (
+              <div className="flex flex-wrap gap-3">
+                {item.links.map((url) => (
+                  <a
+                    key={url}
+                    href={url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1 text-sm text-primary hover:underline"
+                  >
+                    <ExternalLink className="h-3.5 w-3.5" />
+                    {linkLabel(url)}
+                  </a>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+/**
+ * Portfolio items as a gallery; each opens as a case study
+ * With editable, the owner can add, edit, delete and drag items into order:
+ * onMove(items) updates the order while dragging, onReorder(items) saves it.
+ */
+export function PortfolioGallery({ items, editable = false, onAdd, onEdit, onDelete, onMove, onReorder }) {
+  const [selectedItem, setSelectedItem] = useState(null)
+  const [isArranging, setIsArranging] = useState(false)
+  const dragStartOrder = useRef(null)
+
+  const handleDragEnd = () => {
+    const changed = dragStartOrder.current?.some((id, index) => items[index]?.id !== id)
+    dragStartOrder.current = null
+    if (changed) onReorder?.(items)
+  }
+
+  const handleDelete = (item) => {
+    if (confirm(`Delete "${item.title}" from your portfolio?`)) {
+      onDelete?.(item)
+    }
+  }
+
+  if (items.length === 0) {
+    return (
+      <div className="text-center py-12 text-muted-foreground">
+        <ImageIcon className="h-12 w-12 mx-auto mb-3 opacity-20" />
+        <p>{editable ? 'Show clients your best work' : 'No portfolio projects yet'}</p>
+        {editable && (
+          <Button variant="outline" className="mt-4" onClick={onAdd}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Project
+          </Button>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      {editable && (
+        <div className="flex justify-end gap-2">
+          {items.length > 1 && (
+            <Button size="sm" variant="outline" onClick={() => setIsArranging(!isArranging)}>
+              {isArranging ? <Check className="h-4 w-4 mr-1" /> : <ArrowUpDown className="h-4 w-4 mr-1" />}
+              {isArranging ? 'Done' : 'Reorder'}
+            </Button>
+          )}
+          {!isArranging && (
+            <Button size="sm" onClick={onAdd}>
+              <Plus className="h-4 w-4 mr-1" />
+              Add Project
+            </Button>
+          )}
+        </div>
+      )}
+
+      {isArranging ? (
+        <Reorder.Group axis="y" values={items} onReorder={onMove} className="space-y-2">
+          {items.map((item) => (
+            <Reorder.Item
+              key={item.id}
+              value={item}
+              onDragStart={() => { dragStartOrder.current = items.map((i) => i.id) }}
+              onDragEnd={handleDragEnd}
+              className="flex items-center gap-3 p-2 rounded-lg border bg-background cursor-grab active:cursor-grabbing"
+            >
+              <GripVertical className="h-4 w-4 text-muted-foreground shrink-0" />
+              <PortfolioCover item={item} className="h-10 w-14 rounded shrink-0" />
+              <span className="font-medium text-sm truncate">{item.title}</span>
+            </Reorder.Item>
+          ))}
+        </Reorder.Group>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {items.map((item) => (
+            <div key={item.id} className="group rounded-lg border overflow-hidden bg-background/50">
+              <button type="button" className="block w-full text-left" onClick={() => setSelectedItem(item)}>
+                <PortfolioCover item={item} className="aspect-[4/3] w-full transition-transform group-hover:scale-[1.02]" />
+              </button>
+              <div className="p-3">
+                <div className="flex items-start justify-between gap-2">
+                  <button type="button" className="text-left min-w-0" onClick={() => setSelectedItem(item)}>
+                    <h4 className="font-semibold truncate hover:text-primary">{item.title}</h4>
+                  </button>
+                  {editable && (
+                    <div className="flex shrink-0">
+                      <Button size="icon" variant="ghost" className="h-7 w-7" onClick={() => onEdit?.(item)} title="Edit">
+                        <Pencil className="h-3.5 w-3.5" />
+                      </Button>
+                      <Button
+                        size="icon"
+                        variant="ghost"
+                        className="h-7 w-7 text-red-500 hover:text-red-600"
+                        onClick={() => handleDelete(item)}
+                        title="Delete"
+                      >
+                        <Trash2 className="h-3.5 w-3.5" />
+                      </Button>
+                    </div>
+                  )}
+                </div>
+                {item.contract && (
+                  <div className="flex items-center gap-1 text-xs text-green-600 dark:text-green-400 mt-1">
+                    <ShieldCheck className="h-3 w-3" />
+                    Completed on PumpWork
+                  </div>
+                )}
+                {item.tags?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {item.tags.slice(0, 4).map((tag) => (
+                      <Badge key={tag} variant="secondary" className="text-xs">{tag}</Badge>
+                    ))}
+                    {item.tags.length > 4 && (
+                      <Badge variant="outline" className="text-xs">+{item.tags.length - 4}</Badge>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <PortfolioItemDetail
+        key={selectedItem?.id}
+        item={selectedItem}
+        onClose={() => setSelectedItem(null)}
+      />
+    </div>
+  )
+}
+
+export default PortfolioGallery
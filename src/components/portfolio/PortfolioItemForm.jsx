@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react'
+import { ImagePlus, X, Loader2 } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { parseEvidenceUrls } from '@/components/disputes/OpenDisputeDialog'
+import {
+  MAX_PORTFOLIO_IMAGES,
+  PORTFOLIO_IMAGE_ACCEPT,
+  portfolioImageUrl,
+  validatePortfolioImage,
+} from '@/hooks/usePortfolio'
+
+/**
+ * Creates or edits a portfolio item
+ * completedContracts are the freelancer's contracts that can be linked
+ * onSubmit receives (fields, newFiles)
+ */
+export function PortfolioItemForm({ open, onOpenChange, item, completedContracts = [], onSubmit, isSubmitting }) {
+  const [title, setTitle] = useState('')
+  const [description, setDescription] = useState('')
+  const [imagePaths, setImagePaths] = useState([])
+  const [newFiles, setNewFiles] = useState([])
+  const [links, setLinks] = useState('')
+  const [tags, setTags] = useState('')
+  const [contractId, setContractId] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (open) {
+      setTitle(item?.title || '')
+      setDescription(item?.description || '')
+      setImagePaths(item?.image_paths || [])
+      setNewFiles([])
+      setLinks(item?.links?.join('\n') || '')
+      setTags(item?.tags?.join(', ') || '')
+      setContractId(item?.contract_id || '')
+      setError('')
+    }
+  }, [open, item])
+
+  // Object URLs for the files picked in this session
+  const [previews, setPreviews] = useState([])
+  useEffect(() => {
+    const urls = newFiles.map((file) => URL.createObjectURL(file))
+    setPreviews(urls)
+    return () => urls.forEach((url) => URL.revokeObjectURL(url))
+  }, [newFiles])
+
+  const imageCount = imagePaths.length + newFiles.length
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    const invalid = files.map(validatePortfolioImage).find(Boolean)
+    if (invalid) {
+      setError(invalid)
+      return
+    }
+    if (imageCount + files.length > MAX_PORTFOLIO_IMAGES) {
+      setError(`A portfolio item can have at most ${MAX_PORTFOLIO_IMAGES} images`)
+      return
+    }
+    setError('')
+    setNewFiles((prev) => [...prev, ...files])
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!title.trim()) return
+    onSubmit({
+      title: title.trim(),
+      description: description.trim() || null,
+      image_paths: imagePaths,
+      links: parseEvidenceUrls(links),
+      tags: tags.split(',').map((tag) => tag.trim()).filter(Boolean),
+      contract_id: contractId || null,
+    }, newFiles)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>{item ? 'Edit Project' : 'Add Project'}</DialogTitle>
+            <DialogDescription>
+              Show clients what you built. The first image is the cover.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium" htmlFor="portfolio-title">Title</label>
+              <Input
+                id="portfolio-title"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder="e.g. Token launchpad for a Solana DAO"
+                maxLength={120}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium" htmlFor="portfolio-description">Case Study</label>
+              <Textarea
+                id="portfolio-description"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="The problem, what you built and how it turned out"
+                rows={5}
+                maxLength={5000}
+                className="resize-none"
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Images ({imageCount}/{MAX_PORTFOLIO_IMAGES})</label>
+              <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+                {imagePaths.map((path) => (
+                  <div key={path} className="relative aspect-[4/3] rounded-md overflow-hidden border">
+                    <img src={portfolioImageUrl(path)} alt="" className="h-full w-full object-cover" />
+                    <button
+                      type="button"
+                      onClick={() => setImagePaths((prev) => prev.filter((p) => p !== path))}
+                      className="absolute top-1 right-1 rounded-full bg-background/80 p-0.5"
+                      title="Remove image"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </div>
+                ))}
+                {previews.map((url, index) => (
+                  <div key={url} className="relative aspect-[4/3] rounded-md overflow-hidden border">
+                    <img src={url} alt="" className="h-full w-full object-cover" />
+                    <button
+                      type="button"
+                      onClick={() => setNewFiles((prev) => prev.filter((_, i) => i !== index))}
+                      className="absolute top-1 right-1 rounded-full bg-background/80 p-0.5"
+                      title="Remove image"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </div>
+                ))}
+                {imageCount < MAX_PORTFOLIO_IMAGES && (
+                  <label className="flex aspect-[4/3] cursor-pointer flex-col items-center justify-center gap-1 rounded-md border border-dashed text-xs text-muted-foreground hover:border-primary/50">
+                    <ImagePlus className="h-5 w-5" />
+                    Add images
+                    <input type="file" accept={PORTFOLIO_IMAGE_ACCEPT} multiple className="hidden" onChange={handleFiles} />
+                  </label>
+                )}
+              </div>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium" htmlFor="portfolio-tags">Tech Tags</label>
+              <Input
+                id="portfolio-tags"
+                value={tags}
+                onChange={(e) => setTags(e.target.value)}
+                placeholder="Rust, Anchor, React (comma-separated)"
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium" htmlFor="portfolio-links">Links (Optional)</label>
+              <Textarea
+                id="portfolio-links"
+                value={links}
+                onChange={(e) => setLinks(e.target.value)}
+                placeholder={'https://...\nOne link per line'}
+                rows={2}
+                className="resize-none font-mono text-xs"
+              />
+            </div>
+            {completedContracts.length > 0 && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium" htmlFor="portfolio-contract">PumpWork Contract (Optional)</label>
+                <select
+                  id="portfolio-contract"
+                  value={contractId}
+                  onChange={(e) => setContractId(e.target.value)}
+                  className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                >
+                  <option value="">Not linked</option>
+                  {completedContracts.map((contract) => (
+                    <option key={contract.id} value={contract.id}>
+                      {contract.title || contract.job_post?.title || contract.service_post?.title}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-muted-foreground">Shows the project as verified work completed on PumpWork.</p>
+              </div>
+            )}
+            {error && <p className="text-sm text-red-500">{error}</p>}
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isSubmitting}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!title.trim() || isSubmitting}>
+              {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {item ? 'Save Project' : 'Add Project'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default PortfolioItemForm
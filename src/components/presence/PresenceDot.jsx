@@ -0,0 +1,47 @@
+import { usePresence } from '@/context/PresenceContext'
+import { formatTimeAgo, cn } from '@/lib/utils'
+
+const dotColors = {
+  online: 'bg-green-500',
+  away: 'bg-yellow-500',
+}
+
+/**
+ * Status dot for an avatar; renders nothing while the user is offline
+ * Place inside a `relative` wrapper
+ */
+export function PresenceDot({ userId, className }) {
+  const { getStatus } = usePresence()
+  const status = getStatus(userId)
+
+  if (status === 'offline') return null
+
+  return (
+    <span
+      className={cn(
+        'absolute bottom-0 right-0 block h-2.5 w-2.5 rounded-full ring-2 ring-background',
+        dotColors[status],
+        className
+      )}
+      title={status === 'online' ? 'Online' : 'Away'}
+    />
+  )
+}
+
+/**
+ * "Online", "Away" or "Last seen 5m ago"
+ */
+export function PresenceLabel({ userId, lastSeenAt, className }) {
+  const { getStatus } = usePresence()
+  const status = getStatus(userId)
+
+  if (status === 'offline' && !lastSeenAt) return null
+
+  return (
+    <span className={cn(status === 'online' ? 'text-green-500' : 'text-muted-foreground', className)}>
+      {status === 'online' ? 'Online' : status === 'away' ? 'Away' : `Last seen ${formatTimeAgo(lastSeenAt)}`}
+    </span>
+  )
+}
+
+export default PresenceDot
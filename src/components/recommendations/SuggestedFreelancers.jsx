@@ -0,0 +1,98 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { Loader2, Send, Sparkles, Star } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { InitialsAvatar } from '@/components/ui/InitialsAvatar'
+import { useRecommendations } from '@/hooks/useRecommendations'
+import { explainMatch } from '@/lib/recommendations'
+
+// Prefilled chat message for inviting a freelancer to apply
+const inviteMessage = (job, freelancer) =>
+  `Hi ${freelancer.nickname}, I think you'd be a great fit for my job "${job.title}". ` +
+  `Take a look and apply if you're interested: ${window.location.origin}/jobs/${job.id}`
+
+/**
+ * Freelancers worth inviting to one of the client's open jobs, best match first
+ */
+export function SuggestedFreelancers({ job }) {
+  const navigate = useNavigate()
+  const { fetchRecommendedFreelancers, isLoading, error } = useRecommendations()
+  const [freelancers, setFreelancers] = useState([])
+
+  const loadFreelancers = useCallback(async () => {
+    const { data } = await fetchRecommendedFreelancers(job.id)
+    setFreelancers(data || [])
+  }, [fetchRecommendedFreelancers, job.id])
+
+  useEffect(() => {
+    loadFreelancers()
+  }, [loadFreelancers])
+
+  const handleInvite = (freelancer) => {
+    const params = new URLSearchParams({ user: freelancer.id, text: inviteMessage(job, freelancer) })
+    navigate(`/messages?${params}`)
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+      </div>
+    )
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-500 py-4">Couldn't load suggestions: {error}</p>
+  }
+
+  if (freelancers.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground py-4">
+        No freelancers match this job's skills or category yet.
+      </p>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      {freelancers.map((freelancer) => (
+        <div key={freelancer.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-3 rounded-lg border border-border/50 bg-background/50">
+          <div className="flex items-start gap-3 min-w-0">
+            <InitialsAvatar nickname={freelancer.nickname} size="sm" />
+            <div className="min-w-0">
+              <div className="flex items-center gap-2">
+                <Link to={`/profile/${freelancer.id}`} className="font-medium hover:text-primary transition-colors truncate">
+                  {freelancer.nickname}
+                </Link>
+                {freelancer.review_count > 0 && (
+                  <span className="flex items-center gap-1 text-xs text-muted-foreground shrink-0">
+                    <Star className="h-3 w-3 fill-yellow-500 text-yellow-500" />
+                    {Number(freelancer.rating_score).toFixed(1)} ({freelancer.review_count})
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-muted-foreground mt-0.5 flex items-center gap-1">
+                <Sparkles className="h-3 w-3 text-primary shrink-0" />
+                {explainMatch(freelancer.match, 'client')}
+              </p>
+              {freelancer.match.matchedSkills.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-1.5">
+                  {freelancer.match.matchedSkills.slice(0, 4).map((skill) => (
+                    <Badge key={skill} variant="secondary" className="text-[10px]">{skill}</Badge>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+          <Button size="sm" variant="outline" className="shrink-0" onClick={() => handleInvite(freelancer)}>
+            <Send className="h-3.5 w-3.5 mr-1.5" />
+            Invite
+          </Button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default SuggestedFreelancers
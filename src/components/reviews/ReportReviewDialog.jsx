@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react'
+import { Flag } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { REPORT_REASONS } from '@/hooks/useReviews'
+import { cn } from '@/lib/utils'
+
+/**
+ * Picks why a review breaks the rules
+ * onSubmit receives { reason, details }
+ */
+export function ReportReviewDialog({ open, onOpenChange, onSubmit, isSubmitting }) {
+  const [reason, setReason] = useState('')
+  const [details, setDetails] = useState('')
+
+  useEffect(() => {
+    if (open) {
+      setReason('')
+      setDetails('')
+    }
+  }, [open])
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Flag className="h-5 w-5 text-red-500" />
+            Report Review
+          </DialogTitle>
+          <DialogDescription>
+            An admin will check the review and hide it if it breaks the rules.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 py-4">
+          <div className="space-y-2">
+            {REPORT_REASONS.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setReason(option.value)}
+                className={cn(
+                  "w-full text-left px-3 py-2 rounded-lg border text-sm transition-colors",
+                  reason === option.value ? 'border-primary bg-primary/5' : 'hover:border-primary/30'
+                )}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Details (Optional)</label>
+            <Textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              placeholder="Anything the admin should know"
+              rows={3}
+              maxLength={1000}
+              className="resize-none"
+            />
+          </div>
+        </div>
+        <DialogFooter>
+          <Button variant="ghost" onClick={() => onOpenChange(false)} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={() => onSubmit({ reason, details })}
+            disabled={isSubmitting || !reason}
+          >
+            {isSubmitting ? 'Reporting...' : 'Report'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default ReportReviewDialog
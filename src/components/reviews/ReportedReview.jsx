@@ -0,0 +1,103 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Star, EyeOff, Check, Flag } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { REPORT_REASONS, useReviews } from '@/hooks/useReviews'
+import { formatTimeAgo } from '@/lib/utils'
+import { useToast } from '@/context/ToastContext'
+
+const reasonLabel = (reason) => REPORT_REASONS.find((r) => r.value === reason)?.label || reason
+
+/**
+ * One reported review in the admin moderation queue with its open reports
+ * onResolved runs after the review is hidden or its reports dismissed
+ */
+export function ReportedReview({ review, reports, onResolved }) {
+  const { toast } = useToast()
+  const { moderateReview } = useReviews()
+  const [isProcessing, setIsProcessing] = useState(false)
+
+  const moderate = async (action, reason = null) => {
+    setIsProcessing(true)
+    const { error } = await moderateReview(review.id, action, reason)
+    setIsProcessing(false)
+
+    if (error) {
+      toast({ title: 'Failed to moderate review', description: error.message, variant: 'destructive' })
+      return
+    }
+    onResolved?.()
+  }
+
+  const handleHide = () => {
+    const reason = prompt('Why is this review being hidden? The reason is kept on record.')
+    if (reason?.trim()) moderate('hide', reason.trim())
+  }
+
+  const handleDismiss = () => {
+    if (confirm('Dismiss these reports and keep the review published?')) moderate('dismiss')
+  }
+
+  return (
+    <div className="p-4 rounded-lg border bg-background/50">
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0 flex-1">
+          <div className="text-sm">
+            <Link to={`/profile/${review.reviewer?.id}`} className="font-semibold hover:text-primary">
+              {review.reviewer?.nickname}
+            </Link>
+            <span className="text-muted-foreground"> reviewed </span>
+            <Link to={`/profile/${review.reviewee?.id}`} className="font-semibold hover:text-primary">
+              {review.reviewee?.nickname}
+            </Link>
+          </div>
+          <div className="text-xs text-muted-foreground mt-0.5">
+            {review.contract?.title} · {formatTimeAgo(review.created_at)}
+          </div>
+        </div>
+        <div className="flex items-center gap-1 bg-yellow-500/10 px-2 py-1 rounded-full shrink-0">
+          <Star className="h-4 w-4 fill-yellow-500 text-yellow-500" />
+          <span className="font-bold text-sm">{review.rating}</span>
+        </div>
+      </div>
+
+      {review.comment && (
+        <p className="text-sm text-foreground/80 leading-relaxed mt-3 whitespace-pre-wrap">{review.comment}</p>
+      )}
+      {review.reply && (
+        <p className="text-sm text-muted-foreground mt-2 pl-3 border-l-2">
+          Reply: {review.reply}
+        </p>
+      )}
+
+      <div className="mt-3 pt-3 border-t space-y-2">
+        {reports.map((report) => (
+          <div key={report.id} className="flex items-start gap-2 text-xs">
+            <Flag className="h-3 w-3 mt-0.5 text-red-500 shrink-0" />
+            <div className="min-w-0">
+              <Badge variant="secondary" className="mr-2">{reasonLabel(report.reason)}</Badge>
+              <span className="text-muted-foreground">
+                by {report.reporter?.nickname} · {formatTimeAgo(report.created_at)}
+              </span>
+              {report.details && <p className="mt-1 text-foreground/80">{report.details}</p>}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-end gap-2 mt-3">
+        <Button size="sm" variant="outline" onClick={handleDismiss} disabled={isProcessing}>
+          <Check className="h-4 w-4 mr-1" />
+          Keep Review
+        </Button>
+        <Button size="sm" variant="destructive" onClick={handleHide} disabled={isProcessing}>
+          <EyeOff className="h-4 w-4 mr-1" />
+          Hide Review
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default ReportedReview
@@ -1,10 +1,65 @@
-import { Star } from 'lucide-react'
+import { useState } from 'react'
+import { Star, Flag, CornerDownRight, MessageSquare } from 'lucide-react'
 import { Card, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Textarea } from '@/components/ui/textarea'
 import { InitialsAvatar } from '@/components/ui/InitialsAvatar'
 import { formatTimeAgo } from '@/lib/utils'
 import { Link } from 'react-router-dom'
+import { useAuth } from '@/context/AuthContext'
+import { useToast } from '@/context/ToastContext'
+import { useReviews, REVIEW_CRITERIA } from '@/hooks/useReviews'
+import { ReportReviewDialog } from './ReportReviewDialog'
+
+/**
+ * A published review with the reviewee's reply threaded under it
+ * The reviewee can reply once; other signed-in users can report the review.
+ * onUpdate receives the review after a reply is posted.
+ */
+export function ReviewCard({ review, onUpdate }) {
+  const { toast } = useToast()
+  const { profile } = useAuth()
+  const { replyToReview, reportReview } = useReviews()
+  const [isReplying, setIsReplying] = useState(false)
+  const [reply, setReply] = useState('')
+  const [isSubmittingReply, setIsSubmittingReply] = useState(false)
+  const [reportOpen, setReportOpen] = useState(false)
+  const [isReporting, setIsReporting] = useState(false)
+  const [reported, setReported] = useState(false)
+
+  const isReviewee = profile?.id && profile.id === review.reviewee_id
+  const canReport = profile?.id && profile.id !== review.reviewer_id && !reported
+
+  const handleSubmitReply = async () => {
+    setIsSubmittingReply(true)
+    const { data, error } = await replyToReview(review.id, reply.trim())
+    setIsSubmittingReply(false)
+
+    if (error) {
+      toast({ title: 'Failed to post reply', description: error.message, variant: 'destructive' })
+      return
+    }
+
+    setIsReplying(false)
+    setReply('')
+    onUpdate?.({ ...review, reply: data.reply, replied_at: data.replied_at })
+  }
+
+  const handleReport = async (report) => {
+    setIsReporting(true)
+    const { error } = await reportReview(review.id, profile.id, report)
+    setIsReporting(false)
+
+    if (error) {
+      toast({ title: 'Failed to report review', description: error.message, variant: 'destructive' })
+      return
+    }
+
+    setReportOpen(false)
+    setReported(true)
+    toast({ title: 'Thanks, an admin will take a look at this review', variant: 'success' })
+  }
 
-export function ReviewCard({ review }) {
   return (
     <Card className="glass-card">
       <CardContent className="p-4 sm:p-6">
@@ -20,12 +75,25 @@ export function ReviewCard({ review }) {
                   {review.reviewer?.nickname}
                 </Link>
                 <div className="text-xs text-muted-foreground mt-0.5">
-                  {formatTimeAgo(review.created_at)}
+                  {formatTimeAgo(review.reveal_at || review.created_at)}
                 </div>
               </div>
-              <div className="flex items-center gap-1 bg-yellow-500/10 px-2 py-1 rounded-full shrink-0">
-                <Star className="h-4 w-4 fill-yellow-500 text-yellow-500" />
-                <span className="font-bold text-sm">{review.rating}</span>
+              <div className="flex items-center gap-1 shrink-0">
+                {canReport && (
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-7 w-7 text-muted-foreground hover:text-red-500"
+                    onClick={() => setReportOpen(true)}
+                    title="Report review"
+                  >
+                    <Flag className="h-3.5 w-3.5" />
+                  </Button>
+                )}
+                <div className="flex items-center gap-1 bg-yellow-500/10 px-2 py-1 rounded-full">
+                  <Star className="h-4 w-4 fill-yellow-500 text-yellow-500" />
+                  <span className="font-bold text-sm">{review.rating}</span>
+                </div>
               </div>
             </div>
 
@@ -35,6 +103,16 @@ export function ReviewCard({ review }) {
               </p>
             )}
 
+            {REVIEW_CRITERIA.some(({ key }) => review[key]) && (
+              <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-muted-foreground">
+                {REVIEW_CRITERIA.filter(({ key }) => review[key]).map(({ key, label }) => (
+                  <span key={key}>
+                    {label} <span className="font-medium text-foreground">{review[key]}</span>/5
+                  </span>
+                ))}
+              </div>
+            )}
+
             {review.contract && (
               <div className="mt-3 pt-3 border-t">
                 <div className="text-xs text-muted-foreground">
@@ -42,9 +120,55 @@ export function ReviewCard({ review }) {
                 </div>
               </div>
             )}
+
+            {/* Reviewee's reply */}
+            {review.reply ? (
+              <div className="mt-3 flex gap-2 rounded-lg bg-muted/40 p-3">
+                <CornerDownRight className="h-4 w-4 mt-0.5 shrink-0 text-muted-foreground" />
+                <div className="min-w-0">
+                  <div className="text-xs text-muted-foreground mb-1">
+                    {isReviewee ? 'Your reply' : `Reply from ${review.reviewee?.nickname || 'the reviewee'}`} · {formatTimeAgo(review.replied_at)}
+                  </div>
+                  <p className="text-sm text-foreground/80 leading-relaxed">{review.reply}</p>
+                </div>
+              </div>
+            ) : isReviewee && (
+              isReplying ? (
+                <div className="mt-3 space-y-2">
+                  <Textarea
+                    value={reply}
+                    onChange={(e) => setReply(e.target.value)}
+                    placeholder="Write a public reply. You can only reply once."
+                    rows={3}
+                    maxLength={1000}
+                    className="resize-none"
+                  />
+                  <div className="flex justify-end gap-2">
+                    <Button size="sm" variant="ghost" onClick={() => setIsReplying(false)} disabled={isSubmittingReply}>
+                      Cancel
+                    </Button>
+                    <Button size="sm" onClick={handleSubmitReply} disabled={isSubmittingReply || !reply.trim()}>
+                      {isSubmittingReply ? 'Posting...' : 'Post Reply'}
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                <Button size="sm" variant="ghost" className="mt-2 -ml-2" onClick={() => setIsReplying(true)}>
+                  <MessageSquare className="h-3.5 w-3.5 mr-1" />
+                  Reply
+                </Button>
+              )
+            )}
           </div>
         </div>
       </CardContent>
+
+      <ReportReviewDialog
+        open={reportOpen}
+        onOpenChange={setReportOpen}
+        onSubmit={handleReport}
+        isSubmitting={isReporting}
+      />
     </Card>
   )
 }
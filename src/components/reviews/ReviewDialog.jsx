@@ -11,11 +11,16 @@ import {
   DialogTitle,
 } from '@/components/ui/dialog'
 import { RatingStars } from './RatingStars'
-import { useReviews } from '@/hooks/useReviews'
+import { useReviews, REVIEW_CRITERIA } from '@/hooks/useReviews'
 
-export function ReviewDialog({ contract, reviewerId, revieweeId, isOpen, onClose, onSuccess }) {
+/**
+ * Review form for a completed contract, from either side
+ * Reviews are double-blind: the other party can't read it until they've reviewed too
+ */
+export function ReviewDialog({ contract, reviewerId, revieweeId, revieweeName, isOpen, onClose, onSuccess }) {
   const { createReview } = useReviews()
   const [rating, setRating] = useState(0)
+  const [criteria, setCriteria] = useState({}) // { communication_rating: 4, ... }
   const [comment, setComment] = useState('')
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [error, setError] = useState('')
@@ -25,6 +30,10 @@ export function ReviewDialog({ contract, reviewerId, revieweeId, isOpen, onClose
       setError('Please select a rating')
       return
     }
+    if (REVIEW_CRITERIA.some(({ key }) => !criteria[key])) {
+      setError('Please rate every category')
+      return
+    }
 
     setIsSubmitting(true)
     setError('')
@@ -34,6 +43,7 @@ export function ReviewDialog({ contract, reviewerId, revieweeId, isOpen, onClose
       reviewer_id: reviewerId,
       reviewee_id: revieweeId,
       rating,
+      ...criteria,
       comment: comment.trim() || null,
     }
 
@@ -48,6 +58,7 @@ export function ReviewDialog({ contract, reviewerId, revieweeId, isOpen, onClose
 
     // Reset form
     setRating(0)
+    setCriteria({})
     setComment('')
     onSuccess?.()
     onClose()
@@ -59,7 +70,8 @@ export function ReviewDialog({ contract, reviewerId, revieweeId, isOpen, onClose
         <DialogHeader>
           <DialogTitle>Leave a Review</DialogTitle>
           <DialogDescription>
-            Rate your experience with {contract.freelancer?.nickname || 'this freelancer'}
+            Rate your experience with {revieweeName || contract.freelancer?.nickname || 'the other party'}.
+            Your review stays hidden until they review you too, or the 14-day review window closes.
           </DialogDescription>
         </DialogHeader>
 
@@ -72,7 +84,7 @@ export function ReviewDialog({ contract, reviewerId, revieweeId, isOpen, onClose
 
           {/* Rating */}
           <div className="space-y-2">
-            <label className="text-sm font-medium">Rating *</label>
+            <label className="text-sm font-medium">Overall *</label>
             <div className="flex items-center gap-3">
               <RatingStars rating={rating} onRatingChange={setRating} size="lg" />
               {rating > 0 && (
@@ -83,6 +95,20 @@ export function ReviewDialog({ contract, reviewerId, revieweeId, isOpen, onClose
             </div>
           </div>
 
+          {/* Sub-ratings */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {REVIEW_CRITERIA.map(({ key, label }) => (
+              <div key={key} className="space-y-1">
+                <label className="text-sm font-medium">{label} *</label>
+                <RatingStars
+                  rating={criteria[key] || 0}
+                  onRatingChange={(value) => setCriteria((prev) => ({ ...prev, [key]: value }))}
+                  size="sm"
+                />
+              </div>
+            ))}
+          </div>
+
           {/* Comment */}
           <div className="space-y-2">
             <label className="text-sm font-medium">Review (Optional)</label>
@@ -112,7 +138,7 @@ export function ReviewDialog({ contract, reviewerId, revieweeId, isOpen, onClose
           </Button>
           <Button
             onClick={handleSubmit}
-            disabled={isSubmitting || rating === 0}
+            disabled={isSubmitting || rating === 0 || REVIEW_CRITERIA.some(({ key }) => !criteria[key])}
             className="gradient-bg"
           >
             {isSubmitting ? (
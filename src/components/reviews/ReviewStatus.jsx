@@ -0,0 +1,69 @@
+import { useState, useEffect } from 'react'
+import { Star, Clock, CheckCircle2, EyeOff, Lock } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { formatCountdown } from '@/lib/utils'
+
+/**
+ * Review state of a completed contract under double-blind reviews
+ * status comes from useReviews().fetchReviewStatuses; onReview opens the review dialog
+ */
+export function ReviewStatus({ status, onReview }) {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60000)
+    return () => clearInterval(interval)
+  }, [])
+
+  if (!status) return null
+
+  const windowOpen = new Date(status.deadline) > now
+
+  if (status.revealed && status.my_review_id) {
+    return (
+      <div className="flex items-center gap-2 px-3 py-1.5 rounded-md bg-green-500/10 border border-green-500/20">
+        <CheckCircle2 className="h-4 w-4 text-green-500" />
+        <span className="text-sm font-medium text-green-600 dark:text-green-400">Reviews published</span>
+      </div>
+    )
+  }
+
+  if (status.my_review_id) {
+    return (
+      <div className="flex flex-col items-end gap-1">
+        <div className="flex items-center gap-2 px-3 py-1.5 rounded-md bg-muted border">
+          <EyeOff className="h-4 w-4 text-muted-foreground" />
+          <span className="text-sm font-medium">Awaiting the other party</span>
+        </div>
+        <span className="text-xs text-muted-foreground">
+          Both reviews go public in {formatCountdown(status.deadline, now)} or when they review
+        </span>
+      </div>
+    )
+  }
+
+  if (!windowOpen) {
+    return (
+      <div className="flex items-center gap-2 text-xs text-muted-foreground">
+        <Lock className="h-3 w-3" />
+        Review window closed
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex flex-col items-end gap-1">
+      <Button size="sm" className="gradient-bg" onClick={onReview}>
+        <Star className="h-3 w-3 mr-1" /> Review
+      </Button>
+      <span className="flex items-center gap-1 text-xs text-muted-foreground">
+        <Clock className="h-3 w-3" />
+        {status.other_submitted
+          ? `They've reviewed you · ${formatCountdown(status.deadline, now)} left`
+          : `${formatCountdown(status.deadline, now)} left to review`}
+      </span>
+    </div>
+  )
+}
+
+export default ReviewStatus
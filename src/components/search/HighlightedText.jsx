@@ -0,0 +1,22 @@
+import { parseHighlight } from '@/lib/search'
+import { cn } from '@/lib/utils'
+
+/**
+ * Renders a search highlight (ts_headline with <mark> tags) as text with marked matches
+ * Falls back to the plain text when there is no highlight
+ */
+export function HighlightedText({ text, fallback, className }) {
+  if (!text) return fallback ?? null
+
+  return parseHighlight(text).map((part, index) => (
+    part.highlighted ? (
+      <mark key={index} className={cn('rounded-sm bg-primary/20 px-0.5 text-inherit', className)}>
+        {part.text}
+      </mark>
+    ) : (
+      part.text
+    )
+  ))
+}
+
+export default HighlightedText
@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react'
+import { Bookmark, Loader2 } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Switch } from '@/components/ui/switch'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+
+/**
+ * Names the current Jobs filters and picks how new matches are announced
+ * onSubmit receives { name, notify_in_app, notify_digest }
+ */
+export function SaveSearchDialog({ open, onOpenChange, defaultName, summary, onSubmit, isSubmitting }) {
+  const [name, setName] = useState('')
+  const [notifyInApp, setNotifyInApp] = useState(true)
+  const [notifyDigest, setNotifyDigest] = useState(false)
+
+  useEffect(() => {
+    if (open) {
+      setName(defaultName || '')
+      setNotifyInApp(true)
+      setNotifyDigest(false)
+    }
+  }, [open, defaultName])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    onSubmit({ name: name.trim(), notify_in_app: notifyInApp, notify_digest: notifyDigest })
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <Bookmark className="h-5 w-5 text-primary" />
+              Save Search
+            </DialogTitle>
+            <DialogDescription>
+              {summary || 'All open jobs'}. Manage saved searches from your dashboard.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium" htmlFor="saved-search-name">Name</label>
+              <Input
+                id="saved-search-name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. Solana dev gigs"
+                maxLength={80}
+                autoFocus
+              />
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <div className="text-sm font-medium">Notify me about new matches</div>
+                <div className="text-xs text-muted-foreground">In the notification center as jobs are posted</div>
+              </div>
+              <Switch checked={notifyInApp} onCheckedChange={setNotifyInApp} />
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <div className="text-sm font-medium">Include in email digest</div>
+                <div className="text-xs text-muted-foreground">Needs a daily or weekly digest in notification settings</div>
+              </div>
+              <Switch checked={notifyDigest} onCheckedChange={setNotifyDigest} />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!name.trim() || isSubmitting}>
+              {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Save Search
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default SaveSearchDialog
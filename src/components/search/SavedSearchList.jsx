@@ -0,0 +1,99 @@
+import { Link } from 'react-router-dom'
+import { Bookmark, Search, Pencil, Trash2 } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Switch } from '@/components/ui/switch'
+import { describeSavedSearch, savedSearchPath } from '@/hooks/useSavedSearches'
+import { formatTimeAgo } from '@/lib/utils'
+
+/**
+ * Saved job searches with their alert switches
+ * onUpdate(id, updates) and onDelete(id) persist the changes
+ */
+export function SavedSearchList({ savedSearches, categories, onUpdate, onDelete }) {
+  const handleRename = (search) => {
+    const name = prompt('Rename saved search', search.name)
+    if (name?.trim() && name.trim() !== search.name) {
+      onUpdate(search.id, { name: name.trim() })
+    }
+  }
+
+  const handleDelete = (search) => {
+    if (confirm(`Delete the saved search "${search.name}"?`)) {
+      onDelete(search.id)
+    }
+  }
+
+  if (savedSearches.length === 0) {
+    return (
+      <div className="text-center py-12 text-muted-foreground">
+        <Bookmark className="h-16 w-16 mx-auto mb-4 opacity-50" />
+        <p className="text-lg font-medium mb-2">No Saved Searches</p>
+        <p className="text-sm mb-4">Filter jobs and choose "Save this search" to get alerts for new matches</p>
+        <Link to="/jobs">
+          <Button variant="outline">
+            <Search className="h-4 w-4 mr-2" />
+            Browse Jobs
+          </Button>
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      {savedSearches.map((search) => (
+        <div key={search.id} className="p-4 rounded-lg border">
+          <div className="flex items-start justify-between gap-4">
+            <div className="min-w-0 flex-1">
+              <h4 className="font-semibold truncate">{search.name}</h4>
+              <p className="text-sm text-muted-foreground truncate">
+                {describeSavedSearch(search, categories) || 'All open jobs'}
+              </p>
+              <p className="text-xs text-muted-foreground mt-1">
+                {search.last_matched_at ? `Last match ${formatTimeAgo(search.last_matched_at)}` : 'No matches yet'}
+              </p>
+            </div>
+            <div className="flex items-center gap-1 shrink-0">
+              <Link to={savedSearchPath(search)}>
+                <Button size="sm" variant="outline">
+                  <Search className="h-4 w-4 mr-1" />
+                  View Jobs
+                </Button>
+              </Link>
+              <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => handleRename(search)} title="Rename">
+                <Pencil className="h-4 w-4" />
+              </Button>
+              <Button
+                size="icon"
+                variant="ghost"
+                className="h-8 w-8 text-red-500 hover:text-red-600"
+                onClick={() => handleDelete(search)}
+                title="Delete"
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-6 mt-3 pt-3 border-t text-sm">
+            <label className="flex items-center gap-2">
+              <Switch
+                checked={search.notify_in_app}
+                onCheckedChange={(checked) => onUpdate(search.id, { notify_in_app: checked })}
+              />
+              In-app alerts
+            </label>
+            <label className="flex items-center gap-2">
+              <Switch
+                checked={search.notify_digest}
+                onCheckedChange={(checked) => onUpdate(search.id, { notify_digest: checked })}
+              />
+              Email digest
+            </label>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default SavedSearchList
@@ -0,0 +1,385 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { Coins, Pencil, Trash2, Plus, Loader2, Save, History, ArrowRight } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { useTokenConfig } from '@/context/TokenConfigContext'
+import { useToast } from '@/context/ToastContext'
+import { useTokenTiers, isValidMint } from '@/hooks/useTokenTiers'
+import { formatTokenAmount, formatTimeAgo, formatDate } from '@/lib/utils'
+
+const ROLE_OPTIONS = [
+  { value: '', label: 'None (perks only)' },
+  { value: 'client', label: 'Client' },
+  { value: 'freelancer', label: 'Freelancer' },
+]
+
+const roleLabel = (role) => role ? role.charAt(0).toUpperCase() + role.slice(1) : 'No role'
+
+// Tier keys are lowercase slugs, e.g. "boosted" or "dev_access"
+const toTierKey = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 32)
+
+function TierForm({ open, onOpenChange, tier, decimals, onSubmit, isSubmitting }) {
+  const [name, setName] = useState('')
+  const [key, setKey] = useState('')
+  const [threshold, setThreshold] = useState('')
+  const [perks, setPerks] = useState('')
+  const [grantsRole, setGrantsRole] = useState('')
+
+  useEffect(() => {
+    if (open) {
+      setName(tier?.name || '')
+      setKey(tier?.key || '')
+      setThreshold(tier ? String(tier.threshold) : '')
+      setPerks(tier?.perks?.join('\n') || '')
+      setGrantsRole(tier?.grants_role || '')
+    }
+  }, [open, tier])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSubmit({
+      key: key || toTierKey(name),
+      name: name.trim(),
+      threshold: Number(threshold),
+      perks: perks.split('\n').map((perk) => perk.trim()).filter(Boolean),
+      grants_role: grantsRole || null,
+    })
+  }
+
+  const isValid = name.trim() && threshold !== '' && Number(threshold) >= 0
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>{tier ? `Edit ${tier.name}` : 'Add Tier'}</DialogTitle>
+            <DialogDescription>Changes apply to every user as soon as they're saved.</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium" htmlFor="tier-name">Name</label>
+              <Input id="tier-name" value={name} onChange={(e) => setName(e.target.value)} maxLength={40} />
+              {!tier && name && (
+                <p className="text-xs text-muted-foreground">Key: {toTierKey(name) || '—'}</p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium" htmlFor="tier-threshold">Tokens Required</label>
+              <Input
+                id="tier-threshold"
+                type="number"
+                min="0"
+                step={decimals > 0 ? 1 / 10 ** decimals : 1}
+                value={threshold}
+                onChange={(e) => setThreshold(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium" htmlFor="tier-role">Unlocks Role</label>
+              <select
+                id="tier-role"
+                value={grantsRole}
+                onChange={(e) => setGrantsRole(e.target.value)}
+                className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+              >
+                {ROLE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium" htmlFor="tier-perks">Perks</label>
+              <Textarea
+                id="tier-perks"
+                value={perks}
+                onChange={(e) => setPerks(e.target.value)}
+                placeholder="One perk per line"
+                rows={3}
+                className="resize-none"
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isSubmitting}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!isValid || isSubmitting}>
+              {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {tier ? 'Save Tier' : 'Add Tier'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+// Audit trail of token role changes (role_history)
+function RoleHistory({ fetchRoleHistory }) {
+  const [entries, setEntries] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    fetchRoleHistory().then(({ data }) => {
+      setEntries(data || [])
+      setIsLoading(false)
+    })
+  }, [])
+
+  const describe = (entry) => {
+    switch (entry.event) {
+      case 'grace_started':
+        return `Grace period until ${formatDate(entry.grace_until)}`
+      case 'grace_cleared':
+        return 'Balance restored, grace period cleared'
+      default:
+        return null
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <h4 className="font-semibold flex items-center gap-2">
+        <History className="h-4 w-4" />
+        Role History
+      </h4>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No token role changes yet.</p>
+      ) : (
+        <div className="divide-y rounded-lg border">
+          {entries.map((entry) => (
+            <div key={entry.id} className="flex flex-wrap items-center gap-x-3 gap-y-1 px-4 py-2 text-sm">
+              <Link to={`/profile/${entry.profile_id}`} className="font-medium hover:underline">
+                {entry.profile?.nickname || 'Unknown user'}
+              </Link>
+              <span className="flex items-center gap-1 text-muted-foreground">
+                {roleLabel(entry.from_role)}
+                <ArrowRight className="h-3 w-3" />
+                {roleLabel(entry.to_role)}
+              </span>
+              {describe(entry) && (
+                <Badge variant="outline" className="text-xs">{describe(entry)}</Badge>
+              )}
+              <span className="ml-auto text-xs text-muted-foreground">
+                {entry.balance !== null && `${formatTokenAmount(entry.balance)} tokens · `}
+                {formatTimeAgo(entry.created_at)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Dev dashboard editor for the gate token (mint, decimals), its tiers and
+ * the downgrade grace period and its cooldown
+ */
+export function TokenTiersManager() {
+  const { toast } = useToast()
+  const { mint, decimals, gracePeriodHours, graceCooldownDays, tiers } = useTokenConfig()
+  const { isSaving, updateTokenSettings, saveTier, deleteTier, fetchRoleHistory } = useTokenTiers()
+  const [mintInput, setMintInput] = useState(mint)
+  const [decimalsInput, setDecimalsInput] = useState(String(decimals))
+  const [graceInput, setGraceInput] = useState(String(gracePeriodHours))
+  const [cooldownInput, setCooldownInput] = useState(String(graceCooldownDays))
+  const [editingTier, setEditingTier] = useState(null) // tier, {} for a new one, or null
+
+  useEffect(() => {
+    setMintInput(mint)
+    setDecimalsInput(String(decimals))
+    setGraceInput(String(gracePeriodHours))
+    setCooldownInput(String(graceCooldownDays))
+  }, [mint, decimals, gracePeriodHours, graceCooldownDays])
+
+  const settingsChanged = mintInput.trim() !== mint ||
+    Number(decimalsInput) !== decimals ||
+    Number(graceInput) !== gracePeriodHours ||
+    Number(cooldownInput) !== graceCooldownDays
+
+  const handleSaveSettings = async () => {
+    if (!isValidMint(mintInput.trim())) {
+      toast({ title: 'Enter a valid Solana mint address', variant: 'destructive' })
+      return
+    }
+    if (mintInput.trim() !== mint &&
+      !confirm('Changing the mint re-checks every wallet against the new token. Until the verifier has run, nobody holds a verified balance. Continue?')) {
+      return
+    }
+
+    const graceHours = Number(graceInput)
+    if (!Number.isInteger(graceHours) || graceHours < 0 || graceHours > 720) {
+      toast({ title: 'The grace period must be between 0 and 720 hours', variant: 'destructive' })
+      return
+    }
+
+    const cooldownDays = Number(cooldownInput)
+    if (!Number.isInteger(cooldownDays) || cooldownDays < 0 || cooldownDays > 365) {
+      toast({ title: 'The grace cooldown must be between 0 and 365 days', variant: 'destructive' })
+      return
+    }
+
+    const { error } = await updateTokenSettings({
+      mint: mintInput,
+      decimals: Number(decimalsInput),
+      grace_period_hours: graceHours,
+      grace_cooldown_days: cooldownDays,
+    })
+    if (error) toast({ title: 'Failed to save token settings', description: error.message, variant: 'destructive' })
+  }
+
+  const handleSaveTier = async (fields) => {
+    const { error } = await saveTier(editingTier?.id || null, editingTier?.id ? { ...fields, key: editingTier.key } : fields)
+    if (error) {
+      toast({ title: 'Failed to save tier', description: error.message, variant: 'destructive' })
+      return
+    }
+    setEditingTier(null)
+  }
+
+  const handleDeleteTier = async (tier) => {
+    if (!confirm(`Delete the "${tier.name}" tier?`)) return
+    const { error } = await deleteTier(tier.id)
+    if (error) toast({ title: 'Failed to delete tier', description: error.message, variant: 'destructive' })
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-4 sm:grid-cols-[1fr_6rem_8rem_8rem_auto] items-end">
+        <div className="space-y-2">
+          <label className="text-sm font-medium" htmlFor="token-mint">Token Mint</label>
+          <Input
+            id="token-mint"
+            value={mintInput}
+            onChange={(e) => setMintInput(e.target.value)}
+            className="font-mono text-xs"
+          />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium" htmlFor="token-decimals">Decimals</label>
+          <Input
+            id="token-decimals"
+            type="number"
+            min="0"
+            max="18"
+            value={decimalsInput}
+            onChange={(e) => setDecimalsInput(e.target.value)}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium" htmlFor="token-grace" title="How long users keep a role after their balance drops below it">
+            Grace (hours)
+          </label>
+          <Input
+            id="token-grace"
+            type="number"
+            min="0"
+            max="720"
+            value={graceInput}
+            onChange={(e) => setGraceInput(e.target.value)}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium" htmlFor="token-grace-cooldown" title="How long after a grace period starts before a user can get another one">
+            Cooldown (days)
+          </label>
+          <Input
+            id="token-grace-cooldown"
+            type="number"
+            min="0"
+            max="365"
+            value={cooldownInput}
+            onChange={(e) => setCooldownInput(e.target.value)}
+          />
+        </div>
+        <Button onClick={handleSaveSettings} disabled={!settingsChanged || isSaving}>
+          <Save className="h-4 w-4 mr-2" />
+          Save
+        </Button>
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Tiers</h4>
+          <Button size="sm" variant="outline" onClick={() => setEditingTier({})}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add Tier
+          </Button>
+        </div>
+
+        {tiers.map((tier) => (
+          <div key={tier.key} className="flex items-start gap-4 p-4 rounded-lg border bg-background/50">
+            <div className="h-10 w-10 shrink-0 rounded-full bg-primary/10 flex items-center justify-center">
+              <Coins className="h-4 w-4 text-primary" />
+            </div>
+            <div className="flex-1 min-w-0">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-medium">{tier.name}</span>
+                <code className="text-xs text-muted-foreground">{tier.key}</code>
+                {tier.grants_role && (
+                  <Badge variant="secondary" className="capitalize">{tier.grants_role} role</Badge>
+                )}
+              </div>
+              <p className="text-sm text-muted-foreground">
+                {formatTokenAmount(tier.threshold)} tokens ({Number(tier.threshold).toLocaleString()})
+              </p>
+              {tier.perks.length > 0 && (
+                <ul className="mt-1 text-xs text-muted-foreground list-disc list-inside">
+                  {tier.perks.map((perk) => <li key={perk}>{perk}</li>)}
+                </ul>
+              )}
+            </div>
+            {tier.id && (
+              <div className="flex shrink-0">
+                <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => setEditingTier(tier)} title="Edit">
+                  <Pencil className="h-4 w-4" />
+                </Button>
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  className="h-8 w-8 text-red-500 hover:text-red-600"
+                  onClick={() => handleDeleteTier(tier)}
+                  disabled={isSaving}
+                  title="Delete"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <RoleHistory fetchRoleHistory={fetchRoleHistory} />
+
+      <TierForm
+        open={!!editingTier}
+        onOpenChange={(open) => !open && setEditingTier(null)}
+        tier={editingTier?.id ? editingTier : null}
+        decimals={decimals}
+        onSubmit={handleSaveTier}
+        isSubmitting={isSaving}
+      />
+    </div>
+  )
+}
+
+export default TokenTiersManager
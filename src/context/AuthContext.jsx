@@ -1,5 +1,17 @@
 import { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react'
-import { supabase } from '@/lib/supabase'
+import { supabase, invokeFunction } from '@/lib/supabase'
+import {
+  findWallet,
+  getLastWalletName,
+  getWalletProvider,
+  isWalletRejection,
+  onWalletsChange,
+  rememberWallet,
+  setActiveWallet,
+  startWalletDiscovery,
+} from '@/lib/wallet'
+import { WalletPickerDialog } from '@/components/auth/WalletPickerDialog'
+import { useTokenConfig } from '@/context/TokenConfigContext'
 
 const AuthContext = createContext(null)
 
@@ -52,18 +64,18 @@ function throttle(fn, delay) {
 }
 
 /**
- * Token Configuration
- * Using Helius RPC for mainnet token balance checking
+ * Token balance checks
+ * Using Helius RPC for mainnet; the mint comes from token_settings (TokenConfigContext)
  */
 const HELIUS_RPC_URL = "https://lurleen-mzv5vx-fast-mainnet.helius-rpc.com"
-const TOKEN_MINT = "8LSpERCFafc1qfxrHVj4QaZ9k1jgNuUNAfVMJ9gApump"
 
 /**
  * Fetch SPL token balance from Solana mainnet using Helius RPC
  * @param {string} walletAddress - Solana wallet address
+ * @param {string} mint - Gate token mint
  * @returns {Promise<number>} Token balance (UI amount)
  */
-async function fetchTokenBalance(walletAddress) {
+async function fetchTokenBalance(walletAddress, mint) {
   try {
     const response = await fetch(HELIUS_RPC_URL, {
       method: "POST",
@@ -74,7 +86,7 @@ async function fetchTokenBalance(walletAddress) {
         method: "getTokenAccountsByOwner",
         params: [
           walletAddress,
-          { mint: TOKEN_MINT },
+          { mint },
           { encoding: "jsonParsed" },
         ],
       }),
@@ -102,7 +114,53 @@ async function fetchTokenBalance(walletAddress) {
   }
 }
 
+/**
+ * Sign-In With Solana (SIWS)
+ * 1. siws-nonce issues a single-use challenge message for the address
+ * 2. The connected wallet adapter signs the message
+ * 3. siws-verify checks the ed25519 signature and returns a session
+ * @param {object} wallet - Connected wallet adapter (see lib/wallet.js)
+ * @param {string} address - Wallet address
+ * @param {object} [register] - { nickname, userType } to create a new account
+ * @returns {Promise<{session: object|null, profile: object|null, isNewUser: boolean}>}
+ */
+async function authenticateWithSiws(wallet, address, register = null) {
+  if (!wallet) {
+    throw new Error('Connect your wallet first')
+  }
+
+  const { nonce, message } = await invokeFunction('siws-nonce', { address })
+
+  const { signature } = await wallet.signMessage(new TextEncoder().encode(message), 'utf8')
+  const signatureBase64 = btoa(String.fromCharCode(...signature))
+
+  return invokeFunction('siws-verify', {
+    address,
+    nonce,
+    signature: signatureBase64,
+    ...(register ? { register } : {}),
+  })
+}
+
+/**
+ * Prove ownership of a wallet and link it to the signed-in profile
+ * Same challenge flow as SIWS, with a 'link' challenge bound to the session
+ * @param {object} wallet - Connected wallet adapter (see lib/wallet.js)
+ * @param {string} address - Wallet address
+ * @returns {Promise<{wallet: object, balance: number|null}>}
+ */
+async function linkWalletWithSignature(wallet, address) {
+  const { nonce, message } = await invokeFunction('siws-nonce', { address, purpose: 'link' })
+
+  const { signature } = await wallet.signMessage(new TextEncoder().encode(message), 'utf8')
+  const signatureBase64 = btoa(String.fromCharCode(...signature))
+
+  return invokeFunction('link-wallet', { address, nonce, signature: signatureBase64 })
+}
+
 export function AuthProvider({ children }) {
+  const { mint: tokenMint, tiers: tokenTiers, thresholdFor } = useTokenConfig()
+
   // Core state
   const [user, setUser] = useState(null)
   const [profile, setProfile] = useState(null)
@@ -114,6 +172,9 @@ export function AuthProvider({ children }) {
   const [localWalletAddress, setLocalWalletAddress] = useState(null)
   const [isWalletConnecting, setIsWalletConnecting] = useState(false)
   const [liveTokenBalance, setLiveTokenBalance] = useState(0) // Real-time blockchain balance
+  const [wallet, setWallet] = useState(null) // Connected wallet adapter
+  const [tokenGate, setTokenGate] = useState(null) // Server-verified { balance, checkedAt, wallets, effectiveRole, graceUntil, graceRole }
+  const [walletPicker, setWalletPicker] = useState(null) // { resolve } while the picker is open
 
   // Refs for cleanup and race condition prevention
   const mountedRef = useRef(true)
@@ -171,12 +232,8 @@ export function AuthProvider({ children }) {
 
   /**
    * Fetch user profile by wallet address
-   * Used for wallet-based authentication - looks up existing user by their wallet
-   * 
-   * TODO: For full SIWS (Sign In With Solana) implementation:
-   * - Replace this with a call to Supabase Edge Function
-   * - Edge Function would verify wallet signature and return JWT
-   * - See: https://docs.phantom.app/solana/signing-a-message
+   * Only used to check whether a wallet is registered - it does not
+   * authenticate anyone. Sign-in goes through SIWS (authenticateWithSiws).
    */
   const fetchProfileByWallet = useCallback(async (walletAddress, options = {}) => {
     const { timeout = 5000 } = options
@@ -511,38 +568,92 @@ export function AuthProvider({ children }) {
     }
   }, [updateAuthState])
 
-  // Phantom wallet event listeners
+  // Keep lib/wallet.js (escrow signing) pointed at the connected adapter
+  const selectWallet = useCallback((adapter) => {
+    setActiveWallet(adapter)
+    setWallet(adapter)
+  }, [])
+
+  // Follow account switches and disconnects made inside the wallet
   useEffect(() => {
-    // Only use window.phantom.solana to avoid Brave wallet interference
-    const phantom = window?.phantom?.solana
-    if (!phantom?.isPhantom) return
+    if (!wallet) return
 
-    const handleAccountChanged = (publicKey) => {
+    return wallet.on('change', (publicKey) => {
       if (publicKey) {
         setLocalWalletAddress(publicKey.toString())
       } else {
         setLocalWalletAddress(null)
+        selectWallet(null)
       }
-    }
+    })
+  }, [wallet, selectWallet])
 
-    const handleDisconnect = () => {
-      setLocalWalletAddress(null)
+  // Reconnect the last used wallet (Phantom before anything was picked) without a prompt
+  useEffect(() => {
+    startWalletDiscovery()
+    const lastWalletName = getLastWalletName() || 'Phantom'
+    let cancelled = false
+
+    const tryReconnect = () => {
+      const adapter = findWallet(lastWalletName)
+      if (!adapter) return false
+
+      adapter.connect({ silent: true })
+        .then((publicKey) => {
+          if (cancelled || !publicKey) return
+          selectWallet(adapter)
+          setLocalWalletAddress(publicKey.toString())
+        })
+        .catch(() => { }) // Silent fail for non-trusted apps
+      return true
     }
 
-    phantom.on('accountChanged', handleAccountChanged)
-    phantom.on('disconnect', handleDisconnect)
-
-    // Try eager connection for returning trusted users
-    phantom.connect({ onlyIfTrusted: true })
-      .then((resp) => setLocalWalletAddress(resp.publicKey.toString()))
-      .catch(() => { }) // Silent fail for non-trusted apps
+    // The wallet may register after the app loads
+    if (tryReconnect()) return
+    const unsubscribe = onWalletsChange(() => {
+      if (tryReconnect()) unsubscribe()
+    })
 
     return () => {
-      phantom.off('accountChanged', handleAccountChanged)
-      phantom.off('disconnect', handleDisconnect)
+      cancelled = true
+      unsubscribe()
+    }
+  }, [selectWallet])
+
+  /**
+   * Ask verify-token-balance for the role RLS will enforce
+   * The function re-reads the chain at most once a minute per user
+   */
+  const refreshTokenGate = useCallback(async () => {
+    try {
+      const result = await invokeFunction('verify-token-balance', {})
+      if (mountedRef.current) setTokenGate(result)
+      return { data: result, error: null }
+    } catch (err) {
+      console.error('Token gate check failed:', err)
+      return { data: null, error: err }
     }
   }, [])
 
+  // Re-verify on sign-in and whenever the profile's wallet changes
+  useEffect(() => {
+    if (!user?.id) {
+      setTokenGate(null)
+      return
+    }
+    refreshTokenGate()
+  }, [user?.id, profile?.wallet_address, refreshTokenGate])
+
+  // Open the wallet picker; resolves with the chosen adapter, or null if closed
+  const pickWallet = useCallback(() => new Promise((resolve) => {
+    setWalletPicker({ resolve })
+  }), [])
+
+  const closeWalletPicker = useCallback((adapter) => {
+    walletPicker?.resolve(adapter)
+    setWalletPicker(null)
+  }, [walletPicker])
+
   // Sign up with email, password, nickname and user type
   const signUp = useCallback(async (email, password, nickname, userType) => {
     setAuthError(null)
@@ -753,30 +864,27 @@ export function AuthProvider({ children }) {
   }, [updateAuthState])
 
   /**
-   * Connect Phantom wallet and check if profile exists
-   * 
-   * TODO: For full SIWS (Sign In With Solana) implementation:
-   * - After connecting, prompt user to sign a message
-   * - Send signature to Edge Function for verification
-   * - Edge Function returns JWT if valid
-   * - Use JWT to create Supabase session
+   * Connect a wallet (picked by the user unless one is already connected)
+   * and check if a profile exists for it
+   * Connecting alone never signs the user in - see signInWithWallet
    */
   const connectWallet = useCallback(async () => {
     try {
       setIsWalletConnecting(true)
 
-      // Only use window.phantom.solana to avoid Brave wallet interference
-      const phantom = window?.phantom?.solana
-
-      if (!phantom?.isPhantom) {
-        window.open('https://phantom.app/', '_blank')
-        setIsWalletConnecting(false)
-        return { error: new Error('Phantom wallet not installed') }
+      let adapter = getWalletProvider()
+      if (!adapter) {
+        adapter = await pickWallet()
+        if (!adapter) {
+          setIsWalletConnecting(false)
+          return { error: new Error('No wallet selected') }
+        }
+        await adapter.connect()
+        selectWallet(adapter)
+        rememberWallet(adapter.name)
       }
 
-      // Connect to Phantom
-      const response = await phantom.connect()
-      const address = response.publicKey.toString()
+      const address = adapter.publicKey.toString()
 
       // Store locally
       setLocalWalletAddress(address)
@@ -784,7 +892,7 @@ export function AuthProvider({ children }) {
       // Fetch real token balance from blockchain (mainnet)
       let balance = 0
       try {
-        balance = await fetchTokenBalance(address)
+        balance = await fetchTokenBalance(address, tokenMint)
         setLiveTokenBalance(balance)
       } catch (err) {
         console.warn('Token balance fetch failed:', err)
@@ -798,9 +906,23 @@ export function AuthProvider({ children }) {
         console.warn('Profile lookup failed:', err)
       }
 
-      // If user is logged in with email, update their profile with wallet
+      // Signed in and the wallet is new to us: offer to link it (one signature)
       if (user && !existingProfile) {
-        await updateProfile({ wallet_address: address })
+        const { data: linked } = await supabase
+          .from('profile_wallets')
+          .select('id')
+          .eq('address', address)
+          .maybeSingle()
+
+        if (!linked) {
+          try {
+            await linkWalletWithSignature(adapter, address)
+            await Promise.all([refreshProfile(), refreshTokenGate()])
+          } catch (err) {
+            // Stays connected in the browser without counting towards the gate
+            console.warn('Wallet link skipped:', err)
+          }
+        }
       }
 
       setIsWalletConnecting(false)
@@ -815,33 +937,50 @@ export function AuthProvider({ children }) {
       console.error('Wallet connection failed:', err)
       setIsWalletConnecting(false)
 
-      // Handle common Phantom errors
-      if (err.code === 4001) {
+      if (isWalletRejection(err)) {
         return { error: new Error('Connection rejected by user') }
       }
 
-      if (err.message?.includes('Unexpected error')) {
-        alert('Phantom encountered an error.\n\nTry these fixes:\n1. Reinstall Phantom extension\n2. Go to brave://settings/wallet and set Default Solana wallet to "None"\n3. Refresh this page')
-        return { error: new Error('Phantom extension error - try reinstalling') }
-      }
-
       return { error: err }
     }
-  }, [user, updateProfile, fetchProfileByWallet])
+  }, [user, refreshProfile, refreshTokenGate, fetchProfileByWallet, pickWallet, selectWallet, tokenMint])
+
+  /**
+   * Link another wallet to the signed-in profile
+   * Always opens the picker so a different wallet app can be chosen; to link
+   * another account of the same app, switch accounts in the wallet first.
+   */
+  const linkWallet = useCallback(async () => {
+    if (!user) return { data: null, error: new Error('No user logged in') }
+
+    try {
+      const adapter = await pickWallet()
+      if (!adapter) return { data: null, error: new Error('No wallet selected') }
+
+      if (!adapter.connected) await adapter.connect()
+      selectWallet(adapter)
+      rememberWallet(adapter.name)
+
+      const address = adapter.publicKey.toString()
+      setLocalWalletAddress(address)
+
+      const data = await linkWalletWithSignature(adapter, address)
+      await Promise.all([refreshProfile(), refreshTokenGate()])
+      return { data, error: null }
+    } catch (err) {
+      console.error('Wallet link failed:', err)
+      const error = isWalletRejection(err)
+        ? new Error('Signature request rejected by user')
+        : err
+      return { data: null, error }
+    }
+  }, [user, pickWallet, selectWallet, refreshProfile, refreshTokenGate])
 
   /**
-   * Sign in with wallet - authenticates user based on wallet address
-   * Looks up profile by wallet_address and sets as current user
-   * 
-   * TODO: For full SIWS (Sign In With Solana) implementation:
-   * 1. Generate nonce from server
-   * 2. Prompt user to sign message: "Sign in to PumpWork\nNonce: {nonce}"
-   * 3. Send signature to Supabase Edge Function
-   * 4. Edge Function verifies signature using @solana/web3.js
-   * 5. If valid, Edge Function creates JWT with user data
-   * 6. Use supabase.auth.setSession() with the JWT
-   * 
-   * Current implementation: Simple wallet lookup (no cryptographic verification)
+   * Sign in with wallet using SIWS (Sign In With Solana)
+   * The wallet signs a server-issued challenge, the siws-verify Edge Function
+   * checks the signature and returns a Supabase session for the wallet's profile.
+   * Unregistered wallets get isNewUser: true and no session.
    */
   const signInWithWallet = useCallback(async () => {
     setAuthError(null)
@@ -849,7 +988,7 @@ export function AuthProvider({ children }) {
 
     try {
       // Connect wallet first
-      const { address, profile: walletProfile, error: connectError } = await connectWallet()
+      const { address, error: connectError } = await connectWallet()
 
       if (connectError) {
         setAuthError(connectError)
@@ -864,48 +1003,56 @@ export function AuthProvider({ children }) {
         return { data: null, error }
       }
 
-      // If profile exists for this wallet, "log them in" by setting profile state
-      if (walletProfile) {
-        setProfile(walletProfile)
-        // Note: This is a "soft" login - no real Supabase session
-        // The profile data acts as the user's identity
+      const { session, profile: walletProfile, isNewUser } = await authenticateWithSiws(getWalletProvider(), address)
+
+      if (isNewUser || !session) {
+        // No profile exists - user needs to register
         setIsWalletConnecting(false)
         return {
           data: {
-            profile: walletProfile,
             address,
-            isNewUser: false
+            isNewUser: true,
+            profile: null
           },
           error: null
         }
       }
 
-      // No profile exists - user needs to register
+      const { data: sessionData, error: sessionError } = await supabase.auth.setSession(session)
+      if (sessionError) throw sessionError
+
+      if (walletProfile) {
+        setProfile(walletProfile)
+        subscribeToProfile(walletProfile.id)
+      }
+
       setIsWalletConnecting(false)
       return {
         data: {
+          user: sessionData.user,
+          profile: walletProfile,
           address,
-          isNewUser: true,
-          profile: null
+          isNewUser: false
         },
         error: null
       }
     } catch (err) {
       console.error('Wallet sign in error:', err)
-      setAuthError(err)
+
+      const error = isWalletRejection(err)
+        ? new Error('Signature request rejected by user')
+        : err
+      setAuthError(error)
       setIsWalletConnecting(false)
-      return { data: null, error: err }
+      return { data: null, error }
     }
-  }, [connectWallet])
+  }, [connectWallet, subscribeToProfile])
 
   /**
    * Register new user with wallet
-   * Creates a profile entry with the wallet address
-   * 
-   * TODO: For full SIWS, this would:
-   * 1. Verify wallet signature
-   * 2. Create auth.users entry via Edge Function
-   * 3. Profile trigger creates profiles entry
+   * Signs a SIWS challenge with registration details; siws-verify creates a
+   * password-less auth user (the profile trigger creates the profile) and
+   * returns a session for it.
    */
   const registerWithWallet = useCallback(async (walletAddress, nickname, userType) => {
     setAuthError(null)
@@ -920,118 +1067,83 @@ export function AuthProvider({ children }) {
         }
       }
 
-      // For now, we need a Supabase user to create a profile (due to RLS)
-      // This is a limitation that would be solved with Edge Functions
-      // 
-      // Workaround: Create a "wallet user" using a generated email
-      // This is a temporary solution until full SIWS is implemented
-      const tempEmail = `${walletAddress.slice(0, 8)}@wallet.pumpwork.local`
-      const tempPassword = `wallet_${walletAddress}_${Date.now()}`
-
-      const { data: signUpData, error: signUpError } = await supabase.auth.signUp({
-        email: tempEmail,
-        password: tempPassword,
-        options: {
-          data: {
-            nickname,
-            user_type: userType,
-            wallet_address: walletAddress,
-            is_wallet_user: true
-          }
-        }
+      const { session, profile: newProfile } = await authenticateWithSiws(getWalletProvider(), walletAddress, {
+        nickname,
+        userType,
       })
 
-      if (signUpError) {
-        // If email exists, the wallet might already be registered under a temp email
-        if (signUpError.message?.includes('already registered')) {
-          return {
-            data: null,
-            error: new Error('This wallet appears to already be registered')
-          }
-        }
-        throw signUpError
+      if (!session) {
+        throw new Error('Registration did not return a session')
       }
 
-      // Wait for profile trigger
-      await new Promise(resolve => setTimeout(resolve, 500))
-
-      // Update profile with wallet address
-      if (signUpData.user) {
-        const { error: updateError } = await supabase
-          .from('profiles')
-          .update({
-            wallet_address: walletAddress,
-            nickname,
-            user_type: userType
-          })
-          .eq('id', signUpData.user.id)
-
-        if (updateError) {
-          console.warn('Profile update error:', updateError)
-        }
+      const { data: sessionData, error: sessionError } = await supabase.auth.setSession(session)
+      if (sessionError) throw sessionError
 
-        // Fetch the updated profile
-        const profile = await fetchProfile(signUpData.user.id)
-        setProfile(profile)
+      if (newProfile) {
+        setProfile(newProfile)
+        subscribeToProfile(newProfile.id)
       }
 
       return {
         data: {
-          user: signUpData.user,
-          session: signUpData.session
+          user: sessionData.user,
+          session: sessionData.session
         },
         error: null
       }
     } catch (err) {
       console.error('Wallet registration error:', err)
-      setAuthError(err)
-      return { data: null, error: err }
+
+      const error = isWalletRejection(err)
+        ? new Error('Signature request rejected by user')
+        : err
+      setAuthError(error)
+      return { data: null, error }
     }
-  }, [fetchProfileByWallet, fetchProfile])
+  }, [fetchProfileByWallet, subscribeToProfile])
 
   const disconnectWallet = useCallback(async () => {
     try {
-      // Only use window.phantom.solana to avoid Brave wallet interference
-      const phantom = window?.phantom?.solana
+      const adapter = getWalletProvider()
+      selectWallet(null)
+      rememberWallet(null)
 
-      if (phantom?.isPhantom) {
-        await phantom.disconnect()
+      if (adapter) {
+        await adapter.disconnect()
       }
 
+      // Linked wallets stay linked; unlinking is explicit (useLinkedWallets)
       setLocalWalletAddress(null)
 
-      if (user) {
-        await updateProfile({ wallet_address: null })
-      }
-
       return { error: null }
     } catch (err) {
       console.error('Wallet disconnect failed:', err)
       return { error: err }
     }
-  }, [user, updateProfile])
+  }, [selectWallet])
 
   // Clear auth error
   const clearAuthError = useCallback(() => {
     setAuthError(null)
   }, [])
 
-  /**
-   * Token thresholds for role access
-   * - 1K tokens = Client (can hire freelancers)
-   * - 10K tokens = Freelancer (can offer services)
-   * - 50K tokens = Boosted Freelancer (premium visibility)
-   */
-  const TOKEN_THRESHOLDS = {
-    CLIENT: 1000,           // 1K tokens to be a client
-    FREELANCER: 10000,      // 10K tokens to be a freelancer
-    BOOSTED_FREELANCER: 50000,  // 50K tokens for boosted status
-  }
-
   // Memoized computed values with token-based role access
   const computedValues = useMemo(() => {
-    // Prioritize live blockchain balance over stored profile balance
-    const tokenBalance = liveTokenBalance > 0 ? liveTokenBalance : (profile?.token_balance || 0)
+    /**
+     * Token thresholds for role access, from the admin-managed token_tiers
+     * - CLIENT: lowest tier granting the client role (can hire freelancers)
+     * - FREELANCER: lowest tier granting the freelancer role (can offer services)
+     * - BOOSTED_FREELANCER: the 'boosted' tier (premium visibility)
+     */
+    const TOKEN_THRESHOLDS = {
+      CLIENT: thresholdFor('client') ?? Infinity,
+      FREELANCER: thresholdFor('freelancer') ?? Infinity,
+      BOOSTED_FREELANCER: thresholdFor('boosted') ?? Infinity,
+    }
+
+    // The server's total across linked wallets wins; the connected wallet's
+    // live balance covers signed-out visitors and unverified wallets
+    const tokenBalance = tokenGate?.balance ?? (liveTokenBalance > 0 ? liveTokenBalance : profile?.token_balance ?? 0)
 
     // Determine access levels based on token holdings
     const canBeClient = tokenBalance >= TOKEN_THRESHOLDS.CLIENT
@@ -1052,8 +1164,14 @@ export function AuthProvider({ children }) {
       effectiveRole = null
     }
 
+    // RLS enforces the server's verified role, so it wins once known
+    // (it keeps the previous role through a downgrade grace period)
+    if (tokenGate && storedRole !== 'admin') {
+      effectiveRole = tokenGate.effectiveRole
+    }
+
     return {
-      isAuthenticated: !!user || !!profile,  // Auth via email OR wallet-based profile
+      isAuthenticated: !!user,  // Email or SIWS session
 
       // Role based on stored profile type (but validated against tokens)
       isClient: effectiveRole === 'client' || storedRole === 'admin',
@@ -1074,11 +1192,18 @@ export function AuthProvider({ children }) {
       walletAddress: localWalletAddress || profile?.wallet_address || null,
       tokenBalance,
       liveTokenBalance, // Also expose the raw live balance
+      tokenVerifiedAt: tokenGate?.checkedAt || null, // When the server last read the balance
+      walletBalances: tokenGate?.wallets || [], // [{ address, balance, checkedAt }] per linked wallet
+
+      // Pending downgrade: effectiveRole holds until roleGraceUntil, then becomes roleAfterGrace
+      roleGraceUntil: tokenGate?.graceUntil || null,
+      roleAfterGrace: tokenGate?.graceUntil ? tokenGate.graceRole : null,
 
-      // Token thresholds for UI display
+      // Token thresholds and tiers for UI display
       tokenThresholds: TOKEN_THRESHOLDS,
+      tokenTiers,
     }
-  }, [user, profile, localWalletAddress, liveTokenBalance])
+  }, [user, profile, localWalletAddress, liveTokenBalance, tokenGate, tokenTiers, thresholdFor])
 
   // Check if user has minimum tokens for a specific threshold
   const hasMinTokens = useCallback((required) => {
@@ -1096,10 +1221,13 @@ export function AuthProvider({ children }) {
         return computedValues.isBoostedFreelancer
       case 'admin':
         return computedValues.isAdmin
-      default:
-        return false
+      default: {
+        // Any other tier by key, e.g. 'dev_access'
+        const threshold = thresholdFor(role)
+        return threshold !== null && computedValues.tokenBalance >= threshold
+      }
     }
-  }, [computedValues])
+  }, [computedValues, thresholdFor])
 
   // Memoize context value to prevent unnecessary re-renders
   const contextValue = useMemo(() => ({
@@ -1123,10 +1251,12 @@ export function AuthProvider({ children }) {
     forceRefreshAuth,
     connectWallet,
     disconnectWallet,
+    linkWallet,
     hasMinTokens,
     canAccessRole,
+    refreshTokenGate,
     clearAuthError,
-    // Wallet authentication (simple mode - TODO: upgrade to SIWS)
+    // Wallet authentication (SIWS)
     signInWithWallet,
     registerWithWallet,
   }), [
@@ -1145,8 +1275,10 @@ export function AuthProvider({ children }) {
     forceRefreshAuth,
     connectWallet,
     disconnectWallet,
+    linkWallet,
     hasMinTokens,
     canAccessRole,
+    refreshTokenGate,
     clearAuthError,
     signInWithWallet,
     registerWithWallet,
@@ -1155,6 +1287,11 @@ export function AuthProvider({ children }) {
   return (
     <AuthContext.Provider value={contextValue}>
       {children}
+      <WalletPickerDialog
+        open={!!walletPicker}
+        onOpenChange={(open) => !open && closeWalletPicker(null)}
+        onSelect={closeWalletPicker}
+      />
     </AuthContext.Provider>
   )
 }
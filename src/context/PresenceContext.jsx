@@ -0,0 +1,116 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/context/AuthContext'
+
+const PresenceContext = createContext(null)
+
+const PRESENCE_CHANNEL = 'presence:online'
+const AWAY_AFTER = 5 * 60 * 1000 // Idle time before a user shows as away
+const HEARTBEAT_INTERVAL = 2 * 60 * 1000 // How often last_seen_at is refreshed
+
+const activityEvents = ['mousemove', 'keydown', 'pointerdown', 'scroll', 'touchstart']
+
+// Collapse presence state ({ key: [meta, ...] }, one meta per open tab) to one status per user
+function toStatusMap(state) {
+  const statuses = {}
+  Object.entries(state).forEach(([userId, metas]) => {
+    statuses[userId] = metas.some((meta) => meta.status === 'online') ? 'online' : 'away'
+  })
+  return statuses
+}
+
+/**
+ * Shared online/away status for every signed-in user, from one Realtime presence channel
+ * Signed-out visitors only listen; signed-in users also track their own status
+ */
+export function PresenceProvider({ children }) {
+  const { profile } = useAuth()
+  const userId = profile?.id
+  const [statuses, setStatuses] = useState({})
+  const [ownStatus, setOwnStatus] = useState('online')
+
+  useEffect(() => {
+    const channel = supabase.channel(PRESENCE_CHANNEL, {
+      config: { presence: { key: userId || `visitor-${crypto.randomUUID()}` } },
+    })
+
+    let idleTimer = null
+    let heartbeat = null
+    let status = 'online'
+
+    const track = (next) => {
+      status = next
+      setOwnStatus(next)
+      channel.track({ user_id: userId, status: next, online_at: new Date().toISOString() })
+    }
+
+    const touchLastSeen = () => {
+      supabase.rpc('touch_last_seen').then(({ error }) => error && console.error('Error updating last seen:', error))
+    }
+
+    const markActive = () => {
+      clearTimeout(idleTimer)
+      idleTimer = setTimeout(() => track('away'), AWAY_AFTER)
+      if (status !== 'online' && document.visibilityState === 'visible') track('online')
+    }
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') {
+        clearTimeout(idleTimer)
+        track('away')
+        touchLastSeen()
+      } else {
+        markActive()
+      }
+    }
+
+    channel
+      .on('presence', { event: 'sync' }, () => setStatuses(toStatusMap(channel.presenceState())))
+      .subscribe((state) => {
+        if (state !== 'SUBSCRIBED' || !userId) return
+        track(document.visibilityState === 'visible' ? 'online' : 'away')
+        touchLastSeen()
+      })
+
+    if (userId) {
+      markActive()
+      heartbeat = setInterval(touchLastSeen, HEARTBEAT_INTERVAL)
+      activityEvents.forEach((event) => window.addEventListener(event, markActive, { passive: true }))
+      document.addEventListener('visibilitychange', handleVisibility)
+      window.addEventListener('pagehide', touchLastSeen)
+    }
+
+    return () => {
+      clearTimeout(idleTimer)
+      clearInterval(heartbeat)
+      activityEvents.forEach((event) => window.removeEventListener(event, markActive))
+      document.removeEventListener('visibilitychange', handleVisibility)
+      window.removeEventListener('pagehide', touchLastSeen)
+      if (userId) touchLastSeen()
+      supabase.removeChannel(channel)
+    }
+  }, [userId])
+
+  // 'online' | 'away' | 'offline'
+  const getStatus = useCallback((id) => {
+    if (!id) return 'offline'
+    if (id === userId) return ownStatus
+    return statuses[id] || 'offline'
+  }, [statuses, userId, ownStatus])
+
+  const value = useMemo(() => ({ statuses, getStatus }), [statuses, getStatus])
+
+  return (
+    <PresenceContext.Provider value={value}>
+      {children}
+    </PresenceContext.Provider>
+  )
+}
+
+export function usePresence() {
+  const context = useContext(PresenceContext)
+  if (!context) {
+    throw new Error('usePresence must be used within a PresenceProvider')
+  }
+  return context
+}
@@ -0,0 +1,106 @@
+import { createContext, useContext, useState, useCallback, useRef, useMemo, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { CheckCircle2, AlertCircle, Info, X } from 'lucide-react'
+import { cn } from '@/lib/utils'
+
+const ToastContext = createContext()
+
+const TOAST_DURATION = 5000
+const MAX_TOASTS = 4
+
+const variants = {
+  default: { icon: Info, className: 'border-border', iconClassName: 'text-primary' },
+  success: { icon: CheckCircle2, className: 'border-green-500/40', iconClassName: 'text-green-500' },
+  destructive: { icon: AlertCircle, className: 'border-red-500/40', iconClassName: 'text-red-500' },
+}
+
+function Toast({ toast, onDismiss }) {
+  const variant = variants[toast.variant] || variants.default
+  const Icon = variant.icon
+
+  useEffect(() => {
+    const timeout = setTimeout(() => onDismiss(toast.id), toast.duration)
+    return () => clearTimeout(timeout)
+  }, [toast.id, toast.duration, onDismiss])
+
+  return (
+    <motion.li
+      layout
+      initial={{ opacity: 0, y: 16, scale: 0.96 }}
+      animate={{ opacity: 1, y: 0, scale: 1 }}
+      exit={{ opacity: 0, x: 48 }}
+      transition={{ duration: 0.2 }}
+      role={toast.variant === 'destructive' ? 'alert' : 'status'}
+      className={cn(
+        'pointer-events-auto flex w-full items-start gap-3 rounded-lg border bg-background p-4 shadow-lg',
+        variant.className
+      )}
+    >
+      <Icon className={cn('h-5 w-5 shrink-0 mt-0.5', variant.iconClassName)} />
+      <div className="flex-1 min-w-0 text-sm">
+        {toast.title && <p className="font-medium">{toast.title}</p>}
+        {toast.description && (
+          <p className="text-muted-foreground whitespace-pre-wrap break-words">{toast.description}</p>
+        )}
+      </div>
+      <button
+        type="button"
+        onClick={() => onDismiss(toast.id)}
+        className="shrink-0 rounded-sm opacity-60 transition-opacity hover:opacity-100"
+        aria-label="Dismiss"
+      >
+        <X className="h-4 w-4" />
+      </button>
+    </motion.li>
+  )
+}
+
+/**
+ * Non-blocking feedback messages, stacked in the bottom-right corner
+ * Use instead of alert(): toast({ title, description, variant })
+ */
+export function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([])
+  const nextId = useRef(0)
+
+  const dismiss = useCallback((id) => {
+    setToasts((prev) => prev.filter((t) => t.id !== id))
+  }, [])
+
+  /**
+   * @param {object} options
+   * @param {string} [options.title]
+   * @param {string} [options.description]
+   * @param {'default'|'success'|'destructive'} [options.variant]
+   * @param {number} [options.duration] - Milliseconds before it hides itself
+   * @returns {number} Toast id (for dismiss)
+   */
+  const toast = useCallback(({ title, description, variant = 'default', duration = TOAST_DURATION }) => {
+    const id = ++nextId.current
+    setToasts((prev) => [...prev, { id, title, description, variant, duration }].slice(-MAX_TOASTS))
+    return id
+  }, [])
+
+  const value = useMemo(() => ({ toast, dismiss }), [toast, dismiss])
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <ol className="pointer-events-none fixed bottom-4 right-4 z-[100] flex w-[calc(100%-2rem)] max-w-sm flex-col gap-2">
+        <AnimatePresence initial={false}>
+          {toasts.map((t) => (
+            <Toast key={t.id} toast={t} onDismiss={dismiss} />
+          ))}
+        </AnimatePresence>
+      </ol>
+    </ToastContext.Provider>
+  )
+}
+
+export function useToast() {
+  const context = useContext(ToastContext)
+  if (!context) {
+    throw new Error('useToast must be used within a ToastProvider')
+  }
+  return context
+}
@@ -0,0 +1,103 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '@/lib/supabase'
+
+const TokenConfigContext = createContext(null)
+
+// Used until the config loads, and if it can't be loaded
+// See supabase/migrations/20261019002200_token_tiers.sql for the seeded rows
+const DEFAULT_SETTINGS = {
+  mint: '8LSpERCFafc1qfxrHVj4QaZ9k1jgNuUNAfVMJ9gApump',
+  decimals: 6,
+  grace_period_hours: 72,
+  grace_cooldown_days: 30,
+}
+
+const DEFAULT_TIERS = [
+  { key: 'client', name: 'Client', threshold: 1000, perks: ['Post jobs and hire freelancers'], grants_role: 'client' },
+  { key: 'freelancer', name: 'Freelancer', threshold: 10000, perks: ['List services and apply to jobs'], grants_role: 'freelancer' },
+  { key: 'boosted', name: 'Boosted Freelancer', threshold: 50000, perks: ['Enhanced visibility', 'Priority placement'], grants_role: null },
+  { key: 'dev_access', name: 'Dev Access', threshold: 100000, perks: ['Dev Access badge on your profile'], grants_role: null },
+]
+
+/**
+ * Gate token settings and tiers, admin-managed in token_settings / token_tiers
+ * Realtime keeps every open tab on the latest config
+ */
+export function TokenConfigProvider({ children }) {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS)
+  const [tiers, setTiers] = useState(DEFAULT_TIERS)
+  const [isLoading, setIsLoading] = useState(true)
+
+  const fetchConfig = useCallback(async () => {
+    try {
+      const [settingsResult, tiersResult] = await Promise.all([
+        supabase.from('token_settings').select('mint, decimals, grace_period_hours, grace_cooldown_days, updated_at').single(),
+        supabase.from('token_tiers').select('*').order('threshold', { ascending: true }),
+      ])
+
+      if (settingsResult.error) throw settingsResult.error
+      if (tiersResult.error) throw tiersResult.error
+
+      setSettings(settingsResult.data)
+      setTiers(tiersResult.data.map((tier) => ({ ...tier, threshold: Number(tier.threshold) })))
+      return { error: null }
+    } catch (err) {
+      console.error('Error fetching token config:', err)
+      return { error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchConfig()
+
+    const channel = supabase
+      .channel(`token-config:${Date.now()}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'token_settings' }, fetchConfig)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'token_tiers' }, fetchConfig)
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(channel)
+    }
+  }, [fetchConfig])
+
+  const value = useMemo(() => {
+    // Tokens needed for a role (lowest tier granting it) or for a tier by key
+    const thresholdFor = (roleOrKey) => {
+      const matching = tiers.filter((tier) => tier.grants_role === roleOrKey || tier.key === roleOrKey)
+      return matching.length > 0 ? Math.min(...matching.map((tier) => tier.threshold)) : null
+    }
+
+    // Highest tier a balance reaches, or null
+    const tierFor = (balance) =>
+      [...tiers].reverse().find((tier) => (balance || 0) >= tier.threshold) || null
+
+    return {
+      mint: settings.mint,
+      decimals: settings.decimals,
+      gracePeriodHours: settings.grace_period_hours, // Before a token role downgrade applies
+      graceCooldownDays: settings.grace_cooldown_days, // Between two grace periods of one user
+      tiers,
+      isLoading,
+      thresholdFor,
+      tierFor,
+      refreshTokenConfig: fetchConfig,
+    }
+  }, [settings, tiers, isLoading, fetchConfig])
+
+  return (
+    <TokenConfigContext.Provider value={value}>
+      {children}
+    </TokenConfigContext.Provider>
+  )
+}
+
+export function useTokenConfig() {
+  const context = useContext(TokenConfigContext)
+  if (!context) {
+    throw new Error('useTokenConfig must be used within a TokenConfigProvider')
+  }
+  return context
+}
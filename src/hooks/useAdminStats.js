@@ -1,5 +1,6 @@
 import { useState } from 'react'
 import { supabase } from '@/lib/supabase'
+import { applyKeyset, getNextCursor } from '@/lib/pagination'
 
 export function useAdminStats() {
   const [stats, setStats] = useState(null)
@@ -179,25 +180,27 @@ export function useAdminStats() {
   }
 
   // Fetch all users (for admin user management)
-  const fetchAllUsers = async () => {
-    setIsLoading(true)
+  // Users newest first, a page at a time; pass the returned nextCursor for the next page
+  // Only the first page toggles isLoading, so loading more doesn't blank the dashboard
+  const fetchAllUsers = async ({ cursor = null } = {}) => {
+    if (!cursor) setIsLoading(true)
     setError(null)
 
     try {
-      const { data, error: fetchError } = await supabase
-        .from('profiles')
-        .select('*')
-        .order('created_at', { ascending: false })
+      const { data, count, error: fetchError } = await applyKeyset(
+        supabase.from('profiles').select('*', cursor ? {} : { count: 'exact' }),
+        { sortBy: 'created_at', cursor }
+      )
 
       if (fetchError) throw fetchError
 
-      return { data, error: null }
+      return { data, error: null, nextCursor: getNextCursor(data), totalCount: count ?? null }
     } catch (err) {
       console.error('Error fetching all users:', err)
       setError(err)
       return { data: null, error: err }
     } finally {
-      setIsLoading(false)
+      if (!cursor) setIsLoading(false)
     }
   }
 
@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase'
+import { useTokenConfig } from '@/context/TokenConfigContext'
 
 export function useApplications() {
+  const { thresholdFor } = useTokenConfig()
   const [applications, setApplications] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -114,6 +116,13 @@ export function useApplications() {
         .select()
         .single()
 
+      // RLS rejects the insert when the server-verified balance is too low
+      if (createError?.code === '42501') {
+        const threshold = thresholdFor('freelancer')
+        throw new Error(threshold !== null
+          ? `Applying to jobs needs at least ${threshold.toLocaleString()} verified tokens in your wallet`
+          : 'Applying to jobs needs more verified tokens in your wallet')
+      }
       if (createError) throw createError
 
       return { data, error: null }
@@ -1,5 +1,25 @@
 import { useState, useCallback, useRef } from 'react'
 import { supabase } from '@/lib/supabase'
+import { uploadAttachments } from '@/lib/attachments'
+
+const messageSelect = `
+  *,
+  sender:sender_id (
+    id,
+    nickname
+  ),
+  attachments:message_attachments (*),
+  reply_to:reply_to_id (
+    id,
+    content,
+    sender_id,
+    deleted_at,
+    sender:sender_id (
+      id,
+      nickname
+    )
+  )
+`
 
 export function useChat() {
   const [conversations, setConversations] = useState([])
@@ -11,6 +31,7 @@ export function useChat() {
   // Cache to reduce redundant API calls
   const conversationsCacheRef = useRef(new Map())
   const lastFetchRef = useRef({ userId: null, timestamp: 0 })
+  const typingChannelsRef = useRef(new Map())
 
   // Fetch all conversations for a user with caching
   const fetchConversations = useCallback(async (userId, forceRefresh = false) => {
@@ -35,12 +56,14 @@ export function useChat() {
           participant_1:participant_1_id (
             id,
             nickname,
-            rating
+            rating,
+            last_seen_at
           ),
           participant_2:participant_2_id (
             id,
             nickname,
-            rating
+            rating,
+            last_seen_at
           )
         `)
         .or(`participant_1_id.eq.${userId},participant_2_id.eq.${userId}`)
@@ -95,12 +118,14 @@ export function useChat() {
           participant_1:participant_1_id (
             id,
             nickname,
-            rating
+            rating,
+            last_seen_at
           ),
           participant_2:participant_2_id (
             id,
             nickname,
-            rating
+            rating,
+            last_seen_at
           )
         `)
         .eq('participant_1_id', participant1)
@@ -126,12 +151,14 @@ export function useChat() {
           participant_1:participant_1_id (
             id,
             nickname,
-            rating
+            rating,
+            last_seen_at
           ),
           participant_2:participant_2_id (
             id,
             nickname,
-            rating
+            rating,
+            last_seen_at
           )
         `)
         .single()
@@ -159,13 +186,7 @@ export function useChat() {
     try {
       let query = supabase
         .from('messages')
-        .select(`
-          *,
-          sender:sender_id (
-            id,
-            nickname
-          )
-        `)
+        .select(messageSelect)
         .eq('conversation_id', conversationId)
         .order('created_at', { ascending: true })
         .limit(limit)
@@ -189,41 +210,38 @@ export function useChat() {
     }
   }, [])
 
-  // Send a message
-  const sendMessage = useCallback(async (conversationId, senderId, content) => {
+  // Send a message, uploading any attachments first
+  // send_message records the message and its attachments together and bumps last_message_at
+  // @param {object} [options] - { files: File[], onProgress: (fraction) => void, replyToId }
+  const sendMessage = useCallback(async (conversationId, senderId, content, { files = [], onProgress, replyToId = null } = {}) => {
     setError(null)
 
     try {
       const trimmedContent = content.trim()
-      if (!trimmedContent) {
+      if (!trimmedContent && files.length === 0) {
         throw new Error('Message content cannot be empty')
       }
 
-      const { data, error: sendError } = await supabase
-        .from('messages')
-        .insert([{
-          conversation_id: conversationId,
-          sender_id: senderId,
-          content: trimmedContent,
-        }])
-        .select(`
-          *,
-          sender:sender_id (
-            id,
-            nickname
-          )
-        `)
-        .single()
+      const attachments = files.length > 0
+        ? await uploadAttachments(conversationId, files, onProgress)
+        : []
+
+      const { data: sent, error: sendError } = await supabase.rpc('send_message', {
+        p_conversation_id: conversationId,
+        p_content: trimmedContent,
+        p_attachments: attachments,
+        p_reply_to_id: replyToId,
+      })
 
       if (sendError) throw sendError
 
-      // Update conversation's last_message_at (fire and forget - non-blocking)
-      supabase
-        .from('conversations')
-        .update({ last_message_at: new Date().toISOString() })
-        .eq('id', conversationId)
-        .then()
-        .catch(console.error)
+      const { data, error: fetchError } = await supabase
+        .from('messages')
+        .select(messageSelect)
+        .eq('id', sent.id)
+        .single()
+
+      if (fetchError) throw fetchError
 
       // Update local conversations list order
       setConversations(prev => {
@@ -245,6 +263,63 @@ export function useChat() {
     }
   }, [])
 
+  // Edit own message; the previous text is kept in message_edits
+  const editMessage = useCallback(async (messageId, content) => {
+    setError(null)
+
+    try {
+      const { data, error: editError } = await supabase.rpc('edit_message', {
+        p_message_id: messageId,
+        p_content: content,
+      })
+
+      if (editError) throw editError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error editing message:', err)
+      setError(err)
+      return { data: null, error: err }
+    }
+  }, [])
+
+  // Delete own message for everyone (the row stays as a "deleted" placeholder)
+  const deleteMessage = useCallback(async (messageId) => {
+    setError(null)
+
+    try {
+      const { data, error: deleteError } = await supabase.rpc('delete_message', {
+        p_message_id: messageId,
+      })
+
+      if (deleteError) throw deleteError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error deleting message:', err)
+      setError(err)
+      return { data: null, error: err }
+    }
+  }, [])
+
+  // Previous versions of an edited message, oldest first
+  const fetchMessageEdits = useCallback(async (messageId) => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('message_edits')
+        .select('*')
+        .eq('message_id', messageId)
+        .order('edited_at', { ascending: true })
+
+      if (fetchError) throw fetchError
+
+      return { data: data || [], error: null }
+    } catch (err) {
+      console.error('Error fetching message edits:', err)
+      return { data: null, error: err }
+    }
+  }, [])
+
   // Mark messages as read (fire and forget - non-blocking)
   const markMessagesAsRead = useCallback((conversationId, userId) => {
     supabase
@@ -258,7 +333,8 @@ export function useChat() {
   }, [])
 
   // Subscribe to new messages in a conversation
-  const subscribeToMessages = useCallback((conversationId, callback) => {
+  // onUpdate receives the changed row (edits, deletes, read receipts) to merge into the local copy
+  const subscribeToMessages = useCallback((conversationId, callback, onUpdate) => {
     const channelName = `messages:${conversationId}:${Date.now()}`
     
     const channel = supabase
@@ -275,13 +351,7 @@ export function useChat() {
           // Fetch the full message with sender info
           const { data } = await supabase
             .from('messages')
-            .select(`
-              *,
-              sender:sender_id (
-                id,
-                nickname
-              )
-            `)
+            .select(messageSelect)
             .eq('id', payload.new.id)
             .single()
 
@@ -290,13 +360,58 @@ export function useChat() {
           }
         }
       )
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'messages',
+          filter: `conversation_id=eq.${conversationId}`,
+        },
+        (payload) => onUpdate?.(payload.new)
+      )
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(channel)
+    }
+  }, [])
+
+  // Subscribe to the other participant's typing events (private broadcast channel per conversation)
+  const subscribeToTyping = useCallback((conversationId, userId, callback) => {
+    const channel = supabase
+      .channel(`typing:${conversationId}`, {
+        config: { private: true, broadcast: { self: false } },
+      })
+      .on('broadcast', { event: 'typing' }, ({ payload }) => {
+        if (payload?.user_id && payload.user_id !== userId) {
+          callback(payload)
+        }
+      })
       .subscribe()
 
+    typingChannelsRef.current.set(conversationId, channel)
+
     return () => {
+      typingChannelsRef.current.delete(conversationId)
       supabase.removeChannel(channel)
     }
   }, [])
 
+  // Tell the other participant we started or stopped typing (requires subscribeToTyping)
+  const sendTyping = useCallback((conversationId, userId, isTyping) => {
+    const channel = typingChannelsRef.current.get(conversationId)
+    if (!channel) return
+
+    channel
+      .send({
+        type: 'broadcast',
+        event: 'typing',
+        payload: { user_id: userId, is_typing: isTyping },
+      })
+      .catch(console.error)
+  }, [])
+
   // Get unread message count with caching
   const getUnreadCount = useCallback(async (userId) => {
     try {
@@ -404,9 +519,14 @@ export function useChat() {
     getOrCreateConversation,
     fetchMessages,
     sendMessage,
+    editMessage,
+    deleteMessage,
+    fetchMessageEdits,
     markMessagesAsRead,
     subscribeToMessages,
     subscribeToConversations,
+    subscribeToTyping,
+    sendTyping,
     getUnreadCount,
     clearMessages,
     addMessageLocally,
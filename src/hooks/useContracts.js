@@ -1,5 +1,47 @@
 import { useState, useEffect } from 'react'
-import { supabase } from '@/lib/supabase'
+import { supabase, invokeFunction } from '@/lib/supabase'
+import {
+  fundEscrow as fundEscrowOnChain,
+  releaseEscrow as releaseEscrowOnChain,
+  refundEscrow as refundEscrowOnChain,
+} from '@/lib/escrow'
+import { getWalletProvider } from '@/lib/wallet'
+import { getContractRole, assertContractTransition } from '@/lib/contractStateMachine'
+import { createSubmission } from '@/hooks/useSubmissions'
+
+/**
+ * Current state of a contract and the signed-in user's side of it
+ * @param {string} [columns] - Extra columns to select
+ */
+export async function fetchContractForTransition(contractId, columns = '') {
+  const [{ data: { session } }, { data: contract, error }] = await Promise.all([
+    supabase.auth.getSession(),
+    supabase
+      .from('contracts')
+      .select(`id, status, client_id, freelancer_id, billing_type${columns ? `, ${columns}` : ''}`)
+      .eq('id', contractId)
+      .single(),
+  ])
+
+  if (error) throw error
+
+  return { contract, role: getContractRole(contract, session?.user?.id) }
+}
+
+/**
+ * Record a confirmed escrow transaction on a contract, milestone or timesheet
+ * Escrow columns are only written by the escrow-sync Edge Function, which
+ * checks the transaction and the escrow account on-chain first.
+ * @param {'contract'|'milestone'|'timesheet'} target
+ * @param {string} id - Contract, milestone or timesheet id
+ * @param {'fund'|'release'|'refund'|'freeze'|'pay'} action - Timesheets are only paid
+ * @param {string} [signature] - Transaction signature (not needed to record a freeze)
+ * @returns {Promise<object>} The updated contract, milestone or timesheet
+ */
+export async function syncEscrow(target, id, action, signature) {
+  const { record } = await invokeFunction('escrow-sync', { target, id, action, signature })
+  return record
+}
 
 export function useContracts() {
   const [contracts, setContracts] = useState([])
@@ -25,7 +67,8 @@ export function useContracts() {
             id,
             nickname,
             rating,
-            review_count
+            review_count,
+            wallet_address
           ),
           job_post:job_post_id (
             id,
@@ -36,7 +79,8 @@ export function useContracts() {
             id,
             title,
             category
-          )
+          ),
+          milestones:contract_milestones (*)
         `)
         .eq('client_id', clientId)
         .order('created_at', { ascending: false })
@@ -90,7 +134,8 @@ export function useContracts() {
             id,
             title,
             category
-          )
+          ),
+          milestones:contract_milestones (*)
         `)
         .eq('freelancer_id', freelancerId)
         .order('created_at', { ascending: false })
@@ -134,7 +179,8 @@ export function useContracts() {
             id,
             nickname,
             rating,
-            review_count
+            review_count,
+            wallet_address
           ),
           job_post:job_post_id (
             id,
@@ -145,7 +191,8 @@ export function useContracts() {
             id,
             title,
             category
-          )
+          ),
+          milestones:contract_milestones (*)
         `)
         .single()
 
@@ -167,6 +214,9 @@ export function useContracts() {
     setError(null)
 
     try {
+      const { contract, role } = await fetchContractForTransition(contractId)
+      assertContractTransition(contract, status, role)
+
       const updates = { status }
 
       if (status === 'completed') {
@@ -177,6 +227,7 @@ export function useContracts() {
         .from('contracts')
         .update(updates)
         .eq('id', contractId)
+        .eq('status', contract.status)
         .select()
         .single()
 
@@ -197,35 +248,106 @@ export function useContracts() {
     return updateContractStatus(contractId, 'completed')
   }
 
-  // Cancel contract
+  // Cancel contract - refunds funded escrow (contract and milestones) to the client first
+  // Only the freelancer can refund on their own; a client with funded escrow
+  // has to ask the freelancer to cancel or open a dispute
   const cancelContract = async (contractId) => {
-    return updateContractStatus(contractId, 'cancelled')
-  }
-
-  // Submit work (freelancer action)
-  const submitWork = async (contractId, notes = null) => {
     setIsLoading(true)
     setError(null)
 
     try {
-      const updates = {
-        status: 'submitted',
-        submitted_at: new Date().toISOString()
+      const { contract: currentContract, role } = await fetchContractForTransition(
+        contractId,
+        'escrow_status, milestones:contract_milestones (id, escrow_status)'
+      )
+      assertContractTransition(currentContract, 'cancelled', role)
+
+      const fundedMilestones = (currentContract.milestones || []).filter((m) => m.escrow_status === 'funded')
+      if (role === 'client' && (currentContract.escrow_status === 'funded' || fundedMilestones.length > 0)) {
+        throw new Error('Funded escrow can only be refunded with the freelancer\'s agreement. Ask them to cancel the contract, or open a dispute.')
+      }
+
+      if (currentContract.escrow_status === 'funded') {
+        const { signature } = await refundEscrowOnChain(getWalletProvider(), contractId)
+        await syncEscrow('contract', contractId, 'refund', signature)
       }
 
-      if (notes) {
-        updates.description = notes
+      for (const milestone of fundedMilestones) {
+        const { signature } = await refundEscrowOnChain(getWalletProvider(), milestone.id)
+        await syncEscrow('milestone', milestone.id, 'refund', signature)
       }
 
       const { data, error: updateError } = await supabase
         .from('contracts')
-        .update(updates)
+        .update({ status: 'cancelled' })
         .eq('id', contractId)
+        .eq('status', currentContract.status)
         .select()
         .single()
 
       if (updateError) throw updateError
 
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error cancelling contract:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Fund escrow (client action) - locks agreed_amount SOL in the contract's escrow account
+  const fundEscrow = async (contract) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { contract: current, role } = await fetchContractForTransition(contract.id, 'escrow_status')
+
+      if (role !== 'client') {
+        throw new Error('Only the client can fund escrow')
+      }
+      if (current.billing_type === 'hourly') {
+        throw new Error('Hourly contracts are paid per approved timesheet')
+      }
+      if (!['active', 'submitted'].includes(current.status)) {
+        throw new Error(`Escrow cannot be funded on a ${current.status} contract`)
+      }
+      if (current.escrow_status !== 'unfunded') {
+        throw new Error('Escrow has already been funded for this contract')
+      }
+
+      const { signature } = await fundEscrowOnChain(getWalletProvider(), {
+        contractId: contract.id,
+        freelancerWallet: contract.freelancer?.wallet_address,
+        amountSol: contract.agreed_amount,
+      })
+
+      const data = await syncEscrow('contract', contract.id, 'fund', signature)
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error funding escrow:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Submit work (freelancer action) - records a new submission version with its deliverables
+  // @param {object} [submission] - { notes, files, links, commits } (see createSubmission)
+  const submitWork = async (contractId, submission = {}) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { contract, role } = await fetchContractForTransition(contractId)
+      assertContractTransition(contract, 'submitted', role)
+
+      const data = await createSubmission({ ...submission, contractId })
+
       return { data, error: null }
     } catch (err) {
       console.error('Error submitting work:', err)
@@ -236,21 +358,28 @@ export function useContracts() {
     }
   }
 
-  // Approve submitted work (client action)
+  // Approve submitted work (client action) - releases a funded escrow to the freelancer
   const approveWork = async (contractId) => {
     setIsLoading(true)
     setError(null)
 
     try {
-      const updates = {
-        status: 'completed',
-        completed_at: new Date().toISOString()
+      const { contract: currentContract, role } = await fetchContractForTransition(contractId, 'escrow_status')
+      assertContractTransition(currentContract, 'completed', role)
+
+      if (currentContract.escrow_status === 'funded') {
+        const { signature } = await releaseEscrowOnChain(getWalletProvider(), contractId)
+        await syncEscrow('contract', contractId, 'release', signature)
       }
 
       const { data, error: updateError } = await supabase
         .from('contracts')
-        .update(updates)
+        .update({
+          status: 'completed',
+          completed_at: new Date().toISOString()
+        })
         .eq('id', contractId)
+        .eq('status', currentContract.status)
         .select()
         .single()
 
@@ -272,11 +401,8 @@ export function useContracts() {
     setError(null)
 
     try {
-      const { data: currentContract } = await supabase
-        .from('contracts')
-        .select('revision_count')
-        .eq('id', contractId)
-        .single()
+      const { contract: currentContract, role } = await fetchContractForTransition(contractId, 'revision_count')
+      assertContractTransition(currentContract, 'active', role)
 
       const updates = {
         status: 'active',
@@ -288,6 +414,7 @@ export function useContracts() {
         .from('contracts')
         .update(updates)
         .eq('id', contractId)
+        .eq('status', currentContract.status)
         .select()
         .single()
 
@@ -324,7 +451,8 @@ export function useContracts() {
             nickname,
             rating,
             review_count,
-            skills
+            skills,
+            wallet_address
           ),
           job_post:job_post_id (
             id,
@@ -341,7 +469,8 @@ export function useContracts() {
             category,
             price,
             price_type
-          )
+          ),
+          milestones:contract_milestones (*)
         `)
         .eq('id', contractId)
         .single()
@@ -358,28 +487,27 @@ export function useContracts() {
     }
   }
 
-  // Update escrow amount
-  const updateEscrowAmount = async (contractId, amount) => {
-    setIsLoading(true)
-    setError(null)
-
+  // Contract history (status, escrow and milestone changes), oldest first
+  const fetchContractEvents = async (contractId) => {
     try {
-      const { data, error: updateError } = await supabase
-        .from('contracts')
-        .update({ escrow_amount: amount })
-        .eq('id', contractId)
-        .select()
-        .single()
+      const { data, error: fetchError } = await supabase
+        .from('contract_events')
+        .select(`
+          *,
+          actor:actor_id (
+            id,
+            nickname
+          )
+        `)
+        .eq('contract_id', contractId)
+        .order('created_at', { ascending: true })
 
-      if (updateError) throw updateError
+      if (fetchError) throw fetchError
 
-      return { data, error: null }
+      return { data: data || [], error: null }
     } catch (err) {
-      console.error('Error updating escrow:', err)
-      setError(err)
+      console.error('Error fetching contract events:', err)
       return { data: null, error: err }
-    } finally {
-      setIsLoading(false)
     }
   }
 
@@ -394,7 +522,8 @@ export function useContracts() {
     completeContract,
     cancelContract,
     fetchContractById,
-    updateEscrowAmount,
+    fetchContractEvents,
+    fundEscrow,
     submitWork,
     approveWork,
     requestRevisions,
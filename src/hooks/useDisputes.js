@@ -0,0 +1,366 @@
+import { useState, useCallback } from 'react'
+import { supabase } from '@/lib/supabase'
+import {
+  MAX_BPS,
+  fetchEscrowState,
+  disputeEscrow as disputeEscrowOnChain,
+  resolveEscrow as resolveEscrowOnChain,
+} from '@/lib/escrow'
+import { getWalletProvider } from '@/lib/wallet'
+import { syncEscrow } from '@/hooks/useContracts'
+
+const EVENT_SELECT = `
+  *,
+  actor:actor_id (
+    id,
+    nickname,
+    user_type
+  )
+`
+
+const DISPUTE_SELECT = `
+  *,
+  opener:opened_by (
+    id,
+    nickname
+  ),
+  contract:contract_id (
+    *,
+    client:client_id (
+      id,
+      nickname,
+      wallet_address
+    ),
+    freelancer:freelancer_id (
+      id,
+      nickname,
+      wallet_address
+    ),
+    job_post:job_post_id (
+      id,
+      title,
+      description
+    ),
+    service_post:service_post_id (
+      id,
+      title,
+      description
+    ),
+    milestones:contract_milestones (*)
+  )
+`
+
+/**
+ * Escrow accounts holding funds for a contract: the contract's own escrow
+ * and any funded milestones. Frozen (disputed) escrows still hold funds.
+ */
+export function getHeldEscrows(contract) {
+  const held = ['funded', 'disputed']
+  const escrows = []
+
+  if (held.includes(contract?.escrow_status)) {
+    escrows.push({ id: contract.id, title: contract.title, amount: Number(contract.escrow_amount || contract.agreed_amount || 0), status: contract.escrow_status })
+  }
+
+  for (const milestone of contract?.milestones || []) {
+    if (held.includes(milestone.escrow_status)) {
+      escrows.push({ id: milestone.id, title: milestone.title, amount: Number(milestone.amount), status: milestone.escrow_status })
+    }
+  }
+
+  return escrows
+}
+
+export function useDisputes() {
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Open a dispute (client or freelancer)
+  // Every funded escrow is frozen on-chain and recorded first; open_dispute
+  // refuses the dispute while any of them is still releasable
+  const openDispute = async (contract, { reason, evidence = '', evidenceUrls = [] }) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      for (const escrow of getHeldEscrows(contract).filter(e => e.status === 'funded')) {
+        // Frozen by an earlier attempt that didn't get recorded
+        const state = await fetchEscrowState(escrow.id)
+        if (!state?.disputed) {
+          await disputeEscrowOnChain(getWalletProvider(), escrow.id)
+        }
+        await syncEscrow(escrow.id === contract.id ? 'contract' : 'milestone', escrow.id, 'freeze')
+      }
+
+      const { data: dispute, error: openError } = await supabase.rpc('open_dispute', {
+        p_contract_id: contract.id,
+        p_reason: reason,
+        p_evidence: evidence,
+        p_evidence_urls: evidenceUrls,
+      })
+
+      if (openError) throw openError
+
+      return { data: dispute, error: null }
+    } catch (err) {
+      console.error('Error opening dispute:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Most recent dispute for a contract with its timeline
+  const fetchContractDispute = async (contractId) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { data: dispute, error: fetchError } = await supabase
+        .from('disputes')
+        .select(`
+          *,
+          opener:opened_by (
+            id,
+            nickname
+          )
+        `)
+        .eq('contract_id', contractId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle()
+
+      if (fetchError) throw fetchError
+      if (!dispute) return { data: null, error: null }
+
+      const { data: events, error: eventsError } = await fetchDisputeEvents(dispute.id)
+      if (eventsError) throw eventsError
+
+      return { data: { ...dispute, events }, error: null }
+    } catch (err) {
+      console.error('Error fetching contract dispute:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Dispute timeline, oldest first
+  const fetchDisputeEvents = useCallback(async (disputeId) => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('dispute_events')
+        .select(EVENT_SELECT)
+        .eq('dispute_id', disputeId)
+        .order('created_at', { ascending: true })
+
+      if (fetchError) throw fetchError
+
+      return { data: data || [], error: null }
+    } catch (err) {
+      console.error('Error fetching dispute events:', err)
+      return { data: null, error: err }
+    }
+  }, [])
+
+  // Add evidence to an open dispute (parties and admins)
+  const addEvidence = async (disputeId, message, urls = []) => {
+    setError(null)
+
+    try {
+      if (!message?.trim() && urls.length === 0) {
+        throw new Error('Add a note or at least one link')
+      }
+
+      const { data, error: rpcError } = await supabase.rpc('add_dispute_event', {
+        p_dispute_id: disputeId,
+        p_event_type: 'evidence',
+        p_message: message,
+        p_metadata: { urls },
+      })
+
+      if (rpcError) throw rpcError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error adding dispute evidence:', err)
+      setError(err)
+      return { data: null, error: err }
+    }
+  }
+
+  // Subscribe to new timeline entries
+  const subscribeToDisputeEvents = useCallback((disputeId, callback) => {
+    const channel = supabase
+      .channel(`dispute_events:${disputeId}:${Date.now()}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'dispute_events',
+          filter: `dispute_id=eq.${disputeId}`,
+        },
+        async (payload) => {
+          const { data } = await supabase
+            .from('dispute_events')
+            .select(EVENT_SELECT)
+            .eq('id', payload.new.id)
+            .single()
+
+          if (data) {
+            callback(data)
+          }
+        }
+      )
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(channel)
+    }
+  }, [])
+
+  // Admin queue
+  const fetchDisputes = async (status = 'open') => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      let query = supabase
+        .from('disputes')
+        .select(DISPUTE_SELECT)
+        .order('created_at', { ascending: status === 'open' })
+
+      if (status) {
+        query = query.eq('status', status)
+      }
+
+      const { data, error: fetchError } = await query
+
+      if (fetchError) throw fetchError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error fetching disputes:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Everything an admin needs to decide a dispute: timeline and the parties' chat
+  const fetchDisputeCase = async (dispute) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { client_id: clientId, freelancer_id: freelancerId } = dispute.contract
+      const [participant1, participant2] = clientId < freelancerId
+        ? [clientId, freelancerId]
+        : [freelancerId, clientId]
+
+      const [{ data: events, error: eventsError }, { data: conversation, error: convError }] = await Promise.all([
+        fetchDisputeEvents(dispute.id),
+        supabase
+          .from('conversations')
+          .select('id')
+          .eq('participant_1_id', participant1)
+          .eq('participant_2_id', participant2)
+          .maybeSingle(),
+      ])
+
+      if (eventsError) throw eventsError
+      if (convError) throw convError
+
+      let messages = []
+      if (conversation) {
+        const { data, error: messagesError } = await supabase
+          .from('messages')
+          .select(`
+            *,
+            sender:sender_id (
+              id,
+              nickname
+            ),
+            attachments:message_attachments (*)
+          `)
+          .eq('conversation_id', conversation.id)
+          .order('created_at', { ascending: true })
+
+        if (messagesError) throw messagesError
+        messages = data || []
+      }
+
+      return { data: { events, messages }, error: null }
+    } catch (err) {
+      console.error('Error fetching dispute case:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Resolve a dispute (admin action) - settles every held escrow with the
+  // arbiter wallet, then records the outcome
+  // resolution: 'refund' | 'release' | 'split' (freelancerSharePercent applies to split)
+  const resolveDispute = async (dispute, { resolution, freelancerSharePercent = 0, notes = '' }) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const bps = resolution === 'release'
+        ? MAX_BPS
+        : resolution === 'refund'
+          ? 0
+          : Math.round(Number(freelancerSharePercent) * 100)
+
+      if (!Number.isInteger(bps) || bps < 0 || bps > MAX_BPS) {
+        throw new Error('Freelancer share must be between 0 and 100%')
+      }
+
+      const signatures = {}
+      for (const escrow of getHeldEscrows(dispute.contract)) {
+        // Already settled by an earlier, partially failed attempt
+        if (!(await fetchEscrowState(escrow.id))) continue
+
+        const { signature } = await resolveEscrowOnChain(getWalletProvider(), escrow.id, bps)
+        signatures[escrow.id] = signature
+      }
+
+      const { data, error: rpcError } = await supabase.rpc('resolve_dispute', {
+        p_dispute_id: dispute.id,
+        p_resolution: resolution,
+        p_freelancer_share_bps: bps,
+        p_notes: notes,
+        p_signatures: signatures,
+      })
+
+      if (rpcError) throw rpcError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error resolving dispute:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return {
+    isLoading,
+    error,
+    openDispute,
+    fetchContractDispute,
+    fetchDisputeEvents,
+    addEvidence,
+    subscribeToDisputeEvents,
+    fetchDisputes,
+    fetchDisputeCase,
+    resolveDispute,
+  }
+}
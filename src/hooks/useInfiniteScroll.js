@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react'
+
+/**
+ * Calls onLoadMore when the returned sentinel ref scrolls into view
+ * Attach the ref to an element after the last item; it re-arms after each load,
+ * so a short page keeps loading until the viewport is filled or hasMore is false
+ */
+export function useInfiniteScroll({ hasMore, isLoading, onLoadMore, rootMargin = '400px' }) {
+  const sentinelRef = useRef(null)
+  const onLoadMoreRef = useRef(onLoadMore)
+  onLoadMoreRef.current = onLoadMore
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!sentinel || !hasMore || isLoading) return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0]?.isIntersecting) onLoadMoreRef.current()
+    }, { rootMargin })
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [hasMore, isLoading, rootMargin])
+
+  return sentinelRef
+}
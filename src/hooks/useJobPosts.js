@@ -1,80 +1,147 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useRef } from 'react'
 import { supabase } from '@/lib/supabase'
+import { useTokenConfig } from '@/context/TokenConfigContext'
+import { withSearchResults } from '@/lib/search'
+import { PAGE_SIZE, applyKeyset, getNextCursor } from '@/lib/pagination'
 
-export function useJobPosts() {
-  const [jobs, setJobs] = useState([])
+// initial: { items, totalCount, nextCursor, filters } to resume a listing loaded earlier
+export function useJobPosts(initial = null) {
+  const { thresholdFor } = useTokenConfig()
+  const [jobs, setJobs] = useState(initial?.items || [])
+  const [totalCount, setTotalCount] = useState(initial?.totalCount ?? null)
+  const [nextCursor, setNextCursor] = useState(initial?.nextCursor ?? null)
   const [isLoading, setIsLoading] = useState(false) // Start as false, only true when actively fetching
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
   const [error, setError] = useState(null)
 
-  // Fetch all jobs with filters
-  const fetchJobs = useCallback(async (filters = {}) => {
+  // Filters of the listing being paged, and the id of its latest first-page request
+  const filtersRef = useRef(initial?.filters || {})
+  const requestRef = useRef(0)
+
+  // Fetch a page of jobs with filters; the first page unless a cursor is given,
+  // in which case the page is appended to the listing
+  // With filters.search the matches come from search_jobs, ranked or sorted by sortBy
+  const fetchJobs = useCallback(async (filters = {}, { cursor = null } = {}) => {
     console.log('[useJobPosts] fetchJobs called with filters:', filters)
+    const request = cursor ? requestRef.current : ++requestRef.current
+    if (!cursor) filtersRef.current = filters
+
     try {
-      setIsLoading(true)
+      if (cursor) setIsLoadingMore(true)
+      else setIsLoading(true)
       setError(null)
 
-      let query = supabase
-        .from('job_posts')
-        .select(`
-          *,
-          client:profiles!client_id(id, nickname, rating, review_count, user_type)
-        `)
+      // Sort (relevance without a search is newest first)
+      const sortBy = !filters.sortBy || filters.sortBy === 'relevance' ? 'created_at' : filters.sortBy
+      const ascending = filters.sortOrder === 'asc'
 
-      // Apply filters
-      if (filters.status) {
-        query = query.eq('status', filters.status)
-      } else {
-        query = query.in('status', ['open', 'in_progress'])
-      }
+      let matches = null
+      if (filters.search?.trim()) {
+        const { data: searchData, error: searchError } = await supabase.rpc('search_jobs', {
+          p_query: filters.search,
+          p_statuses: filters.status ? [filters.status] : ['open', 'in_progress'],
+          p_category: filters.category || null,
+          p_skills: filters.skills?.length > 0 ? filters.skills : null,
+          p_budget_min: filters.budgetMin ?? null,
+          p_budget_max: filters.budgetMax ?? null,
+          p_sort: filters.sortBy || 'relevance',
+          p_ascending: ascending,
+          p_after_value: cursor?.value ?? null,
+          p_after_id: cursor?.id ?? null,
+          p_limit: PAGE_SIZE,
+        })
 
-      if (filters.category) {
-        query = query.eq('category', filters.category)
-      }
+        if (searchError) throw searchError
 
-      if (filters.skills && filters.skills.length > 0) {
-        query = query.overlaps('skills', filters.skills)
+        matches = searchData || []
       }
 
-      if (filters.budgetMin !== undefined) {
-        query = query.gte('budget', filters.budgetMin)
-      }
+      let data = []
+      let count = null
+      if (!matches || matches.length > 0) {
+        let query = supabase
+          .from('job_posts')
+          .select(`
+            *,
+            client:profiles!client_id(id, nickname, rating, review_count, user_type)
+          `, matches || cursor ? {} : { count: 'exact' })
 
-      if (filters.budgetMax !== undefined) {
-        query = query.lte('budget', filters.budgetMax)
-      }
+        if (matches) {
+          // The search already applied the filters, sort and cursor
+          query = query.in('id', matches.map((match) => match.id))
+        } else {
+          // Apply filters
+          if (filters.status) {
+            query = query.eq('status', filters.status)
+          } else {
+            query = query.in('status', ['open', 'in_progress'])
+          }
 
-      if (filters.search) {
-        query = query.or(`title.ilike.%${filters.search}%,description.ilike.%${filters.search}%`)
-      }
+          if (filters.category) {
+            query = query.eq('category', filters.category)
+          }
+
+          if (filters.skills && filters.skills.length > 0) {
+            query = query.overlaps('skills', filters.skills)
+          }
+
+          if (filters.budgetMin !== undefined) {
+            query = query.gte('budget', filters.budgetMin)
+          }
 
-      // Sort
-      const sortBy = filters.sortBy || 'created_at'
-      const sortOrder = filters.sortOrder || 'desc'
-      query = query.order(sortBy, { ascending: sortOrder === 'asc' })
+          if (filters.budgetMax !== undefined) {
+            query = query.lte('budget', filters.budgetMax)
+          }
 
-      console.log('[useJobPosts] Executing Supabase query...')
+          query = applyKeyset(query, { sortBy, ascending, cursor })
+        }
 
-      // Execute query
-      const { data, error: fetchError } = await query
+        console.log('[useJobPosts] Executing Supabase query...')
 
-      console.log('[useJobPosts] Query complete. Data:', data?.length, 'Error:', fetchError)
+        // Execute query
+        const { data: rows, count: rowCount, error: fetchError } = await query
 
-      if (fetchError) {
-        throw fetchError
+        console.log('[useJobPosts] Query complete. Data:', rows?.length, 'Error:', fetchError)
+
+        if (fetchError) {
+          throw fetchError
+        }
+
+        data = matches ? withSearchResults(rows || [], matches) : rows || []
+        count = rowCount ?? null
       }
 
-      setJobs(data || [])
-      return { data, error: null }
+      const lastMatch = matches?.[matches.length - 1]
+      const next = matches
+        ? (matches.length < PAGE_SIZE ? null : { value: lastMatch.sort_value, id: lastMatch.id })
+        : getNextCursor(data, sortBy)
+
+      // A newer search or filter change replaced this listing
+      if (request !== requestRef.current) return { data, error: null, nextCursor: next }
+
+      setJobs((prev) => (cursor ? [...prev, ...data] : data))
+      setNextCursor(next)
+      if (!cursor) setTotalCount(matches ? Number(matches[0]?.total_count ?? 0) : count)
+      return { data, error: null, nextCursor: next }
     } catch (err) {
       console.error('[useJobPosts] Error fetching jobs:', err)
-      const errorMessage = err.message || 'Failed to fetch jobs. Please try again.'
-      setError(errorMessage)
+      if (request === requestRef.current) {
+        const errorMessage = err.message || 'Failed to fetch jobs. Please try again.'
+        setError(errorMessage)
+      }
       return { data: null, error: err }
     } finally {
-      setIsLoading(false)
+      if (cursor) setIsLoadingMore(false)
+      else if (request === requestRef.current) setIsLoading(false)
     }
   }, [])
 
+  // Fetch the page after the loaded jobs (infinite scroll)
+  const fetchMoreJobs = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return { data: [], error: null }
+    return fetchJobs(filtersRef.current, { cursor: nextCursor })
+  }, [fetchJobs, nextCursor, isLoadingMore])
+
   // Fetch single job by ID
   const fetchJobById = async (id) => {
     try {
@@ -111,6 +178,13 @@ export function useJobPosts() {
         `)
         .single()
 
+      // RLS rejects the insert when the server-verified balance is too low
+      if (createError?.code === '42501') {
+        const threshold = thresholdFor('client')
+        throw new Error(threshold !== null
+          ? `Posting jobs needs at least ${threshold.toLocaleString()} verified tokens in your wallet`
+          : 'Posting jobs needs more verified tokens in your wallet')
+      }
       if (createError) throw createError
 
       return { data, error: null }
@@ -179,9 +253,14 @@ export function useJobPosts() {
 
   return {
     jobs,
+    totalCount,
+    nextCursor,
+    hasMore: nextCursor !== null,
     isLoading,
+    isLoadingMore,
     error,
     fetchJobs,
+    fetchMoreJobs,
     fetchJobById,
     createJob,
     updateJob,
@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/context/AuthContext'
+
+// Must match MAX_LINKED_WALLETS in supabase/functions/link-wallet
+export const MAX_LINKED_WALLETS = 10
+
+/**
+ * The signed-in user's linked wallets, primary first
+ * Linking needs a wallet signature and goes through useAuth().linkWallet;
+ * see supabase/migrations/20261019002400_linked_wallets.sql
+ */
+export function useLinkedWallets() {
+  const { user, linkWallet: linkAuthWallet, refreshProfile, refreshTokenGate } = useAuth()
+  const [wallets, setWallets] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+
+  const fetchWallets = useCallback(async () => {
+    if (!user) return { data: [], error: null }
+    setIsLoading(true)
+
+    try {
+      const { data, error } = await supabase
+        .from('profile_wallets')
+        .select('*')
+        .eq('profile_id', user.id)
+        .order('is_primary', { ascending: false })
+        .order('created_at', { ascending: true })
+
+      if (error) throw error
+
+      setWallets(data || [])
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error fetching linked wallets:', err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }, [user])
+
+  useEffect(() => {
+    fetchWallets()
+  }, [fetchWallets])
+
+  // Re-read the list, the profile's wallet_address and the combined balance
+  const refreshAll = useCallback(
+    () => Promise.all([fetchWallets(), refreshProfile(), refreshTokenGate()]),
+    [fetchWallets, refreshProfile, refreshTokenGate]
+  )
+
+  const linkWallet = useCallback(async () => {
+    const result = await linkAuthWallet()
+    if (!result.error) await fetchWallets()
+    return result
+  }, [linkAuthWallet, fetchWallets])
+
+  // The primary wallet receives payouts
+  const setPrimaryWallet = useCallback(async (walletId) => {
+    try {
+      const { error } = await supabase.rpc('set_primary_wallet', { p_wallet_id: walletId })
+      if (error) throw error
+
+      await refreshAll()
+      return { error: null }
+    } catch (err) {
+      console.error('Error setting primary wallet:', err)
+      return { error: err }
+    }
+  }, [refreshAll])
+
+  const unlinkWallet = useCallback(async (walletId) => {
+    try {
+      const { error } = await supabase.rpc('unlink_wallet', { p_wallet_id: walletId })
+      if (error) throw error
+
+      await refreshAll()
+      return { error: null }
+    } catch (err) {
+      console.error('Error unlinking wallet:', err)
+      return { error: err }
+    }
+  }, [refreshAll])
+
+  return {
+    wallets,
+    isLoading,
+    fetchWallets,
+    linkWallet,
+    setPrimaryWallet,
+    unlinkWallet,
+  }
+}
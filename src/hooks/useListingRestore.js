@@ -0,0 +1,45 @@
+import { useEffect, useRef, useState } from 'react'
+import { useNavigationType } from 'react-router-dom'
+import { saveListingSnapshot, getListingSnapshot } from '@/lib/pagination'
+
+/**
+ * Keeps a listing's loaded pages and scroll position for back navigation
+ * getSnapshot returns what the page needs to rebuild itself (filters, items, cursor);
+ * it is saved when the page unmounts. Returns the saved snapshot when the user came
+ * back with the browser's back/forward buttons, otherwise null.
+ * Pass ready: false while the page shows a loading state instead of the list.
+ */
+export function useListingRestore(key, getSnapshot, { ready = true } = {}) {
+  const navigationType = useNavigationType()
+  const [snapshot] = useState(() => (navigationType === 'POP' ? getListingSnapshot(key) : null))
+
+  const getSnapshotRef = useRef(getSnapshot)
+  getSnapshotRef.current = getSnapshot
+
+  // Track the scroll position as it changes; by the time the page unmounts the
+  // next route is already rendered and window.scrollY no longer belongs to the list
+  const scrollYRef = useRef(snapshot?.scrollY ?? 0)
+
+  useEffect(() => {
+    const handleScroll = () => { scrollYRef.current = window.scrollY }
+    window.addEventListener('scroll', handleScroll, { passive: true })
+
+    return () => {
+      window.removeEventListener('scroll', handleScroll)
+      saveListingSnapshot(key, { ...getSnapshotRef.current(), scrollY: scrollYRef.current })
+    }
+  }, [key])
+
+  // Scroll back once the restored items have rendered
+  const scrolledRef = useRef(false)
+  useEffect(() => {
+    if (!snapshot || !ready || scrolledRef.current) return
+    const frame = requestAnimationFrame(() => {
+      scrolledRef.current = true
+      window.scrollTo(0, snapshot.scrollY)
+    })
+    return () => cancelAnimationFrame(frame)
+  }, [snapshot, ready])
+
+  return snapshot
+}
@@ -0,0 +1,359 @@
+import { useState } from 'react'
+import { supabase } from '@/lib/supabase'
+import {
+  fundEscrow as fundEscrowOnChain,
+  releaseEscrow as releaseEscrowOnChain,
+} from '@/lib/escrow'
+import { getWalletProvider } from '@/lib/wallet'
+import { fetchContractForTransition, syncEscrow } from '@/hooks/useContracts'
+import { createSubmission } from '@/hooks/useSubmissions'
+import {
+  getContractRole,
+  assertContractTransition,
+  assertMilestoneTransition,
+} from '@/lib/contractStateMachine'
+
+/**
+ * Milestone helpers
+ * Each milestone has its own escrow account, seeded with the milestone id
+ */
+export const sortMilestones = (milestones = []) =>
+  [...milestones].sort((a, b) => a.position - b.position)
+
+export const hasMilestones = (contract) => (contract?.milestones?.length || 0) > 0
+
+export function getMilestoneProgress(milestones = []) {
+  const total = milestones.reduce((sum, m) => sum + Number(m.amount || 0), 0)
+  const approved = milestones
+    .filter((m) => m.status === 'approved')
+    .reduce((sum, m) => sum + Number(m.amount || 0), 0)
+
+  return {
+    total,
+    approved,
+    approvedCount: milestones.filter((m) => m.status === 'approved').length,
+    percent: total > 0 ? Math.round((approved / total) * 100) : 0,
+  }
+}
+
+// Contract status follows its milestones: completed when all are approved,
+// submitted while any is awaiting review, otherwise active
+function deriveContractStatus(milestones) {
+  if (milestones.length > 0 && milestones.every((m) => m.status === 'approved')) {
+    return 'completed'
+  }
+  if (milestones.some((m) => m.status === 'submitted')) {
+    return 'submitted'
+  }
+  return 'active'
+}
+
+// Current state of a milestone, its contract and the signed-in user's side of it
+async function fetchMilestoneForTransition(milestoneId, columns = '') {
+  const [{ data: { session } }, { data: milestone, error }] = await Promise.all([
+    supabase.auth.getSession(),
+    supabase
+      .from('contract_milestones')
+      .select(`
+        id,
+        status,
+        contract_id,
+        ${columns ? `${columns},` : ''}
+        contract:contract_id (
+          id,
+          status,
+          client_id,
+          freelancer_id
+        )
+      `)
+      .eq('id', milestoneId)
+      .single(),
+  ])
+
+  if (error) throw error
+
+  if (!['active', 'submitted'].includes(milestone.contract.status)) {
+    throw new Error(`Milestones of a ${milestone.contract.status} contract cannot change`)
+  }
+
+  return { milestone, role: getContractRole(milestone.contract, session?.user?.id) }
+}
+
+async function syncContractStatus(contractId) {
+  const [{ contract, role }, { data: milestones, error: fetchError }] = await Promise.all([
+    fetchContractForTransition(contractId),
+    supabase
+      .from('contract_milestones')
+      .select('status, amount')
+      .eq('contract_id', contractId),
+  ])
+
+  if (fetchError) throw fetchError
+
+  const status = deriveContractStatus(milestones || [])
+  if (status === contract.status) return contract
+
+  assertContractTransition(contract, status, role)
+
+  const updates = { status }
+
+  if (status === 'completed') {
+    updates.completed_at = new Date().toISOString()
+  }
+  if (status === 'submitted') {
+    updates.submitted_at = new Date().toISOString()
+  }
+
+  const { data, error: updateError } = await supabase
+    .from('contracts')
+    .update(updates)
+    .eq('id', contractId)
+    .eq('status', contract.status)
+    .select()
+    .single()
+
+  if (updateError) throw updateError
+
+  return data
+}
+
+export function useMilestones() {
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Fetch milestones for a contract
+  const fetchMilestones = async (contractId) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('contract_milestones')
+        .select('*')
+        .eq('contract_id', contractId)
+        .order('position', { ascending: true })
+
+      if (fetchError) throw fetchError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error fetching milestones:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Add milestones to a contract (client action)
+  // The database keeps agreed_amount equal to the sum of all milestones
+  const createMilestones = async (contractId, milestones) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      if (!milestones?.length) {
+        throw new Error('At least one milestone is required')
+      }
+
+      const { contract, role } = await fetchContractForTransition(contractId)
+      if (role !== 'client') {
+        throw new Error('Only the client can add milestones')
+      }
+      if (!['active', 'submitted'].includes(contract.status)) {
+        throw new Error(`Milestones cannot be added to a ${contract.status} contract`)
+      }
+      if (contract.billing_type === 'hourly') {
+        throw new Error('Hourly contracts are paid per timesheet, not per milestone')
+      }
+
+      const { data: existing, error: fetchError } = await supabase
+        .from('contract_milestones')
+        .select('position')
+        .eq('contract_id', contractId)
+
+      if (fetchError) throw fetchError
+
+      const startPosition = existing.reduce((max, m) => Math.max(max, m.position + 1), 0)
+
+      const rows = milestones.map((milestone, index) => ({
+        contract_id: contractId,
+        position: startPosition + index,
+        title: milestone.title.trim(),
+        description: milestone.description?.trim() || null,
+        amount: Number(milestone.amount),
+        due_date: milestone.due_date || null,
+      }))
+
+      if (rows.some((row) => !row.title || !(row.amount > 0))) {
+        throw new Error('Every milestone needs a title and an amount greater than zero')
+      }
+
+      const { data, error: insertError } = await supabase
+        .from('contract_milestones')
+        .insert(rows)
+        .select()
+
+      if (insertError) throw insertError
+
+      return { data: sortMilestones(data), error: null }
+    } catch (err) {
+      console.error('Error creating milestones:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Fund a milestone (client action) - locks its amount in a dedicated escrow account
+  const fundMilestone = async (milestone, contract) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { milestone: current, role } = await fetchMilestoneForTransition(milestone.id, 'escrow_status')
+      assertMilestoneTransition(current, 'active', role)
+
+      if (current.escrow_status !== 'unfunded') {
+        throw new Error('This milestone has already been funded')
+      }
+
+      const { signature } = await fundEscrowOnChain(getWalletProvider(), {
+        contractId: milestone.id,
+        freelancerWallet: contract.freelancer?.wallet_address,
+        amountSol: milestone.amount,
+      })
+
+      await syncEscrow('milestone', milestone.id, 'fund', signature)
+
+      const { data, error: updateError } = await supabase
+        .from('contract_milestones')
+        .update({ status: 'active' })
+        .eq('id', milestone.id)
+        .eq('status', current.status)
+        .select()
+        .single()
+
+      if (updateError) throw updateError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error funding milestone:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Submit milestone work (freelancer action) - records a new submission version with its deliverables
+  // @param {object} [submission] - { notes, files, links, commits } (see createSubmission)
+  const submitMilestone = async (milestoneId, submission = {}) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { milestone, role } = await fetchMilestoneForTransition(milestoneId)
+      assertMilestoneTransition(milestone, 'submitted', role)
+
+      const data = await createSubmission({ ...submission, contractId: milestone.contract_id, milestoneId })
+
+      await syncContractStatus(milestone.contract_id)
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error submitting milestone:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Approve a submitted milestone (client action) - releases its escrow to the freelancer
+  // The contract completes once every milestone is approved
+  const approveMilestone = async (milestoneId) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { milestone: current, role } = await fetchMilestoneForTransition(milestoneId, 'escrow_status')
+      assertMilestoneTransition(current, 'approved', role)
+
+      if (current.escrow_status === 'funded') {
+        const { signature } = await releaseEscrowOnChain(getWalletProvider(), milestoneId)
+        await syncEscrow('milestone', milestoneId, 'release', signature)
+      }
+
+      const { data, error: updateError } = await supabase
+        .from('contract_milestones')
+        .update({
+          status: 'approved',
+          approved_at: new Date().toISOString(),
+        })
+        .eq('id', milestoneId)
+        .eq('status', current.status)
+        .select()
+        .single()
+
+      if (updateError) throw updateError
+
+      const contract = await syncContractStatus(data.contract_id)
+
+      return { data, contract, error: null }
+    } catch (err) {
+      console.error('Error approving milestone:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Send a submitted milestone back for revisions (client action)
+  const requestMilestoneRevisions = async (milestoneId, revisionNotes) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { milestone: current, role } = await fetchMilestoneForTransition(milestoneId, 'revision_count')
+      assertMilestoneTransition(current, 'active', role)
+
+      const { data, error: updateError } = await supabase
+        .from('contract_milestones')
+        .update({
+          status: 'active',
+          revision_notes: revisionNotes,
+          revision_count: (current?.revision_count || 0) + 1,
+        })
+        .eq('id', milestoneId)
+        .eq('status', current.status)
+        .select()
+        .single()
+
+      if (updateError) throw updateError
+
+      await syncContractStatus(data.contract_id)
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error requesting milestone revisions:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return {
+    isLoading,
+    error,
+    fetchMilestones,
+    createMilestones,
+    fundMilestone,
+    submitMilestone,
+    approveMilestone,
+    requestMilestoneRevisions,
+  }
+}
@@ -0,0 +1,147 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase, invokeFunction } from '@/lib/supabase'
+
+// Matches the defaults used when a user has no preference row
+export const DEFAULT_CHANNELS = { in_app: true, email: true }
+
+// Confirmation token columns are not readable by the user
+const SETTINGS_COLUMNS = 'user_id, digest_frequency, digest_email, digest_email_confirmed_at, quiet_hours_start, quiet_hours_end, timezone, last_digest_sent_at, updated_at'
+
+export const DEFAULT_SETTINGS = {
+  digest_frequency: 'off',
+  digest_email: '',
+  digest_email_confirmed_at: null,
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+}
+
+/**
+ * Per-event-type channels plus digest and quiet hours settings for a user
+ * preferences: { [event_type]: { in_app, email } }
+ */
+export function useNotificationPreferences(userId) {
+  const [preferences, setPreferences] = useState({})
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchPreferences = useCallback(async () => {
+    if (!userId) return { data: null, error: null }
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const [preferencesResult, settingsResult] = await Promise.all([
+        supabase.from('notification_preferences').select('*').eq('user_id', userId),
+        supabase.from('notification_settings').select(SETTINGS_COLUMNS).eq('user_id', userId).maybeSingle(),
+      ])
+
+      if (preferencesResult.error) throw preferencesResult.error
+      if (settingsResult.error) throw settingsResult.error
+
+      const byType = {}
+      ;(preferencesResult.data || []).forEach(({ event_type, in_app, email }) => {
+        byType[event_type] = { in_app, email }
+      })
+      const nextSettings = settingsResult.data
+        ? { ...settingsResult.data, digest_email: settingsResult.data.digest_email || '' }
+        : DEFAULT_SETTINGS
+
+      setPreferences(byType)
+      setSettings(nextSettings)
+      return { data: { preferences: byType, settings: nextSettings }, error: null }
+    } catch (err) {
+      console.error('Error fetching notification preferences:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }, [userId])
+
+  useEffect(() => {
+    fetchPreferences()
+  }, [fetchPreferences])
+
+  // Toggle one channel for one event type
+  const updatePreference = useCallback(async (eventType, channel, value) => {
+    const next = { ...DEFAULT_CHANNELS, ...preferences[eventType], [channel]: value }
+    setPreferences((prev) => ({ ...prev, [eventType]: next }))
+
+    const { error: saveError } = await supabase
+      .from('notification_preferences')
+      .upsert({ user_id: userId, event_type: eventType, ...next, updated_at: new Date().toISOString() })
+
+    if (saveError) {
+      console.error('Error saving notification preference:', saveError)
+      setPreferences((prev) => ({ ...prev, [eventType]: preferences[eventType] }))
+      return { error: saveError }
+    }
+    return { error: null }
+  }, [userId, preferences])
+
+  // Save digest frequency/email, quiet hours and time zone
+  const saveSettings = useCallback(async (updates) => {
+    setError(null)
+
+    try {
+      const { data, error: saveError } = await supabase
+        .from('notification_settings')
+        .upsert({
+          user_id: userId,
+          digest_frequency: updates.digest_frequency,
+          digest_email: updates.digest_email?.trim() || null,
+          quiet_hours_start: updates.quiet_hours_start || null,
+          quiet_hours_end: updates.quiet_hours_end || null,
+          timezone: updates.timezone,
+        })
+        .select(SETTINGS_COLUMNS)
+        .single()
+
+      if (saveError) throw saveError
+
+      setSettings({ ...data, digest_email: data.digest_email || '' })
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error saving notification settings:', err)
+      setError(err)
+      return { data: null, error: err }
+    }
+  }, [userId])
+
+  // Mail a confirmation link to the saved digest email
+  const sendDigestEmailConfirmation = useCallback(async () => {
+    try {
+      await invokeFunction('confirm-digest-email', { action: 'send' })
+      return { error: null }
+    } catch (err) {
+      console.error('Error sending digest email confirmation:', err)
+      return { error: err }
+    }
+  }, [])
+
+  // Redeem the token from a confirmation link
+  const confirmDigestEmail = useCallback(async (token) => {
+    try {
+      const data = await invokeFunction('confirm-digest-email', { action: 'confirm', token })
+      await fetchPreferences()
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error confirming digest email:', err)
+      return { data: null, error: err }
+    }
+  }, [fetchPreferences])
+
+  return {
+    preferences,
+    settings,
+    isLoading,
+    error,
+    fetchPreferences,
+    updatePreference,
+    saveSettings,
+    sendDigestEmailConfirmation,
+    confirmDigestEmail,
+  }
+}
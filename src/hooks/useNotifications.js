@@ -0,0 +1,160 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '@/lib/supabase'
+
+// Event types written by the notification triggers, in display order
+export const NOTIFICATION_TYPES = {
+  application_received: 'Applications',
+  contract_status: 'Contracts',
+  service_request_accepted: 'Service requests',
+  review_received: 'Reviews',
+  saved_search_match: 'Saved searches',
+  token_role: 'Token access',
+}
+
+/**
+ * Notifications for the signed-in user, kept live through Realtime
+ * @param {string} userId - Recipient; nothing is loaded without it
+ * @param {object} [options] - { type: one of NOTIFICATION_TYPES or null for all, limit }
+ */
+export function useNotifications(userId, { type = null, limit = 20 } = {}) {
+  const [notifications, setNotifications] = useState([])
+  const [unreadCount, setUnreadCount] = useState(0)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchNotifications = useCallback(async () => {
+    if (!userId) return { data: [], error: null }
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      let query = supabase
+        .from('notifications')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit)
+
+      if (type) {
+        query = query.eq('type', type)
+      }
+
+      const { data, error: fetchError } = await query
+
+      if (fetchError) throw fetchError
+
+      setNotifications(data || [])
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error fetching notifications:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }, [userId, type, limit])
+
+  // Unread across all types, for the badge
+  const fetchUnreadCount = useCallback(async () => {
+    if (!userId) return
+
+    const { count, error: countError } = await supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('read_at', null)
+
+    if (countError) {
+      console.error('Error counting notifications:', countError)
+      return
+    }
+    setUnreadCount(count || 0)
+  }, [userId])
+
+  useEffect(() => {
+    if (!userId) {
+      setNotifications([])
+      setUnreadCount(0)
+      return
+    }
+
+    fetchNotifications()
+    fetchUnreadCount()
+
+    // Inserts are new notifications; updates are reads, possibly from another tab
+    const channel = supabase
+      .channel(`notifications:${userId}:${Date.now()}`)
+      .on(
+        'postgres_changes',
+        { event: 'INSERT', schema: 'public', table: 'notifications', filter: `user_id=eq.${userId}` },
+        (payload) => {
+          const notification = payload.new
+          if (!type || notification.type === type) {
+            setNotifications((prev) => [notification, ...prev.filter((n) => n.id !== notification.id)].slice(0, limit))
+          }
+          setUnreadCount((count) => count + 1)
+        }
+      )
+      .on(
+        'postgres_changes',
+        { event: 'UPDATE', schema: 'public', table: 'notifications', filter: `user_id=eq.${userId}` },
+        (payload) => {
+          setNotifications((prev) => prev.map((n) => (n.id === payload.new.id ? payload.new : n)))
+          fetchUnreadCount()
+        }
+      )
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(channel)
+    }
+  }, [userId, type, limit, fetchNotifications, fetchUnreadCount])
+
+  const markAsRead = useCallback(async (notificationId) => {
+    const readAt = new Date().toISOString()
+    setNotifications((prev) => prev.map((n) => (n.id === notificationId && !n.read_at ? { ...n, read_at: readAt } : n)))
+
+    const { error: updateError } = await supabase
+      .from('notifications')
+      .update({ read_at: readAt })
+      .eq('id', notificationId)
+      .is('read_at', null)
+
+    if (updateError) {
+      console.error('Error marking notification as read:', updateError)
+      return { error: updateError }
+    }
+    fetchUnreadCount()
+    return { error: null }
+  }, [fetchUnreadCount])
+
+  const markAllAsRead = useCallback(async () => {
+    if (!userId) return { error: null }
+    const readAt = new Date().toISOString()
+    setNotifications((prev) => prev.map((n) => (n.read_at ? n : { ...n, read_at: readAt })))
+    setUnreadCount(0)
+
+    const { error: updateError } = await supabase
+      .from('notifications')
+      .update({ read_at: readAt })
+      .eq('user_id', userId)
+      .is('read_at', null)
+
+    if (updateError) {
+      console.error('Error marking notifications as read:', updateError)
+      fetchUnreadCount()
+      return { error: updateError }
+    }
+    return { error: null }
+  }, [userId, fetchUnreadCount])
+
+  return {
+    notifications,
+    unreadCount,
+    isLoading,
+    error,
+    fetchNotifications,
+    markAsRead,
+    markAllAsRead,
+  }
+}
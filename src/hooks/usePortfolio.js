@@ -0,0 +1,186 @@
+import { useState, useCallback } from 'react'
+import { supabase } from '@/lib/supabase'
+
+// Portfolio images live in a public bucket under <freelancer id>/<item folder>/
+// See supabase/migrations/20261019002000_portfolio.sql
+export const PORTFOLIO_BUCKET = 'portfolio-images'
+export const MAX_PORTFOLIO_IMAGES = 10
+export const MAX_PORTFOLIO_IMAGE_SIZE = 10 * 1024 * 1024 // Matches the bucket's file_size_limit
+export const PORTFOLIO_IMAGE_ACCEPT = 'image/png,image/jpeg,image/gif,image/webp'
+
+const PORTFOLIO_SELECT = `
+  *,
+  contract:contract_id (
+    id,
+    title,
+    status,
+    completed_at,
+    client:client_id (
+      id,
+      nickname
+    )
+  )
+`
+
+export const portfolioImageUrl = (path) =>
+  supabase.storage.from(PORTFOLIO_BUCKET).getPublicUrl(path).data.publicUrl
+
+/**
+ * Why an image can't be added to a portfolio item, or null if it can
+ */
+export function validatePortfolioImage(file) {
+  if (!PORTFOLIO_IMAGE_ACCEPT.split(',').includes(file.type)) {
+    return `${file.name}: only PNG, JPEG, GIF and WebP images can be uploaded`
+  }
+  if (file.size > MAX_PORTFOLIO_IMAGE_SIZE) {
+    return `${file.name} is larger than 10 MB`
+  }
+  return null
+}
+
+// Keep letters, digits, dots, dashes and underscores so paths stay URL-safe
+const safeFileName = (name) => name.replace(/[^\w.-]+/g, '_').slice(-120) || 'image'
+
+/**
+ * A freelancer's portfolio items in display order (load with fetchPortfolio)
+ * Item fields: { title, description, image_paths, links, tags, contract_id }
+ */
+export function usePortfolio(freelancerId) {
+  const [items, setItems] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchPortfolio = useCallback(async () => {
+    if (!freelancerId) return { data: [], error: null }
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('portfolio_items')
+        .select(PORTFOLIO_SELECT)
+        .eq('freelancer_id', freelancerId)
+        .order('position', { ascending: true })
+        .order('created_at', { ascending: true })
+
+      if (fetchError) throw fetchError
+
+      setItems(data || [])
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error fetching portfolio:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }, [freelancerId])
+
+  // Upload new images into one item folder; returns their storage paths in order
+  const uploadImages = async (files) => {
+    const invalid = files.map(validatePortfolioImage).find(Boolean)
+    if (invalid) throw new Error(invalid)
+
+    const folder = `${freelancerId}/${crypto.randomUUID()}`
+    const paths = []
+    for (const [index, file] of files.entries()) {
+      const path = `${folder}/${index}-${safeFileName(file.name)}`
+      const { error: uploadError } = await supabase.storage
+        .from(PORTFOLIO_BUCKET)
+        .upload(path, file, { cacheControl: '3600', upsert: false })
+
+      if (uploadError) throw uploadError
+      paths.push(path)
+    }
+    return paths
+  }
+
+  // Best effort: an orphaned image only costs storage
+  const removeImages = async (paths) => {
+    if (paths.length === 0) return
+    const { error: removeError } = await supabase.storage.from(PORTFOLIO_BUCKET).remove(paths)
+    if (removeError) console.error('Error removing portfolio images:', removeError)
+  }
+
+  // fields.image_paths are kept images; newFiles are appended after them
+  const saveItem = async (id, fields, newFiles = []) => {
+    let uploaded = []
+    try {
+      uploaded = await uploadImages(newFiles)
+      const imagePaths = [...(fields.image_paths || []), ...uploaded]
+      if (imagePaths.length > MAX_PORTFOLIO_IMAGES) {
+        throw new Error(`A portfolio item can have at most ${MAX_PORTFOLIO_IMAGES} images`)
+      }
+
+      const values = { ...fields, image_paths: imagePaths }
+      const query = id
+        ? supabase.from('portfolio_items').update(values).eq('id', id)
+        : supabase.from('portfolio_items').insert({ ...values, freelancer_id: freelancerId })
+
+      const { data, error: saveError } = await query.select(PORTFOLIO_SELECT).single()
+
+      if (saveError) throw saveError
+
+      // Images dropped while editing
+      const previous = items.find((item) => item.id === id)
+      if (previous) {
+        await removeImages(previous.image_paths.filter((path) => !imagePaths.includes(path)))
+      }
+
+      setItems((prev) => (id ? prev.map((item) => (item.id === id ? data : item)) : [...prev, data]))
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error saving portfolio item:', err)
+      await removeImages(uploaded)
+      return { data: null, error: err }
+    }
+  }
+
+  const deleteItem = async (item) => {
+    try {
+      const { error: deleteError } = await supabase
+        .from('portfolio_items')
+        .delete()
+        .eq('id', item.id)
+
+      if (deleteError) throw deleteError
+
+      await removeImages(item.image_paths)
+      setItems((prev) => prev.filter((i) => i.id !== item.id))
+      return { error: null }
+    } catch (err) {
+      console.error('Error deleting portfolio item:', err)
+      return { error: err }
+    }
+  }
+
+  // Persist a new order; the gallery moves items with setItems while dragging
+  const reorderItems = async (ordered) => {
+    setItems(ordered)
+
+    try {
+      const { error: reorderError } = await supabase.rpc('reorder_portfolio_items', {
+        p_item_ids: ordered.map((item) => item.id),
+      })
+
+      if (reorderError) throw reorderError
+
+      return { error: null }
+    } catch (err) {
+      console.error('Error reordering portfolio:', err)
+      await fetchPortfolio()
+      return { error: err }
+    }
+  }
+
+  return {
+    items,
+    setItems,
+    isLoading,
+    error,
+    fetchPortfolio,
+    saveItem,
+    deleteItem,
+    reorderItems,
+  }
+}
@@ -1,5 +1,6 @@
 import { useState } from 'react'
 import { supabase } from '@/lib/supabase'
+import { applyKeyset, getNextCursor } from '@/lib/pagination'
 
 export function useProfiles() {
   const [isLoading, setIsLoading] = useState(false)
@@ -29,13 +30,14 @@ export function useProfiles() {
     }
   }
 
-  // Fetch multiple profiles (for listing freelancers, etc.)
-  const fetchProfiles = async (filters = {}) => {
+  // Fetch a page of profiles (for listing freelancers, etc.)
+  // Pass the returned nextCursor to get the following page; totalCount comes with the first page
+  const fetchProfiles = async (filters = {}, { cursor = null, pageSize } = {}) => {
     try {
       setIsLoading(true)
       setError(null)
 
-      let query = supabase.from('profiles').select('*')
+      let query = supabase.from('profiles').select('*', cursor ? {} : { count: 'exact' })
 
       if (filters.user_type) {
         query = query.eq('user_type', filters.user_type)
@@ -52,13 +54,13 @@ export function useProfiles() {
       // Sort
       const sortBy = filters.sortBy || 'created_at'
       const sortOrder = filters.sortOrder || 'desc'
-      query = query.order(sortBy, { ascending: sortOrder === 'asc' })
+      query = applyKeyset(query, { sortBy, ascending: sortOrder === 'asc', cursor, pageSize })
 
-      const { data, error: fetchError } = await query
+      const { data, count, error: fetchError } = await query
 
       if (fetchError) throw fetchError
 
-      return { data, error: null }
+      return { data, error: null, nextCursor: getNextCursor(data, sortBy, pageSize), totalCount: count ?? null }
     } catch (err) {
       console.error('Error fetching profiles:', err)
       setError(err.message)
@@ -0,0 +1,83 @@
+import { useState, useCallback } from 'react'
+import { supabase } from '@/lib/supabase'
+import { toMatch } from '@/lib/recommendations'
+
+// Rows in the order of the ranked matches, each with its match details
+const withMatches = (rows, matches, key) => {
+  const byId = new Map((rows || []).map((row) => [row.id, row]))
+  return matches
+    .filter((match) => byId.has(match[key]))
+    .map((match) => ({ ...byId.get(match[key]), match: toMatch(match) }))
+}
+
+export function useRecommendations() {
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Open jobs ranked for the signed-in freelancer
+  const fetchRecommendedJobs = useCallback(async (limit = 10) => {
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const { data: matches, error: rpcError } = await supabase.rpc('recommend_jobs', { p_limit: limit })
+      if (rpcError) throw rpcError
+      if (!matches?.length) return { data: [], error: null }
+
+      const { data: jobs, error: fetchError } = await supabase
+        .from('job_posts')
+        .select(`
+          *,
+          client:profiles!client_id(id, nickname, rating, review_count, user_type)
+        `)
+        .in('id', matches.map((match) => match.job_id))
+
+      if (fetchError) throw fetchError
+
+      return { data: withMatches(jobs, matches, 'job_id'), error: null }
+    } catch (err) {
+      console.error('Error fetching recommended jobs:', err)
+      setError(err.message)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  // Freelancers ranked for one of the signed-in client's jobs
+  const fetchRecommendedFreelancers = useCallback(async (jobId, limit = 5) => {
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const { data: matches, error: rpcError } = await supabase.rpc('recommend_freelancers', {
+        p_job_id: jobId,
+        p_limit: limit,
+      })
+      if (rpcError) throw rpcError
+      if (!matches?.length) return { data: [], error: null }
+
+      const { data: profiles, error: fetchError } = await supabase
+        .from('profiles')
+        .select('id, nickname, bio, skills, rating, rating_score, review_count, jobs_completed, user_type')
+        .in('id', matches.map((match) => match.freelancer_id))
+
+      if (fetchError) throw fetchError
+
+      return { data: withMatches(profiles, matches, 'freelancer_id'), error: null }
+    } catch (err) {
+      console.error('Error fetching recommended freelancers:', err)
+      setError(err.message)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  return {
+    isLoading,
+    error,
+    fetchRecommendedJobs,
+    fetchRecommendedFreelancers,
+  }
+}
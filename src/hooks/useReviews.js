@@ -1,6 +1,45 @@
 import { useState } from 'react'
 import { supabase } from '@/lib/supabase'
 
+// Sub-ratings on every review; profileKey is the profile's average for it
+export const REVIEW_CRITERIA = [
+  { key: 'communication_rating', profileKey: 'rating_communication', label: 'Communication' },
+  { key: 'quality_rating', profileKey: 'rating_quality', label: 'Quality' },
+  { key: 'timeliness_rating', profileKey: 'rating_timeliness', label: 'Timeliness' },
+  { key: 'value_rating', profileKey: 'rating_value', label: 'Value' },
+]
+
+export const REPORT_REASONS = [
+  { value: 'abusive', label: 'Abusive or harassing' },
+  { value: 'spam', label: 'Spam or unrelated' },
+  { value: 'false_claims', label: 'False or misleading' },
+  { value: 'personal_info', label: 'Shares personal information' },
+  { value: 'other', label: 'Something else' },
+]
+
+const REPORT_SELECT = `
+  *,
+  reporter:reporter_id (
+    id,
+    nickname
+  ),
+  review:review_id (
+    *,
+    reviewer:reviewer_id (
+      id,
+      nickname
+    ),
+    reviewee:reviewee_id (
+      id,
+      nickname
+    ),
+    contract:contract_id (
+      id,
+      title
+    )
+  )
+`
+
 export function useReviews() {
   const [reviews, setReviews] = useState([])
   const [isLoading, setIsLoading] = useState(false)
@@ -22,6 +61,10 @@ export function useReviews() {
             rating,
             user_type
           ),
+          reviewee:reviewee_id (
+            id,
+            nickname
+          ),
           contract:contract_id (
             id,
             title,
@@ -29,7 +72,9 @@ export function useReviews() {
           )
         `)
         .eq('reviewee_id', userId)
-        .order('created_at', { ascending: false })
+        .lte('reveal_at', new Date().toISOString()) // Authors can read their own unpublished reviews
+        .is('hidden_at', null)
+        .order('reveal_at', { ascending: false })
 
       if (fetchError) throw fetchError
 
@@ -110,6 +155,117 @@ export function useReviews() {
     }
   }
 
+  // Double-blind review progress for the signed-in user's completed contracts
+  // Returns a Map<contractId, { deadline, my_review_id, my_rating, my_reviewed_at, other_submitted, revealed }>
+  const fetchReviewStatuses = async (contractIds) => {
+    if (!contractIds?.length) return { data: new Map(), error: null }
+
+    try {
+      const { data, error: fetchError } = await supabase.rpc('contract_review_status', {
+        p_contract_ids: contractIds,
+      })
+
+      if (fetchError) throw fetchError
+
+      return { data: new Map((data || []).map((status) => [status.contract_id, status])), error: null }
+    } catch (err) {
+      console.error('Error fetching review statuses:', err)
+      return { data: new Map(), error: err }
+    }
+  }
+
+  // The reviewee's one public reply to a review
+  const replyToReview = async (reviewId, reply) => {
+    try {
+      const { data, error: replyError } = await supabase.rpc('reply_to_review', {
+        p_review_id: reviewId,
+        p_reply: reply,
+      })
+
+      if (replyError) throw replyError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error replying to review:', err)
+      return { data: null, error: err }
+    }
+  }
+
+  // Flag a review for admin moderation
+  const reportReview = async (reviewId, reporterId, { reason, details = '' }) => {
+    try {
+      const { data, error: reportError } = await supabase
+        .from('review_reports')
+        .insert({
+          review_id: reviewId,
+          reporter_id: reporterId,
+          reason,
+          details: details.trim() || null,
+        })
+        .select()
+        .single()
+
+      if (reportError) {
+        if (reportError.code === '23505') throw new Error('You have already reported this review')
+        throw reportError
+      }
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error reporting review:', err)
+      return { data: null, error: err }
+    }
+  }
+
+  // Admin moderation queue: open reports grouped by review, oldest report first
+  const fetchReportedReviews = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('review_reports')
+        .select(REPORT_SELECT)
+        .eq('status', 'open')
+        .order('created_at', { ascending: true })
+
+      if (fetchError) throw fetchError
+
+      const grouped = new Map()
+      for (const { review, ...report } of data || []) {
+        if (!review) continue
+        if (!grouped.has(review.id)) grouped.set(review.id, { review, reports: [] })
+        grouped.get(review.id).reports.push(report)
+      }
+
+      return { data: [...grouped.values()], error: null }
+    } catch (err) {
+      console.error('Error fetching reported reviews:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Admin decision: action 'hide' (reason required) or 'dismiss'
+  const moderateReview = async (reviewId, action, reason = null) => {
+    try {
+      const { error: moderateError } = await supabase.rpc('moderate_review', {
+        p_review_id: reviewId,
+        p_action: action,
+        p_reason: reason,
+      })
+
+      if (moderateError) throw moderateError
+
+      return { error: null }
+    } catch (err) {
+      console.error('Error moderating review:', err)
+      return { error: err }
+    }
+  }
+
   // Get review by contract and reviewer
   const fetchReviewByContract = async (contractId, reviewerId) => {
     setIsLoading(true)
@@ -188,6 +344,11 @@ export function useReviews() {
     fetchUserReviews,
     createReview,
     checkReviewExists,
+    fetchReviewStatuses,
+    replyToReview,
+    reportReview,
+    fetchReportedReviews,
+    moderateReview,
     fetchReviewByContract,
     fetchReviewsByReviewer,
   }
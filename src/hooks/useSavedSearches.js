@@ -0,0 +1,149 @@
+import { useState, useCallback } from 'react'
+import { supabase } from '@/lib/supabase'
+
+/**
+ * Saved search columns from the Jobs page filter state
+ * budgetRange is the page's "min-max" select value
+ */
+export function savedSearchFields({ searchQuery, selectedCategory, selectedSkills, budgetRange, sortBy }) {
+  const [budgetMin, budgetMax] = budgetRange ? budgetRange.split('-').map(Number) : []
+  return {
+    query: searchQuery?.trim() || null,
+    category: selectedCategory || null,
+    skills: selectedSkills?.length > 0 ? selectedSkills : null,
+    budget_min: Number.isFinite(budgetMin) ? budgetMin : null,
+    budget_max: Number.isFinite(budgetMax) ? budgetMax : null,
+    sort: sortBy || null,
+  }
+}
+
+// Jobs page URL that re-applies a saved search
+export function savedSearchPath(search) {
+  const params = new URLSearchParams()
+  if (search.query) params.set('q', search.query)
+  if (search.category) params.set('category', search.category)
+  if (search.skills?.length > 0) params.set('skills', search.skills.join(','))
+  if (search.budget_min !== null || search.budget_max !== null) {
+    params.set('budget', `${search.budget_min ?? 0}-${search.budget_max ?? 1000000}`)
+  }
+  if (search.sort) params.set('sort', search.sort)
+  const query = params.toString()
+  return query ? `/jobs?${query}` : '/jobs'
+}
+
+// One-line summary of a saved search's filters, e.g. "“rust” · DeFi · 3-10 SOL"
+export function describeSavedSearch(search, categories = []) {
+  const category = categories.find((c) => c.id === search.category)?.name || search.category
+  const budget = search.budget_min === null && search.budget_max === null
+    ? null
+    : search.budget_max === null || search.budget_max >= 1000000
+      ? `${search.budget_min ?? 0}+ SOL`
+      : `${search.budget_min ?? 0}-${search.budget_max} SOL`
+
+  return [
+    search.query && `“${search.query}”`,
+    category,
+    search.skills?.length > 0 && search.skills.join(', '),
+    budget,
+  ].filter(Boolean).join(' · ')
+}
+
+/**
+ * A user's saved job searches, newest first (load with fetchSavedSearches)
+ */
+export function useSavedSearches(userId) {
+  const [savedSearches, setSavedSearches] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchSavedSearches = useCallback(async () => {
+    if (!userId) return { data: [], error: null }
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('saved_searches')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+
+      if (fetchError) throw fetchError
+
+      setSavedSearches(data || [])
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error fetching saved searches:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }, [userId])
+
+  // fields: from savedSearchFields(), plus optional notify_in_app / notify_digest
+  const createSavedSearch = async (name, fields) => {
+    try {
+      const { data, error: createError } = await supabase
+        .from('saved_searches')
+        .insert({ user_id: userId, name: name.trim(), ...fields })
+        .select()
+        .single()
+
+      if (createError) throw createError
+
+      setSavedSearches((prev) => [data, ...prev])
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error saving search:', err)
+      return { data: null, error: err }
+    }
+  }
+
+  // Rename or change alerts
+  const updateSavedSearch = async (id, updates) => {
+    try {
+      const { data, error: updateError } = await supabase
+        .from('saved_searches')
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single()
+
+      if (updateError) throw updateError
+
+      setSavedSearches((prev) => prev.map((search) => (search.id === id ? data : search)))
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error updating saved search:', err)
+      return { data: null, error: err }
+    }
+  }
+
+  const deleteSavedSearch = async (id) => {
+    try {
+      const { error: deleteError } = await supabase
+        .from('saved_searches')
+        .delete()
+        .eq('id', id)
+
+      if (deleteError) throw deleteError
+
+      setSavedSearches((prev) => prev.filter((search) => search.id !== id))
+      return { error: null }
+    } catch (err) {
+      console.error('Error deleting saved search:', err)
+      return { error: err }
+    }
+  }
+
+  return {
+    savedSearches,
+    isLoading,
+    error,
+    fetchSavedSearches,
+    createSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+  }
+}
@@ -1,75 +1,142 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useRef } from 'react'
 import { supabase } from '@/lib/supabase'
+import { useTokenConfig } from '@/context/TokenConfigContext'
+import { withSearchResults } from '@/lib/search'
+import { PAGE_SIZE, applyKeyset, getNextCursor } from '@/lib/pagination'
 
-export function useServicePosts() {
-  const [services, setServices] = useState([])
+// initial: { items, totalCount, nextCursor, filters } to resume a listing loaded earlier
+export function useServicePosts(initial = null) {
+  const { thresholdFor } = useTokenConfig()
+  const [services, setServices] = useState(initial?.items || [])
+  const [totalCount, setTotalCount] = useState(initial?.totalCount ?? null)
+  const [nextCursor, setNextCursor] = useState(initial?.nextCursor ?? null)
   const [isLoading, setIsLoading] = useState(false) // Start as false, only true when actively fetching
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
   const [error, setError] = useState(null)
 
-  // Fetch all service posts with filters
-  const fetchServices = useCallback(async (filters = {}) => {
+  // Filters of the listing being paged, and the id of its latest first-page request
+  const filtersRef = useRef(initial?.filters || {})
+  const requestRef = useRef(0)
+
+  // Fetch a page of service posts with filters; the first page unless a cursor
+  // is given, in which case the page is appended to the listing
+  // With filters.search the matches come from search_services, ranked or sorted by sortBy
+  const fetchServices = useCallback(async (filters = {}, { cursor = null } = {}) => {
+    const request = cursor ? requestRef.current : ++requestRef.current
+    if (!cursor) filtersRef.current = filters
+
     try {
-      setIsLoading(true)
+      if (cursor) setIsLoadingMore(true)
+      else setIsLoading(true)
       setError(null)
 
-      let query = supabase
-        .from('service_posts')
-        .select(`
-          *,
-          freelancer:profiles!freelancer_id(id, nickname, rating, review_count, user_type, skills, bio)
-        `)
+      // Sort (relevance without a search is newest first)
+      const sortBy = !filters.sortBy || filters.sortBy === 'relevance' ? 'created_at' : filters.sortBy
+      const ascending = filters.sortOrder === 'asc'
 
-      // Apply filters
-      if (filters.status) {
-        query = query.eq('status', filters.status)
-      } else {
-        query = query.eq('status', 'active')
-      }
+      let matches = null
+      if (filters.search?.trim()) {
+        const { data: searchData, error: searchError } = await supabase.rpc('search_services', {
+          p_query: filters.search,
+          p_status: filters.status || 'active',
+          p_category: filters.category || null,
+          p_skills: filters.skills?.length > 0 ? filters.skills : null,
+          p_price_min: filters.priceMin ?? null,
+          p_price_max: filters.priceMax ?? null,
+          p_sort: filters.sortBy || 'relevance',
+          p_ascending: ascending,
+          p_after_value: cursor?.value ?? null,
+          p_after_id: cursor?.id ?? null,
+          p_limit: PAGE_SIZE,
+        })
 
-      if (filters.category) {
-        query = query.eq('category', filters.category)
-      }
+        if (searchError) throw searchError
 
-      if (filters.skills && filters.skills.length > 0) {
-        query = query.overlaps('skills', filters.skills)
+        matches = searchData || []
       }
 
-      if (filters.priceMin !== undefined) {
-        query = query.gte('price', filters.priceMin)
-      }
+      let data = []
+      let count = null
+      if (!matches || matches.length > 0) {
+        let query = supabase
+          .from('service_posts')
+          .select(`
+            *,
+            freelancer:profiles!freelancer_id(id, nickname, rating, rating_score, review_count, user_type, skills, bio)
+          `, matches || cursor ? {} : { count: 'exact' })
 
-      if (filters.priceMax !== undefined) {
-        query = query.lte('price', filters.priceMax)
-      }
+        if (matches) {
+          // The search already applied the filters, sort and cursor
+          query = query.in('id', matches.map((match) => match.id))
+        } else {
+          // Apply filters
+          if (filters.status) {
+            query = query.eq('status', filters.status)
+          } else {
+            query = query.eq('status', 'active')
+          }
 
-      if (filters.search) {
-        query = query.or(`title.ilike.%${filters.search}%,description.ilike.%${filters.search}%`)
-      }
+          if (filters.category) {
+            query = query.eq('category', filters.category)
+          }
+
+          if (filters.skills && filters.skills.length > 0) {
+            query = query.overlaps('skills', filters.skills)
+          }
+
+          if (filters.priceMin !== undefined) {
+            query = query.gte('price', filters.priceMin)
+          }
 
-      // Sort
-      const sortBy = filters.sortBy || 'created_at'
-      const sortOrder = filters.sortOrder || 'desc'
-      query = query.order(sortBy, { ascending: sortOrder === 'asc' })
+          if (filters.priceMax !== undefined) {
+            query = query.lte('price', filters.priceMax)
+          }
 
-      // Execute query
-      const { data, error: fetchError } = await query
+          query = applyKeyset(query, { sortBy, ascending, cursor })
+        }
 
-      if (fetchError) {
-        throw fetchError
+        // Execute query
+        const { data: rows, count: rowCount, error: fetchError } = await query
+
+        if (fetchError) {
+          throw fetchError
+        }
+
+        data = matches ? withSearchResults(rows || [], matches) : rows || []
+        count = rowCount ?? null
       }
 
-      setServices(data || [])
-      return { data, error: null }
+      const lastMatch = matches?.[matches.length - 1]
+      const next = matches
+        ? (matches.length < PAGE_SIZE ? null : { value: lastMatch.sort_value, id: lastMatch.id })
+        : getNextCursor(data, sortBy)
+
+      // A newer search or filter change replaced this listing
+      if (request !== requestRef.current) return { data, error: null, nextCursor: next }
+
+      setServices((prev) => (cursor ? [...prev, ...data] : data))
+      setNextCursor(next)
+      if (!cursor) setTotalCount(matches ? Number(matches[0]?.total_count ?? 0) : count)
+      return { data, error: null, nextCursor: next }
     } catch (err) {
       console.error('Error fetching services:', err)
-      const errorMessage = err.message || 'Failed to fetch services. Please try again.'
-      setError(errorMessage)
+      if (request === requestRef.current) {
+        const errorMessage = err.message || 'Failed to fetch services. Please try again.'
+        setError(errorMessage)
+      }
       return { data: null, error: err }
     } finally {
-      setIsLoading(false)
+      if (cursor) setIsLoadingMore(false)
+      else if (request === requestRef.current) setIsLoading(false)
     }
   }, [])
 
+  // Fetch the page after the loaded services (infinite scroll)
+  const fetchMoreServices = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return { data: [], error: null }
+    return fetchServices(filtersRef.current, { cursor: nextCursor })
+  }, [fetchServices, nextCursor, isLoadingMore])
+
   // Fetch single service by ID
   const fetchServiceById = async (id) => {
     try {
@@ -106,6 +173,13 @@ export function useServicePosts() {
         `)
         .single()
 
+      // RLS rejects the insert when the server-verified balance is too low
+      if (createError?.code === '42501') {
+        const threshold = thresholdFor('freelancer')
+        throw new Error(threshold !== null
+          ? `Listing services needs at least ${threshold.toLocaleString()} verified tokens in your wallet`
+          : 'Listing services needs more verified tokens in your wallet')
+      }
       if (createError) throw createError
 
       return { data, error: null }
@@ -174,9 +248,14 @@ export function useServicePosts() {
 
   return {
     services,
+    totalCount,
+    nextCursor,
+    hasMore: nextCursor !== null,
     isLoading,
+    isLoadingMore,
     error,
     fetchServices,
+    fetchMoreServices,
     fetchServiceById,
     createService,
     updateService,
@@ -0,0 +1,149 @@
+import { useState } from 'react'
+import { supabase } from '@/lib/supabase'
+
+export const DELIVERABLE_BUCKET = 'deliverables'
+export const MAX_DELIVERABLE_SIZE = 50 * 1024 * 1024 // Matches the bucket's file_size_limit
+
+const submissionSelect = `
+  *,
+  submitter:submitted_by (
+    id,
+    nickname
+  ),
+  deliverables:submission_deliverables (*)
+`
+
+// Keep letters, digits, dots, dashes and underscores so paths stay URL-safe
+const safeFileName = (name) => name.replace(/[^\w.-]+/g, '_').slice(-120) || 'file'
+
+/**
+ * Upload files, then record the submission and move the contract or milestone
+ * to submitted in one call (see submit_work)
+ * @param {object} submission - { contractId, milestoneId, notes, files, links, commits }
+ *   links: [{ url, label }], commits: [{ repositoryUrl, sha, label }]
+ */
+export async function createSubmission({ contractId, milestoneId = null, notes = null, files = [], links = [], commits = [] }) {
+  const oversized = files.find((file) => file.size > MAX_DELIVERABLE_SIZE)
+  if (oversized) {
+    throw new Error(`${oversized.name} is larger than 50 MB`)
+  }
+
+  const folder = `${contractId}/${crypto.randomUUID()}`
+  const deliverables = []
+
+  for (const file of files) {
+    const storagePath = `${folder}/${safeFileName(file.name)}`
+    const { error: uploadError } = await supabase.storage
+      .from(DELIVERABLE_BUCKET)
+      .upload(storagePath, file, { contentType: file.type || undefined })
+
+    if (uploadError) throw uploadError
+
+    deliverables.push({
+      kind: 'file',
+      storage_path: storagePath,
+      file_name: file.name,
+      file_size: file.size,
+      content_type: file.type || null,
+    })
+  }
+
+  for (const link of links) {
+    deliverables.push({ kind: 'link', url: link.url, label: link.label })
+  }
+
+  for (const commit of commits) {
+    deliverables.push({
+      kind: 'commit',
+      repository_url: commit.repositoryUrl,
+      commit_sha: commit.sha,
+      label: commit.label,
+    })
+  }
+
+  const { data, error } = await supabase.rpc('submit_work', {
+    p_contract_id: contractId,
+    p_milestone_id: milestoneId,
+    p_notes: notes,
+    p_deliverables: deliverables,
+  })
+
+  if (error) throw error
+
+  return data
+}
+
+// Link to the commit page for common hosts, otherwise the repository itself
+export function getCommitUrl(deliverable) {
+  const repo = deliverable.repository_url?.replace(/\/+$/, '').replace(/\.git$/, '')
+  if (!repo) return null
+  if (/^https?:\/\/(www\.)?(github\.com|gitlab\.com|bitbucket\.org)\//i.test(repo)) {
+    return /bitbucket\.org/i.test(repo)
+      ? `${repo}/commits/${deliverable.commit_sha}`
+      : `${repo}/commit/${deliverable.commit_sha}`
+  }
+  return repo
+}
+
+export function useSubmissions() {
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Submission history, newest version first
+   * @param {string|null} [milestoneId] - null for contract-level submissions, omit for all
+   */
+  const fetchSubmissions = async (contractId, milestoneId) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      let query = supabase
+        .from('work_submissions')
+        .select(submissionSelect)
+        .eq('contract_id', contractId)
+        .order('version', { ascending: false })
+
+      if (milestoneId === null) {
+        query = query.is('milestone_id', null)
+      } else if (milestoneId) {
+        query = query.eq('milestone_id', milestoneId)
+      }
+
+      const { data, error: fetchError } = await query
+
+      if (fetchError) throw fetchError
+
+      return { data: data || [], error: null }
+    } catch (err) {
+      console.error('Error fetching submissions:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Short-lived link to a deliverable file (the bucket is private)
+  const getDeliverableUrl = async (storagePath) => {
+    try {
+      const { data, error: urlError } = await supabase.storage
+        .from(DELIVERABLE_BUCKET)
+        .createSignedUrl(storagePath, 60 * 10)
+
+      if (urlError) throw urlError
+
+      return { data: data.signedUrl, error: null }
+    } catch (err) {
+      console.error('Error creating deliverable link:', err)
+      return { data: null, error: err }
+    }
+  }
+
+  return {
+    isLoading,
+    error,
+    fetchSubmissions,
+    getDeliverableUrl,
+  }
+}
@@ -0,0 +1,345 @@
+import { useState, useCallback } from 'react'
+import { supabase } from '@/lib/supabase'
+import { payThroughEscrow } from '@/lib/escrow'
+import { getWalletProvider } from '@/lib/wallet'
+import { fetchContractForTransition, syncEscrow } from '@/hooks/useContracts'
+
+export const DEFAULT_WEEKLY_HOUR_LIMIT = 40
+
+export const isHourly = (contract) => contract?.billing_type === 'hourly'
+
+/**
+ * Monday (UTC) of the week containing `date`, as YYYY-MM-DD
+ * Timesheets are grouped by UTC week, matching contract_timesheets.week_start
+ */
+export function getWeekStart(date = new Date()) {
+  const d = new Date(date)
+  const day = d.getUTCDay() || 7
+  d.setUTCDate(d.getUTCDate() - day + 1)
+  return d.toISOString().slice(0, 10)
+}
+
+export function formatHours(minutes) {
+  const total = Math.max(0, Math.round(minutes || 0))
+  return `${Math.floor(total / 60)}h ${String(total % 60).padStart(2, '0')}m`
+}
+
+// Approved minutes x hourly rate, rounded to whole lamports like the database does
+export function getTimesheetAmount(minutes, hourlyRate) {
+  return Math.round((minutes * Number(hourlyRate) / 60) * 1e9) / 1e9
+}
+
+export function getLoggedMinutes(timesheet) {
+  return (timesheet?.entries || []).reduce((sum, entry) => sum + (entry.minutes || 0), 0)
+}
+
+const timesheetSelect = `
+  *,
+  entries:time_entries (*)
+`
+
+export function useTimesheets() {
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Timesheets for a contract, newest week first, with their entries
+  const fetchTimesheets = async (contractId) => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('contract_timesheets')
+        .select(timesheetSelect)
+        .eq('contract_id', contractId)
+        .order('week_start', { ascending: false })
+
+      if (fetchError) throw fetchError
+
+      const timesheets = (data || []).map((timesheet) => ({
+        ...timesheet,
+        entries: [...(timesheet.entries || [])].sort(
+          (a, b) => a.work_date.localeCompare(b.work_date) || a.created_at.localeCompare(b.created_at)
+        ),
+      }))
+
+      return { data: timesheets, error: null }
+    } catch (err) {
+      console.error('Error fetching timesheets:', err)
+      return { data: null, error: err }
+    }
+  }
+
+  // Log time after the fact (freelancer action)
+  const addTimeEntry = async (contractId, { workDate, minutes, description }) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { data, error: insertError } = await supabase
+        .from('time_entries')
+        .insert([{
+          contract_id: contractId,
+          source: 'manual',
+          work_date: workDate,
+          minutes,
+          description,
+        }])
+        .select()
+        .single()
+
+      if (insertError) throw insertError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error logging time:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const deleteTimeEntry = async (entryId) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { error: deleteError } = await supabase
+        .from('time_entries')
+        .delete()
+        .eq('id', entryId)
+
+      if (deleteError) throw deleteError
+
+      return { error: null }
+    } catch (err) {
+      console.error('Error removing time entry:', err)
+      setError(err)
+      return { error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Start a timer on a contract (freelancer action); one timer runs at a time
+  const startTimer = async (contractId, description) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { data, error: insertError } = await supabase
+        .from('time_entries')
+        .insert([{
+          contract_id: contractId,
+          source: 'timer',
+          started_at: new Date().toISOString(),
+          description,
+        }])
+        .select()
+        .single()
+
+      if (insertError?.code === '23505') {
+        throw new Error('You already have a timer running. Stop it before starting another.')
+      }
+      if (insertError) throw insertError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error starting timer:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Stop a running timer
+  // Time past the weekly limit is not billable, so the entry stops at the limit
+  const stopTimer = async (entry, contract, timesheet) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const otherMinutes = getLoggedMinutes(timesheet)
+      const remainingMinutes = Number(contract.weekly_hour_limit) * 60 - otherMinutes
+      const startedAt = new Date(entry.started_at).getTime()
+      const limitAt = startedAt + remainingMinutes * 60000
+      const capped = Date.now() > limitAt
+      const endedAt = new Date(capped ? Math.max(limitAt, startedAt + 60000) : Date.now())
+
+      const { data, error: updateError } = await supabase
+        .from('time_entries')
+        .update({ ended_at: endedAt.toISOString() })
+        .eq('id', entry.id)
+        .is('ended_at', null)
+        .select()
+        .single()
+
+      if (updateError) throw updateError
+
+      return { data, capped, error: null }
+    } catch (err) {
+      console.error('Error stopping timer:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Submit a week's hours for approval (freelancer action)
+  // Totals are computed by the database from the logged entries
+  const submitTimesheet = async (timesheetId, notes = null) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { data, error: updateError } = await supabase
+        .from('contract_timesheets')
+        .update({ status: 'submitted', submission_notes: notes })
+        .eq('id', timesheetId)
+        .eq('status', 'open')
+        .select(timesheetSelect)
+        .single()
+
+      if (updateError) throw updateError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error submitting timesheet:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Approve a submitted timesheet (client action) - pays approved hours x rate
+  const approveTimesheet = async (timesheet, contract) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { contract: current, role } = await fetchContractForTransition(contract.id)
+
+      if (role !== 'client') {
+        throw new Error('Only the client can approve timesheets')
+      }
+      if (current.status !== 'active') {
+        throw new Error(`Timesheets of a ${current.status} contract cannot be approved`)
+      }
+
+      // The same payout escrow-sync checks the payment against
+      const { data: payout, error: payoutError } = await supabase
+        .rpc('timesheet_payout', { p_timesheet_id: timesheet.id })
+        .maybeSingle()
+
+      if (payoutError) throw payoutError
+      if (!payout) {
+        throw new Error('Only submitted timesheets can be approved')
+      }
+
+      const { signature } = await payThroughEscrow(getWalletProvider(), {
+        contractId: timesheet.id,
+        freelancerWallet: contract.freelancer?.wallet_address,
+        amountSol: payout.amount,
+      })
+
+      await syncEscrow('timesheet', timesheet.id, 'pay', signature)
+
+      const { data, error: fetchError } = await supabase
+        .from('contract_timesheets')
+        .select(timesheetSelect)
+        .eq('id', timesheet.id)
+        .single()
+
+      if (fetchError) throw fetchError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error approving timesheet:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Send a submitted timesheet back to the freelancer (client action)
+  const requestTimesheetChanges = async (timesheetId, revisionNotes) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { data, error: updateError } = await supabase
+        .from('contract_timesheets')
+        .update({ status: 'open', revision_notes: revisionNotes })
+        .eq('id', timesheetId)
+        .eq('status', 'submitted')
+        .select(timesheetSelect)
+        .single()
+
+      if (updateError) throw updateError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error requesting timesheet changes:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Change the weekly hour limit (client action); applies to hours logged from now on
+  const updateWeeklyHourLimit = async (contractId, hours) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const { data, error: updateError } = await supabase
+        .from('contracts')
+        .update({ weekly_hour_limit: hours })
+        .eq('id', contractId)
+        .select()
+        .single()
+
+      if (updateError) throw updateError
+
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error updating weekly limit:', err)
+      setError(err)
+      return { data: null, error: err }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Calls back whenever a timesheet or time entry of the contract changes
+  const subscribeToTimesheets = useCallback((contractId, callback) => {
+    const filter = `contract_id=eq.${contractId}`
+    const channel = supabase
+      .channel(`timesheets:${contractId}:${Date.now()}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'contract_timesheets', filter }, callback)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'time_entries', filter }, callback)
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(channel)
+    }
+  }, [])
+
+  return {
+    isLoading,
+    error,
+    fetchTimesheets,
+    addTimeEntry,
+    deleteTimeEntry,
+    startTimer,
+    stopTimer,
+    submitTimesheet,
+    approveTimesheet,
+    requestTimesheetChanges,
+    updateWeeklyHourLimit,
+    subscribeToTimesheets,
+  }
+}
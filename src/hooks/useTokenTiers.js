@@ -0,0 +1,72 @@
+import { useState } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useTokenConfig } from '@/context/TokenConfigContext'
+
+// Solana addresses are 32-44 base58 characters
+export const isValidMint = (mint) => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(mint || '')
+
+/**
+ * Admin changes to the gate token settings and tiers
+ * Reads come from TokenConfigContext, which Realtime keeps current
+ */
+export function useTokenTiers() {
+  const { refreshTokenConfig } = useTokenConfig()
+  const [isSaving, setIsSaving] = useState(false)
+
+  const run = async (label, query) => {
+    setIsSaving(true)
+    try {
+      const { error } = await query
+      if (error) throw error
+
+      // Don't wait for the Realtime echo in this tab
+      await refreshTokenConfig()
+      return { error: null }
+    } catch (err) {
+      console.error(`Error ${label}:`, err)
+      return { error: err }
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const updateTokenSettings = ({ mint, decimals, grace_period_hours, grace_cooldown_days }) =>
+    run('updating token settings', supabase
+      .from('token_settings')
+      .update({ mint: mint.trim(), decimals, grace_period_hours, grace_cooldown_days })
+      .eq('id', true))
+
+  // Insert when id is null; fields: { key, name, threshold, perks, grants_role }
+  const saveTier = (id, fields) =>
+    run('saving token tier', id
+      ? supabase.from('token_tiers').update(fields).eq('id', id)
+      : supabase.from('token_tiers').insert(fields))
+
+  const deleteTier = (id) =>
+    run('deleting token tier', supabase.from('token_tiers').delete().eq('id', id))
+
+  // Latest token role changes and grace periods across all users
+  const fetchRoleHistory = async (limit = 50) => {
+    try {
+      const { data, error } = await supabase
+        .from('role_history')
+        .select('*, profile:profiles!profile_id(id, nickname)')
+        .order('created_at', { ascending: false })
+        .limit(limit)
+
+      if (error) throw error
+      return { data, error: null }
+    } catch (err) {
+      console.error('Error fetching role history:', err)
+      return { data: null, error: err }
+    }
+  }
+
+  return {
+    isSaving,
+    updateTokenSettings,
+    saveTier,
+    deleteTier,
+    fetchRoleHistory,
+  }
+}
@@ -0,0 +1,237 @@
+import { supabase } from '@/lib/supabase'
+
+// Chat attachments live in a private bucket under <conversation id>/<folder>/
+// See supabase/migrations/20261019000800_chat_attachments.sql
+export const CHAT_ATTACHMENT_BUCKET = 'chat-attachments'
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024 // Matches the bucket's file_size_limit
+export const MAX_ATTACHMENTS = 10
+
+const THUMBNAIL_SIZE = 480
+const SIGNED_URL_TTL = 60 * 60
+
+// Must stay in sync with the bucket's allowed_mime_types
+const EXTENSION_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  log: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json',
+  zip: 'application/zip',
+  '7z': 'application/x-7z-compressed',
+  gz: 'application/gzip',
+  tgz: 'application/gzip',
+  tar: 'application/x-tar',
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+}
+
+const ALLOWED_TYPES = new Set([...Object.values(EXTENSION_TYPES), 'application/x-zip-compressed'])
+
+// Accept attribute for file inputs
+export const ATTACHMENT_ACCEPT = Object.keys(EXTENSION_TYPES).map((ext) => `.${ext}`).join(',')
+
+// Browsers leave the type empty for some files (.md, .7z), so fall back to the extension
+export function getAttachmentType(file) {
+  const extension = file.name.split('.').pop()?.toLowerCase()
+  return ALLOWED_TYPES.has(file.type) ? file.type : EXTENSION_TYPES[extension] || file.type
+}
+
+export const isImageType = (contentType) => /^image\/(png|jpeg|gif|webp)$/.test(contentType || '')
+
+/**
+ * Why a file can't be attached, or null if it can
+ */
+export function validateAttachment(file) {
+  if (!ALLOWED_TYPES.has(getAttachmentType(file))) {
+    return `${file.name}: this file type can't be attached`
+  }
+  if (file.size === 0) {
+    return `${file.name} is empty`
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `${file.name} is larger than 25 MB`
+  }
+  return null
+}
+
+// Keep letters, digits, dots, dashes and underscores so paths stay URL-safe
+const safeFileName = (name) => name.replace(/[^\w.-]+/g, '_').slice(-120) || 'file'
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file)
+  const image = new Image()
+  image.onload = () => {
+    URL.revokeObjectURL(url)
+    resolve(image)
+  }
+  image.onerror = () => {
+    URL.revokeObjectURL(url)
+    reject(new Error(`Could not read ${file.name}`))
+  }
+  image.src = url
+})
+
+/**
+ * Downscaled JPEG preview of an image, with the original dimensions
+ * Returns null when the browser can't decode the image
+ */
+export async function createThumbnail(file) {
+  try {
+    const image = await loadImage(file)
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.naturalWidth, image.naturalHeight))
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale))
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale))
+
+    const context = canvas.getContext('2d')
+    // JPEG has no alpha channel
+    context.fillStyle = '#ffffff'
+    context.fillRect(0, 0, canvas.width, canvas.height)
+    context.drawImage(image, 0, 0, canvas.width, canvas.height)
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8))
+    if (!blob) return null
+
+    return { blob, width: image.naturalWidth, height: image.naturalHeight }
+  } catch (err) {
+    console.error('Error creating thumbnail:', err)
+    return null
+  }
+}
+
+/**
+ * Upload through a signed upload URL with XHR, which (unlike fetch) reports progress
+ * @param {function} [onProgress] - Called with the bytes sent so far
+ */
+export async function uploadWithProgress(path, blob, onProgress) {
+  const { data, error } = await supabase.storage
+    .from(CHAT_ATTACHMENT_BUCKET)
+    .createSignedUploadUrl(path)
+
+  if (error) throw error
+
+  const body = new FormData()
+  body.append('cacheControl', '3600')
+  body.append('', blob)
+
+  await new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open('PUT', data.signedUrl)
+    xhr.setRequestHeader('apikey', import.meta.env.VITE_SUPABASE_ANON_KEY || '')
+    xhr.setRequestHeader('x-upsert', 'false')
+    xhr.upload.onprogress = (e) => onProgress?.(e.loaded)
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve()
+        return
+      }
+      let message = `Upload failed (${xhr.status})`
+      try {
+        message = JSON.parse(xhr.responseText).message || message
+      } catch {
+        // Not JSON
+      }
+      reject(new Error(message))
+    }
+    xhr.onerror = () => reject(new Error('Upload failed, check your connection'))
+    xhr.send(body)
+  })
+}
+
+/**
+ * Upload files for a message and describe them for send_message
+ * @param {function} [onProgress] - Called with the overall fraction (0-1) uploaded
+ */
+export async function uploadAttachments(conversationId, files, onProgress) {
+  const invalid = files.map(validateAttachment).find(Boolean)
+  if (invalid) throw new Error(invalid)
+  if (files.length > MAX_ATTACHMENTS) {
+    throw new Error(`A message can have at most ${MAX_ATTACHMENTS} attachments`)
+  }
+
+  const prepared = await Promise.all(files.map(async (file) => {
+    const type = getAttachmentType(file)
+    return {
+      file,
+      // Re-type the blob so storage sees the allowed type
+      blob: file.type === type ? file : file.slice(0, file.size, type),
+      thumbnail: isImageType(type) ? await createThumbnail(file) : null,
+    }
+  }))
+
+  const total = prepared.reduce((sum, item) => sum + item.blob.size + (item.thumbnail?.blob.size || 0), 0)
+  const sent = new Array(prepared.length * 2).fill(0)
+  const report = (index, bytes) => {
+    sent[index] = bytes
+    onProgress?.(Math.min(1, sent.reduce((a, b) => a + b, 0) / total))
+  }
+
+  const attachments = []
+  for (const [index, { file, blob, thumbnail }] of prepared.entries()) {
+    const folder = `${conversationId}/${crypto.randomUUID()}`
+    const storagePath = `${folder}/${safeFileName(file.name)}`
+    await uploadWithProgress(storagePath, blob, (bytes) => report(index * 2, bytes))
+
+    let thumbnailPath = null
+    if (thumbnail) {
+      // In a subfolder so it can't collide with an uploaded file name
+      thumbnailPath = `${folder}/preview/thumbnail.jpg`
+      await uploadWithProgress(thumbnailPath, thumbnail.blob, (bytes) => report(index * 2 + 1, bytes))
+    }
+
+    attachments.push({
+      storage_path: storagePath,
+      thumbnail_path: thumbnailPath,
+      file_name: file.name,
+      width: thumbnail?.width ?? null,
+      height: thumbnail?.height ?? null,
+    })
+  }
+
+  return attachments
+}
+
+// Signed URLs are cached until shortly before they expire
+const signedUrlCache = new Map()
+
+/**
+ * Short-lived links for attachment objects (the bucket is private)
+ * @returns {Promise<Object<string, string>>} path -> URL
+ */
+export async function getAttachmentUrls(paths) {
+  const now = Date.now()
+  const missing = [...new Set(paths.filter(Boolean))].filter(
+    (path) => !(signedUrlCache.get(path)?.expiresAt > now)
+  )
+
+  if (missing.length > 0) {
+    const { data, error } = await supabase.storage
+      .from(CHAT_ATTACHMENT_BUCKET)
+      .createSignedUrls(missing, SIGNED_URL_TTL)
+
+    if (error) throw error
+
+    data.forEach((item) => {
+      if (item.signedUrl) {
+        signedUrlCache.set(item.path, {
+          url: item.signedUrl,
+          expiresAt: now + (SIGNED_URL_TTL - 60) * 1000,
+        })
+      }
+    })
+  }
+
+  return Object.fromEntries(
+    paths.filter((path) => signedUrlCache.has(path)).map((path) => [path, signedUrlCache.get(path).url])
+  )
+}
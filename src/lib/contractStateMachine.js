@@ -0,0 +1,102 @@
+/**
+ * Contract and milestone state machines
+ * Mirrors contract_transitions / milestone_transitions in
+ * supabase/migrations/20261019000500_contract_state_machine.sql, which the
+ * database enforces. Used to validate actions before writing and to decide
+ * which actions the UI offers.
+ */
+
+// from -> to -> roles allowed to make the transition
+// Contracts become disputed only through open_dispute (see useDisputes and
+// 20261019003800_dispute_status_guard.sql), so that isn't a transition here
+export const CONTRACT_TRANSITIONS = {
+  active: {
+    submitted: ['freelancer'],
+    cancelled: ['client', 'freelancer'],
+  },
+  submitted: {
+    active: ['client'],
+    completed: ['client'],
+  },
+  disputed: {
+    completed: ['admin'],
+    cancelled: ['admin'],
+  },
+  completed: {},
+  cancelled: {},
+}
+
+// Hourly contracts have no single delivery to submit, so the client ends them
+// directly (see check_hourly_contract_close)
+export const HOURLY_CONTRACT_TRANSITIONS = {
+  ...CONTRACT_TRANSITIONS,
+  active: { ...CONTRACT_TRANSITIONS.active, completed: ['client'] },
+}
+
+export const MILESTONE_TRANSITIONS = {
+  pending: { active: ['client'] },
+  active: { submitted: ['freelancer'] },
+  submitted: { active: ['client'], approved: ['client'] },
+  approved: {},
+}
+
+export const CONTRACT_STATUS_LABELS = {
+  active: 'In Progress',
+  submitted: 'Submitted',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  disputed: 'Disputed',
+}
+
+export const MILESTONE_STATUS_LABELS = {
+  pending: 'Awaiting funding',
+  active: 'In progress',
+  submitted: 'Submitted',
+  approved: 'Approved',
+}
+
+/**
+ * Which side of the contract a user is on
+ * @returns {'client'|'freelancer'|null}
+ */
+export function getContractRole(contract, userId) {
+  if (!contract || !userId) return null
+  if (contract.client_id === userId) return 'client'
+  if (contract.freelancer_id === userId) return 'freelancer'
+  return null
+}
+
+function canTransitionIn(machine, from, to, role) {
+  return (machine[from]?.[to] || []).includes(role)
+}
+
+const contractMachine = (contract) =>
+  contract?.billing_type === 'hourly' ? HOURLY_CONTRACT_TRANSITIONS : CONTRACT_TRANSITIONS
+
+export function canTransitionContract(contract, to, role) {
+  return canTransitionIn(contractMachine(contract), contract?.status, to, role)
+}
+
+export function canTransitionMilestone(milestone, to, role) {
+  return canTransitionIn(MILESTONE_TRANSITIONS, milestone?.status, to, role)
+}
+
+function assertTransition(machine, labels, kind, from, to, role) {
+  if (!machine[from]?.[to]) {
+    throw new Error(`A ${(labels[from] || from || 'unknown').toLowerCase()} ${kind} cannot become ${(labels[to] || to).toLowerCase()}`)
+  }
+  if (!canTransitionIn(machine, from, to, role)) {
+    throw new Error(`Only the ${machine[from][to].join(' or ')} can do this`)
+  }
+}
+
+/**
+ * Throws when `role` may not move the contract to `to`
+ */
+export function assertContractTransition(contract, to, role) {
+  assertTransition(contractMachine(contract), CONTRACT_STATUS_LABELS, 'contract', contract?.status, to, role)
+}
+
+export function assertMilestoneTransition(milestone, to, role) {
+  assertTransition(MILESTONE_TRANSITIONS, MILESTONE_STATUS_LABELS, 'milestone', milestone?.status, to, role)
+}
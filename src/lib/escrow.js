@@ -0,0 +1,366 @@
+import {
+  Connection,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction,
+} from '@solana/web3.js'
+
+/**
+ * PumpWork escrow program client
+ * See programs/escrow for the on-chain side. Kept free of app imports so the
+ * localnet script (scripts/escrow-localnet.js) can run it under Node.
+ *
+ * Config (Vite env):
+ * - VITE_SOLANA_RPC_URL      RPC used to send escrow transactions
+ * - VITE_ESCROW_PROGRAM_ID   Deployed escrow program address
+ */
+const env = import.meta.env ?? {}
+
+export const SOLANA_RPC_URL = env.VITE_SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com'
+export const ESCROW_PROGRAM_ID = env.VITE_ESCROW_PROGRAM_ID || null
+
+const ESCROW_SEED = new TextEncoder().encode('escrow')
+const ESCROW_STATE_LEN = 90
+
+const Instruction = {
+  INITIALIZE: 0,
+  RELEASE: 1,
+  REFUND: 2,
+  DISPUTE: 3,
+  RESOLVE: 4,
+}
+
+// First state byte
+const EscrowStatus = {
+  FUNDED: 1,
+  DISPUTED: 2,
+}
+
+export const MAX_BPS = 10000
+
+let defaultConnection = null
+
+function resolveConfig({ connection, programId } = {}) {
+  const id = programId || ESCROW_PROGRAM_ID
+  if (!id) {
+    throw new Error('Escrow program is not configured (VITE_ESCROW_PROGRAM_ID)')
+  }
+
+  if (!connection && !defaultConnection) {
+    defaultConnection = new Connection(SOLANA_RPC_URL, 'confirmed')
+  }
+
+  return {
+    connection: connection || defaultConnection,
+    programId: new PublicKey(id),
+  }
+}
+
+// Contract UUID -> 16 raw bytes (PDA seed)
+function uuidToBytes(uuid) {
+  const hex = uuid.replace(/-/g, '')
+  if (!/^[0-9a-f]{32}$/i.test(hex)) {
+    throw new Error('Invalid contract id')
+  }
+  return Uint8Array.from(hex.match(/.{2}/g), (byte) => parseInt(byte, 16))
+}
+
+export function solToLamports(amount) {
+  return BigInt(Math.round(Number(amount) * LAMPORTS_PER_SOL))
+}
+
+/**
+ * Derive the escrow account for a contract
+ * @param {string} contractId - Contract UUID
+ * @param {object} [options] - { programId }
+ * @returns {PublicKey}
+ */
+export function getEscrowAddress(contractId, options = {}) {
+  const { programId } = resolveConfig(options)
+  const [address] = PublicKey.findProgramAddressSync([ESCROW_SEED, uuidToBytes(contractId)], programId)
+  return address
+}
+
+/**
+ * Read the escrow account state
+ * @returns {Promise<{address, client, freelancer, lamports, amountSol, disputed}|null>} null when not funded or already closed
+ */
+export async function fetchEscrowState(contractId, options = {}) {
+  const { connection, programId } = resolveConfig(options)
+  const address = getEscrowAddress(contractId, { programId })
+  const account = await connection.getAccountInfo(address)
+
+  if (
+    !account ||
+    !account.owner.equals(programId) ||
+    account.data.length < ESCROW_STATE_LEN ||
+    ![EscrowStatus.FUNDED, EscrowStatus.DISPUTED].includes(account.data[0])
+  ) {
+    return null
+  }
+
+  const data = account.data
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+  const lamports = view.getBigUint64(65, true)
+
+  return {
+    address,
+    client: new PublicKey(data.slice(1, 33)),
+    freelancer: new PublicKey(data.slice(33, 65)),
+    lamports,
+    amountSol: Number(lamports) / LAMPORTS_PER_SOL,
+    disputed: data[0] === EscrowStatus.DISPUTED,
+  }
+}
+
+// Sign with the wallet, send through our own RPC and wait for confirmation.
+// signTransaction (not signAndSendTransaction) keeps the RPC under our
+// control, which is what makes the flow work against solana-test-validator.
+// `wallet` may be a list: the first pays the fee, the rest co-sign.
+async function sendWithWallet(connection, wallet, ...instructions) {
+  const [payer, ...coSigners] = [].concat(wallet)
+  for (const signer of [payer, ...coSigners]) {
+    if (!signer?.publicKey || typeof signer.signTransaction !== 'function') {
+      throw new Error('Wallet not connected')
+    }
+  }
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed')
+  const transaction = new Transaction({
+    feePayer: payer.publicKey,
+    blockhash,
+    lastValidBlockHeight,
+  }).add(...instructions)
+
+  let signed = await payer.signTransaction(transaction)
+  for (const signer of coSigners) {
+    signed = await signer.signTransaction(signed)
+  }
+  const signature = await connection.sendRawTransaction(signed.serialize())
+
+  const { value } = await connection.confirmTransaction(
+    { signature, blockhash, lastValidBlockHeight },
+    'confirmed'
+  )
+  if (value.err) {
+    throw new Error(`Escrow transaction failed: ${JSON.stringify(value.err)}`)
+  }
+
+  return signature
+}
+
+function initializeInstruction(programId, client, { contractId, freelancerWallet, amountSol }) {
+  if (!freelancerWallet) {
+    throw new Error('Freelancer has no wallet connected to receive payment')
+  }
+
+  const lamports = solToLamports(amountSol)
+  if (lamports <= 0n) {
+    throw new Error('Escrow amount must be greater than zero')
+  }
+
+  const escrow = getEscrowAddress(contractId, { programId })
+
+  const data = new Uint8Array(1 + 16 + 8)
+  data[0] = Instruction.INITIALIZE
+  data.set(uuidToBytes(contractId), 1)
+  new DataView(data.buffer).setBigUint64(17, lamports, true)
+
+  const instruction = new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: client, isSigner: true, isWritable: true },
+      { pubkey: new PublicKey(freelancerWallet), isSigner: false, isWritable: false },
+      { pubkey: escrow, isSigner: false, isWritable: true },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+    ],
+    data,
+  })
+
+  return { escrow, instruction }
+}
+
+function releaseInstruction(programId, client, freelancer, escrow) {
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: client, isSigner: true, isWritable: true },
+      { pubkey: freelancer, isSigner: false, isWritable: true },
+      { pubkey: escrow, isSigner: false, isWritable: true },
+    ],
+    data: Uint8Array.of(Instruction.RELEASE),
+  })
+}
+
+/**
+ * Client funds the escrow for a contract
+ * @param {object} wallet - { publicKey, signTransaction } of the client
+ * @param {object} params - { contractId, freelancerWallet, amountSol }
+ * @returns {Promise<{escrowAddress: string, signature: string}>}
+ */
+export async function fundEscrow(wallet, params, options = {}) {
+  const { connection, programId } = resolveConfig(options)
+  const { escrow, instruction } = initializeInstruction(programId, wallet?.publicKey, params)
+
+  const signature = await sendWithWallet(connection, wallet, instruction)
+  return { escrowAddress: escrow.toBase58(), signature }
+}
+
+/**
+ * Client pays an amount that is already due (e.g. an approved timesheet)
+ * Funds and releases the escrow in one transaction, so the payment is
+ * recorded by the escrow program without holding funds in between.
+ * @param {object} params - { contractId, freelancerWallet, amountSol }; contractId seeds the escrow
+ * @returns {Promise<{escrowAddress: string, signature: string}>}
+ */
+export async function payThroughEscrow(wallet, params, options = {}) {
+  const { connection, programId } = resolveConfig(options)
+  const { escrow, instruction } = initializeInstruction(programId, wallet?.publicKey, params)
+
+  const signature = await sendWithWallet(
+    connection,
+    wallet,
+    instruction,
+    releaseInstruction(programId, wallet.publicKey, new PublicKey(params.freelancerWallet), escrow)
+  )
+  return { escrowAddress: escrow.toBase58(), signature }
+}
+
+/**
+ * Client releases the escrowed amount to the freelancer
+ * @returns {Promise<{signature: string}>}
+ */
+export async function releaseEscrow(wallet, contractId, options = {}) {
+  const { connection, programId } = resolveConfig(options)
+  const state = await fetchEscrowState(contractId, { connection, programId })
+
+  if (!state) {
+    throw new Error('No funded escrow found for this contract')
+  }
+
+  const signature = await sendWithWallet(
+    connection,
+    wallet,
+    releaseInstruction(programId, wallet.publicKey, state.freelancer, state.address)
+  )
+  return { signature }
+}
+
+/**
+ * Refund the escrowed amount to the client
+ * The freelancer may refund alone; the client needs the freelancer or the
+ * arbiter as co-signer.
+ * @param {object} [options] - { coSigner } wallet that co-signs a client refund
+ * @returns {Promise<{signature: string}>}
+ */
+export async function refundEscrow(wallet, contractId, options = {}) {
+  const { connection, programId } = resolveConfig(options)
+  const { coSigner } = options
+  const state = await fetchEscrowState(contractId, { connection, programId })
+
+  if (!state) {
+    throw new Error('No funded escrow found for this contract')
+  }
+
+  const keys = [
+    { pubkey: wallet.publicKey, isSigner: true, isWritable: false },
+    { pubkey: state.client, isSigner: false, isWritable: true },
+    { pubkey: state.address, isSigner: false, isWritable: true },
+  ]
+  if (coSigner) {
+    keys.push({ pubkey: coSigner.publicKey, isSigner: true, isWritable: false })
+  }
+
+  const instruction = new TransactionInstruction({
+    programId,
+    keys,
+    data: Uint8Array.of(Instruction.REFUND),
+  })
+
+  const signature = await sendWithWallet(connection, coSigner ? [wallet, coSigner] : wallet, instruction)
+  return { signature }
+}
+
+function disputeInstruction(programId, signer, escrow) {
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: signer, isSigner: true, isWritable: false },
+      { pubkey: escrow, isSigner: false, isWritable: true },
+    ],
+    data: Uint8Array.of(Instruction.DISPUTE),
+  })
+}
+
+/**
+ * Freeze the escrow while a dispute is open (client, freelancer or arbiter may sign)
+ * @returns {Promise<{signature: string}>}
+ */
+export async function disputeEscrow(wallet, contractId, options = {}) {
+  const { connection, programId } = resolveConfig(options)
+  const state = await fetchEscrowState(contractId, { connection, programId })
+
+  if (!state) {
+    throw new Error('No funded escrow found for this contract')
+  }
+  if (state.disputed) {
+    throw new Error('Escrow is already frozen')
+  }
+
+  const signature = await sendWithWallet(
+    connection,
+    wallet,
+    disputeInstruction(programId, wallet.publicKey, state.address)
+  )
+  return { signature }
+}
+
+/**
+ * Arbiter settles a disputed escrow
+ * An escrow that was never frozen is frozen in the same transaction.
+ * @param {number} freelancerBps - Freelancer's share in basis points (10000 = full release, 0 = full refund)
+ * @returns {Promise<{signature: string, freelancerLamports: bigint, clientLamports: bigint}>}
+ */
+export async function resolveEscrow(wallet, contractId, freelancerBps, options = {}) {
+  const { connection, programId } = resolveConfig(options)
+
+  if (!Number.isInteger(freelancerBps) || freelancerBps < 0 || freelancerBps > MAX_BPS) {
+    throw new Error('Freelancer share must be between 0 and 10000 basis points')
+  }
+
+  const state = await fetchEscrowState(contractId, { connection, programId })
+
+  if (!state) {
+    throw new Error('No funded escrow found for this contract')
+  }
+
+  const data = new Uint8Array(3)
+  data[0] = Instruction.RESOLVE
+  new DataView(data.buffer).setUint16(1, freelancerBps, true)
+
+  const instructions = []
+  if (!state.disputed) {
+    instructions.push(disputeInstruction(programId, wallet.publicKey, state.address))
+  }
+  instructions.push(new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: wallet.publicKey, isSigner: true, isWritable: true },
+      { pubkey: state.client, isSigner: false, isWritable: true },
+      { pubkey: state.freelancer, isSigner: false, isWritable: true },
+      { pubkey: state.address, isSigner: false, isWritable: true },
+    ],
+    data,
+  }))
+
+  const signature = await sendWithWallet(connection, wallet, ...instructions)
+  const freelancerLamports = state.lamports * BigInt(freelancerBps) / BigInt(MAX_BPS)
+
+  return {
+    signature,
+    freelancerLamports,
+    clientLamports: state.lamports - freelancerLamports,
+  }
+}
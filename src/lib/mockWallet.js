@@ -0,0 +1,167 @@
+import { Keypair, VersionedTransaction } from '@solana/web3.js'
+
+/**
+ * Keypair-backed Wallet Standard wallet for automated tests
+ * Loaded by startWalletDiscovery (wallet.js) only in dev or VITE_MOCK_WALLET=true
+ * builds, and registered when VITE_MOCK_WALLET=true or
+ * window.__PUMPWORK_MOCK_WALLET__ is set, e.g. from a Playwright init script:
+ *
+ *   window.__PUMPWORK_MOCK_WALLET__ = {
+ *     secretKey: [...],        // 64-byte secret key; random per tab when omitted
+ *     rejectConnect: false,    // fail connect() like a user closing the prompt
+ *     rejectSignature: false,  // fail signMessage/signTransaction the same way
+ *   }
+ *
+ * Options are read on every call, so tests can flip the reject flags mid-run.
+ * Messages are signed with WebCrypto Ed25519, so SIWS verifies for real.
+ */
+export const MOCK_WALLET_NAME = 'Mock Wallet'
+
+const MOCK_WALLET_CHAINS = ['solana:mainnet', 'solana:devnet', 'solana:testnet', 'solana:localnet']
+const SESSION_KEY = 'pumpwork-mock-wallet'
+const FEATURE_VERSION = '1.0.0'
+
+const MOCK_WALLET_ICON = 'data:image/svg+xml,' + encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><rect width="32" height="32" rx="8" fill="#64748b"/>' +
+  '<text x="16" y="21" font-family="sans-serif" font-size="14" fill="#fff" text-anchor="middle">M</text></svg>'
+)
+
+// DER header that wraps a raw 32-byte Ed25519 seed as PKCS#8
+const ED25519_PKCS8_PREFIX = Uint8Array.from([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20,
+])
+
+export function getMockWalletOptions() {
+  if (typeof window === 'undefined') return null
+  if (window.__PUMPWORK_MOCK_WALLET__) return window.__PUMPWORK_MOCK_WALLET__
+  return import.meta.env?.VITE_MOCK_WALLET === 'true' ? {} : null
+}
+
+const rejection = () => Object.assign(new Error('User rejected the request.'), { code: 4001 })
+
+function hasSavedKeypair() {
+  try {
+    return !!sessionStorage.getItem(SESSION_KEY)
+  } catch {
+    return false
+  }
+}
+
+// Same keypair across reloads within a tab, so sessions survive navigation
+function loadKeypair(options) {
+  if (options.secretKey) return Keypair.fromSecretKey(Uint8Array.from(options.secretKey))
+
+  try {
+    const saved = sessionStorage.getItem(SESSION_KEY)
+    if (saved) return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(saved)))
+  } catch {
+    // Fall through to a fresh keypair
+  }
+
+  const keypair = Keypair.generate()
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(Array.from(keypair.secretKey)))
+  } catch {
+    // Storage disabled - the keypair lasts until reload
+  }
+  return keypair
+}
+
+async function signBytes(keypair, message) {
+  const pkcs8 = new Uint8Array(ED25519_PKCS8_PREFIX.length + 32)
+  pkcs8.set(ED25519_PKCS8_PREFIX)
+  pkcs8.set(keypair.secretKey.slice(0, 32), ED25519_PKCS8_PREFIX.length)
+
+  const key = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'Ed25519' }, false, ['sign'])
+  return new Uint8Array(await crypto.subtle.sign({ name: 'Ed25519' }, key, message))
+}
+
+/**
+ * Create the mock wallet object, shaped as a Wallet Standard wallet
+ */
+export function createMockWallet() {
+  const listeners = new Set()
+  let keypair = null
+  let connected = false
+
+  const options = () => getMockWalletOptions() || {}
+
+  const account = () => ({
+    address: keypair.publicKey.toBase58(),
+    publicKey: keypair.publicKey.toBytes(),
+    chains: MOCK_WALLET_CHAINS,
+    features: ['solana:signMessage', 'solana:signTransaction'],
+  })
+
+  const accounts = () => (connected ? [account()] : [])
+  const emitChange = () => listeners.forEach((listener) => listener({ accounts: accounts() }))
+
+  const assertCanSign = () => {
+    if (!connected) throw new Error('Mock wallet is not connected')
+    if (options().rejectSignature) throw rejection()
+  }
+
+  return {
+    version: '1.0.0',
+    name: MOCK_WALLET_NAME,
+    icon: MOCK_WALLET_ICON,
+    chains: MOCK_WALLET_CHAINS,
+    get accounts() {
+      return accounts()
+    },
+    features: {
+      'standard:connect': {
+        version: FEATURE_VERSION,
+        async connect({ silent = false } = {}) {
+          if (!connected) {
+            // Like a trusted site: reconnect silently once this tab has connected
+            if (silent && !options().secretKey && !hasSavedKeypair()) return { accounts: [] }
+            if (!silent && options().rejectConnect) throw rejection()
+            keypair = keypair || loadKeypair(options())
+            connected = true
+            emitChange()
+          }
+          return { accounts: accounts() }
+        },
+      },
+      'standard:disconnect': {
+        version: FEATURE_VERSION,
+        async disconnect() {
+          connected = false
+          emitChange()
+        },
+      },
+      'standard:events': {
+        version: FEATURE_VERSION,
+        on(event, listener) {
+          if (event !== 'change') return () => {}
+          listeners.add(listener)
+          return () => listeners.delete(listener)
+        },
+      },
+      'solana:signMessage': {
+        version: FEATURE_VERSION,
+        async signMessage(...inputs) {
+          assertCanSign()
+          return Promise.all(inputs.map(async ({ message }) => ({
+            signedMessage: message,
+            signature: await signBytes(keypair, message),
+          })))
+        },
+      },
+      'solana:signTransaction': {
+        version: FEATURE_VERSION,
+        supportedTransactionVersions: ['legacy', 0],
+        async signTransaction(...inputs) {
+          assertCanSign()
+          // VersionedTransaction reads and writes legacy messages unchanged
+          return inputs.map(({ transaction }) => {
+            const parsed = VersionedTransaction.deserialize(transaction)
+            parsed.sign([keypair])
+            return { signedTransaction: parsed.serialize() }
+          })
+        },
+      },
+    },
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Keyset (cursor) pagination for PostgREST queries
+ *
+ * Rows are ordered by the sort key and then id, so every row has a unique
+ * position. A cursor is the { value, id } of the last row of a page; the next
+ * page starts strictly after it. Nulls in the sort key always sort last.
+ */
+
+export const PAGE_SIZE = 20
+
+// Double-quote a filter value so commas, dots and parentheses survive PostgREST parsing
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+
+/**
+ * Order a query by sortBy then id, start after the cursor and fetch one page
+ * @param {object} options - { sortBy, ascending, cursor, pageSize }
+ */
+export function applyKeyset(query, { sortBy = 'created_at', ascending = false, cursor = null, pageSize = PAGE_SIZE }) {
+  let paged = query
+    .order(sortBy, { ascending, nullsFirst: false })
+    .order('id', { ascending })
+
+  if (cursor) {
+    const op = ascending ? 'gt' : 'lt'
+    const afterId = `id.${op}.${quote(cursor.id)}`
+    paged = cursor.value === null || cursor.value === undefined
+      ? paged.is(sortBy, null).filter('id', op, cursor.id)
+      : paged.or([
+          `${sortBy}.${op}.${quote(cursor.value)}`,
+          `and(${sortBy}.eq.${quote(cursor.value)},${afterId})`,
+          `${sortBy}.is.null`,
+        ].join(','))
+  }
+
+  return paged.limit(pageSize)
+}
+
+// Cursor for the page after `rows`, or null when it was the last page
+export function getNextCursor(rows, sortBy = 'created_at', pageSize = PAGE_SIZE) {
+  if (!rows || rows.length < pageSize) return null
+  const last = rows[rows.length - 1]
+  return { value: last[sortBy] ?? null, id: last.id }
+}
+
+// Loaded listings kept for the session, so going back to a list restores it
+// (items, cursor, filters and scroll position) instead of starting over
+const listingSnapshots = new Map()
+
+export function saveListingSnapshot(key, snapshot) {
+  listingSnapshots.set(key, snapshot)
+}
+
+export function getListingSnapshot(key) {
+  return listingSnapshots.get(key) || null
+}
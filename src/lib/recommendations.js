@@ -0,0 +1,50 @@
+/**
+ * Explanations for recommend_jobs / recommend_freelancers results
+ */
+
+const budgetPhrases = {
+  // A freelancer looking at a job
+  freelancer: {
+    within: 'within your usual budget',
+    above: 'pays above your usual rate',
+    below: 'below your usual rate',
+  },
+  // A client looking at a freelancer for their job
+  client: {
+    within: 'usually works within this budget',
+    above: 'usually charges less than this budget',
+    below: 'usually charges more than this budget',
+  },
+}
+
+// Match fields from the RPC row, kept on each recommended job or profile as `match`
+export const toMatch = (row) => ({
+  score: Number(row.score),
+  matchedSkills: row.matched_skills || [],
+  totalSkills: row.total_skills,
+  categoryMatch: row.category_match,
+  budgetFit: row.budget_fit,
+})
+
+/**
+ * One-line reason for a recommendation, e.g. "Matches 4 of 5 skills, within your usual budget"
+ * @param {object} match - from toMatch()
+ * @param {'freelancer'|'client'} perspective - who is reading it
+ */
+export function explainMatch(match, perspective = 'freelancer') {
+  if (!match) return ''
+
+  const reasons = []
+  if (match.totalSkills > 0 && match.matchedSkills.length > 0) {
+    reasons.push(`matches ${match.matchedSkills.length} of ${match.totalSkills} skill${match.totalSkills === 1 ? '' : 's'}`)
+  }
+  if (match.categoryMatch) {
+    reasons.push(perspective === 'client' ? 'has worked in this category' : "you've worked in this category")
+  }
+  if (match.budgetFit) {
+    reasons.push(budgetPhrases[perspective][match.budgetFit])
+  }
+
+  const text = reasons.join(', ')
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
@@ -0,0 +1,33 @@
+/**
+ * Helpers for the full-text search functions (search_jobs, search_services)
+ */
+
+// Attach { rank, title, snippet } from the search matches to each row and put
+// the rows in the order the matches arrived in (the search's sort order)
+export function withSearchResults(rows, matches) {
+  const positions = new Map(matches.map((match, index) => [match.id, index]))
+
+  const results = rows.map((row) => {
+    const match = matches[positions.get(row.id)]
+    return {
+      ...row,
+      search: match
+        ? { rank: match.rank, title: match.title_highlight, snippet: match.snippet }
+        : null,
+    }
+  })
+
+  return results.sort((a, b) => positions.get(a.id) - positions.get(b.id))
+}
+
+// Split ts_headline output into [{ text, highlighted }] parts
+export function parseHighlight(value) {
+  if (!value) return []
+  return value
+    .split(/(<mark>.*?<\/mark>)/g)
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(/^<mark>(.*)<\/mark>$/)
+      return match ? { text: match[1], highlighted: true } : { text: part, highlighted: false }
+    })
+}
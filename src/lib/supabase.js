@@ -59,3 +59,26 @@ export const supabase = createClient(supabaseUrl || '', supabaseAnonKey || '', {
     fetch: fetchWithTimeout,
   },
 })
+
+/**
+ * Call a Supabase Edge Function and surface its JSON error message
+ * @param {string} name - Function name
+ * @param {object} body - JSON body
+ * @returns {Promise<object>} Parsed response data
+ */
+export async function invokeFunction(name, body) {
+  const { data, error } = await supabase.functions.invoke(name, { body })
+
+  if (error) {
+    let message = error.message
+    try {
+      const payload = await error.context?.json?.()
+      if (payload?.error) message = payload.error
+    } catch {
+      // Response body was not JSON - keep the generic message
+    }
+    throw new Error(message)
+  }
+
+  return data
+}
@@ -9,6 +9,11 @@ export function formatSOL(amount) {
   return `${amount.toLocaleString()} SOL`
 }
 
+// Compact token amounts for tier thresholds, e.g. 1K, 12.5K, 1M
+export function formatTokenAmount(amount) {
+  return new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(amount || 0)
+}
+
 export function truncateAddress(address, chars = 4) {
   if (!address) return ''
   return `${address.slice(0, chars)}...${address.slice(-chars)}`
@@ -39,6 +44,22 @@ export function formatTimeAgo(date) {
   return formatDate(date)
 }
 
+// "3d 4h", "5h 12m" or "12m" until the given time
+export function formatCountdown(until, now = Date.now()) {
+  const minutes = Math.max(0, Math.floor((new Date(until) - now) / 60000))
+  const days = Math.floor(minutes / 1440)
+  const hours = Math.floor((minutes % 1440) / 60)
+  if (days > 0) return `${days}d ${hours}h`
+  if (hours > 0) return `${hours}h ${minutes % 60}m`
+  return `${minutes}m`
+}
+
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
 export function getStatusColor(status) {
   const colors = {
     // Job statuses
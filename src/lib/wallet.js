@@ -0,0 +1,273 @@
+import { PublicKey, Transaction, VersionedTransaction } from '@solana/web3.js'
+
+/**
+ * Solana wallet adapters
+ * Wallets are discovered through the Wallet Standard (wallet-standard:* window
+ * events), with the legacy injected providers of Phantom, Solflare and Backpack
+ * as a fallback for extensions that predate it. Every wallet is wrapped in the
+ * same adapter shape, which is also what escrow.js expects of a wallet:
+ *
+ *   { name, icon, url, publicKey, connected,
+ *     connect({ silent }), disconnect(), signMessage(bytes), signTransaction(tx),
+ *     on('change', (publicKey | null) => {}) -> unsubscribe }
+ *
+ * Set VITE_MOCK_WALLET=true (or window.__PUMPWORK_MOCK_WALLET__ on the dev
+ * server) to add the keypair-backed mock wallet from mockWallet.js for
+ * automated tests. Other production builds leave mockWallet.js out entirely.
+ */
+
+const MOCK_WALLET_ENABLED = import.meta.env.DEV || import.meta.env.VITE_MOCK_WALLET === 'true'
+
+// Wallets we link to from the picker when they aren't installed
+export const KNOWN_WALLETS = [
+  { name: 'Phantom', url: 'https://phantom.app/' },
+  { name: 'Solflare', url: 'https://solflare.com/' },
+  { name: 'Backpack', url: 'https://backpack.app/' },
+]
+
+// Pre-Wallet Standard providers, keyed by wallet name
+const INJECTED_PROVIDERS = {
+  Phantom: () => (window.phantom?.solana?.isPhantom ? window.phantom.solana : null),
+  Solflare: () => (window.solflare?.isSolflare ? window.solflare : null),
+  Backpack: () => (window.backpack?.isBackpack ? window.backpack : null),
+}
+
+const LAST_WALLET_KEY = 'pumpwork-wallet'
+
+const isSolanaChain = (chain) => chain.startsWith('solana:')
+
+// Wallet errors that mean the user closed or declined the prompt
+export const isWalletRejection = (err) =>
+  err?.code === 4001 || /reject|denied|declined|cancel/i.test(err?.message || '')
+
+const rejectionError = (message) => Object.assign(new Error(message), { code: 4001 })
+
+function createEmitter() {
+  const listeners = new Set()
+  return {
+    on(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    emit(value) {
+      listeners.forEach((listener) => listener(value))
+    },
+  }
+}
+
+// Adapter around a Wallet Standard wallet
+function standardAdapter(wallet) {
+  const changes = createEmitter()
+  const known = KNOWN_WALLETS.find((w) => w.name === wallet.name)
+  let account = null
+
+  const setAccount = (next) => {
+    if (next?.address === account?.address) return
+    account = next
+    changes.emit(account ? new PublicKey(account.publicKey) : null)
+  }
+
+  const solanaAccount = (accounts = []) =>
+    accounts.find((a) => a.chains?.some(isSolanaChain)) || accounts[0] || null
+
+  const feature = (name) => {
+    const implementation = wallet.features[name]
+    if (!implementation) throw new Error(`${wallet.name} does not support ${name}`)
+    return implementation
+  }
+
+  // Only follow account changes once this app has connected
+  wallet.features['standard:events']?.on('change', ({ accounts }) => {
+    if (accounts && account) setAccount(solanaAccount(accounts))
+  })
+
+  return {
+    name: wallet.name,
+    icon: wallet.icon,
+    url: known?.url || null,
+    get publicKey() {
+      return account ? new PublicKey(account.publicKey) : null
+    },
+    get connected() {
+      return !!account
+    },
+    async connect({ silent = false } = {}) {
+      const { accounts } = await feature('standard:connect').connect({ silent })
+      const next = solanaAccount(accounts)
+      if (!next) {
+        if (silent) return null
+        throw new Error(`${wallet.name} did not share a Solana account`)
+      }
+      setAccount(next)
+      return new PublicKey(next.publicKey)
+    },
+    async disconnect() {
+      await wallet.features['standard:disconnect']?.disconnect()
+      setAccount(null)
+    },
+    async signMessage(message) {
+      if (!account) throw new Error('Wallet not connected')
+      const [output] = await feature('solana:signMessage').signMessage({ account, message })
+      return { signature: output.signature }
+    },
+    async signTransaction(transaction) {
+      if (!account) throw new Error('Wallet not connected')
+      const isVersioned = transaction instanceof VersionedTransaction
+      const serialized = isVersioned
+        ? transaction.serialize()
+        : transaction.serialize({ requireAllSignatures: false, verifySignatures: false })
+
+      const [output] = await feature('solana:signTransaction').signTransaction({
+        account,
+        transaction: serialized,
+        chain: account.chains?.find(isSolanaChain),
+      })
+      return isVersioned
+        ? VersionedTransaction.deserialize(output.signedTransaction)
+        : Transaction.from(output.signedTransaction)
+    },
+    on(event, listener) {
+      return event === 'change' ? changes.on(listener) : () => {}
+    },
+  }
+}
+
+// Adapter around a legacy window-injected provider
+function injectedAdapter(name, provider) {
+  const changes = createEmitter()
+  const known = KNOWN_WALLETS.find((w) => w.name === name)
+
+  provider.on?.('accountChanged', (publicKey) => changes.emit(publicKey || null))
+  provider.on?.('disconnect', () => changes.emit(null))
+
+  return {
+    name,
+    icon: null,
+    url: known?.url || null,
+    get publicKey() {
+      return provider.publicKey || null
+    },
+    get connected() {
+      return !!provider.publicKey
+    },
+    async connect({ silent = false } = {}) {
+      // Only Phantom can connect without a prompt for already trusted sites
+      if (silent && !provider.isPhantom) return null
+      await provider.connect(silent ? { onlyIfTrusted: true } : undefined)
+      if (!provider.publicKey) throw new Error(`${name} did not share an account`)
+      return provider.publicKey
+    },
+    async disconnect() {
+      await provider.disconnect()
+    },
+    async signMessage(message) {
+      const result = await provider.signMessage(message, 'utf8')
+      return { signature: result.signature || result }
+    },
+    signTransaction(transaction) {
+      return provider.signTransaction(transaction)
+    },
+    on(event, listener) {
+      return event === 'change' ? changes.on(listener) : () => {}
+    },
+  }
+}
+
+// Discovery state
+const standardAdapters = new Map()
+const injectedAdapters = new Map()
+const walletChanges = createEmitter()
+let discoveryStarted = false
+let activeWallet = null
+
+function registerStandardWallets(...wallets) {
+  const added = wallets.filter((wallet) =>
+    wallet.chains?.some(isSolanaChain) &&
+    wallet.features?.['standard:connect'] &&
+    !standardAdapters.has(wallet.name)
+  )
+  added.forEach((wallet) => standardAdapters.set(wallet.name, standardAdapter(wallet)))
+  if (added.length > 0) walletChanges.emit()
+
+  return () => {
+    added.forEach((wallet) => standardAdapters.delete(wallet.name))
+    walletChanges.emit()
+  }
+}
+
+/**
+ * Announce the app to Wallet Standard wallets and collect the ones that register
+ * Safe to call more than once
+ */
+export function startWalletDiscovery() {
+  if (discoveryStarted || typeof window === 'undefined') return
+  discoveryStarted = true
+
+  const api = { register: registerStandardWallets }
+
+  // Wallets that load after the app announce themselves with this event
+  window.addEventListener('wallet-standard:register-wallet', ({ detail: callback }) => callback(api))
+  // Wallets that loaded first are waiting for this one
+  window.dispatchEvent(new CustomEvent('wallet-standard:app-ready', { detail: api }))
+
+  if (MOCK_WALLET_ENABLED) {
+    import('@/lib/mockWallet').then(({ createMockWallet, getMockWalletOptions }) => {
+      if (getMockWalletOptions()) registerStandardWallets(createMockWallet())
+    })
+  }
+}
+
+/**
+ * Installed wallets, Wallet Standard first, then legacy providers
+ * that didn't also register through the standard
+ */
+export function getWallets() {
+  startWalletDiscovery()
+
+  const injected = Object.entries(INJECTED_PROVIDERS)
+    .filter(([name]) => !standardAdapters.has(name))
+    .map(([name, getProvider]) => {
+      const provider = getProvider()
+      if (!provider) return null
+      if (!injectedAdapters.has(name)) injectedAdapters.set(name, injectedAdapter(name, provider))
+      return injectedAdapters.get(name)
+    })
+    .filter(Boolean)
+
+  return [...standardAdapters.values(), ...injected]
+}
+
+export const findWallet = (name) => getWallets().find((wallet) => wallet.name === name) || null
+
+// Subscribe to wallets registering or unregistering; returns unsubscribe
+export const onWalletsChange = (listener) => walletChanges.on(listener)
+
+// Name of the wallet the user last connected, for reconnecting on load
+export function getLastWalletName() {
+  try {
+    return localStorage.getItem(LAST_WALLET_KEY)
+  } catch {
+    return null
+  }
+}
+
+export function rememberWallet(name) {
+  try {
+    if (name) localStorage.setItem(LAST_WALLET_KEY, name)
+    else localStorage.removeItem(LAST_WALLET_KEY)
+  } catch {
+    // Storage disabled - the user just picks a wallet again next time
+  }
+}
+
+// AuthContext sets this whenever the user connects or disconnects a wallet
+export function setActiveWallet(wallet) {
+  activeWallet = wallet
+}
+
+/**
+ * Connected wallet adapter used to sign escrow transactions, or null
+ */
+export function getWalletProvider() {
+  return activeWallet?.connected ? activeWallet : null
+}
@@ -4,17 +4,26 @@ import { BrowserRouter } from 'react-router-dom'
 import App from './App'
 import { ThemeProvider } from './context/ThemeContext'
 import { AuthProvider, AuthReadyGate } from './context/AuthContext'
+import { TokenConfigProvider } from './context/TokenConfigContext'
+import { PresenceProvider } from './context/PresenceContext'
+import { ToastProvider } from './context/ToastContext'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
       <ThemeProvider>
-        <AuthProvider>
-          <AuthReadyGate>
-            <App />
-          </AuthReadyGate>
-        </AuthProvider>
+        <ToastProvider>
+          <TokenConfigProvider>
+            <AuthProvider>
+              <AuthReadyGate>
+                <PresenceProvider>
+                  <App />
+                </PresenceProvider>
+              </AuthReadyGate>
+            </AuthProvider>
+          </TokenConfigProvider>
+        </ToastProvider>
       </ThemeProvider>
     </BrowserRouter>
   </React.StrictMode>,
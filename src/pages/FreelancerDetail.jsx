@@ -26,8 +26,11 @@ import { InitialsAvatar } from '@/components/ui/InitialsAvatar'
 import { ReviewCard } from '@/components/reviews/ReviewCard'
 import { formatSOL, formatTimeAgo, formatDate, truncateAddress, cn } from '@/lib/utils'
 import { useAuth } from '@/context/AuthContext'
+import { useToast } from '@/context/ToastContext'
 import { useServicePosts } from '@/hooks/useServicePosts'
 import { useReviews } from '@/hooks/useReviews'
+import { usePortfolio } from '@/hooks/usePortfolio'
+import { PortfolioGallery } from '@/components/portfolio/PortfolioGallery'
 import { useServiceRequests } from '@/hooks/useServiceRequests'
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
 import { Input } from '@/components/ui/input'
@@ -35,12 +38,14 @@ import { Textarea } from '@/components/ui/textarea'
 import { Label } from '@/components/ui/label'
 
 export default function FreelancerDetail() {
+  const { toast } = useToast()
   const { id } = useParams()
   const navigate = useNavigate()
   const { profile: currentUserProfile, isAuthenticated, isClient } = useAuth()
   const { fetchServiceById } = useServicePosts()
   const { fetchUserReviews } = useReviews()
   const { createServiceRequest, checkServiceRequestExists } = useServiceRequests()
+  const { items: portfolioItems, fetchPortfolio } = usePortfolio(service?.freelancer_id)
 
   const [service, setService] = useState(null)
   const [reviews, setReviews] = useState([])
@@ -62,6 +67,11 @@ export default function FreelancerDetail() {
     loadServiceData()
   }, [id])
 
+  // The portfolio loads once the service tells us whose it is
+  useEffect(() => {
+    fetchPortfolio()
+  }, [fetchPortfolio])
+
   const loadServiceData = async () => {
     setIsLoading(true)
 
@@ -106,7 +116,7 @@ export default function FreelancerDetail() {
     }
 
     if (!isClient) {
-      alert('Only clients can hire freelancers. Please switch to a client account.')
+      toast({ title: 'Only clients can hire freelancers', description: 'Please switch to a client account.', variant: 'destructive' })
       return
     }
 
@@ -123,7 +133,7 @@ export default function FreelancerDetail() {
 
   const handleSubmitHireRequest = async () => {
     if (!hireForm.project_description.trim()) {
-      alert('Please provide a project description')
+      toast({ title: 'Please provide a project description', variant: 'destructive' })
       return
     }
 
@@ -144,16 +154,16 @@ export default function FreelancerDetail() {
 
       if (error) {
         console.error('Error creating service request:', error)
-        alert(error.message || 'Failed to send hire request. Please try again.')
+        toast({ title: 'Failed to send hire request', description: error.message, variant: 'destructive' })
       } else {
         setHireDialogOpen(false)
-        alert('Hire request sent successfully! The freelancer will review your request.')
+        toast({ title: 'Hire request sent successfully', description: 'The freelancer will review your request.', variant: 'success' })
         // Reload to update existing request status
         await loadServiceData()
       }
     } catch (err) {
       console.error('Error submitting hire request:', err)
-      alert('An error occurred. Please try again.')
+      toast({ title: 'An error occurred', description: 'Please try again.', variant: 'destructive' })
     } finally {
       setIsSubmitting(false)
     }
@@ -285,6 +295,9 @@ export default function FreelancerDetail() {
                 <Tabs value={activeTab} onValueChange={setActiveTab}>
                   <TabsList className="w-full">
                     <TabsTrigger value="about" className="flex-1">About Freelancer</TabsTrigger>
+                    <TabsTrigger value="portfolio" className="flex-1">
+                      Portfolio ({portfolioItems.length})
+                    </TabsTrigger>
                     <TabsTrigger value="reviews" className="flex-1">
                       Reviews ({reviews.length})
                     </TabsTrigger>
@@ -336,12 +349,21 @@ export default function FreelancerDetail() {
                     </div>
                   </TabsContent>
 
+                  {/* Portfolio Tab */}
+                  <TabsContent value="portfolio" className="mt-6">
+                    <PortfolioGallery items={portfolioItems} />
+                  </TabsContent>
+
                   {/* Reviews Tab */}
                   <TabsContent value="reviews" className="mt-6">
                     {reviews.length > 0 ? (
                       <div className="space-y-4">
                         {reviews.map((review) => (
-                          <ReviewCard key={review.id} review={review} />
+                          <ReviewCard
+                            key={review.id}
+                            review={review}
+                            onUpdate={(updated) => setReviews(prev => prev.map(r => r.id === updated.id ? updated : r))}
+                          />
                         ))}
                       </div>
                     ) : (
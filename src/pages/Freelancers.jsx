@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo, useRef } from 'react'
 import { Link, useSearchParams } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import {
@@ -10,39 +10,52 @@ import { Input } from '@/components/ui/input'
 import { Card, CardContent } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { InitialsAvatar } from '@/components/ui/InitialsAvatar'
+import { HighlightedText } from '@/components/search/HighlightedText'
+import { PresenceDot } from '@/components/presence/PresenceDot'
 import {
   Select, SelectContent, SelectItem, SelectTrigger, SelectValue,
 } from '@/components/ui/select'
 import { Separator } from '@/components/ui/separator'
 import { useServicePosts } from '@/hooks/useServicePosts'
+import { useInfiniteScroll } from '@/hooks/useInfiniteScroll'
+import { useListingRestore } from '@/hooks/useListingRestore'
 import { useCategories } from '@/hooks/useCategories'
 import { formatSOL, formatTimeAgo, cn, truncateAddress } from '@/lib/utils'
+import { PAGE_SIZE } from '@/lib/pagination'
 import { allSkills } from '@/data/mockData'
 
 export default function Freelancers() {
   const [searchParams, setSearchParams] = useSearchParams()
-  const [view, setView] = useState('grid')
   const [showFilters, setShowFilters] = useState(false)
 
+  // Coming back from a service restores the loaded pages, filters and scroll position
+  const restored = useListingRestore('services', () => ({
+    view,
+    ui: { searchQuery, selectedCategory, selectedSkills, sortBy, priceRange },
+    list: { items: services, totalCount, nextCursor, filters },
+  }))
+  const [view, setView] = useState(restored?.view ?? 'grid')
+
   // Hooks
-  const { services, isLoading, error, fetchServices } = useServicePosts()
+  const {
+    services, totalCount, nextCursor, hasMore, isLoading, isLoadingMore, error, fetchServices, fetchMoreServices,
+  } = useServicePosts(restored?.list)
   const { categories, isLoading: categoriesLoading } = useCategories()
 
   // Filters
-  const [searchQuery, setSearchQuery] = useState(searchParams.get('q') || '')
-  const [selectedCategory, setSelectedCategory] = useState(searchParams.get('category') || '')
-  const [selectedSkills, setSelectedSkills] = useState([])
-  const [sortBy, setSortBy] = useState('newest')
-  const [priceRange, setPriceRange] = useState('')
+  const [searchQuery, setSearchQuery] = useState(restored?.ui.searchQuery ?? (searchParams.get('q') || ''))
+  const [selectedCategory, setSelectedCategory] = useState(restored?.ui.selectedCategory ?? (searchParams.get('category') || ''))
+  const [selectedSkills, setSelectedSkills] = useState(restored?.ui.selectedSkills ?? [])
+  const [sortBy, setSortBy] = useState(restored?.ui.sortBy ?? 'relevance')
+  const [priceRange, setPriceRange] = useState(restored?.ui.priceRange ?? '')
 
-  // Fetch services on mount and when filters change
-  useEffect(() => {
+  const filters = useMemo(() => {
     const filters = {
       status: 'active',
       search: searchQuery || undefined,
       category: selectedCategory || undefined,
       skills: selectedSkills.length > 0 ? selectedSkills : undefined,
-      sortBy: sortBy === 'newest' ? 'created_at' : sortBy === 'price-low' ? 'price' : 'created_at',
+      sortBy: sortBy === 'relevance' ? 'relevance' : sortBy === 'newest' ? 'created_at' : sortBy === 'price-low' ? 'price' : sortBy === 'rating' ? 'freelancer_score' : 'created_at',
       sortOrder: sortBy === 'price-low' ? 'asc' : 'desc',
     }
 
@@ -54,10 +67,21 @@ export default function Freelancers() {
       else filters.priceMax = 1000000
     }
 
-    fetchServices(filters)
-    // eslint-disable-next-line react-hooks/exhaustive-deps
+    return filters
   }, [searchQuery, selectedCategory, selectedSkills, sortBy, priceRange])
 
+  // Fetch the first page on mount and when filters change (a restored listing is already loaded)
+  const skipFetchRef = useRef(Boolean(restored))
+  useEffect(() => {
+    if (skipFetchRef.current) {
+      skipFetchRef.current = false
+      return
+    }
+    fetchServices(filters)
+  }, [filters, fetchServices])
+
+  const sentinelRef = useInfiniteScroll({ hasMore, isLoading: isLoading || isLoadingMore, onLoadMore: fetchMoreServices })
+
   const toggleSkill = (skill) => {
     setSelectedSkills(prev => prev.includes(skill) ? prev.filter(s => s !== skill) : [...prev, skill])
   }
@@ -67,7 +91,7 @@ export default function Freelancers() {
     setSelectedCategory('')
     setSelectedSkills([])
     setPriceRange('')
-    setSortBy('newest')
+    setSortBy('relevance')
     setSearchParams({})
   }
 
@@ -185,13 +209,14 @@ export default function Freelancers() {
                 {isLoading ? (
                   <span>Loading services...</span>
                 ) : (
-                  <span><span className="text-foreground font-bold">{services.length}</span> freelancer{services.length !== 1 ? 's' : ''} available</span>
+                  <span><span className="text-foreground font-bold">{totalCount ?? services.length}</span> freelancer{(totalCount ?? services.length) !== 1 ? 's' : ''} available</span>
                 )}
               </p>
               <div className="flex items-center gap-3">
                 <Select value={sortBy} onValueChange={setSortBy}>
                   <SelectTrigger className="w-[160px] bg-background/50 border-white/10"><SelectValue /></SelectTrigger>
                   <SelectContent>
+                    <SelectItem value="relevance">Best Match</SelectItem>
                     <SelectItem value="newest">Newest First</SelectItem>
                     <SelectItem value="price-low">Lowest Price</SelectItem>
                     <SelectItem value="rating">Top Rated</SelectItem>
@@ -209,60 +234,73 @@ export default function Freelancers() {
                 <Loader2 className="h-8 w-8 animate-spin text-primary" />
               </div>
             ) : services.length > 0 ? (
-              <motion.div layout className={cn(view === 'grid' ? 'grid md:grid-cols-2 gap-5' : 'space-y-4')}>
-                {services.map((service, i) => (
-                  <motion.div key={service.id} initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: i * 0.05 }}>
-                    <Link to={`/freelancers/${service.id}`} className="block h-full group">
-                      <Card className="glass-card h-full hover:border-primary/50 hover:shadow-lg transition-all duration-300">
-                        <CardContent className="p-6 flex flex-col h-full">
-                          <div className="flex justify-between items-start mb-4">
-                            <div className="flex gap-3 flex-1">
-                              <InitialsAvatar nickname={service.freelancer?.nickname || 'User'} size="lg" />
-                              <div className="flex-1 min-w-0">
-                                <h3 className="font-semibold text-lg leading-tight group-hover:text-primary transition-colors line-clamp-1">{service.title}</h3>
-                                <p className="text-sm text-muted-foreground mt-1 flex items-center gap-2 flex-wrap">
-                                  <span className="font-medium">{service.freelancer?.nickname || 'Unknown'}</span>
-                                  {service.freelancer?.wallet_address && (
-                                    <span className="text-xs text-primary/70">({truncateAddress(service.freelancer.wallet_address)})</span>
-                                  )}
-                                  {service.freelancer?.rating > 0 && (
-                                    <span className="flex items-center gap-1">
-                                      <Star className="h-3 w-3 fill-yellow-500 text-yellow-500" />
-                                      <span className="text-xs">{service.freelancer.rating.toFixed(1)}</span>
-                                    </span>
-                                  )}
-                                </p>
+              <>
+                <motion.div layout className={cn(view === 'grid' ? 'grid md:grid-cols-2 gap-5' : 'space-y-4')}>
+                  {services.map((service, i) => (
+                    <motion.div key={service.id} initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: (i % PAGE_SIZE) * 0.05 }}>
+                      <Link to={`/freelancers/${service.id}`} className="block h-full group">
+                        <Card className="glass-card h-full hover:border-primary/50 hover:shadow-lg transition-all duration-300">
+                          <CardContent className="p-6 flex flex-col h-full">
+                            <div className="flex justify-between items-start mb-4">
+                              <div className="flex gap-3 flex-1">
+                                <div className="relative shrink-0 self-start">
+                                  <InitialsAvatar nickname={service.freelancer?.nickname || 'User'} size="lg" />
+                                  <PresenceDot userId={service.freelancer?.id} className="h-3 w-3" />
+                                </div>
+                                <div className="flex-1 min-w-0">
+                                  <h3 className="font-semibold text-lg leading-tight group-hover:text-primary transition-colors line-clamp-1"><HighlightedText text={service.search?.title} fallback={service.title} /></h3>
+                                  <p className="text-sm text-muted-foreground mt-1 flex items-center gap-2 flex-wrap">
+                                    <span className="font-medium">{service.freelancer?.nickname || 'Unknown'}</span>
+                                    {service.freelancer?.wallet_address && (
+                                      <span className="text-xs text-primary/70">({truncateAddress(service.freelancer.wallet_address)})</span>
+                                    )}
+                                    {service.freelancer?.review_count > 0 && (
+                                      <span className="flex items-center gap-1">
+                                        <Star className="h-3 w-3 fill-yellow-500 text-yellow-500" />
+                                        <span className="text-xs">{Number(service.freelancer.rating_score).toFixed(1)} ({service.freelancer.review_count})</span>
+                                      </span>
+                                    )}
+                                  </p>
+                                </div>
                               </div>
                             </div>
-                          </div>
-
-                          <p className="text-sm text-muted-foreground line-clamp-2 mb-4 flex-1">{service.description}</p>
 
-                          <div className="flex flex-wrap gap-2 mb-4">
-                            {service.skills?.slice(0, 3).map(skill => (
-                              <Badge key={skill} variant="secondary" className="font-normal text-xs bg-muted/50">{skill}</Badge>
-                            ))}
-                            {service.skills?.length > 3 && (
-                              <Badge variant="secondary" className="font-normal text-xs bg-muted/50">+{service.skills.length - 3}</Badge>
-                            )}
-                          </div>
+                            <p className="text-sm text-muted-foreground line-clamp-2 mb-4 flex-1"><HighlightedText text={service.search?.snippet} fallback={service.description} /></p>
 
-                          <div className="flex items-center justify-between pt-4 border-t border-white/5 mt-auto">
-                            <div className="text-sm text-muted-foreground">
-                              <Clock className="inline h-3 w-3 mr-1" />
-                              {service.delivery_time}
+                            <div className="flex flex-wrap gap-2 mb-4">
+                              {service.skills?.slice(0, 3).map(skill => (
+                                <Badge key={skill} variant="secondary" className="font-normal text-xs bg-muted/50">{skill}</Badge>
+                              ))}
+                              {service.skills?.length > 3 && (
+                                <Badge variant="secondary" className="font-normal text-xs bg-muted/50">+{service.skills.length - 3}</Badge>
+                              )}
                             </div>
-                            <div className="text-right">
-                              <span className="block text-xs text-muted-foreground capitalize">{service.price_type}</span>
-                              <span className="block font-bold text-lg text-primary">{formatSOL(service.price)}</span>
+
+                            <div className="flex items-center justify-between pt-4 border-t border-white/5 mt-auto">
+                              <div className="text-sm text-muted-foreground">
+                                <Clock className="inline h-3 w-3 mr-1" />
+                                {service.delivery_time}
+                              </div>
+                              <div className="text-right">
+                                <span className="block text-xs text-muted-foreground capitalize">{service.price_type}</span>
+                                <span className="block font-bold text-lg text-primary">{formatSOL(service.price)}</span>
+                              </div>
                             </div>
-                          </div>
-                        </CardContent>
-                      </Card>
-                    </Link>
-                  </motion.div>
-                ))}
-              </motion.div>
+                          </CardContent>
+                        </Card>
+                      </Link>
+                    </motion.div>
+                  ))}
+                </motion.div>
+
+                {/* Infinite scroll: the next page loads as this comes into view */}
+                <div ref={sentinelRef} className="flex justify-center py-8">
+                  {isLoadingMore && <Loader2 className="h-6 w-6 animate-spin text-primary" />}
+                  {!hasMore && services.length > PAGE_SIZE && (
+                    <p className="text-sm text-muted-foreground">You've reached the end of the list</p>
+                  )}
+                </div>
+              </>
             ) : (
               <div className="text-center py-20">
                 <div className="bg-muted/30 w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-4">
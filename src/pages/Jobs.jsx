@@ -1,48 +1,69 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo, useRef } from 'react'
 import { Link, useSearchParams } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import {
   Search, Grid3X3, List, Clock,
-  SlidersHorizontal, Loader2, AlertCircle
+  SlidersHorizontal, Loader2, AlertCircle, Bookmark
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Card, CardContent } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { InitialsAvatar } from '@/components/ui/InitialsAvatar'
+import { HighlightedText } from '@/components/search/HighlightedText'
+import { SaveSearchDialog } from '@/components/search/SaveSearchDialog'
 import {
   Select, SelectContent, SelectItem, SelectTrigger, SelectValue,
 } from '@/components/ui/select'
 import { Separator } from '@/components/ui/separator'
 import { useJobPosts } from '@/hooks/useJobPosts'
+import { useInfiniteScroll } from '@/hooks/useInfiniteScroll'
+import { useListingRestore } from '@/hooks/useListingRestore'
 import { useCategories } from '@/hooks/useCategories'
+import { useSavedSearches, savedSearchFields, describeSavedSearch } from '@/hooks/useSavedSearches'
+import { useAuth } from '@/context/AuthContext'
+import { useToast } from '@/context/ToastContext'
 import { formatSOL, formatTimeAgo, cn, truncateAddress } from '@/lib/utils'
+import { PAGE_SIZE } from '@/lib/pagination'
 import { allSkills } from '@/data/mockData'
 
 export default function Jobs() {
+  const { toast } = useToast()
   const [searchParams, setSearchParams] = useSearchParams()
-  const [view, setView] = useState('grid')
   const [showFilters, setShowFilters] = useState(false)
 
+  // Coming back from a job restores the loaded pages, filters and scroll position
+  const restored = useListingRestore('jobs', () => ({
+    view,
+    ui: { searchQuery, selectedCategory, selectedSkills, sortBy, budgetRange },
+    list: { items: jobs, totalCount, nextCursor, filters },
+  }))
+  const [view, setView] = useState(restored?.view ?? 'grid')
+
   // Hooks
-  const { jobs, isLoading, error, fetchJobs } = useJobPosts()
+  const {
+    jobs, totalCount, nextCursor, hasMore, isLoading, isLoadingMore, error, fetchJobs, fetchMoreJobs,
+  } = useJobPosts(restored?.list)
   const { categories, isLoading: categoriesLoading } = useCategories()
+  const { profile, isFreelancer } = useAuth()
+  const { createSavedSearch } = useSavedSearches(profile?.id)
+  const [showSaveSearch, setShowSaveSearch] = useState(false)
+  const [isSavingSearch, setIsSavingSearch] = useState(false)
 
-  // Filters
-  const [searchQuery, setSearchQuery] = useState(searchParams.get('q') || '')
-  const [selectedCategory, setSelectedCategory] = useState(searchParams.get('category') || '')
-  const [selectedSkills, setSelectedSkills] = useState([])
-  const [sortBy, setSortBy] = useState('newest')
-  const [budgetRange, setBudgetRange] = useState('')
+  // Filters (the URL can carry them, e.g. when opening a saved search)
+  const [searchQuery, setSearchQuery] = useState(restored?.ui.searchQuery ?? (searchParams.get('q') || ''))
+  const [selectedCategory, setSelectedCategory] = useState(restored?.ui.selectedCategory ?? (searchParams.get('category') || ''))
+  const [selectedSkills, setSelectedSkills] = useState(restored?.ui.selectedSkills ?? (searchParams.get('skills')?.split(',').filter(Boolean) || []))
+  const [sortBy, setSortBy] = useState(restored?.ui.sortBy ?? (searchParams.get('sort') || 'relevance'))
+  const [budgetRange, setBudgetRange] = useState(restored?.ui.budgetRange ?? (searchParams.get('budget') || ''))
 
-  // Fetch jobs on mount and when filters change
-  useEffect(() => {
+  const filters = useMemo(() => {
     const filters = {
       status: 'open',
       search: searchQuery || undefined,
       category: selectedCategory || undefined,
       skills: selectedSkills.length > 0 ? selectedSkills : undefined,
-      sortBy: sortBy === 'newest' ? 'created_at' : sortBy === 'budget-high' ? 'budget' : 'applicant_count',
+      sortBy: sortBy === 'relevance' ? 'relevance' : sortBy === 'newest' ? 'created_at' : sortBy === 'budget-high' ? 'budget' : 'applicant_count',
       sortOrder: sortBy === 'budget-high' ? 'desc' : sortBy === 'newest' ? 'desc' : 'desc',
     }
 
@@ -54,10 +75,21 @@ export default function Jobs() {
       else filters.budgetMax = 1000000 // Large number for "100+"
     }
 
-    fetchJobs(filters)
-    // eslint-disable-next-line react-hooks/exhaustive-deps
+    return filters
   }, [searchQuery, selectedCategory, selectedSkills, sortBy, budgetRange])
 
+  // Fetch the first page on mount and when filters change (a restored listing is already loaded)
+  const skipFetchRef = useRef(Boolean(restored))
+  useEffect(() => {
+    if (skipFetchRef.current) {
+      skipFetchRef.current = false
+      return
+    }
+    fetchJobs(filters)
+  }, [filters, fetchJobs])
+
+  const sentinelRef = useInfiniteScroll({ hasMore, isLoading: isLoading || isLoadingMore, onLoadMore: fetchMoreJobs })
+
   const toggleSkill = (skill) => {
     setSelectedSkills(prev => prev.includes(skill) ? prev.filter(s => s !== skill) : [...prev, skill])
   }
@@ -67,12 +99,26 @@ export default function Jobs() {
     setSelectedCategory('')
     setSelectedSkills([])
     setBudgetRange('')
-    setSortBy('newest')
+    setSortBy('relevance')
     setSearchParams({})
   }
 
   const hasActiveFilters = searchQuery || selectedCategory || selectedSkills.length > 0 || budgetRange
 
+  const currentSearch = savedSearchFields({ searchQuery, selectedCategory, selectedSkills, budgetRange, sortBy })
+
+  const handleSaveSearch = async ({ name, notify_in_app, notify_digest }) => {
+    setIsSavingSearch(true)
+    const { error: saveError } = await createSavedSearch(name, { ...currentSearch, notify_in_app, notify_digest })
+    setIsSavingSearch(false)
+
+    if (saveError) {
+      toast({ title: 'Failed to save search', description: saveError.message, variant: 'destructive' })
+      return
+    }
+    setShowSaveSearch(false)
+  }
+
   return (
     <div className="min-h-screen pt-12 pb-12 relative">
       {/* Dynamic Background */}
@@ -174,6 +220,15 @@ export default function Jobs() {
                     ))}
                   </div>
                 </div>
+
+                {isFreelancer && hasActiveFilters && (
+                  <>
+                    <Separator className="bg-border/50" />
+                    <Button variant="outline" className="w-full border-white/10" onClick={() => setShowSaveSearch(true)}>
+                      <Bookmark className="h-4 w-4 mr-2" /> Save this search
+                    </Button>
+                  </>
+                )}
               </CardContent>
             </Card>
           </aside>
@@ -185,13 +240,14 @@ export default function Jobs() {
                 {isLoading ? (
                   <span>Loading jobs...</span>
                 ) : (
-                  <span><span className="text-foreground font-bold">{jobs.length}</span> active jobs found</span>
+                  <span><span className="text-foreground font-bold">{totalCount ?? jobs.length}</span> active jobs found</span>
                 )}
               </p>
               <div className="flex items-center gap-3">
                 <Select value={sortBy} onValueChange={setSortBy}>
                   <SelectTrigger className="w-[160px] bg-background/50 border-white/10"><SelectValue /></SelectTrigger>
                   <SelectContent>
+                    <SelectItem value="relevance">Best Match</SelectItem>
                     <SelectItem value="newest">Newest First</SelectItem>
                     <SelectItem value="budget-high">Highest Budget</SelectItem>
                     <SelectItem value="applicants">Most Popular</SelectItem>
@@ -209,51 +265,61 @@ export default function Jobs() {
                 <Loader2 className="h-8 w-8 animate-spin text-primary" />
               </div>
             ) : jobs.length > 0 ? (
-              <motion.div layout className={cn(view === 'grid' ? 'grid md:grid-cols-2 gap-5' : 'space-y-4')}>
-                {jobs.map((job, i) => (
-                  <motion.div key={job.id} initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: i * 0.05 }}>
-                    <Link to={`/jobs/${job.id}`} className="block h-full group">
-                      <Card className="glass-card h-full hover:border-primary/50 hover:shadow-lg transition-all duration-300">
-                        <CardContent className="p-6 flex flex-col h-full">
-                          <div className="flex justify-between items-start mb-4">
-                            <div className="flex gap-3">
-                              <InitialsAvatar nickname={job.client?.nickname || 'User'} size="md" />
-                              <div>
-                                <h3 className="font-semibold text-lg leading-tight group-hover:text-primary transition-colors line-clamp-1">{job.title}</h3>
-                                <p className="text-xs text-muted-foreground mt-1 flex items-center gap-1 flex-wrap">
-                                  {job.client?.nickname || 'Unknown'}
-                                  {job.client?.wallet_address && (
-                                    <span className="text-primary/70">({truncateAddress(job.client.wallet_address)})</span>
-                                  )}
-                                  <span className="flex items-center gap-1">• <Clock className="h-3 w-3" /> {formatTimeAgo(job.created_at)}</span>
-                                </p>
+              <>
+                <motion.div layout className={cn(view === 'grid' ? 'grid md:grid-cols-2 gap-5' : 'space-y-4')}>
+                  {jobs.map((job, i) => (
+                    <motion.div key={job.id} initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: (i % PAGE_SIZE) * 0.05 }}>
+                      <Link to={`/jobs/${job.id}`} className="block h-full group">
+                        <Card className="glass-card h-full hover:border-primary/50 hover:shadow-lg transition-all duration-300">
+                          <CardContent className="p-6 flex flex-col h-full">
+                            <div className="flex justify-between items-start mb-4">
+                              <div className="flex gap-3">
+                                <InitialsAvatar nickname={job.client?.nickname || 'User'} size="md" />
+                                <div>
+                                  <h3 className="font-semibold text-lg leading-tight group-hover:text-primary transition-colors line-clamp-1"><HighlightedText text={job.search?.title} fallback={job.title} /></h3>
+                                  <p className="text-xs text-muted-foreground mt-1 flex items-center gap-1 flex-wrap">
+                                    {job.client?.nickname || 'Unknown'}
+                                    {job.client?.wallet_address && (
+                                      <span className="text-primary/70">({truncateAddress(job.client.wallet_address)})</span>
+                                    )}
+                                    <span className="flex items-center gap-1">• <Clock className="h-3 w-3" /> {formatTimeAgo(job.created_at)}</span>
+                                  </p>
+                                </div>
                               </div>
                             </div>
-                          </div>
 
-                          <p className="text-sm text-muted-foreground line-clamp-2 mb-4 flex-1">{job.description}</p>
+                            <p className="text-sm text-muted-foreground line-clamp-2 mb-4 flex-1"><HighlightedText text={job.search?.snippet} fallback={job.description} /></p>
 
-                          <div className="flex flex-wrap gap-2 mb-4">
-                            {job.skills?.slice(0, 3).map(skill => (
-                              <Badge key={skill} variant="secondary" className="font-normal text-xs bg-muted/50">{skill}</Badge>
-                            ))}
-                            {job.skills?.length > 3 && (
-                              <Badge variant="secondary" className="font-normal text-xs bg-muted/50">+{job.skills.length - 3}</Badge>
-                            )}
-                          </div>
+                            <div className="flex flex-wrap gap-2 mb-4">
+                              {job.skills?.slice(0, 3).map(skill => (
+                                <Badge key={skill} variant="secondary" className="font-normal text-xs bg-muted/50">{skill}</Badge>
+                              ))}
+                              {job.skills?.length > 3 && (
+                                <Badge variant="secondary" className="font-normal text-xs bg-muted/50">+{job.skills.length - 3}</Badge>
+                              )}
+                            </div>
 
-                          <div className="flex items-center justify-between pt-4 border-t border-white/5 mt-auto">
-                            <div className="text-sm text-muted-foreground capitalize">{job.budget_type}</div>
-                            <div className="text-right">
-                              <span className="block font-bold text-lg text-primary">{formatSOL(job.budget)}</span>
+                            <div className="flex items-center justify-between pt-4 border-t border-white/5 mt-auto">
+                              <div className="text-sm text-muted-foreground capitalize">{job.budget_type}</div>
+                              <div className="text-right">
+                                <span className="block font-bold text-lg text-primary">{formatSOL(job.budget)}</span>
+                              </div>
                             </div>
-                          </div>
-                        </CardContent>
-                      </Card>
-                    </Link>
-                  </motion.div>
-                ))}
-              </motion.div>
+                          </CardContent>
+                        </Card>
+                      </Link>
+                    </motion.div>
+                  ))}
+                </motion.div>
+
+                {/* Infinite scroll: the next page loads as this comes into view */}
+                <div ref={sentinelRef} className="flex justify-center py-8">
+                  {isLoadingMore && <Loader2 className="h-6 w-6 animate-spin text-primary" />}
+                  {!hasMore && jobs.length > PAGE_SIZE && (
+                    <p className="text-sm text-muted-foreground">You've reached the end of the list</p>
+                  )}
+                </div>
+              </>
             ) : (
               <div className="text-center py-20">
                 <div className="bg-muted/30 w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-4">
@@ -267,6 +333,15 @@ export default function Jobs() {
           </div>
         </div>
       </div>
+
+      <SaveSearchDialog
+        open={showSaveSearch}
+        onOpenChange={setShowSaveSearch}
+        defaultName={searchQuery.trim() || categories.find(c => c.id === selectedCategory)?.name || ''}
+        summary={describeSavedSearch(currentSearch, categories)}
+        onSubmit={handleSaveSearch}
+        isSubmitting={isSavingSearch}
+      />
     </div>
   )
 }
@@ -9,14 +9,11 @@ import { useAuth } from '@/context/AuthContext'
 /**
  * Login Page - Wallet-Only Authentication
  * 
- * Current implementation: Simple wallet lookup (profile by wallet_address)
- * 
- * TODO: For full SIWS (Sign In With Solana) implementation:
+ * SIWS (Sign In With Solana):
  * 1. Connect wallet
- * 2. Request nonce from Supabase Edge Function
+ * 2. Request nonce from the siws-nonce Edge Function
  * 3. Sign message with wallet
- * 4. Send signature to Edge Function for verification
- * 5. Edge Function returns JWT for authenticated session
+ * 4. siws-verify checks the signature and returns a Supabase session
  */
 export default function Login() {
   const navigate = useNavigate()
@@ -44,21 +41,6 @@ export default function Login() {
     }
   }, [isAuthenticated, profile, navigate])
 
-  // Also check for wallet-based profile (soft login)
-  useEffect(() => {
-    if (!isAuthenticated && profile && profile.wallet_address) {
-      // User has a wallet-based profile, navigate to dashboard
-      const userType = profile.user_type
-      let dashboardPath = '/dashboard/freelancer'
-
-      if (userType === 'client') {
-        dashboardPath = '/dashboard/client'
-      }
-
-      navigate(dashboardPath)
-    }
-  }, [isAuthenticated, profile, navigate])
-
   const handleWalletSignIn = async () => {
     setError('')
 
@@ -138,7 +120,7 @@ export default function Login() {
               </div>
 
               <div className="text-center text-xs text-muted-foreground">
-                <p>Supported wallets: Phantom, Solflare, and more</p>
+                <p>Supported wallets: Phantom, Solflare, Backpack and any Wallet Standard wallet</p>
               </div>
             </div>
 
@@ -11,15 +11,60 @@ import {
   MoreVertical,
   CheckCheck,
   ChevronDown,
-  RefreshCw
+  RefreshCw,
+  Paperclip,
+  X,
+  Reply,
+  Pencil,
+  Trash2
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Card } from '@/components/ui/card'
 import { Input } from '@/components/ui/input'
 import { InitialsAvatar } from '@/components/ui/InitialsAvatar'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from '@/components/ui/dialog'
 import { useAuth } from '@/context/AuthContext'
 import { useChat } from '@/hooks/useChat'
-import { formatTimeAgo, cn } from '@/lib/utils'
+import { MessageAttachments } from '@/components/chat/MessageAttachments'
+import { PresenceDot, PresenceLabel } from '@/components/presence/PresenceDot'
+import {
+  validateAttachment,
+  getAttachmentType,
+  isImageType,
+  MAX_ATTACHMENTS,
+  ATTACHMENT_ACCEPT,
+} from '@/lib/attachments'
+import { formatTimeAgo, formatFileSize, cn } from '@/lib/utils'
+
+const TYPING_THROTTLE = 2500 // Minimum gap between "typing" broadcasts
+const TYPING_IDLE = 3000 // Stop typing after this long without input
+const TYPING_TIMEOUT = 6000 // Hide the other side's indicator if their stop event is lost
+
+// Preview text for a message that may only carry attachments
+const messagePreview = (message) => {
+  if (message.deleted_at) return 'Message deleted'
+  if (message.content) return message.content
+  const count = message.attachments?.length || 0
+  return count > 1 ? `Sent ${count} attachments` : 'Sent an attachment'
+}
+
+// Apply a realtime UPDATE row (edit or delete) to the message and to quotes of it
+// UPDATE payloads carry no embeds, so sender and attachments are kept from the loaded message
+const applyMessageUpdate = (messages, row) => messages.map((m) => {
+  if (m.id === row.id) {
+    return { ...m, ...row, attachments: row.deleted_at ? [] : m.attachments }
+  }
+  if (m.reply_to?.id === row.id) {
+    return { ...m, reply_to: { ...m.reply_to, content: row.content, deleted_at: row.deleted_at } }
+  }
+  return m
+})
 
 // Date separator component
 function DateSeparator({ date }) {
@@ -81,6 +126,29 @@ function MessageSkeleton({ isOwn }) {
   )
 }
 
+// Animated "is typing" bubble
+function TypingIndicator({ nickname }) {
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: 10 }}
+      className="flex items-center gap-2"
+    >
+      <div className="w-8 shrink-0" />
+      <div className="flex items-center gap-1 rounded-2xl rounded-bl-md bg-muted px-4 py-3" aria-label={`${nickname} is typing`}>
+        {[0, 1, 2].map((dot) => (
+          <span
+            key={dot}
+            className="h-1.5 w-1.5 rounded-full bg-muted-foreground/70 animate-bounce"
+            style={{ animationDelay: `${dot * 150}ms` }}
+          />
+        ))}
+      </div>
+    </motion.div>
+  )
+}
+
 // New message toast notification
 function NewMessageToast({ message, onView, onDismiss }) {
   useEffect(() => {
@@ -103,7 +171,7 @@ function NewMessageToast({ message, onView, onDismiss }) {
           <InitialsAvatar nickname={message.sender?.nickname} size="sm" />
           <div className="flex-1 min-w-0">
             <p className="font-medium text-sm">{message.sender?.nickname}</p>
-            <p className="text-sm text-muted-foreground truncate">{message.content}</p>
+            <p className="text-sm text-muted-foreground truncate">{messagePreview(message)}</p>
           </div>
         </div>
       </Card>
@@ -111,11 +179,45 @@ function NewMessageToast({ message, onView, onDismiss }) {
   )
 }
 
+// Quoted message shown at the top of a reply
+function ReplyQuote({ reply, isOwn, onClick, className }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={cn(
+        "block w-full border-l-2 pl-2 text-left text-xs",
+        isOwn ? "border-primary-foreground/50 text-primary-foreground/80" : "border-primary/60 text-muted-foreground",
+        className
+      )}
+    >
+      <span className="block font-semibold">{reply.sender?.nickname || 'Unknown User'}</span>
+      <span className="line-clamp-2 whitespace-pre-wrap">
+        {reply.deleted_at ? 'Message deleted' : reply.content || 'Attachment'}
+      </span>
+    </button>
+  )
+}
+
 // Message bubble with improved design
-function MessageBubble({ message, isOwn, profile, showTimestamp, onRetry }) {
+function MessageBubble({
+  message,
+  isOwn,
+  profile,
+  showTimestamp,
+  isHighlighted,
+  onRetry,
+  onReply,
+  onEdit,
+  onDelete,
+  onShowHistory,
+  onJumpTo,
+}) {
   const [showTime, setShowTime] = useState(false)
   const isPending = message._isPending
   const isFailed = message._failed
+  const isDeleted = !!message.deleted_at
+  const canAct = !isPending && !isFailed && !isDeleted
 
   return (
     <motion.div
@@ -127,6 +229,7 @@ function MessageBubble({ message, isOwn, profile, showTimestamp, onRetry }) {
       }}
       exit={{ opacity: 0, scale: 0.95 }}
       transition={{ duration: 0.2 }}
+      id={`message-${message.id}`}
       className={cn("flex gap-2 group", isOwn && "flex-row-reverse")}
       onMouseEnter={() => setShowTime(true)}
       onMouseLeave={() => setShowTime(false)}
@@ -151,16 +254,52 @@ function MessageBubble({ message, isOwn, profile, showTimestamp, onRetry }) {
               ? "bg-primary text-primary-foreground rounded-br-md"
               : "bg-muted rounded-bl-md",
             isFailed && "bg-destructive/20 border border-destructive cursor-pointer hover:bg-destructive/30",
+            isDeleted && "bg-transparent border border-dashed text-muted-foreground",
+            isHighlighted && "ring-2 ring-primary ring-offset-2 ring-offset-background",
             "transition-colors"
           )}
           onClick={isFailed ? () => onRetry(message) : undefined}
           role={isFailed ? "button" : undefined}
           tabIndex={isFailed ? 0 : undefined}
         >
-          <p className="text-sm whitespace-pre-wrap leading-relaxed">{message.content}</p>
+          {isDeleted ? (
+            <p className="text-sm italic">This message was deleted</p>
+          ) : (
+            <>
+              {message.reply_to && (
+                <ReplyQuote
+                  reply={message.reply_to}
+                  isOwn={isOwn}
+                  className="mb-1.5"
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    onJumpTo(message.reply_to.id)
+                  }}
+                />
+              )}
+              {message.attachments?.length > 0 && (
+                <MessageAttachments
+                  attachments={message.attachments}
+                  isOwn={isOwn}
+                  className={cn("-mx-2 mt-0.5", message.content ? "mb-2" : "mb-0.5")}
+                />
+              )}
+              {message.content && (
+                <p className="text-sm whitespace-pre-wrap leading-relaxed">{message.content}</p>
+              )}
+              {isPending && message._progress != null && (
+                <div className="mt-2 h-1 w-full min-w-[120px] overflow-hidden rounded-full bg-primary-foreground/20">
+                  <div
+                    className="h-full bg-primary-foreground/80 transition-all"
+                    style={{ width: `${Math.round(message._progress * 100)}%` }}
+                  />
+                </div>
+              )}
+            </>
+          )}
           
           {/* Read status for own messages */}
-          {isOwn && !isFailed && !isPending && (
+          {isOwn && canAct && (
             <span className="absolute -bottom-0.5 -right-0.5 text-primary-foreground/70">
               <CheckCheck className="h-3.5 w-3.5" />
             </span>
@@ -189,14 +328,50 @@ function MessageBubble({ message, isOwn, profile, showTimestamp, onRetry }) {
                 {isFailed 
                   ? 'Failed • Tap to retry' 
                   : isPending 
-                    ? 'Sending...' 
+                    ? message._progress != null && message._progress < 1
+                      ? `Uploading ${Math.round(message._progress * 100)}%`
+                      : 'Sending...'
                     : formatTimeAgo(message.created_at)
                 }
               </span>
+              {message.edited_at && !isDeleted && (
+                <button
+                  type="button"
+                  className="text-xs text-muted-foreground hover:underline"
+                  onClick={() => onShowHistory(message)}
+                >
+                  · edited
+                </button>
+              )}
             </motion.div>
           )}
         </AnimatePresence>
       </div>
+
+      {/* Hover actions */}
+      {canAct && (
+        <div className="self-center flex items-center gap-0.5 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+          <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => onReply(message)} aria-label="Reply">
+            <Reply className="h-3.5 w-3.5" />
+          </Button>
+          {isOwn && (
+            <>
+              <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => onEdit(message)} aria-label="Edit">
+                <Pencil className="h-3.5 w-3.5" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-7 w-7 hover:text-destructive"
+                onClick={() => onDelete(message)}
+                aria-label="Delete"
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </Button>
+            </>
+          )}
+        </div>
+      )}
     </motion.div>
   )
 }
@@ -218,6 +393,7 @@ function ConversationItem({ conversation, isSelected, otherParticipant, onClick,
       {/* Avatar */}
       <div className="relative shrink-0">
         <InitialsAvatar nickname={otherParticipant?.nickname} size="md" />
+        <PresenceDot userId={otherParticipant?.id} />
       </div>
 
       {/* Content */}
@@ -256,7 +432,7 @@ function ConversationItem({ conversation, isSelected, otherParticipant, onClick,
 }
 
 // Auto-growing textarea
-function AutoGrowTextarea({ value, onChange, onKeyDown, disabled, maxLength, inputRef }) {
+function AutoGrowTextarea({ value, onChange, onKeyDown, onPaste, disabled, maxLength, inputRef }) {
   const textareaRef = useRef(null)
   
   // Combine refs
@@ -281,6 +457,7 @@ function AutoGrowTextarea({ value, onChange, onKeyDown, disabled, maxLength, inp
       value={value}
       onChange={onChange}
       onKeyDown={onKeyDown}
+      onPaste={onPaste}
       placeholder="Type a message..."
       disabled={disabled}
       maxLength={maxLength}
@@ -310,26 +487,41 @@ export default function Messages() {
     getOrCreateConversation,
     fetchMessages,
     sendMessage,
+    editMessage,
+    deleteMessage,
+    fetchMessageEdits,
     markMessagesAsRead,
     subscribeToMessages,
+    subscribeToTyping,
+    sendTyping,
   } = useChat()
 
   const [selectedConversation, setSelectedConversation] = useState(null)
   const [messageInput, setMessageInput] = useState('')
+  const [pendingFiles, setPendingFiles] = useState([])
   const [isSending, setIsSending] = useState(false)
   const [localMessages, setLocalMessages] = useState([])
   const [sendError, setSendError] = useState(null)
   const [searchQuery, setSearchQuery] = useState('')
   const [showScrollButton, setShowScrollButton] = useState(false)
   const [newMessageToast, setNewMessageToast] = useState(null)
+  const [isOtherTyping, setIsOtherTyping] = useState(false)
+  const [replyingTo, setReplyingTo] = useState(null)
+  const [editingMessage, setEditingMessage] = useState(null)
+  const [highlightedId, setHighlightedId] = useState(null)
+  const [historyMessage, setHistoryMessage] = useState(null)
+  const [historyEdits, setHistoryEdits] = useState([])
   
   const messagesEndRef = useRef(null)
   const messagesContainerRef = useRef(null)
   const inputRef = useRef(null)
+  const fileInputRef = useRef(null)
   const processedUserParamRef = useRef(null)
   const subscriptionRef = useRef(null)
   const initialLoadDoneRef = useRef(false)
   const messageIdsRef = useRef(new Set())
+  const lastTypingSentRef = useRef(0)
+  const stopTypingTimerRef = useRef(null)
 
   // Filter conversations by search
   const filteredConversations = useMemo(() => {
@@ -420,6 +612,9 @@ export default function Messages() {
     if (isLoadingConversations && conversations.length === 0) return
     if (processedUserParamRef.current === userId) return
 
+    // ?text= prefills the composer, e.g. a job invite
+    const draft = searchParams.get('text')
+
     const handleUserParam = async () => {
       processedUserParamRef.current = userId
 
@@ -431,6 +626,7 @@ export default function Messages() {
 
       if (existingConv) {
         setSelectedConversation(existingConv)
+        if (draft) setMessageInput(draft)
         navigate(`/messages/${existingConv.id}`, { replace: true })
         setSearchParams({}, { replace: true })
         return
@@ -439,6 +635,7 @@ export default function Messages() {
       const { data: conv, error } = await getOrCreateConversation(profile.id, userId)
       if (!error && conv) {
         setSelectedConversation(conv)
+        if (draft) setMessageInput(draft)
         navigate(`/messages/${conv.id}`, { replace: true })
         setSearchParams({}, { replace: true })
         fetchConversations(profile.id, true)
@@ -484,6 +681,9 @@ export default function Messages() {
     }
 
     setLocalMessages([])
+    setPendingFiles([])
+    setReplyingTo(null)
+    setEditingMessage(null)
     messageIdsRef.current.clear()
 
     const loadMessages = async () => {
@@ -504,6 +704,7 @@ export default function Messages() {
         if (messageIdsRef.current.has(newMessage.id)) return
         if (newMessage.sender_id === profile.id) return
 
+        setIsOtherTyping(false)
         messageIdsRef.current.add(newMessage.id)
         setLocalMessages(prev => [...prev, newMessage])
         markMessagesAsRead(selectedConversation.id, profile.id)
@@ -518,7 +719,8 @@ export default function Messages() {
             scrollToBottom()
           }
         }
-      }
+      },
+      (updatedMessage) => setLocalMessages(prev => applyMessageUpdate(prev, updatedMessage))
     )
 
     return () => {
@@ -529,6 +731,65 @@ export default function Messages() {
     }
   }, [selectedConversation?.id, profile?.id, fetchMessages, markMessagesAsRead, subscribeToMessages, scrollToBottom])
 
+  // Typing indicator from the other participant
+  useEffect(() => {
+    setIsOtherTyping(false)
+    if (!selectedConversation?.id || !profile?.id) return
+
+    let hideTimer = null
+    const unsubscribe = subscribeToTyping(selectedConversation.id, profile.id, ({ is_typing }) => {
+      clearTimeout(hideTimer)
+      setIsOtherTyping(is_typing)
+      if (is_typing) {
+        hideTimer = setTimeout(() => setIsOtherTyping(false), TYPING_TIMEOUT)
+      }
+    })
+
+    return () => {
+      clearTimeout(hideTimer)
+      clearTimeout(stopTypingTimerRef.current)
+      lastTypingSentRef.current = 0
+      unsubscribe()
+    }
+  }, [selectedConversation?.id, profile?.id, subscribeToTyping])
+
+  // Keep the typing bubble in view
+  useEffect(() => {
+    if (!isOtherTyping) return
+    const container = messagesContainerRef.current
+    if (container && container.scrollHeight - container.scrollTop - container.clientHeight < 100) {
+      scrollToBottom()
+    }
+  }, [isOtherTyping, scrollToBottom])
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(stopTypingTimerRef.current)
+    if (lastTypingSentRef.current && selectedConversation?.id) {
+      sendTyping(selectedConversation.id, profile.id, false)
+    }
+    lastTypingSentRef.current = 0
+  }, [selectedConversation?.id, profile?.id, sendTyping])
+
+  const handleInputChange = useCallback((e) => {
+    const value = e.target.value
+    setMessageInput(value)
+    if (!selectedConversation?.id || !profile?.id) return
+
+    if (!value.trim()) {
+      stopTyping()
+      return
+    }
+
+    // Throttled "typing" events, then "stopped" once input goes quiet
+    const now = Date.now()
+    if (now - lastTypingSentRef.current > TYPING_THROTTLE) {
+      lastTypingSentRef.current = now
+      sendTyping(selectedConversation.id, profile.id, true)
+    }
+    clearTimeout(stopTypingTimerRef.current)
+    stopTypingTimerRef.current = setTimeout(stopTyping, TYPING_IDLE)
+  }, [selectedConversation?.id, profile?.id, sendTyping, stopTyping])
+
   // Handlers
   const handleSelectConversation = useCallback((conv) => {
     if (selectedConversation?.id === conv.id) return
@@ -546,11 +807,28 @@ export default function Messages() {
     setSendError(null)
 
     const trimmedMessage = messageInput.trim()
-    if (!trimmedMessage || !selectedConversation || isSending || !profile?.id) {
+    const files = pendingFiles
+    if ((!trimmedMessage && files.length === 0) || !selectedConversation || isSending || !profile?.id) {
       return
     }
 
     setIsSending(true)
+    stopTyping()
+
+    if (editingMessage) {
+      const { data, error } = await editMessage(editingMessage.id, trimmedMessage)
+      if (!error && data) {
+        setLocalMessages(prev => applyMessageUpdate(prev, data))
+        setEditingMessage(null)
+        setMessageInput('')
+      } else {
+        setSendError(error?.message ? `Failed to edit message: ${error.message}` : 'Failed to edit message')
+      }
+      setIsSending(false)
+      return
+    }
+
+    const replyTo = replyingTo
     const tempId = `temp-${Date.now()}-${Math.random()}`
     
     const optimisticMessage = {
@@ -561,22 +839,48 @@ export default function Messages() {
       created_at: new Date().toISOString(),
       is_read: false,
       sender: { id: profile.id, nickname: profile.nickname },
+      reply_to_id: replyTo?.id || null,
+      reply_to: replyTo
+        ? { id: replyTo.id, content: replyTo.content, sender: replyTo.sender, deleted_at: replyTo.deleted_at }
+        : null,
+      attachments: files.map((file, index) => {
+        const contentType = getAttachmentType(file)
+        return {
+          id: `${tempId}-${index}`,
+          file_name: file.name,
+          file_size: file.size,
+          content_type: contentType,
+          _previewUrl: isImageType(contentType) ? URL.createObjectURL(file) : null,
+        }
+      }),
+      _files: files,
+      _progress: files.length > 0 ? 0 : null,
       _isPending: true,
     }
     
     messageIdsRef.current.add(tempId)
     setLocalMessages(prev => [...prev, optimisticMessage])
     setMessageInput('')
+    setPendingFiles([])
+    setReplyingTo(null)
     scrollToBottom()
     inputRef.current?.focus()
 
     const { data, error } = await sendMessage(
       selectedConversation.id,
       profile.id,
-      trimmedMessage
+      trimmedMessage,
+      {
+        files,
+        replyToId: replyTo?.id,
+        onProgress: (progress) => setLocalMessages(prev =>
+          prev.map(m => m.id === tempId ? { ...m, _progress: progress } : m)
+        ),
+      }
     )
 
     if (!error && data) {
+      optimisticMessage.attachments.forEach(a => a._previewUrl && URL.revokeObjectURL(a._previewUrl))
       messageIdsRef.current.delete(tempId)
       messageIdsRef.current.add(data.id)
       setLocalMessages(prev => 
@@ -586,26 +890,109 @@ export default function Messages() {
       setLocalMessages(prev => 
         prev.map(m => m.id === tempId ? { ...m, _isPending: false, _failed: true } : m)
       )
-      setSendError('Failed to send message')
+      setSendError(files.length > 0 && error?.message ? `Failed to send message: ${error.message}` : 'Failed to send message')
     }
 
     setIsSending(false)
-  }, [messageInput, selectedConversation, isSending, profile, sendMessage, scrollToBottom])
+  }, [messageInput, pendingFiles, selectedConversation, isSending, profile, editingMessage, replyingTo, sendMessage, editMessage, scrollToBottom, stopTyping])
 
   const handleRetryMessage = useCallback((failedMessage) => {
     messageIdsRef.current.delete(failedMessage.id)
+    failedMessage.attachments?.forEach(a => a._previewUrl && URL.revokeObjectURL(a._previewUrl))
     setLocalMessages(prev => prev.filter(m => m.id !== failedMessage.id))
     setMessageInput(failedMessage.content)
+    setPendingFiles(failedMessage._files || [])
+    setReplyingTo(failedMessage.reply_to || null)
+    inputRef.current?.focus()
+  }, [])
+
+  const handleReply = useCallback((message) => {
+    setEditingMessage(null)
+    setReplyingTo(message)
     inputRef.current?.focus()
   }, [])
 
+  const handleEdit = useCallback((message) => {
+    setReplyingTo(null)
+    setPendingFiles([])
+    setEditingMessage(message)
+    setMessageInput(message.content)
+    inputRef.current?.focus()
+  }, [])
+
+  const handleCancelCompose = useCallback(() => {
+    if (editingMessage) setMessageInput('')
+    setEditingMessage(null)
+    setReplyingTo(null)
+  }, [editingMessage])
+
+  const handleDelete = useCallback(async (message) => {
+    if (!confirm('Delete this message for everyone?')) return
+
+    const { data, error } = await deleteMessage(message.id)
+    if (!error && data) {
+      setLocalMessages(prev => applyMessageUpdate(prev, data))
+      if (editingMessage?.id === message.id) handleCancelCompose()
+      if (replyingTo?.id === message.id) setReplyingTo(null)
+    } else {
+      setSendError('Failed to delete message')
+    }
+  }, [deleteMessage, editingMessage, replyingTo, handleCancelCompose])
+
+  // Scroll to a quoted message and flash it
+  const handleJumpTo = useCallback((messageId) => {
+    const element = document.getElementById(`message-${messageId}`)
+    if (!element) return
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    setHighlightedId(messageId)
+    setTimeout(() => setHighlightedId(current => current === messageId ? null : current), 1500)
+  }, [])
+
+  const handleShowHistory = useCallback(async (message) => {
+    setHistoryMessage(message)
+    setHistoryEdits([])
+    const { data } = await fetchMessageEdits(message.id)
+    setHistoryEdits(data || [])
+  }, [fetchMessageEdits])
+
+  // Queue files for the next message, rejecting ones over the size or type limits
+  const handleAddFiles = useCallback((fileList) => {
+    const files = Array.from(fileList || [])
+    if (files.length === 0) return
+
+    const rejected = files.map(validateAttachment).filter(Boolean)
+    const accepted = files.filter(file => !validateAttachment(file))
+    const next = [
+      ...pendingFiles,
+      ...accepted.filter(file => !pendingFiles.some(p => p.name === file.name && p.size === file.size)),
+    ]
+    if (next.length > MAX_ATTACHMENTS) {
+      rejected.push(`You can attach up to ${MAX_ATTACHMENTS} files per message`)
+    }
+
+    setPendingFiles(next.slice(0, MAX_ATTACHMENTS))
+    setSendError(rejected.length > 0 ? rejected.join('. ') : null)
+  }, [pendingFiles])
+
+  const handlePaste = useCallback((e) => {
+    if (e.clipboardData?.files?.length > 0) {
+      e.preventDefault()
+      handleAddFiles(e.clipboardData.files)
+    }
+  }, [handleAddFiles])
+
   const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Escape' && (editingMessage || replyingTo)) {
+      e.preventDefault()
+      handleCancelCompose()
+      return
+    }
     // Send on Enter (without shift) or Cmd/Ctrl + Enter
     if ((e.key === 'Enter' && !e.shiftKey) || (e.key === 'Enter' && (e.metaKey || e.ctrlKey))) {
       e.preventDefault()
       handleSendMessage(e)
     }
-  }, [handleSendMessage])
+  }, [handleSendMessage, handleCancelCompose, editingMessage, replyingTo])
 
   const handleRefresh = useCallback(() => {
     if (profile?.id) {
@@ -764,18 +1151,24 @@ export default function Messages() {
                     
                     <div className="relative">
                       <InitialsAvatar nickname={otherParticipant?.nickname} size="md" />
+                      <PresenceDot userId={otherParticipant?.id} />
                     </div>
                     
                     <div className="flex-1 min-w-0">
                       <div className="font-bold truncate">
                         {otherParticipant?.nickname || 'Unknown User'}
                       </div>
-                      <div className="text-xs text-muted-foreground flex items-center gap-1">
+                      <div className="text-xs text-muted-foreground flex items-center gap-2">
+                        {isOtherTyping ? (
+                          <span className="text-primary">typing…</span>
+                        ) : (
+                          <PresenceLabel userId={otherParticipant?.id} lastSeenAt={otherParticipant?.last_seen_at} />
+                        )}
                         {otherParticipant?.rating > 0 && (
-                          <>
+                          <span className="flex items-center gap-1">
                             <span className="text-yellow-500">★</span>
                             <span>{otherParticipant.rating.toFixed(1)}</span>
-                          </>
+                          </span>
                         )}
                       </div>
                     </div>
@@ -822,12 +1215,21 @@ export default function Messages() {
                               isOwn={item.message.sender_id === profile.id}
                               profile={profile}
                               showTimestamp={item.showTimestamp}
+                              isHighlighted={highlightedId === item.message.id}
                               onRetry={handleRetryMessage}
+                              onReply={handleReply}
+                              onEdit={handleEdit}
+                              onDelete={handleDelete}
+                              onShowHistory={handleShowHistory}
+                              onJumpTo={handleJumpTo}
                             />
                           )
                         })}
                       </>
                     )}
+                    <AnimatePresence>
+                      {isOtherTyping && <TypingIndicator nickname={otherParticipant?.nickname} />}
+                    </AnimatePresence>
                     <div ref={messagesEndRef} />
                   </div>
 
@@ -877,15 +1279,90 @@ export default function Messages() {
 
                   {/* Input Area */}
                   <div className="p-4 border-t shrink-0 bg-background/50 backdrop-blur-sm">
+                    {/* Queued attachments */}
+                    {pendingFiles.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mb-3">
+                        {pendingFiles.map((file, index) => (
+                          <div
+                            key={`${file.name}-${file.size}`}
+                            className="flex items-center gap-2 max-w-[220px] rounded-lg border bg-muted/50 pl-2 pr-1 py-1 text-xs"
+                          >
+                            <Paperclip className="h-3 w-3 shrink-0 text-muted-foreground" />
+                            <span className="truncate">{file.name}</span>
+                            <span className="shrink-0 text-muted-foreground">{formatFileSize(file.size)}</span>
+                            <button
+                              type="button"
+                              className="shrink-0 rounded p-0.5 text-muted-foreground hover:text-destructive"
+                              onClick={() => setPendingFiles(prev => prev.filter((_, i) => i !== index))}
+                              aria-label={`Remove ${file.name}`}
+                            >
+                              <X className="h-3 w-3" />
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {/* Reply / edit banner */}
+                    {(replyingTo || editingMessage) && (
+                      <div className="flex items-start gap-2 mb-3 rounded-lg border bg-muted/50 px-3 py-2">
+                        {editingMessage ? (
+                          <div className="flex-1 min-w-0 text-xs">
+                            <span className="flex items-center gap-1 font-semibold text-primary">
+                              <Pencil className="h-3 w-3" /> Editing message
+                            </span>
+                            <span className="block truncate text-muted-foreground">{editingMessage.content}</span>
+                          </div>
+                        ) : (
+                          <ReplyQuote
+                            reply={replyingTo}
+                            className="flex-1 min-w-0"
+                            onClick={() => handleJumpTo(replyingTo.id)}
+                          />
+                        )}
+                        <button
+                          type="button"
+                          className="shrink-0 rounded p-0.5 text-muted-foreground hover:text-foreground"
+                          onClick={handleCancelCompose}
+                          aria-label={editingMessage ? 'Cancel editing' : 'Cancel reply'}
+                        >
+                          <X className="h-3.5 w-3.5" />
+                        </button>
+                      </div>
+                    )}
+
                     <form onSubmit={handleSendMessage} className="flex items-end gap-2">
                       {/* Attachment button */}
+                      <input
+                        ref={fileInputRef}
+                        type="file"
+                        multiple
+                        accept={ATTACHMENT_ACCEPT}
+                        className="hidden"
+                        onChange={(e) => {
+                          handleAddFiles(e.target.files)
+                          e.target.value = ''
+                        }}
+                      />
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        className="shrink-0 rounded-full h-10 w-10"
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={isSending || !!editingMessage || pendingFiles.length >= MAX_ATTACHMENTS}
+                        aria-label="Attach files"
+                      >
+                        <Paperclip className="h-4 w-4" />
+                      </Button>
 
                       {/* Input container */}
                       <div className="flex-1 flex items-end gap-2 bg-muted/50 rounded-2xl px-4 border focus-within:border-primary transition-colors">
                         <AutoGrowTextarea
                           value={messageInput}
-                          onChange={(e) => setMessageInput(e.target.value)}
+                          onChange={handleInputChange}
                           onKeyDown={handleKeyDown}
+                          onPaste={handlePaste}
                           disabled={isSending}
                           maxLength={2000}
                           inputRef={inputRef}
@@ -897,14 +1374,14 @@ export default function Messages() {
                       <Button
                         type="submit"
                         size="icon"
-                        disabled={!messageInput.trim() || isSending}
+                        disabled={(!messageInput.trim() && pendingFiles.length === 0) || isSending}
                         className={cn(
                           "shrink-0 rounded-full h-10 w-10 transition-all",
-                          messageInput.trim() 
+                          messageInput.trim() || pendingFiles.length > 0
                             ? "gradient-bg scale-100" 
                             : "bg-muted text-muted-foreground scale-95"
                         )}
-                        aria-label="Send message"
+                        aria-label={editingMessage ? 'Save edit' : 'Send message'}
                       >
                         {isSending ? (
                           <Loader2 className="h-4 w-4 animate-spin" />
@@ -958,6 +1435,30 @@ export default function Messages() {
           </motion.div>
         </div>
       </div>
+
+      {/* Edit history */}
+      <Dialog open={!!historyMessage} onOpenChange={(open) => !open && setHistoryMessage(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Edit history</DialogTitle>
+            <DialogDescription>Earlier versions of this message, oldest first</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-3 max-h-[60vh] overflow-y-auto">
+            {historyEdits.map((edit) => (
+              <div key={edit.id} className="rounded-lg bg-muted/50 px-3 py-2">
+                <p className="text-sm whitespace-pre-wrap">{edit.previous_content || <em>No text</em>}</p>
+                <p className="text-xs text-muted-foreground mt-1">Replaced {formatTimeAgo(edit.edited_at)}</p>
+              </div>
+            ))}
+            {historyMessage && (
+              <div className="rounded-lg border px-3 py-2">
+                <p className="text-sm whitespace-pre-wrap">{historyMessage.content}</p>
+                <p className="text-xs text-muted-foreground mt-1">Current</p>
+              </div>
+            )}
+          </div>
+        </DialogContent>
+      </Dialog>
     </div>
   )
 }
\ No newline at end of file
@@ -0,0 +1,306 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { ArrowLeft, Bell, Mail, MailCheck, Moon, Loader2 } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import {
+  Select, SelectContent, SelectItem, SelectTrigger, SelectValue,
+} from '@/components/ui/select'
+import { useAuth } from '@/context/AuthContext'
+import { useToast } from '@/context/ToastContext'
+import { useNotificationPreferences, DEFAULT_CHANNELS } from '@/hooks/useNotificationPreferences'
+import { NOTIFICATION_TYPES } from '@/hooks/useNotifications'
+
+const channels = [
+  ['in_app', 'In-app'],
+  ['email', 'Email'],
+]
+
+const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC']
+
+export default function NotificationSettings() {
+  const { toast } = useToast()
+  const { profile, user } = useAuth()
+  const {
+    preferences,
+    settings,
+    isLoading,
+    updatePreference,
+    saveSettings,
+    sendDigestEmailConfirmation,
+    confirmDigestEmail,
+  } = useNotificationPreferences(profile?.id)
+
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [form, setForm] = useState(settings)
+  const [isSaving, setIsSaving] = useState(false)
+  const [isSendingConfirmation, setIsSendingConfirmation] = useState(false)
+  const confirmToken = useRef(searchParams.get('confirm_email'))
+
+  useEffect(() => {
+    setForm(settings)
+  }, [settings])
+
+  // Opened from the link in a digest email confirmation
+  useEffect(() => {
+    const token = confirmToken.current
+    if (!token || !profile?.id) return
+    confirmToken.current = null
+    setSearchParams({}, { replace: true })
+
+    confirmDigestEmail(token).then(({ data, error }) => {
+      if (error) {
+        toast({ title: 'Could not confirm your email', description: error.message, variant: 'destructive' })
+      } else {
+        toast({ title: 'Email confirmed', description: `Digests will be sent to ${data.email}`, variant: 'success' })
+      }
+    })
+  }, [profile?.id, confirmDigestEmail, setSearchParams, toast])
+
+  // Wallet-only accounts have a placeholder auth email that can't receive mail
+  const accountEmail = user?.email && !user.email.endsWith('@wallet.pumpwork.invalid') ? user.email : null
+  const quietHoursEnabled = !!(form.quiet_hours_start && form.quiet_hours_end)
+  const digestEmailPending = !!settings.digest_email
+    && !settings.digest_email_confirmed_at
+    && form.digest_email?.trim() === settings.digest_email
+
+  const sendConfirmation = async (email) => {
+    setIsSendingConfirmation(true)
+    const { error } = await sendDigestEmailConfirmation()
+    setIsSendingConfirmation(false)
+
+    if (error) {
+      toast({ title: 'Failed to send confirmation email', description: error.message, variant: 'destructive' })
+    } else {
+      toast({ title: 'Confirm your email', description: `We sent a confirmation link to ${email}` })
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (form.digest_frequency !== 'off' && !form.digest_email?.trim() && !accountEmail) {
+      toast({ title: 'Add an email address to receive digests', variant: 'destructive' })
+      return
+    }
+
+    setIsSaving(true)
+    const { data, error } = await saveSettings(form)
+    setIsSaving(false)
+
+    if (error) {
+      toast({ title: 'Failed to save settings', description: error.message, variant: 'destructive' })
+      return
+    }
+
+    // A new address gets its confirmation link right away
+    if (data.digest_email && !data.digest_email_confirmed_at && data.digest_email !== settings.digest_email) {
+      await sendConfirmation(data.digest_email)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-muted/30 pt-12 pb-12">
+      <div className="container mx-auto px-4 max-w-3xl">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="space-y-6"
+        >
+          <div>
+            <Link
+              to={`/profile/${profile?.id}`}
+              className="inline-flex items-center gap-1 text-sm text-muted-foreground hover:text-foreground mb-2"
+            >
+              <ArrowLeft className="h-4 w-4" /> Back to profile
+            </Link>
+            <h1 className="text-3xl font-bold">Notification Settings</h1>
+            <p className="text-muted-foreground">Choose what you hear about and how</p>
+          </div>
+
+          {/* Per event type channels */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2 text-lg">
+                <Bell className="h-5 w-5" /> Events
+              </CardTitle>
+              <CardDescription>
+                In-app shows the event under notifications. Email adds it to your digest.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {isLoading ? (
+                <div className="flex justify-center py-6">
+                  <Loader2 className="h-5 w-5 animate-spin text-primary" />
+                </div>
+              ) : (
+                <div className="divide-y">
+                  <div className="grid grid-cols-[1fr_repeat(2,4rem)] items-center pb-2 text-xs font-medium text-muted-foreground">
+                    <span />
+                    {channels.map(([key, label]) => (
+                      <span key={key} className="text-center">{label}</span>
+                    ))}
+                  </div>
+                  {Object.entries(NOTIFICATION_TYPES).map(([type, label]) => {
+                    const values = { ...DEFAULT_CHANNELS, ...preferences[type] }
+                    return (
+                      <div key={type} className="grid grid-cols-[1fr_repeat(2,4rem)] items-center py-3">
+                        <span className="text-sm font-medium">{label}</span>
+                        {channels.map(([channel, channelLabel]) => (
+                          <span key={channel} className="flex justify-center">
+                            <Switch
+                              checked={values[channel]}
+                              onCheckedChange={(checked) => updatePreference(type, channel, checked)}
+                              aria-label={`${label} ${channelLabel}`}
+                            />
+                          </span>
+                        ))}
+                      </div>
+                    )
+                  })}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          <form onSubmit={handleSave} className="space-y-6">
+            {/* Digest */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-lg">
+                  <Mail className="h-5 w-5" /> Email digest
+                </CardTitle>
+                <CardDescription>
+                  A summary of unread messages, pending approvals, new jobs matching your skills and other updates
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="grid gap-4 sm:grid-cols-2">
+                  <div className="space-y-2">
+                    <Label>Frequency</Label>
+                    <Select
+                      value={form.digest_frequency}
+                      onValueChange={(value) => setForm({ ...form, digest_frequency: value })}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="off">Off</SelectItem>
+                        <SelectItem value="daily">Daily</SelectItem>
+                        <SelectItem value="weekly">Weekly</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="digest-email">Send to</Label>
+                    <Input
+                      id="digest-email"
+                      type="email"
+                      placeholder={accountEmail || 'you@example.com'}
+                      value={form.digest_email || ''}
+                      onChange={(e) => setForm({ ...form, digest_email: e.target.value })}
+                    />
+                    {digestEmailPending ? (
+                      <p className="text-xs text-muted-foreground">
+                        Not confirmed yet, so digests {accountEmail ? 'go to your account email' : "aren't sent"}.{' '}
+                        <button
+                          type="button"
+                          onClick={() => sendConfirmation(settings.digest_email)}
+                          disabled={isSendingConfirmation}
+                          className="font-medium text-primary hover:underline disabled:opacity-50"
+                        >
+                          Resend link
+                        </button>
+                      </p>
+                    ) : settings.digest_email && settings.digest_email_confirmed_at && form.digest_email?.trim() === settings.digest_email ? (
+                      <p className="flex items-center gap-1 text-xs text-green-600">
+                        <MailCheck className="h-3.5 w-3.5" /> Confirmed
+                      </p>
+                    ) : (
+                      <p className="text-xs text-muted-foreground">
+                        {accountEmail
+                          ? 'Leave empty to use your account email. Other addresses need confirming.'
+                          : "Required for wallet accounts. We'll send a link to confirm it."}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* Quiet hours */}
+            <Card>
+              <CardHeader>
+                <div className="flex items-center justify-between gap-4">
+                  <div className="space-y-1.5">
+                    <CardTitle className="flex items-center gap-2 text-lg">
+                      <Moon className="h-5 w-5" /> Quiet hours
+                    </CardTitle>
+                    <CardDescription>Digests wait until quiet hours end</CardDescription>
+                  </div>
+                  <Switch
+                    checked={quietHoursEnabled}
+                    onCheckedChange={(checked) => setForm({
+                      ...form,
+                      quiet_hours_start: checked ? '22:00' : null,
+                      quiet_hours_end: checked ? '08:00' : null,
+                    })}
+                    aria-label="Quiet hours"
+                  />
+                </div>
+              </CardHeader>
+              {quietHoursEnabled && (
+                <CardContent className="grid gap-4 sm:grid-cols-3">
+                  <div className="space-y-2">
+                    <Label htmlFor="quiet-start">From</Label>
+                    <Input
+                      id="quiet-start"
+                      type="time"
+                      value={form.quiet_hours_start?.slice(0, 5) || ''}
+                      onChange={(e) => setForm({ ...form, quiet_hours_start: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="quiet-end">Until</Label>
+                    <Input
+                      id="quiet-end"
+                      type="time"
+                      value={form.quiet_hours_end?.slice(0, 5) || ''}
+                      onChange={(e) => setForm({ ...form, quiet_hours_end: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Time zone</Label>
+                    <Select value={form.timezone} onValueChange={(value) => setForm({ ...form, timezone: value })}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="max-h-72">
+                        {(timeZones.includes(form.timezone) ? timeZones : [form.timezone, ...timeZones]).map((zone) => (
+                          <SelectItem key={zone} value={zone}>{zone}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </CardContent>
+              )}
+            </Card>
+
+            <div className="flex justify-end">
+              <Button type="submit" className="gradient-bg" disabled={isSaving || isLoading}>
+                {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Save settings
+              </Button>
+            </div>
+          </form>
+        </motion.div>
+      </div>
+    </div>
+  )
+}
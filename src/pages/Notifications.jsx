@@ -0,0 +1,119 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { Bell, CheckCheck, Loader2, Settings } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent } from '@/components/ui/card'
+import { NotificationItem } from '@/components/notifications/NotificationItem'
+import { useAuth } from '@/context/AuthContext'
+import { useNotifications, NOTIFICATION_TYPES } from '@/hooks/useNotifications'
+import { cn } from '@/lib/utils'
+
+const PAGE_SIZE = 30
+
+export default function Notifications() {
+  const navigate = useNavigate()
+  const { profile } = useAuth()
+  const [type, setType] = useState(null)
+  const [limit, setLimit] = useState(PAGE_SIZE)
+
+  const {
+    notifications,
+    unreadCount,
+    isLoading,
+    error,
+    markAsRead,
+    markAllAsRead,
+  } = useNotifications(profile?.id, { type, limit })
+
+  const filters = [['all', 'All'], ...Object.entries(NOTIFICATION_TYPES)]
+
+  const handleFilter = (value) => {
+    setType(value === 'all' ? null : value)
+    setLimit(PAGE_SIZE)
+  }
+
+  const handleOpen = (notification) => {
+    if (!notification.read_at) markAsRead(notification.id)
+    if (notification.link) navigate(notification.link)
+  }
+
+  return (
+    <div className="min-h-screen bg-muted/30 pt-12 pb-12">
+      <div className="container mx-auto px-4 max-w-3xl">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="space-y-6"
+        >
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold">Notifications</h1>
+              <p className="text-muted-foreground">
+                {unreadCount > 0 ? `${unreadCount} unread` : 'You\'re all caught up'}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={markAllAsRead} disabled={unreadCount === 0}>
+                <CheckCheck className="mr-2 h-4 w-4" /> Mark all read
+              </Button>
+              <Button variant="ghost" size="icon" onClick={() => navigate('/profile/settings')} aria-label="Notification settings">
+                <Settings className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+
+          {/* Event type filter */}
+          <div className="flex flex-wrap gap-2">
+            {filters.map(([value, label]) => {
+              const isActive = (type || 'all') === value
+              return (
+                <Button
+                  key={value}
+                  size="sm"
+                  variant={isActive ? 'default' : 'outline'}
+                  className={cn('rounded-full', isActive && 'gradient-bg')}
+                  onClick={() => handleFilter(value)}
+                >
+                  {label}
+                </Button>
+              )
+            })}
+          </div>
+
+          <Card>
+            <CardContent className="p-2">
+              {error ? (
+                <p className="py-10 text-center text-sm text-destructive">Failed to load notifications</p>
+              ) : isLoading && notifications.length === 0 ? (
+                <div className="flex justify-center py-10">
+                  <Loader2 className="h-6 w-6 animate-spin text-primary" />
+                </div>
+              ) : notifications.length === 0 ? (
+                <div className="py-12 text-center text-muted-foreground">
+                  <Bell className="mx-auto mb-3 h-10 w-10 opacity-40" />
+                  <p>No notifications yet</p>
+                </div>
+              ) : (
+                <div className="space-y-1">
+                  {notifications.map((notification) => (
+                    <NotificationItem key={notification.id} notification={notification} onClick={handleOpen} />
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          {notifications.length >= limit && (
+            <div className="flex justify-center">
+              <Button variant="outline" onClick={() => setLimit((current) => current + PAGE_SIZE)} disabled={isLoading}>
+                {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Load more
+              </Button>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  )
+}
@@ -14,12 +14,14 @@ import {
   Clock,
   Loader2,
   X,
+  Bell,
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import { Separator } from '@/components/ui/separator'
+import { Progress } from '@/components/ui/progress'
 import { InitialsAvatar } from '@/components/ui/InitialsAvatar'
 import { Input } from '@/components/ui/input'
 import { Textarea } from '@/components/ui/textarea'
@@ -31,19 +33,39 @@ import {
   DialogHeader,
   DialogTitle,
 } from '@/components/ui/dialog'
-import { formatSOL, formatDate, truncateAddress, getRoleBadgeColor, cn } from '@/lib/utils'
+import { formatSOL, formatDate, truncateAddress, getRoleBadgeColor } from '@/lib/utils'
 import { useAuth } from '@/context/AuthContext'
+import { useTokenConfig } from '@/context/TokenConfigContext'
+import { useToast } from '@/context/ToastContext'
 import { useProfiles } from '@/hooks/useProfiles'
 import { useJobPosts } from '@/hooks/useJobPosts'
-import { useReviews } from '@/hooks/useReviews'
+import { useReviews, REVIEW_CRITERIA } from '@/hooks/useReviews'
+import { ReviewCard } from '@/components/reviews/ReviewCard'
+import { useContracts } from '@/hooks/useContracts'
+import { usePortfolio } from '@/hooks/usePortfolio'
+import { PortfolioGallery } from '@/components/portfolio/PortfolioGallery'
+import { PortfolioItemForm } from '@/components/portfolio/PortfolioItemForm'
+import { LinkedWallets } from '@/components/auth/LinkedWallets'
 
 export default function Profile() {
+  const { toast } = useToast()
   const { id } = useParams()
   const navigate = useNavigate()
   const { profile: currentUserProfile, isAuthenticated, updateProfile: updateAuthProfile } = useAuth()
+  const { thresholdFor } = useTokenConfig()
+  const devAccessThreshold = thresholdFor('dev_access')
   const { fetchProfile, fetchProfileStats, updateProfile } = useProfiles()
   const { fetchClientJobs, fetchJobs } = useJobPosts()
   const { fetchUserReviews } = useReviews()
+  const { fetchFreelancerContracts } = useContracts()
+  const {
+    items: portfolioItems,
+    setItems: setPortfolioItems,
+    fetchPortfolio,
+    saveItem: savePortfolioItem,
+    deleteItem: deletePortfolioItem,
+    reorderItems: reorderPortfolioItems,
+  } = usePortfolio(id)
 
   const [activeTab, setActiveTab] = useState('about')
   const [profileData, setProfileData] = useState(null)
@@ -58,6 +80,9 @@ export default function Profile() {
     skills: '',
   })
   const [isSaving, setIsSaving] = useState(false)
+  const [portfolioForm, setPortfolioForm] = useState(null) // { item } while adding (item null) or editing
+  const [completedContracts, setCompletedContracts] = useState([])
+  const [isSavingPortfolio, setIsSavingPortfolio] = useState(false)
 
   const isOwnProfile = currentUserProfile?.id === id
 
@@ -103,11 +128,46 @@ export default function Profile() {
       // Fetch reviews
       const { data: reviewData } = await fetchUserReviews(id)
       setReviews(reviewData || [])
+
+      if (profile.user_type === 'freelancer') {
+        await fetchPortfolio()
+      }
     }
 
     setIsLoading(false)
   }
 
+  // Completed contracts can be linked to portfolio items
+  const handleOpenPortfolioForm = async (item = null) => {
+    setPortfolioForm({ item })
+    if (completedContracts.length === 0) {
+      const { data } = await fetchFreelancerContracts(id, 'completed')
+      setCompletedContracts(data || [])
+    }
+  }
+
+  const handleSavePortfolioItem = async (fields, newFiles) => {
+    setIsSavingPortfolio(true)
+    const { error } = await savePortfolioItem(portfolioForm.item?.id || null, fields, newFiles)
+    setIsSavingPortfolio(false)
+
+    if (error) {
+      toast({ title: 'Failed to save project', description: error.message, variant: 'destructive' })
+      return
+    }
+    setPortfolioForm(null)
+  }
+
+  const handleDeletePortfolioItem = async (item) => {
+    const { error } = await deletePortfolioItem(item)
+    if (error) toast({ title: 'Failed to delete project', description: error.message, variant: 'destructive' })
+  }
+
+  const handleReorderPortfolio = async (ordered) => {
+    const { error } = await reorderPortfolioItems(ordered)
+    if (error) toast({ title: 'Failed to save the new order', description: error.message, variant: 'destructive' })
+  }
+
   const handleEditProfile = () => {
     setEditForm({
       nickname: profileData?.nickname || '',
@@ -133,7 +193,7 @@ export default function Profile() {
 
     if (error) {
       console.error('Error updating profile:', error)
-      alert('Failed to update profile. Please try again.')
+      toast({ title: 'Failed to update profile', description: 'Please try again.', variant: 'destructive' })
     } else {
       // Update local state
       setProfileData(data)
@@ -193,10 +253,13 @@ export default function Profile() {
                     <Badge className={getRoleBadgeColor(profileData.user_type)}>
                       {profileData.user_type?.charAt(0).toUpperCase() + profileData.user_type?.slice(1)}
                     </Badge>
-                    {profileData.rating > 0 && (
-                      <div className="flex items-center gap-1 text-sm">
+                    {profileData.review_count > 0 && (
+                      <div
+                        className="flex items-center gap-1 text-sm"
+                        title={`Weighted score. Plain average ${Number(profileData.rating).toFixed(2)}`}
+                      >
                         <Star className="h-4 w-4 fill-yellow-500 text-yellow-500" />
-                        <span className="font-medium">{profileData.rating?.toFixed(2)}</span>
+                        <span className="font-medium">{Number(profileData.rating_score ?? profileData.rating).toFixed(2)}</span>
                         <span className="text-muted-foreground">({profileData.review_count || 0})</span>
                       </div>
                     )}
@@ -246,6 +309,19 @@ export default function Profile() {
                   )}
                 </div>
 
+                {/* Ratings by criterion */}
+                {REVIEW_CRITERIA.some(({ profileKey }) => profileData[profileKey] != null) && (
+                  <div className="space-y-2 mb-6">
+                    {REVIEW_CRITERIA.map(({ profileKey, label }) => profileData[profileKey] != null && (
+                      <div key={profileKey} className="flex items-center gap-3 text-sm">
+                        <span className="w-28 text-muted-foreground">{label}</span>
+                        <Progress value={(Number(profileData[profileKey]) / 5) * 100} className="h-2 flex-1" />
+                        <span className="w-8 text-right font-medium">{Number(profileData[profileKey]).toFixed(1)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {/* Member Since */}
                 <div className="flex items-center gap-2 text-sm text-muted-foreground mb-4">
                   <Calendar className="h-4 w-4" />
@@ -282,9 +358,15 @@ export default function Profile() {
                     </>
                   )}
                   {isOwnProfile && (
-                    <Button variant="outline" className="w-full" onClick={handleEditProfile}>
-                      Edit Profile
-                    </Button>
+                    <>
+                      <Button variant="outline" className="w-full" onClick={handleEditProfile}>
+                        Edit Profile
+                      </Button>
+                      <Button variant="outline" className="w-full" onClick={() => navigate('/profile/settings')}>
+                        <Bell className="h-4 w-4 mr-2" />
+                        Notification Settings
+                      </Button>
+                    </>
                   )}
                   <Button variant="ghost" className="w-full">
                     <Share2 className="h-4 w-4 mr-2" />
@@ -306,6 +388,9 @@ export default function Profile() {
               <Tabs value={activeTab} onValueChange={setActiveTab}>
                 <TabsList>
                   <TabsTrigger value="about">About</TabsTrigger>
+                  {profileData.user_type === 'freelancer' && (
+                    <TabsTrigger value="portfolio">Portfolio</TabsTrigger>
+                  )}
                   <TabsTrigger value="reviews">Reviews</TabsTrigger>
                   <TabsTrigger value="jobs">
                     {profileData.user_type === 'client' ? 'Posted Jobs' : 'Completed Jobs'}
@@ -350,7 +435,7 @@ export default function Profile() {
                               <span>Wallet Connected</span>
                             </div>
                           )}
-                          {profileData.token_balance >= 100000 && (
+                          {devAccessThreshold !== null && profileData.token_balance >= devAccessThreshold && (
                             <div className="flex items-center gap-2 text-sm">
                               <Award className="h-4 w-4 text-primary" />
                               <span>Dev Access Holder</span>
@@ -360,6 +445,11 @@ export default function Profile() {
                       </div>
                     </CardContent>
                   </Card>
+                  {isOwnProfile && (
+                    <div className="mt-6">
+                      <LinkedWallets />
+                    </div>
+                  )}
                 </TabsContent>
 
                 {/* Reviews Tab */}
@@ -370,37 +460,13 @@ export default function Profile() {
                     </CardHeader>
                     <CardContent>
                       {reviews.length > 0 ? (
-                        <div className="space-y-6">
+                        <div className="space-y-4">
                           {reviews.map((review) => (
-                            <div key={review.id} className="pb-6 border-b last:border-0 last:pb-0">
-                              <div className="flex items-start gap-4">
-                                <InitialsAvatar nickname={review.reviewer?.nickname} size="sm" />
-                                <div className="flex-1">
-                                  <div className="flex items-center justify-between mb-1">
-                                    <span className="font-medium">{review.reviewer?.nickname}</span>
-                                    <span className="text-sm text-muted-foreground">
-                                      {formatDate(review.created_at)}
-                                    </span>
-                                  </div>
-                                  <div className="flex items-center gap-1 mb-2">
-                                    {Array.from({ length: 5 }).map((_, i) => (
-                                      <Star
-                                        key={i}
-                                        className={cn(
-                                          "h-4 w-4",
-                                          i < review.rating
-                                            ? "fill-yellow-500 text-yellow-500"
-                                            : "text-muted-foreground"
-                                        )}
-                                      />
-                                    ))}
-                                  </div>
-                                  <p className="text-sm text-muted-foreground">
-                                    {review.comment}
-                                  </p>
-                                </div>
-                              </div>
-                            </div>
+                            <ReviewCard
+                              key={review.id}
+                              review={review}
+                              onUpdate={(updated) => setReviews(prev => prev.map(r => r.id === updated.id ? updated : r))}
+                            />
                           ))}
                         </div>
                       ) : (
@@ -412,6 +478,28 @@ export default function Profile() {
                   </Card>
                 </TabsContent>
 
+                {/* Portfolio Tab */}
+                {profileData.user_type === 'freelancer' && (
+                  <TabsContent value="portfolio" className="mt-6">
+                    <Card>
+                      <CardHeader>
+                        <CardTitle>Portfolio</CardTitle>
+                      </CardHeader>
+                      <CardContent>
+                        <PortfolioGallery
+                          items={portfolioItems}
+                          editable={isOwnProfile}
+                          onAdd={() => handleOpenPortfolioForm()}
+                          onEdit={handleOpenPortfolioForm}
+                          onDelete={handleDeletePortfolioItem}
+                          onMove={setPortfolioItems}
+                          onReorder={handleReorderPortfolio}
+                        />
+                      </CardContent>
+                    </Card>
+                  </TabsContent>
+                )}
+
                 {/* Jobs Tab */}
                 <TabsContent value="jobs" className="mt-6">
                   <Card>
@@ -462,6 +550,17 @@ export default function Profile() {
         </div>
       </div>
 
+      {isOwnProfile && (
+        <PortfolioItemForm
+          open={!!portfolioForm}
+          onOpenChange={(open) => !open && setPortfolioForm(null)}
+          item={portfolioForm?.item}
+          completedContracts={completedContracts}
+          onSubmit={handleSavePortfolioItem}
+          isSubmitting={isSavingPortfolio}
+        />
+      )}
+
       {/* Edit Profile Dialog */}
       <Dialog open={editDialogOpen} onOpenChange={setEditDialogOpen}>
         <DialogContent className="sm:max-w-lg">
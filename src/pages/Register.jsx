@@ -6,19 +6,26 @@ import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
 import { Input } from '@/components/ui/input'
 import { useAuth } from '@/context/AuthContext'
-import { cn } from '@/lib/utils'
+import { cn, formatTokenAmount } from '@/lib/utils'
 import { supabase } from '@/lib/supabase'
 
 /**
  * Register Page - Wallet-Only Registration
  * 
- * Token-Based Role Access:
- * - 1K tokens = Client (can hire freelancers)
- * - 10K tokens = Freelancer (can offer services)
- * - 50K tokens = Boosted Freelancer (premium visibility)
+ * Token-Based Role Access (tiers are admin-managed, see TokenConfigContext):
+ * - Client tier (can hire freelancers)
+ * - Freelancer tier (can offer services)
+ * - Boosted Freelancer tier (premium visibility)
  * 
  * Role is determined by token balance, not manual selection.
  */
+// Requirement row colours by the role a tier grants
+const TIER_STYLES = {
+  client: { icon: Briefcase, row: 'bg-blue-500/10 border-blue-500/20', text: 'text-blue-500' },
+  freelancer: { icon: User, row: 'bg-purple-500/10 border-purple-500/20', text: 'text-purple-500' },
+  perk: { icon: Zap, row: 'bg-gradient-to-r from-purple-500/10 to-pink-500/10 border-purple-500/20', text: 'text-pink-500' },
+}
+
 export default function Register() {
   const navigate = useNavigate()
   const {
@@ -32,6 +39,7 @@ export default function Register() {
     canBeFreelancer,
     isBoostedFreelancer,
     tokenThresholds,
+    tokenTiers,
     connectWallet,
     registerWithWallet
   } = useAuth()
@@ -42,12 +50,7 @@ export default function Register() {
   const [nicknameAvailable, setNicknameAvailable] = useState(null)
   const [isCheckingNickname, setIsCheckingNickname] = useState(false)
 
-  // Token thresholds (fallback if not from context)
-  const THRESHOLDS = tokenThresholds || {
-    CLIENT: 1000,
-    FREELANCER: 10000,
-    BOOSTED_FREELANCER: 50000
-  }
+  const THRESHOLDS = tokenThresholds
 
   // Navigate to dashboard once authenticated and profile is loaded
   useEffect(() => {
@@ -211,13 +214,6 @@ export default function Register() {
     }
   }
 
-  const formatTokens = (amount) => {
-    if (amount >= 1000) {
-      return `${(amount / 1000).toFixed(0)}K`
-    }
-    return amount.toString()
-  }
-
   return (
     <div className="min-h-screen flex items-center justify-center p-4 relative overflow-hidden bg-background">
       <div className="absolute inset-0 bg-grid-small-white/[0.05]" />
@@ -287,27 +283,19 @@ export default function Register() {
                     Token Requirements
                   </h4>
                   <div className="space-y-2 text-xs">
-                    <div className="flex justify-between items-center p-2 rounded-lg bg-blue-500/10 border border-blue-500/20">
-                      <div className="flex items-center gap-2">
-                        <Briefcase className="h-3 w-3 text-blue-500" />
-                        <span>Client</span>
-                      </div>
-                      <span className="font-medium text-blue-500">{formatTokens(THRESHOLDS.CLIENT)} tokens</span>
-                    </div>
-                    <div className="flex justify-between items-center p-2 rounded-lg bg-purple-500/10 border border-purple-500/20">
-                      <div className="flex items-center gap-2">
-                        <User className="h-3 w-3 text-purple-500" />
-                        <span>Freelancer</span>
-                      </div>
-                      <span className="font-medium text-purple-500">{formatTokens(THRESHOLDS.FREELANCER)} tokens</span>
-                    </div>
-                    <div className="flex justify-between items-center p-2 rounded-lg bg-gradient-to-r from-purple-500/10 to-pink-500/10 border border-purple-500/20">
-                      <div className="flex items-center gap-2">
-                        <Zap className="h-3 w-3 text-pink-500" />
-                        <span>Boosted Freelancer</span>
-                      </div>
-                      <span className="font-medium text-pink-500">{formatTokens(THRESHOLDS.BOOSTED_FREELANCER)} tokens</span>
-                    </div>
+                    {tokenTiers.map((tier) => {
+                      const style = TIER_STYLES[tier.grants_role] || TIER_STYLES.perk
+                      const Icon = style.icon
+                      return (
+                        <div key={tier.key} className={cn("flex justify-between items-center p-2 rounded-lg border", style.row)}>
+                          <div className="flex items-center gap-2">
+                            <Icon className={cn("h-3 w-3", style.text)} />
+                            <span>{tier.name}</span>
+                          </div>
+                          <span className={cn("font-medium", style.text)}>{formatTokenAmount(tier.threshold)} tokens</span>
+                        </div>
+                      )
+                    })}
                   </div>
                 </div>
               </div>
@@ -352,7 +340,7 @@ export default function Register() {
                       <CheckCircle2 className="h-5 w-5 text-blue-500" />
                     ) : (
                       <span className="text-xs text-muted-foreground">
-                        Need {formatTokens(THRESHOLDS.CLIENT)} tokens
+                        Need {formatTokenAmount(THRESHOLDS.CLIENT)} tokens
                       </span>
                     )}
                   </div>
@@ -372,7 +360,7 @@ export default function Register() {
                       <CheckCircle2 className="h-5 w-5 text-purple-500" />
                     ) : (
                       <span className="text-xs text-muted-foreground">
-                        Need {formatTokens(THRESHOLDS.FREELANCER)} tokens
+                        Need {formatTokenAmount(THRESHOLDS.FREELANCER)} tokens
                       </span>
                     )}
                   </div>
@@ -392,7 +380,7 @@ export default function Register() {
                       <CheckCircle2 className="h-5 w-5 text-pink-500" />
                     ) : (
                       <span className="text-xs text-muted-foreground">
-                        Need {formatTokens(THRESHOLDS.BOOSTED_FREELANCER)} tokens
+                        Need {formatTokenAmount(THRESHOLDS.BOOSTED_FREELANCER)} tokens
                       </span>
                     )}
                   </div>
@@ -3,10 +3,12 @@ import { Copy, CheckCircle2 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent } from '@/components/ui/card'
 import { useState } from 'react'
+import { useTokenConfig } from '@/context/TokenConfigContext'
+import { formatTokenAmount } from '@/lib/utils'
 
 export default function Token() {
   const [copied, setCopied] = useState(false)
-  const contractAddress = '8LSpERCFafc1qfxrHVj4QaZ9k1jgNuUNAfVMJ9gApump' // Placeholder - replace with actual CA
+  const { mint: contractAddress, tiers } = useTokenConfig()
 
   const handleCopy = () => {
     navigator.clipboard.writeText(contractAddress)
@@ -113,47 +115,22 @@ export default function Token() {
                   Token Holding Benefits
                 </h2>
                 <div className="space-y-6">
-                  <div className="p-6 bg-gradient-to-r from-primary/10 to-primary/5 rounded-xl border border-primary/20">
-                    <div className="flex items-start gap-4">
-                      <div className="flex-shrink-0 w-12 h-12 rounded-full bg-primary/20 flex items-center justify-center">
-                        <span className="text-xl font-bold text-primary">1K</span>
-                      </div>
-                      <div>
-                        <h3 className="text-xl font-semibold mb-2">Access Freelancers</h3>
-                        <p className="text-muted-foreground leading-relaxed">
-                          Holding 1K tokens will make you able to access freelancers on the platform.
-                        </p>
-                      </div>
-                    </div>
-                  </div>
-
-                  <div className="p-6 bg-gradient-to-r from-primary/10 to-primary/5 rounded-xl border border-primary/20">
-                    <div className="flex items-start gap-4">
-                      <div className="flex-shrink-0 w-12 h-12 rounded-full bg-primary/20 flex items-center justify-center">
-                        <span className="text-xl font-bold text-primary">10K</span>
-                      </div>
-                      <div>
-                        <h3 className="text-xl font-semibold mb-2">Become a Freelancer</h3>
-                        <p className="text-muted-foreground leading-relaxed">
-                          Holding 10K tokens will make you be able to become a freelancer on the platform.
-                        </p>
+                  {tiers.map((tier) => (
+                    <div key={tier.key} className="p-6 bg-gradient-to-r from-primary/10 to-primary/5 rounded-xl border border-primary/20">
+                      <div className="flex items-start gap-4">
+                        <div className="flex-shrink-0 w-12 h-12 rounded-full bg-primary/20 flex items-center justify-center">
+                          <span className="text-xl font-bold text-primary">{formatTokenAmount(tier.threshold)}</span>
+                        </div>
+                        <div>
+                          <h3 className="text-xl font-semibold mb-2">{tier.name}</h3>
+                          <p className="text-muted-foreground leading-relaxed">
+                            Holding {formatTokenAmount(tier.threshold)} tokens
+                            {tier.perks.length > 0 ? ` unlocks: ${tier.perks.join(', ')}.` : '.'}
+                          </p>
+                        </div>
                       </div>
                     </div>
-                  </div>
-
-                  <div className="p-6 bg-gradient-to-r from-primary/10 to-primary/5 rounded-xl border border-primary/20">
-                    <div className="flex items-start gap-4">
-                      <div className="flex-shrink-0 w-12 h-12 rounded-full bg-primary/20 flex items-center justify-center">
-                        <span className="text-xl font-bold text-primary">50K</span>
-                      </div>
-                      <div>
-                        <h3 className="text-xl font-semibold mb-2">Boosted Freelancer</h3>
-                        <p className="text-muted-foreground leading-relaxed">
-                          Holding 50K tokens will make you a boosted freelancer with enhanced visibility and priority placement.
-                        </p>
-                      </div>
-                    </div>
-                  </div>
+                  ))}
                 </div>
               </CardContent>
             </Card>
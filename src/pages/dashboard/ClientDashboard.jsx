@@ -3,7 +3,7 @@ import { Link, useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import {
   Plus, Briefcase, Users, DollarSign, Clock,
-  ArrowRight, CheckCircle2, MessageSquare, Loader2, X, Star, AlertCircle
+  ArrowRight, CheckCircle2, MessageSquare, Loader2, X, Star, AlertCircle, Wallet, ListChecks, AlertTriangle, ClipboardCheck, Sparkles
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
@@ -22,12 +22,28 @@ import {
 } from '@/components/ui/dialog'
 import { formatSOL, formatTimeAgo, getStatusColor, cn } from '@/lib/utils'
 import { useAuth } from '@/context/AuthContext'
+import { useToast } from '@/context/ToastContext'
 import { useJobPosts } from '@/hooks/useJobPosts'
 import { useApplications } from '@/hooks/useApplications'
 import { useContracts } from '@/hooks/useContracts'
 import { useServiceRequests } from '@/hooks/useServiceRequests'
 import { useCategories } from '@/hooks/useCategories'
 import { useReviews } from '@/hooks/useReviews'
+import { ReviewStatus } from '@/components/reviews/ReviewStatus'
+import { ReviewDialog } from '@/components/reviews/ReviewDialog'
+import { useMilestones, hasMilestones } from '@/hooks/useMilestones'
+import { EscrowBadge } from '@/components/contracts/EscrowBadge'
+import { MilestoneList } from '@/components/contracts/MilestoneList'
+import { ContractTimeline } from '@/components/contracts/ContractTimeline'
+import { MilestoneEditor, emptyMilestone, isMilestoneDraftValid } from '@/components/contracts/MilestoneEditor'
+import { TimesheetPanel } from '@/components/contracts/TimesheetPanel'
+import { HourlyTermsDialog } from '@/components/contracts/HourlyTermsDialog'
+import { SubmissionHistory } from '@/components/contracts/SubmissionHistory'
+import { isHourly } from '@/hooks/useTimesheets'
+import { useDisputes } from '@/hooks/useDisputes'
+import { OpenDisputeDialog } from '@/components/disputes/OpenDisputeDialog'
+import { DisputePanel } from '@/components/disputes/DisputePanel'
+import { SuggestedFreelancers } from '@/components/recommendations/SuggestedFreelancers'
 
 const containerVariants = {
   hidden: { opacity: 0 },
@@ -43,14 +59,17 @@ const itemVariants = {
 }
 
 export default function ClientDashboard() {
+  const { toast } = useToast()
   const navigate = useNavigate()
   const { profile, isAuthenticated, isClient } = useAuth()
   const { fetchClientJobs, updateJob } = useJobPosts()
   const { fetchJobApplications, acceptApplication, rejectApplication } = useApplications()
-  const { createContract, fetchClientContracts, approveWork, requestRevisions, cancelContract } = useContracts()
+  const { createContract, fetchClientContracts, approveWork, requestRevisions, cancelContract, completeContract, fundEscrow } = useContracts()
+  const { createMilestones, fundMilestone, approveMilestone, requestMilestoneRevisions } = useMilestones()
+  const { openDispute } = useDisputes()
   const { fetchClientServiceRequests, withdrawServiceRequest } = useServiceRequests()
   const { categories } = useCategories()
-  const { createReview, checkReviewExists } = useReviews()
+  const { fetchReviewStatuses } = useReviews()
 
   const [activeTab, setActiveTab] = useState('overview')
   const [myJobs, setMyJobs] = useState([])
@@ -58,17 +77,21 @@ export default function ClientDashboard() {
   const [contracts, setContracts] = useState([])
   const [serviceRequests, setServiceRequests] = useState([])
   const [selectedJobId, setSelectedJobId] = useState(null)
+  const [suggestionsJobId, setSuggestionsJobId] = useState(null) // Job whose suggested freelancers are shown
   const [isLoading, setIsLoading] = useState(true)
   const [isProcessing, setIsProcessing] = useState(false)
-  const [reviewDialogOpen, setReviewDialogOpen] = useState(false)
-  const [revisionDialogOpen, setRevisionDialogOpen] = useState(false)
+  const [submissionDialogOpen, setSubmissionDialogOpen] = useState(false)
   const [selectedContract, setSelectedContract] = useState(null)
-  const [rating, setRating] = useState(5)
-  const [reviewComment, setReviewComment] = useState('')
+  const [selectedMilestone, setSelectedMilestone] = useState(null)
+  const [milestoneDialogOpen, setMilestoneDialogOpen] = useState(false)
+  const [milestoneDraft, setMilestoneDraft] = useState([])
+  const [pendingApplication, setPendingApplication] = useState(null) // Application being accepted, null when adding to a contract
+  const [hourlyApplication, setHourlyApplication] = useState(null) // Application to an hourly job being accepted
+  const [disputeContract, setDisputeContract] = useState(null)
   const [revisionNotes, setRevisionNotes] = useState('')
-  const [isSubmittingReview, setIsSubmittingReview] = useState(false)
+  const [reviewContract, setReviewContract] = useState(null)
   const [isProcessingContract, setIsProcessingContract] = useState(false)
-  const [reviewedContracts, setReviewedContracts] = useState(new Map()) // Map<contractId, { created_at, rating }>
+  const [reviewStatuses, setReviewStatuses] = useState(new Map()) // Map<contractId, review status>
 
   useEffect(() => {
     if (profile?.id && isClient) {
@@ -103,35 +126,68 @@ export default function ClientDashboard() {
     const { data: requestsData } = await fetchClientServiceRequests(profile.id)
     setServiceRequests(requestsData || [])
 
-    // Check which completed contracts have been reviewed
-    if (contractsData && contractsData.length > 0) {
-      const reviewedMap = new Map()
-      const completedContracts = contractsData.filter(c => c.status === 'completed')
-
-      for (const contract of completedContracts) {
-        const { data: review } = await checkReviewExists(contract.id, profile.id)
-        if (review) {
-          reviewedMap.set(contract.id, {
-            created_at: review.created_at || new Date().toISOString(),
-            rating: review.rating
-          })
-        }
-      }
-      setReviewedContracts(reviewedMap)
-    }
+    // Review progress on completed contracts
+    const completedIds = (contractsData || []).filter(c => c.status === 'completed').map(c => c.id)
+    const { data: statuses } = await fetchReviewStatuses(completedIds)
+    setReviewStatuses(statuses)
 
     setIsLoading(false)
   }
 
-  const handleAcceptApplication = async (applicationId, application) => {
-    setIsProcessing(true)
+  // Accepting an application first asks the client to split the work into milestones,
+  // or for the rate and weekly limit when the job is paid hourly
+  const handleAcceptApplication = (application) => {
+    if (application.job_post?.budget_type === 'hourly') {
+      setHourlyApplication(application)
+      return
+    }
+
+    setPendingApplication(application)
+    setSelectedContract(null)
+    setMilestoneDraft([{ ...emptyMilestone(), title: 'Full project', amount: String(application.proposed_rate ?? '') }])
+    setMilestoneDialogOpen(true)
+  }
+
+  const handleOpenMilestoneDialog = (contract) => {
+    setPendingApplication(null)
+    setSelectedContract(contract)
+    setMilestoneDraft([emptyMilestone()])
+    setMilestoneDialogOpen(true)
+  }
 
-    // Accept the application
-    const { error: acceptError } = await acceptApplication(applicationId)
+  const handleSaveMilestones = async () => {
+    if (!isMilestoneDraftValid(milestoneDraft)) {
+      toast({ title: 'Every milestone needs a title and an amount greater than zero', variant: 'destructive' })
+      return
+    }
+
+    if (pendingApplication) {
+      setMilestoneDialogOpen(false)
+      await acceptWithMilestones(pendingApplication, milestoneDraft)
+      setPendingApplication(null)
+      return
+    }
+
+    setIsProcessingContract(true)
+    const { error } = await createMilestones(selectedContract.id, milestoneDraft)
+
+    if (error) {
+      console.error('Error adding milestones:', error)
+      toast({ title: 'Failed to add milestones', description: error.message, variant: 'destructive' })
+    } else {
+      setMilestoneDialogOpen(false)
+      await loadDashboardData()
+    }
+
+    setIsProcessingContract(false)
+  }
+
+  // Accept the application, close the job and create the contract
+  const hireApplicant = async (application, terms) => {
+    const { error: acceptError } = await acceptApplication(application.id)
     if (acceptError) {
       console.error('Error accepting application:', acceptError)
-      setIsProcessing(false)
-      return
+      return { data: null, error: acceptError }
     }
 
     // Update job status to 'in_progress' so it disappears from the /jobs page
@@ -149,13 +205,44 @@ export default function ClientDashboard() {
       client_id: profile.id,
       freelancer_id: application.freelancer_id,
       title: application.job_post?.title || 'Untitled Project',
-      agreed_amount: application.proposed_rate,
-      escrow_amount: 0, // Mock - no real escrow
+      escrow_amount: 0,
+      ...terms,
     }
 
-    const { error: contractError } = await createContract(contractData)
+    const result = await createContract(contractData)
+    if (result.error) {
+      console.error('Error creating contract:', result.error)
+    }
+    return result
+  }
+
+  const acceptWithMilestones = async (application, milestones) => {
+    setIsProcessing(true)
+
+    const { data: newContract, error: contractError } = await hireApplicant(application, {
+      // Milestones are funded into their own escrow accounts
+      agreed_amount: milestones.reduce((sum, m) => sum + Number(m.amount), 0),
+    })
     if (contractError) {
-      console.error('Error creating contract:', contractError)
+      toast({ title: 'Failed to hire', description: contractError.message, variant: 'destructive' })
+    } else {
+      const { data: newMilestones, error: milestonesError } = await createMilestones(newContract.id, milestones)
+
+      if (milestonesError) {
+        console.error('Error creating milestones:', milestonesError)
+        toast({ title: 'Contract created, but milestones could not be saved', description: milestonesError.message, variant: 'destructive' })
+      } else {
+        // Client funds the first milestone right away; the rest are funded as work progresses
+        const { error: escrowError } = await fundMilestone(newMilestones[0], newContract)
+        if (escrowError) {
+          console.error('Error funding milestone:', escrowError)
+          toast({
+            title: 'Contract created, but funding the first milestone failed',
+            description: `${escrowError.message}\n\nYou can fund it from the Contracts tab.`,
+            variant: 'destructive',
+          })
+        }
+      }
     }
 
     // Reload data
@@ -163,6 +250,27 @@ export default function ClientDashboard() {
     setIsProcessing(false)
   }
 
+  // Hourly contracts start unfunded; each approved timesheet is paid as it comes in
+  const acceptHourly = async ({ hourlyRate, weeklyHourLimit }) => {
+    setIsProcessing(true)
+
+    const { error } = await hireApplicant(hourlyApplication, {
+      billing_type: 'hourly',
+      hourly_rate: hourlyRate,
+      weekly_hour_limit: weeklyHourLimit,
+      agreed_amount: 0, // Grows with every paid timesheet
+    })
+
+    if (error) {
+      toast({ title: 'Failed to hire', description: error.message, variant: 'destructive' })
+    } else {
+      setHourlyApplication(null)
+    }
+
+    await loadDashboardData()
+    setIsProcessing(false)
+  }
+
   const handleRejectApplication = async (applicationId) => {
     setIsProcessing(true)
     await rejectApplication(applicationId)
@@ -170,85 +278,101 @@ export default function ClientDashboard() {
     setIsProcessing(false)
   }
 
-  const handleOpenReviewDialog = (contract) => {
-    setSelectedContract(contract)
-    setRating(5)
-    setReviewComment('')
-    setReviewDialogOpen(true)
-  }
+  const handleFundEscrow = async (contract) => {
+    setIsProcessingContract(true)
+    const { error } = await fundEscrow(contract)
 
-  const handleSubmitReview = async () => {
-    if (!selectedContract) return
+    if (error) {
+      console.error('Error funding escrow:', error)
+      toast({ title: 'Failed to fund escrow', description: error.message, variant: 'destructive' })
+    } else {
+      await loadDashboardData()
+    }
 
-    setIsSubmittingReview(true)
+    setIsProcessingContract(false)
+  }
 
-    const reviewData = {
-      contract_id: selectedContract.id,
-      reviewer_id: profile.id,
-      reviewee_id: selectedContract.freelancer_id,
-      rating,
-      comment: reviewComment.trim(),
+  const handleFundMilestone = async (milestone, contract) => {
+    setIsProcessingContract(true)
+    const { error } = await fundMilestone(milestone, contract)
+
+    if (error) {
+      console.error('Error funding milestone:', error)
+      toast({ title: 'Failed to fund milestone', description: error.message, variant: 'destructive' })
+    } else {
+      await loadDashboardData()
     }
 
-    const { error } = await createReview(reviewData)
+    setIsProcessingContract(false)
+  }
+
+  const handleApproveMilestone = async (milestone, contract) => {
+    const remaining = contract.milestones.filter(m => m.status !== 'approved' && m.id !== milestone.id).length
+    const outcome = remaining === 0
+      ? 'This is the last milestone, so the contract will be marked as completed and you can leave a review.'
+      : `${remaining} milestone${remaining > 1 ? 's' : ''} will remain open.`
+    if (!confirm(`Approve "${milestone.title}"? Its escrowed funds will be released to the freelancer. ${outcome}`)) return
+
+    setIsProcessingContract(true)
+    const { error } = await approveMilestone(milestone.id)
 
     if (error) {
-      console.error('Error submitting review:', error)
-      alert('Failed to submit review. Please try again.')
+      console.error('Error approving milestone:', error)
+      toast({ title: 'Failed to approve milestone', description: error.message, variant: 'destructive' })
     } else {
-      // Mark contract as reviewed with current timestamp
-      setReviewedContracts(prev => {
-        const newMap = new Map(prev)
-        newMap.set(selectedContract.id, {
-          created_at: new Date().toISOString(),
-          rating: rating
-        })
-        return newMap
-      })
-      setReviewDialogOpen(false)
+      setSubmissionDialogOpen(false)
       await loadDashboardData()
     }
 
-    setIsSubmittingReview(false)
+    setIsProcessingContract(false)
   }
 
   const handleApproveWork = async (contractId) => {
-    if (!confirm('Approve this work? The contract will be marked as completed and you can leave a review.')) return
+    if (!confirm('Approve this work? The escrowed funds will be released to the freelancer, the contract will be marked as completed and you can leave a review.')) return
 
     setIsProcessingContract(true)
     const { error } = await approveWork(contractId)
 
     if (error) {
       console.error('Error approving work:', error)
-      alert('Failed to approve work. Please try again.')
+      toast({ title: 'Failed to approve work', description: 'Please try again.', variant: 'destructive' })
     } else {
+      setSubmissionDialogOpen(false)
       await loadDashboardData()
     }
 
     setIsProcessingContract(false)
   }
 
-  const handleOpenRevisionDialog = (contract) => {
+  const handleOpenSubmissionReview = (contract, milestone = null) => {
     setSelectedContract(contract)
+    setSelectedMilestone(milestone)
     setRevisionNotes('')
-    setRevisionDialogOpen(true)
+    setSubmissionDialogOpen(true)
   }
 
+  const handleApproveSubmission = () =>
+    selectedMilestone
+      ? handleApproveMilestone(selectedMilestone, selectedContract)
+      : handleApproveWork(selectedContract.id)
+
   const handleRequestRevisions = async () => {
     if (!selectedContract) return
     if (!revisionNotes.trim()) {
-      alert('Please provide details about what needs to be revised.')
+      toast({ title: 'Please provide details about what needs to be revised', variant: 'destructive' })
       return
     }
 
     setIsProcessingContract(true)
-    const { error } = await requestRevisions(selectedContract.id, revisionNotes.trim())
+    const { error } = selectedMilestone
+      ? await requestMilestoneRevisions(selectedMilestone.id, revisionNotes.trim())
+      : await requestRevisions(selectedContract.id, revisionNotes.trim())
 
     if (error) {
       console.error('Error requesting revisions:', error)
-      alert('Failed to request revisions. Please try again.')
+      toast({ title: 'Failed to request revisions', description: 'Please try again.', variant: 'destructive' })
     } else {
-      setRevisionDialogOpen(false)
+      setSubmissionDialogOpen(false)
       await loadDashboardData()
     }
 
@@ -256,15 +380,46 @@ export default function ClientDashboard() {
   }
 
   const handleCancelContract = async (contractId) => {
-    if (!confirm('Are you sure you want to cancel this contract? This action cannot be undone.')) return
+    if (!confirm('Are you sure you want to cancel this contract? Any escrowed funds will be refunded to your wallet. This action cannot be undone.')) return
 
     setIsProcessingContract(true)
     const { error } = await cancelContract(contractId)
 
     if (error) {
       console.error('Error cancelling contract:', error)
-      alert('Failed to cancel contract. Please try again.')
+      toast({ title: 'Failed to cancel contract', description: error.message, variant: 'destructive' })
+    } else {
+      await loadDashboardData()
+    }
+
+    setIsProcessingContract(false)
+  }
+
+  const handleEndHourlyContract = async (contract) => {
+    if (!confirm(`End the hourly contract with ${contract.freelancer?.nickname}? All logged time must be submitted and paid first. You can leave a review afterwards.`)) return
+
+    setIsProcessingContract(true)
+    const { error } = await completeContract(contract.id)
+
+    if (error) {
+      console.error('Error ending contract:', error)
+      toast({ title: 'Failed to end contract', description: error.message, variant: 'destructive' })
+    } else {
+      await loadDashboardData()
+    }
+
+    setIsProcessingContract(false)
+  }
+
+  const handleSubmitDispute = async (details) => {
+    setIsProcessingContract(true)
+    const { error } = await openDispute(disputeContract, details)
+
+    if (error) {
+      console.error('Error opening dispute:', error)
+      toast({ title: 'Failed to open dispute', description: error.message, variant: 'destructive' })
     } else {
+      setDisputeContract(null)
       await loadDashboardData()
     }
 
@@ -514,7 +669,7 @@ export default function ClientDashboard() {
                               <Button
                                 size="sm"
                                 className="gradient-bg h-8 px-4 sm:h-9 shrink-0"
-                                onClick={() => handleAcceptApplication(app.id, app)}
+                                onClick={() => handleAcceptApplication(app)}
                                 disabled={isProcessing}
                               >
                                 <CheckCircle2 className="h-4 w-4 sm:mr-2" />
@@ -558,30 +713,48 @@ export default function ClientDashboard() {
                       </div>
                     ) : (
                       myJobs.map((job) => (
-                        <div key={job.id} className="flex flex-col md:flex-row md:items-center justify-between p-4 rounded-xl border border-border/50 bg-background/50 hover:border-primary/30 transition-all gap-4">
-                          <div className="flex-1 min-w-0">
-                            <Link to={`/jobs/${job.id}`} className="text-base sm:text-lg font-semibold hover:text-primary transition-colors line-clamp-1 block">
-                              {job.title}
-                            </Link>
-                            <div className="flex flex-wrap items-center gap-3 mt-2 text-xs sm:text-sm text-muted-foreground">
-                              <Badge variant="outline" className={cn("text-[10px] sm:text-xs shrink-0 capitalize", getStatusColor(job.status))}>
-                                {job.status.replace('_', ' ')}
-                              </Badge>
-                              <span className="flex items-center gap-1 shrink-0"><Users className="h-3 w-3" /> {job.applicant_count || 0} applicants</span>
-                              <span className="flex items-center gap-1 shrink-0"><Clock className="h-3 w-3" /> {formatTimeAgo(job.created_at)}</span>
-                            </div>
-                          </div>
-                          <div className="flex items-center justify-between md:justify-end gap-4 mt-2 md:mt-0">
-                            <div className="text-left md:text-right">
-                              <div className="font-bold text-primary">{formatSOL(job.budget)}</div>
-                              <div className="text-[10px] sm:text-xs text-muted-foreground uppercase">{job.budget_type}</div>
+                        <div key={job.id} className="rounded-xl border border-border/50 bg-background/50 hover:border-primary/30 transition-all">
+                          <div className="flex flex-col md:flex-row md:items-center justify-between p-4 gap-4">
+                            <div className="flex-1 min-w-0">
+                              <Link to={`/jobs/${job.id}`} className="text-base sm:text-lg font-semibold hover:text-primary transition-colors line-clamp-1 block">
+                                {job.title}
+                              </Link>
+                              <div className="flex flex-wrap items-center gap-3 mt-2 text-xs sm:text-sm text-muted-foreground">
+                                <Badge variant="outline" className={cn("text-[10px] sm:text-xs shrink-0 capitalize", getStatusColor(job.status))}>
+                                  {job.status.replace('_', ' ')}
+                                </Badge>
+                                <span className="flex items-center gap-1 shrink-0"><Users className="h-3 w-3" /> {job.applicant_count || 0} applicants</span>
+                                <span className="flex items-center gap-1 shrink-0"><Clock className="h-3 w-3" /> {formatTimeAgo(job.created_at)}</span>
+                              </div>
                             </div>
-                            <div className="flex gap-2 shrink-0">
-                              <Button variant="outline" size="sm" asChild className="h-8 sm:h-9">
-                                <Link to={`/jobs/${job.id}`}>View</Link>
-                              </Button>
+                            <div className="flex items-center justify-between md:justify-end gap-4 mt-2 md:mt-0">
+                              <div className="text-left md:text-right">
+                                <div className="font-bold text-primary">{formatSOL(job.budget)}</div>
+                                <div className="text-[10px] sm:text-xs text-muted-foreground uppercase">{job.budget_type}</div>
+                              </div>
+                              <div className="flex gap-2 shrink-0">
+                                <Button variant="outline" size="sm" asChild className="h-8 sm:h-9">
+                                  <Link to={`/jobs/${job.id}`}>View</Link>
+                                </Button>
+                                {job.status === 'open' && (
+                                  <Button
+                                    variant={suggestionsJobId === job.id ? 'secondary' : 'outline'}
+                                    size="sm"
+                                    className="h-8 sm:h-9"
+                                    onClick={() => setSuggestionsJobId(prev => prev === job.id ? null : job.id)}
+                                  >
+                                    <Sparkles className="h-4 w-4 mr-1" /> Find Talent
+                                  </Button>
+                                )}
+                              </div>
                             </div>
                           </div>
+                          {suggestionsJobId === job.id && (
+                            <div className="px-4 pb-4">
+                              <p className="text-sm font-medium mb-3">Suggested freelancers to invite</p>
+                              <SuggestedFreelancers job={job} />
+                            </div>
+                          )}
                         </div>
                       ))
                     )}
@@ -687,13 +860,47 @@ export default function ClientDashboard() {
                                           <Badge variant="default" className="capitalize">
                                             In Progress
                                           </Badge>
+                                          {isHourly(contract) && <Badge variant="outline">Hourly</Badge>}
+                                          {!hasMilestones(contract) && !isHourly(contract) && <EscrowBadge contract={contract} />}
                                           <span>{formatTimeAgo(contract.started_at)}</span>
                                         </div>
                                       </div>
                                     </div>
                                     <div className="text-right flex flex-col gap-2">
-                                      <div className="font-bold text-primary">{formatSOL(contract.agreed_amount)}</div>
+                                      <div className="font-bold text-primary">
+                                        {isHourly(contract) ? `${formatSOL(Number(contract.hourly_rate))}/hr` : formatSOL(contract.agreed_amount)}
+                                      </div>
                                       <div className="flex gap-2">
+                                        {isHourly(contract) && (
+                                          <Button
+                                            size="sm"
+                                            variant="outline"
+                                            onClick={() => handleEndHourlyContract(contract)}
+                                            disabled={isProcessingContract}
+                                          >
+                                            <CheckCircle2 className="h-3 w-3 mr-1" /> End Contract
+                                          </Button>
+                                        )}
+                                        {!isHourly(contract) && (hasMilestones(contract) || contract.escrow_status === 'unfunded') && (
+                                          <Button
+                                            size="sm"
+                                            variant="outline"
+                                            onClick={() => handleOpenMilestoneDialog(contract)}
+                                            disabled={isProcessingContract}
+                                          >
+                                            <ListChecks className="h-3 w-3 mr-1" /> Milestones
+                                          </Button>
+                                        )}
+                                        {!hasMilestones(contract) && !isHourly(contract) && contract.escrow_status === 'unfunded' && (
+                                          <Button
+                                            size="sm"
+                                            className="gradient-bg"
+                                            onClick={() => handleFundEscrow(contract)}
+                                            disabled={isProcessingContract}
+                                          >
+                                            <Wallet className="h-3 w-3 mr-1" /> Fund Escrow
+                                          </Button>
+                                        )}
                                         <Button
                                           size="sm"
                                           variant="outline"
@@ -702,6 +909,15 @@ export default function ClientDashboard() {
                                         >
                                           Cancel
                                         </Button>
+                                        <Button
+                                          size="sm"
+                                          variant="outline"
+                                          className="text-red-500 hover:text-red-500"
+                                          onClick={() => setDisputeContract(contract)}
+                                          disabled={isProcessingContract}
+                                        >
+                                          <AlertTriangle className="h-3 w-3 mr-1" /> Dispute
+                                        </Button>
                                         <Button
                                           size="sm"
                                           variant="outline"
@@ -712,6 +928,24 @@ export default function ClientDashboard() {
                                       </div>
                                     </div>
                                   </div>
+                                  {hasMilestones(contract) && (
+                                    <MilestoneList
+                                      className="mt-4 pt-4 border-t"
+                                      milestones={contract.milestones}
+                                      role="client"
+                                      disabled={isProcessingContract}
+                                      onFund={(milestone) => handleFundMilestone(milestone, contract)}
+                                    />
+                                  )}
+                                  {isHourly(contract) && (
+                                    <TimesheetPanel
+                                      className="mt-4 pt-4 border-t"
+                                      contract={contract}
+                                      role="client"
+                                      onChange={loadDashboardData}
+                                    />
+                                  )}
+                                  <ContractTimeline contractId={contract.id} className="mt-3 pt-3 border-t" />
                                 </div>
                               ))}
                             </div>
@@ -742,7 +976,8 @@ export default function ClientDashboard() {
                                           <Badge className="bg-blue-500/20 text-blue-600 border-blue-500/30">
                                             Submitted {formatTimeAgo(contract.submitted_at)}
                                           </Badge>
-                                          {contract.revision_count > 0 && (
+                                          {!hasMilestones(contract) && <EscrowBadge contract={contract} />}
+                                          {!hasMilestones(contract) && contract.revision_count > 0 && (
                                             <span className="text-muted-foreground">
                                               {contract.revision_count} revision{contract.revision_count > 1 ? 's' : ''} requested
                                             </span>
@@ -752,27 +987,39 @@ export default function ClientDashboard() {
                                     </div>
                                     <div className="text-right flex flex-col gap-2">
                                       <div className="font-bold text-primary">{formatSOL(contract.agreed_amount)}</div>
-                                      <div className="flex gap-2">
-                                        <Button
-                                          size="sm"
-                                          variant="outline"
-                                          onClick={() => handleOpenRevisionDialog(contract)}
-                                          disabled={isProcessingContract}
-                                        >
-                                          Request Revisions
-                                        </Button>
+                                      <Button
+                                        size="sm"
+                                        variant="outline"
+                                        className="self-end text-red-500 hover:text-red-500"
+                                        onClick={() => setDisputeContract(contract)}
+                                        disabled={isProcessingContract}
+                                      >
+                                        <AlertTriangle className="h-3 w-3 mr-1" /> Dispute
+                                      </Button>
+                                      {!hasMilestones(contract) && (
                                         <Button
                                           size="sm"
                                           className="gradient-bg"
-                                          onClick={() => handleApproveWork(contract.id)}
+                                          onClick={() => handleOpenSubmissionReview(contract)}
                                           disabled={isProcessingContract}
                                         >
-                                          <CheckCircle2 className="h-3 w-3 mr-1" />
-                                          Approve & Pay
+                                          <ClipboardCheck className="h-3 w-3 mr-1" />
+                                          Review Submission
                                         </Button>
-                                      </div>
+                                      )}
                                     </div>
                                   </div>
+                                  {hasMilestones(contract) && (
+                                    <MilestoneList
+                                      className="mt-4 pt-4 border-t border-blue-500/20"
+                                      milestones={contract.milestones}
+                                      role="client"
+                                      disabled={isProcessingContract}
+                                      onFund={(milestone) => handleFundMilestone(milestone, contract)}
+                                      onReview={(milestone) => handleOpenSubmissionReview(contract, milestone)}
+                                    />
+                                  )}
+                                  <ContractTimeline contractId={contract.id} className="mt-3 pt-3 border-t" />
                                 </div>
                               ))}
                             </div>
@@ -780,10 +1027,40 @@ export default function ClientDashboard() {
                         </>
                       )}
 
+                      {/* Disputed Contracts - Under Admin Review */}
+                      {contracts.filter(c => c.status === 'disputed').length > 0 && (
+                        <div className={contracts.some(c => c.status === 'active' || c.status === 'submitted') ? 'pt-6 border-t' : ''}>
+                          <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                            <AlertTriangle className="h-5 w-5 text-red-500" />
+                            Disputed - Escrow Frozen
+                          </h3>
+                          <div className="space-y-4">
+                            {contracts.filter(c => c.status === 'disputed').map((contract) => (
+                              <div key={contract.id} className="p-4 rounded-xl border-2 border-red-500/30 bg-red-500/5">
+                                <div className="flex items-start justify-between gap-4 mb-4">
+                                  <div className="flex gap-3 flex-1 min-w-0">
+                                    <InitialsAvatar nickname={contract.freelancer?.nickname} size="md" />
+                                    <div className="flex-1 min-w-0">
+                                      <div className="font-bold text-base">{contract.title}</div>
+                                      <div className="text-sm text-muted-foreground">
+                                        with {contract.freelancer?.nickname}
+                                      </div>
+                                    </div>
+                                  </div>
+                                  <div className="font-bold text-primary">{formatSOL(contract.agreed_amount)}</div>
+                                </div>
+                                <DisputePanel contract={contract} />
+                                <ContractTimeline contractId={contract.id} className="mt-3 pt-3 border-t" />
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+
                       {/* Completed Contracts */}
                       {contracts.filter(c => c.status === 'completed').length > 0 && (
                         <>
-                          <div className={(contracts.filter(c => c.status === 'active').length > 0 || contracts.filter(c => c.status === 'submitted').length > 0) ? 'pt-6 border-t' : ''}>
+                          <div className={contracts.some(c => ['active', 'submitted', 'disputed'].includes(c.status)) ? 'pt-6 border-t' : ''}>
                             <h3 className="text-lg font-semibold mb-4">Completed</h3>
                             <div className="space-y-4">
                               {contracts.filter(c => c.status === 'completed').map((contract) => (
@@ -806,27 +1083,13 @@ export default function ClientDashboard() {
                                     </div>
                                     <div className="text-right flex flex-col gap-2">
                                       <div className="font-bold text-primary">{formatSOL(contract.agreed_amount)}</div>
-                                      {reviewedContracts.has(contract.id) ? (
-                                        <div className="flex flex-col items-end gap-1">
-                                          <div className="flex items-center gap-2 px-3 py-1.5 rounded-md bg-green-500/10 border border-green-500/20">
-                                            <CheckCircle2 className="h-4 w-4 text-green-500" />
-                                            <span className="text-sm font-medium text-green-600 dark:text-green-400">Reviewed</span>
-                                          </div>
-                                          <span className="text-xs text-muted-foreground">
-                                            {formatTimeAgo(reviewedContracts.get(contract.id)?.created_at)}
-                                          </span>
-                                        </div>
-                                      ) : (
-                                        <Button
-                                          size="sm"
-                                          className="gradient-bg"
-                                          onClick={() => handleOpenReviewDialog(contract)}
-                                        >
-                                          <Star className="h-3 w-3 mr-1" /> Review
-                                        </Button>
-                                      )}
+                                      <ReviewStatus
+                                        status={reviewStatuses.get(contract.id)}
+                                        onReview={() => setReviewContract(contract)}
+                                      />
                                     </div>
                                   </div>
+                                  <ContractTimeline contractId={contract.id} className="mt-3 pt-3 border-t" />
                                 </div>
                               ))}
                             </div>
@@ -843,104 +1106,133 @@ export default function ClientDashboard() {
       </div>
 
       {/* Review Dialog */}
-      <Dialog open={reviewDialogOpen} onOpenChange={setReviewDialogOpen}>
-        <DialogContent className="sm:max-w-lg">
+      {reviewContract && (
+        <ReviewDialog
+          contract={reviewContract}
+          reviewerId={profile.id}
+          revieweeId={reviewContract.freelancer_id}
+          revieweeName={reviewContract.freelancer?.nickname}
+          isOpen={!!reviewContract}
+          onClose={() => setReviewContract(null)}
+          onSuccess={loadDashboardData}
+        />
+      )}
+
+      {/* Submission Review Dialog */}
+      <Dialog open={submissionDialogOpen} onOpenChange={setSubmissionDialogOpen}>
+        <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
           <DialogHeader>
-            <DialogTitle>Review Freelancer</DialogTitle>
+            <DialogTitle>Review Submission</DialogTitle>
             <DialogDescription>
-              Share your experience working with {selectedContract?.freelancer?.nickname}
+              {selectedMilestone
+                ? <>Deliverables {selectedContract?.freelancer?.nickname} submitted for "{selectedMilestone.title}"</>
+                : <>Deliverables {selectedContract?.freelancer?.nickname} submitted for "{selectedContract?.title}"</>}
             </DialogDescription>
           </DialogHeader>
           <div className="space-y-4 py-4">
+            {selectedContract && (
+              <SubmissionHistory
+                contractId={selectedContract.id}
+                milestoneId={selectedMilestone?.id ?? null}
+                className="max-h-80 overflow-y-auto pr-1"
+              />
+            )}
             <div className="space-y-2">
-              <label className="text-sm font-medium">Rating</label>
-              <div className="flex gap-2">
-                {[1, 2, 3, 4, 5].map((star) => (
-                  <button
-                    key={star}
-                    onClick={() => setRating(star)}
-                    className="focus:outline-none transition-transform hover:scale-110"
-                  >
-                    <Star
-                      className={cn(
-                        "h-8 w-8",
-                        star <= rating
-                          ? "fill-yellow-500 text-yellow-500"
-                          : "text-muted-foreground"
-                      )}
-                    />
-                  </button>
-                ))}
-              </div>
-            </div>
-            <div className="space-y-2">
-              <label className="text-sm font-medium">Comment (Optional)</label>
+              <label className="text-sm font-medium">Revision Details</label>
               <Textarea
-                value={reviewComment}
-                onChange={(e) => setReviewComment(e.target.value)}
-                placeholder="Share details about your experience..."
-                rows={4}
+                value={revisionNotes}
+                onChange={(e) => setRevisionNotes(e.target.value)}
+                placeholder="Please be specific about what needs to be revised..."
+                rows={5}
                 className="resize-none"
               />
+              <p className="text-xs text-muted-foreground">
+                Only needed when requesting revisions. The freelancer will see these notes and submit a new version.
+              </p>
             </div>
           </div>
           <DialogFooter>
             <Button
               variant="ghost"
-              onClick={() => setReviewDialogOpen(false)}
-              disabled={isSubmittingReview}
+              onClick={() => setSubmissionDialogOpen(false)}
+              disabled={isProcessingContract}
             >
               Cancel
             </Button>
             <Button
-              onClick={handleSubmitReview}
-              disabled={isSubmittingReview}
+              variant="outline"
+              onClick={handleRequestRevisions}
+              disabled={isProcessingContract || !revisionNotes.trim()}
+            >
+              Request Revisions
+            </Button>
+            <Button
+              onClick={handleApproveSubmission}
+              disabled={isProcessingContract}
               className="gradient-bg"
             >
-              {isSubmittingReview ? 'Submitting...' : 'Submit Review'}
+              <CheckCircle2 className="h-4 w-4 mr-2" />
+              {isProcessingContract ? 'Processing...' : 'Approve & Pay'}
             </Button>
           </DialogFooter>
         </DialogContent>
       </Dialog>
 
-      {/* Revision Request Dialog */}
-      <Dialog open={revisionDialogOpen} onOpenChange={setRevisionDialogOpen}>
+      <HourlyTermsDialog
+        open={!!hourlyApplication}
+        onOpenChange={(open) => !open && setHourlyApplication(null)}
+        freelancerName={hourlyApplication?.freelancer?.nickname}
+        defaultRate={hourlyApplication?.proposed_rate}
+        onSubmit={acceptHourly}
+        isSubmitting={isProcessing}
+      />
+
+      <OpenDisputeDialog
+        open={!!disputeContract}
+        onOpenChange={(open) => !open && setDisputeContract(null)}
+        contract={disputeContract}
+        onSubmit={handleSubmitDispute}
+        isSubmitting={isProcessingContract}
+      />
+
+      {/* Milestones Dialog - accepting an application or adding milestones to a contract */}
+      <Dialog
+        open={milestoneDialogOpen}
+        onOpenChange={(open) => {
+          setMilestoneDialogOpen(open)
+          if (!open) setPendingApplication(null)
+        }}
+      >
         <DialogContent className="sm:max-w-lg">
           <DialogHeader>
-            <DialogTitle>Request Revisions</DialogTitle>
+            <DialogTitle>{pendingApplication ? 'Hire & Set Milestones' : 'Add Milestones'}</DialogTitle>
             <DialogDescription>
-              Describe what needs to be changed or improved for {selectedContract?.freelancer?.nickname}
+              {pendingApplication
+                ? <>Split the work with {pendingApplication.freelancer?.nickname} into milestones. Each milestone is funded into its own escrow and paid out when you approve it. The first milestone is funded now.</>
+                : <>Milestones for {selectedContract?.title} are funded when you are ready. The contract total becomes the sum of all milestones.</>}
             </DialogDescription>
           </DialogHeader>
-          <div className="space-y-4 py-4">
-            <div className="space-y-2">
-              <label className="text-sm font-medium">Revision Details</label>
-              <Textarea
-                value={revisionNotes}
-                onChange={(e) => setRevisionNotes(e.target.value)}
-                placeholder="Please be specific about what needs to be revised..."
-                rows={5}
-                className="resize-none"
-              />
-              <p className="text-xs text-muted-foreground">
-                The freelancer will be able to see these notes and resubmit the work.
-              </p>
-            </div>
+          <div className="py-4 max-h-[60vh] overflow-y-auto">
+            <MilestoneEditor
+              milestones={milestoneDraft}
+              onChange={setMilestoneDraft}
+              disabled={isProcessingContract}
+            />
           </div>
           <DialogFooter>
             <Button
               variant="ghost"
-              onClick={() => setRevisionDialogOpen(false)}
+              onClick={() => setMilestoneDialogOpen(false)}
               disabled={isProcessingContract}
             >
               Cancel
             </Button>
             <Button
-              onClick={handleRequestRevisions}
-              disabled={isProcessingContract || !revisionNotes.trim()}
+              onClick={handleSaveMilestones}
+              disabled={isProcessingContract || !isMilestoneDraftValid(milestoneDraft)}
               className="gradient-bg"
             >
-              {isProcessingContract ? 'Sending...' : 'Request Revisions'}
+              {pendingApplication ? 'Hire & Fund First Milestone' : isProcessingContract ? 'Saving...' : 'Add Milestones'}
             </Button>
           </DialogFooter>
         </DialogContent>
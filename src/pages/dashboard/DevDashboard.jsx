@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { Link, useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import {
   Users,
@@ -19,6 +19,8 @@ import {
   Loader2,
   MessageSquare,
   Star,
+  Gavel,
+  Flag,
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
@@ -28,14 +30,39 @@ import { InitialsAvatar } from '@/components/ui/InitialsAvatar'
 import { formatSOL, formatTimeAgo, cn } from '@/lib/utils'
 import { useAuth } from '@/context/AuthContext'
 import { useAdminStats } from '@/hooks/useAdminStats'
+import { useInfiniteScroll } from '@/hooks/useInfiniteScroll'
+import { useListingRestore } from '@/hooks/useListingRestore'
+import { useDisputes, getHeldEscrows } from '@/hooks/useDisputes'
+import { DisputeReview } from '@/components/disputes/DisputeReview'
+import { useReviews } from '@/hooks/useReviews'
+import { ReportedReview } from '@/components/reviews/ReportedReview'
+import { TokenTiersManager } from '@/components/tokens/TokenTiersManager'
 
 export default function DevDashboard() {
   const navigate = useNavigate()
   const { profile, isAuthenticated, isAdmin } = useAuth()
   const { stats, isLoading, fetchPlatformStats, fetchRecentActivity, fetchAllUsers } = useAdminStats()
-  const [activeTab, setActiveTab] = useState('overview')
+
+  // Coming back from a user's profile restores the tab, loaded users and scroll position
+  const restored = useListingRestore('dev-users', () => ({
+    activeTab,
+    users: { items: allUsers, nextCursor: usersCursor, totalCount: usersTotal },
+  }), { ready: !isLoading && Boolean(stats) })
+
+  const [activeTab, setActiveTab] = useState(restored?.activeTab ?? 'overview')
   const [recentActivity, setRecentActivity] = useState(null)
-  const [allUsers, setAllUsers] = useState([])
+  const [allUsers, setAllUsers] = useState(restored?.users.items ?? [])
+  const [usersCursor, setUsersCursor] = useState(restored?.users.nextCursor ?? null)
+  const [usersTotal, setUsersTotal] = useState(restored?.users.totalCount ?? null)
+  const [isLoadingUsers, setIsLoadingUsers] = useState(false)
+  const { fetchDisputes } = useDisputes()
+  const [disputes, setDisputes] = useState([])
+  const [disputeFilter, setDisputeFilter] = useState('open')
+  const [selectedDisputeId, setSelectedDisputeId] = useState(null)
+  const [isLoadingDisputes, setIsLoadingDisputes] = useState(false)
+  const { fetchReportedReviews } = useReviews()
+  const [reportedReviews, setReportedReviews] = useState([])
+  const [isLoadingReports, setIsLoadingReports] = useState(false)
 
   useEffect(() => {
     if (isAuthenticated && isAdmin) {
@@ -47,19 +74,59 @@ export default function DevDashboard() {
     await fetchPlatformStats()
     const { data: activity } = await fetchRecentActivity(10)
     setRecentActivity(activity)
+  }
 
-    if (activeTab === 'users') {
-      const { data: users } = await fetchAllUsers()
-      setAllUsers(users || [])
-    }
+  // Users load a page at a time; a cursor appends the next page
+  const loadUsers = async (cursor = null) => {
+    setIsLoadingUsers(true)
+    const { data, nextCursor, totalCount } = await fetchAllUsers({ cursor })
+    setAllUsers(prev => cursor ? [...prev, ...(data || [])] : data || [])
+    setUsersCursor(nextCursor ?? null)
+    if (!cursor) setUsersTotal(totalCount)
+    setIsLoadingUsers(false)
   }
 
   useEffect(() => {
     if (activeTab === 'users' && allUsers.length === 0) {
-      fetchAllUsers().then(({ data }) => setAllUsers(data || []))
+      loadUsers()
     }
   }, [activeTab])
 
+  const usersSentinelRef = useInfiniteScroll({
+    hasMore: usersCursor !== null,
+    isLoading: isLoadingUsers,
+    onLoadMore: () => loadUsers(usersCursor),
+  })
+
+  const loadDisputes = async () => {
+    setIsLoadingDisputes(true)
+    const { data } = await fetchDisputes(disputeFilter)
+    setDisputes(data || [])
+    setSelectedDisputeId(prev => data?.some(d => d.id === prev) ? prev : data?.[0]?.id || null)
+    setIsLoadingDisputes(false)
+  }
+
+  useEffect(() => {
+    if (activeTab === 'disputes' && isAdmin) {
+      loadDisputes()
+    }
+  }, [activeTab, disputeFilter, isAdmin])
+
+  const selectedDispute = disputes.find(d => d.id === selectedDisputeId)
+
+  const loadReportedReviews = async () => {
+    setIsLoadingReports(true)
+    const { data } = await fetchReportedReviews()
+    setReportedReviews(data || [])
+    setIsLoadingReports(false)
+  }
+
+  useEffect(() => {
+    if (activeTab === 'reviews' && isAdmin) {
+      loadReportedReviews()
+    }
+  }, [activeTab, isAdmin])
+
   // Admin-only access
   if (!isAuthenticated) {
     navigate('/login')
@@ -209,6 +276,9 @@ export default function DevDashboard() {
             <TabsTrigger value="overview">Overview</TabsTrigger>
             <TabsTrigger value="users">Users</TabsTrigger>
             <TabsTrigger value="activity">Recent Activity</TabsTrigger>
+            <TabsTrigger value="disputes">Disputes</TabsTrigger>
+            <TabsTrigger value="reviews">Reported Reviews</TabsTrigger>
+            <TabsTrigger value="tokens">Token Tiers</TabsTrigger>
           </TabsList>
 
           <TabsContent value="overview">
@@ -274,7 +344,9 @@ export default function DevDashboard() {
             <Card className="glass-card">
               <CardHeader>
                 <CardTitle>All Users</CardTitle>
-                <CardDescription>Manage platform users</CardDescription>
+                <CardDescription>
+                  Manage platform users{usersTotal !== null && ` · ${usersTotal} total`}
+                </CardDescription>
               </CardHeader>
               <CardContent>
                 <div className="space-y-3">
@@ -285,7 +357,7 @@ export default function DevDashboard() {
                     </div>
                   ) : (
                     allUsers.map((user) => (
-                      <div key={user.id} className="flex items-center justify-between p-3 rounded-lg border bg-background/50 hover:border-primary/30 transition-colors">
+                      <Link key={user.id} to={`/profile/${user.id}`} className="flex items-center justify-between p-3 rounded-lg border bg-background/50 hover:border-primary/30 transition-colors">
                         <div className="flex items-center gap-3">
                           <InitialsAvatar nickname={user.nickname} size="sm" />
                           <div>
@@ -304,10 +376,17 @@ export default function DevDashboard() {
                             {user.user_type}
                           </Badge>
                         </div>
-                      </div>
+                      </Link>
                     ))
                   )}
                 </div>
+
+                {/* Infinite scroll: the next page of users loads as this comes into view */}
+                {allUsers.length > 0 && (
+                  <div ref={usersSentinelRef} className="flex justify-center pt-4">
+                    {isLoadingUsers && <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />}
+                  </div>
+                )}
               </CardContent>
             </Card>
           </TabsContent>
@@ -362,6 +441,125 @@ export default function DevDashboard() {
               </Card>
             </div>
           </TabsContent>
+
+          <TabsContent value="disputes">
+            <div className="grid lg:grid-cols-[minmax(0,1fr)_minmax(0,2fr)] gap-6 items-start">
+              {/* Dispute Queue */}
+              <Card className="glass-card">
+                <CardHeader>
+                  <CardTitle>Disputes</CardTitle>
+                  <CardDescription>Oldest open cases first</CardDescription>
+                  <div className="flex gap-2 pt-2">
+                    {['open', 'resolved'].map((filter) => (
+                      <Button
+                        key={filter}
+                        size="sm"
+                        variant={disputeFilter === filter ? 'default' : 'outline'}
+                        className="capitalize"
+                        onClick={() => setDisputeFilter(filter)}
+                      >
+                        {filter}
+                      </Button>
+                    ))}
+                  </div>
+                </CardHeader>
+                <CardContent>
+                  <div className="space-y-3">
+                    {isLoadingDisputes ? (
+                      <div className="text-center py-8 text-muted-foreground">
+                        <Loader2 className="h-8 w-8 animate-spin mx-auto mb-2" />
+                        Loading disputes...
+                      </div>
+                    ) : disputes.length === 0 ? (
+                      <div className="text-center py-8 text-muted-foreground">
+                        <Gavel className="h-10 w-10 mx-auto mb-2 opacity-50" />
+                        No {disputeFilter} disputes
+                      </div>
+                    ) : (
+                      disputes.map((dispute) => (
+                        <button
+                          key={dispute.id}
+                          type="button"
+                          onClick={() => setSelectedDisputeId(dispute.id)}
+                          className={cn(
+                            "w-full text-left p-3 rounded-lg border bg-background/50 transition-colors",
+                            dispute.id === selectedDisputeId ? 'border-primary' : 'hover:border-primary/30'
+                          )}
+                        >
+                          <div className="flex justify-between items-start gap-2 mb-1">
+                            <div className="font-medium text-sm line-clamp-1">{dispute.contract?.title}</div>
+                            <span className="text-xs font-semibold text-primary shrink-0">
+                              {formatSOL(getHeldEscrows(dispute.contract).reduce((sum, e) => sum + e.amount, 0))}
+                            </span>
+                          </div>
+                          <div className="text-xs text-muted-foreground line-clamp-2">{dispute.reason}</div>
+                          <div className="text-xs text-muted-foreground mt-1">
+                            by {dispute.opener?.nickname} • {formatTimeAgo(dispute.created_at)}
+                          </div>
+                        </button>
+                      ))
+                    )}
+                  </div>
+                </CardContent>
+              </Card>
+
+              {/* Selected Dispute */}
+              {selectedDispute ? (
+                <DisputeReview dispute={selectedDispute} onResolved={loadDisputes} />
+              ) : (
+                <Card className="glass-card">
+                  <CardContent className="p-8 text-center text-muted-foreground">
+                    Select a dispute to review it
+                  </CardContent>
+                </Card>
+              )}
+            </div>
+          </TabsContent>
+
+          <TabsContent value="reviews">
+            <Card className="glass-card">
+              <CardHeader>
+                <CardTitle>Reported Reviews</CardTitle>
+                <CardDescription>Hide reviews that break the rules or keep them published. Oldest reports first.</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {isLoadingReports ? (
+                  <div className="text-center py-8 text-muted-foreground">
+                    <Loader2 className="h-8 w-8 animate-spin mx-auto mb-2" />
+                    Loading reports...
+                  </div>
+                ) : reportedReviews.length === 0 ? (
+                  <div className="text-center py-8 text-muted-foreground">
+                    <Flag className="h-10 w-10 mx-auto mb-2 opacity-50" />
+                    No reported reviews
+                  </div>
+                ) : (
+                  <div className="space-y-4">
+                    {reportedReviews.map(({ review, reports }) => (
+                      <ReportedReview
+                        key={review.id}
+                        review={review}
+                        reports={reports}
+                        onResolved={loadReportedReviews}
+                      />
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="tokens">
+            <Card className="glass-card">
+              <CardHeader>
+                <CardTitle>Token Tiers</CardTitle>
+                <CardDescription>The gate token and the holdings each tier needs. Role tiers decide who can post, list and apply.</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <TokenTiersManager />
+              </CardContent>
+            </Card>
+          </TabsContent>
         </Tabs>
       </div>
     </div>
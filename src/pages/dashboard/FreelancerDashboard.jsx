@@ -17,6 +17,8 @@ import {
   Loader2,
   Plus,
   MessageSquare,
+  AlertTriangle,
+  Sparkles,
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
@@ -27,20 +29,47 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import { Progress } from '@/components/ui/progress'
 import { formatSOL, formatTimeAgo, formatDate, getStatusColor, cn } from '@/lib/utils'
 import { useAuth } from '@/context/AuthContext'
+import { useToast } from '@/context/ToastContext'
 import { useApplications } from '@/hooks/useApplications'
 import { useContracts } from '@/hooks/useContracts'
 import { useServicePosts } from '@/hooks/useServicePosts'
 import { useServiceRequests } from '@/hooks/useServiceRequests'
 import { useJobPosts } from '@/hooks/useJobPosts'
+import { useSavedSearches } from '@/hooks/useSavedSearches'
+import { useRecommendations } from '@/hooks/useRecommendations'
+import { explainMatch } from '@/lib/recommendations'
+import { useCategories } from '@/hooks/useCategories'
+import { useMilestones, hasMilestones } from '@/hooks/useMilestones'
+import { EscrowBadge } from '@/components/contracts/EscrowBadge'
+import { MilestoneList } from '@/components/contracts/MilestoneList'
+import { ContractTimeline } from '@/components/contracts/ContractTimeline'
+import { TimesheetPanel } from '@/components/contracts/TimesheetPanel'
+import { SubmitWorkDialog } from '@/components/contracts/SubmitWorkDialog'
+import { SubmissionHistory } from '@/components/contracts/SubmissionHistory'
+import { isHourly, DEFAULT_WEEKLY_HOUR_LIMIT } from '@/hooks/useTimesheets'
+import { useDisputes } from '@/hooks/useDisputes'
+import { OpenDisputeDialog } from '@/components/disputes/OpenDisputeDialog'
+import { DisputePanel } from '@/components/disputes/DisputePanel'
+import { SavedSearchList } from '@/components/search/SavedSearchList'
+import { useReviews } from '@/hooks/useReviews'
+import { ReviewDialog } from '@/components/reviews/ReviewDialog'
+import { ReviewStatus } from '@/components/reviews/ReviewStatus'
 
 export default function FreelancerDashboard() {
+  const { toast } = useToast()
   const navigate = useNavigate()
   const { profile, isAuthenticated, isFreelancer, tokenBalance } = useAuth()
   const { fetchFreelancerApplications, withdrawApplication } = useApplications()
   const { fetchFreelancerContracts, submitWork, cancelContract, createContract } = useContracts()
+  const { submitMilestone } = useMilestones()
+  const { openDispute } = useDisputes()
   const { fetchFreelancerServices } = useServicePosts()
   const { fetchFreelancerServiceRequests, acceptServiceRequest, rejectServiceRequest } = useServiceRequests()
   const { fetchJobs } = useJobPosts()
+  const { fetchRecommendedJobs } = useRecommendations()
+  const { savedSearches, fetchSavedSearches, updateSavedSearch, deleteSavedSearch } = useSavedSearches(profile?.id)
+  const { categories } = useCategories()
+  const { fetchReviewStatuses } = useReviews()
 
   const [activeTab, setActiveTab] = useState('overview')
   const [myApplications, setMyApplications] = useState([])
@@ -51,8 +80,13 @@ export default function FreelancerDashboard() {
   const [recommendedJobs, setRecommendedJobs] = useState([])
   const [isLoading, setIsLoading] = useState(true)
   const [submittingWork, setSubmittingWork] = useState(null)
+  const [submissionTarget, setSubmissionTarget] = useState(null) // { contract, milestone }
   const [withdrawingApp, setWithdrawingApp] = useState(null)
   const [processingRequest, setProcessingRequest] = useState(null)
+  const [disputeContract, setDisputeContract] = useState(null)
+  const [isOpeningDispute, setIsOpeningDispute] = useState(false)
+  const [reviewStatuses, setReviewStatuses] = useState(new Map()) // Map<contractId, review status>
+  const [reviewContract, setReviewContract] = useState(null)
 
   useEffect(() => {
     if (profile?.id && isFreelancer) {
@@ -60,6 +94,11 @@ export default function FreelancerDashboard() {
     }
   }, [profile, isFreelancer])
 
+  const loadReviewStatuses = async (contracts) => {
+    const { data: statuses } = await fetchReviewStatuses((contracts || []).map(c => c.id))
+    setReviewStatuses(statuses)
+  }
+
   const loadDashboardData = async () => {
     setIsLoading(true)
 
@@ -67,14 +106,20 @@ export default function FreelancerDashboard() {
     const { data: apps } = await fetchFreelancerApplications(profile.id)
     setMyApplications(apps || [])
 
-    // Fetch freelancer's active and submitted contracts
+    // Fetch freelancer's active, submitted and disputed contracts
     const { data: activeContractsData } = await fetchFreelancerContracts(profile.id, 'active')
     const { data: submittedContractsData } = await fetchFreelancerContracts(profile.id, 'submitted')
-    setActiveContracts([...(activeContractsData || []), ...(submittedContractsData || [])])
+    const { data: disputedContractsData } = await fetchFreelancerContracts(profile.id, 'disputed')
+    setActiveContracts([
+      ...(activeContractsData || []),
+      ...(submittedContractsData || []),
+      ...(disputedContractsData || []),
+    ])
 
     // Fetch freelancer's completed contracts
     const { data: completedContractsData } = await fetchFreelancerContracts(profile.id, 'completed')
     setCompletedContracts(completedContractsData || [])
+    await loadReviewStatuses(completedContractsData)
 
     // Fetch freelancer's services
     const { data: services } = await fetchFreelancerServices(profile.id)
@@ -84,28 +129,65 @@ export default function FreelancerDashboard() {
     const { data: requests } = await fetchFreelancerServiceRequests(profile.id)
     setServiceRequests(requests || [])
 
-    // Fetch recommended jobs (open jobs)
-    const { data: jobs } = await fetchJobs({ status: 'open' })
-    setRecommendedJobs(jobs?.slice(0, 4) || [])
+    // Fetch recommended jobs, ranked against the freelancer's skills and history
+    // (the newest open jobs until there's something to match on)
+    const { data: recommended } = await fetchRecommendedJobs(4)
+    if (recommended?.length > 0) {
+      setRecommendedJobs(recommended)
+    } else {
+      const { data: jobs } = await fetchJobs({ status: 'open' })
+      setRecommendedJobs(jobs?.slice(0, 4) || [])
+    }
+
+    await fetchSavedSearches()
 
     setIsLoading(false)
   }
 
-  const handleSubmitWork = async (contractId) => {
-    setSubmittingWork(contractId)
-    const { error } = await submitWork(contractId)
+  const handleSubmitWork = async (submission) => {
+    const { contract, milestone } = submissionTarget
+    setSubmittingWork(contract.id)
+    const { error } = milestone
+      ? await submitMilestone(milestone.id, submission)
+      : await submitWork(contract.id, submission)
 
     if (error) {
       console.error('Error submitting work:', error)
-      alert('Failed to submit work. Please try again.')
+      toast({ title: 'Failed to submit work', description: error.message, variant: 'destructive' })
     } else {
-      alert('Work submitted successfully! Waiting for client approval.')
+      setSubmissionTarget(null)
+      if (!milestone) toast({ title: 'Work submitted successfully', description: 'Waiting for client approval.', variant: 'success' })
       await loadDashboardData()
     }
 
     setSubmittingWork(null)
   }
 
+  const handleUpdateSavedSearch = async (id, updates) => {
+    const { error } = await updateSavedSearch(id, updates)
+    if (error) toast({ title: 'Failed to update saved search', description: error.message, variant: 'destructive' })
+  }
+
+  const handleDeleteSavedSearch = async (id) => {
+    const { error } = await deleteSavedSearch(id)
+    if (error) toast({ title: 'Failed to delete saved search', description: error.message, variant: 'destructive' })
+  }
+
+  const handleSubmitDispute = async (details) => {
+    setIsOpeningDispute(true)
+    const { error } = await openDispute(disputeContract, details)
+
+    if (error) {
+      console.error('Error opening dispute:', error)
+      toast({ title: 'Failed to open dispute', description: error.message, variant: 'destructive' })
+    } else {
+      setDisputeContract(null)
+      await loadDashboardData()
+    }
+
+    setIsOpeningDispute(false)
+  }
+
   const handleWithdrawApplication = async (applicationId) => {
     if (!confirm('Are you sure you want to withdraw this application?')) return
 
@@ -114,7 +196,7 @@ export default function FreelancerDashboard() {
 
     if (error) {
       console.error('Error withdrawing application:', error)
-      alert('Failed to withdraw application. Please try again.')
+      toast({ title: 'Failed to withdraw application', description: 'Please try again.', variant: 'destructive' })
     } else {
       await loadDashboardData()
     }
@@ -123,14 +205,14 @@ export default function FreelancerDashboard() {
   }
 
   const handleCancelContract = async (contractId) => {
-    if (!confirm('Are you sure you want to cancel this contract? This action cannot be undone.')) return
+    if (!confirm('Are you sure you want to cancel this contract? Any escrowed funds will be refunded to the client. This action cannot be undone.')) return
 
     setSubmittingWork(contractId)
     const { error } = await cancelContract(contractId)
 
     if (error) {
       console.error('Error cancelling contract:', error)
-      alert('Failed to cancel contract. Please try again.')
+      toast({ title: 'Failed to cancel contract', description: error.message, variant: 'destructive' })
     } else {
       await loadDashboardData()
     }
@@ -148,7 +230,7 @@ export default function FreelancerDashboard() {
       const { error: acceptError } = await acceptServiceRequest(request.id)
       if (acceptError) {
         console.error('Error accepting request:', acceptError)
-        alert('Failed to accept request. Please try again.')
+        toast({ title: 'Failed to accept request', description: 'Please try again.', variant: 'destructive' })
         setProcessingRequest(null)
         return
       }
@@ -161,22 +243,39 @@ export default function FreelancerDashboard() {
         title: request.service_post?.title || 'Untitled Project',
         description: request.project_description,
         agreed_amount: request.proposed_budget,
-        escrow_amount: 0, // Mock - no real escrow
+        escrow_amount: 0, // Set once the client funds the on-chain escrow
+      }
+
+      // Hourly services bill the proposed budget per hour; the client can adjust the weekly limit
+      const hourly = request.service_post?.price_type === 'hourly'
+      if (hourly) {
+        Object.assign(contractData, {
+          billing_type: 'hourly',
+          hourly_rate: request.proposed_budget,
+          weekly_hour_limit: DEFAULT_WEEKLY_HOUR_LIMIT,
+          agreed_amount: 0, // Grows with every paid timesheet
+        })
       }
 
       const { error: contractError } = await createContract(contractData)
       if (contractError) {
         console.error('Error creating contract:', contractError)
-        alert('Request accepted but failed to create contract. Please contact support.')
+        toast({ title: 'Request accepted but failed to create contract', description: 'Please contact support.', variant: 'destructive' })
       } else {
-        alert('Request accepted! Contract created successfully.')
+        toast({
+          title: 'Request accepted',
+          description: hourly
+            ? 'Hourly contract created. Log your time from the Contracts tab and submit a timesheet each week.'
+            : 'Contract created. The client will be asked to fund the escrow.',
+          variant: 'success',
+        })
       }
 
       // Reload data
       await loadDashboardData()
     } catch (err) {
       console.error('Error handling service request:', err)
-      alert('An error occurred. Please try again.')
+      toast({ title: 'An error occurred', description: 'Please try again.', variant: 'destructive' })
     } finally {
       setProcessingRequest(null)
     }
@@ -190,7 +289,7 @@ export default function FreelancerDashboard() {
 
     if (error) {
       console.error('Error rejecting request:', error)
-      alert('Failed to reject request. Please try again.')
+      toast({ title: 'Failed to reject request', description: 'Please try again.', variant: 'destructive' })
     } else {
       await loadDashboardData()
     }
@@ -305,6 +404,7 @@ export default function FreelancerDashboard() {
             <TabsTrigger value="requests">Service Requests</TabsTrigger>
             <TabsTrigger value="contracts">Contracts</TabsTrigger>
             <TabsTrigger value="earnings">Earnings</TabsTrigger>
+            <TabsTrigger value="saved-searches">Saved Searches</TabsTrigger>
           </TabsList>
 
           {/* Overview Tab */}
@@ -376,11 +476,21 @@ export default function FreelancerDashboard() {
                             </h4>
                             <div className="flex flex-wrap gap-1 mt-1">
                               {job.skills.slice(0, 3).map((skill) => (
-                                <Badge key={skill} variant="secondary" className="text-[10px] sm:text-xs">
+                                <Badge
+                                  key={skill}
+                                  variant={job.match?.matchedSkills.includes(skill) ? 'default' : 'secondary'}
+                                  className="text-[10px] sm:text-xs"
+                                >
                                   {skill}
                                 </Badge>
                               ))}
                             </div>
+                            {job.match && (
+                              <p className="text-xs text-muted-foreground mt-1.5 flex items-center gap-1">
+                                <Sparkles className="h-3 w-3 text-primary shrink-0" />
+                                {explainMatch(job.match)}
+                              </p>
+                            )}
                           </div>
                           <div className="text-left sm:text-right sm:ml-4 flex-shrink-0">
                             <p className="font-semibold text-primary text-sm sm:text-base">{formatSOL(job.budget)}</p>
@@ -628,7 +738,7 @@ export default function FreelancerDashboard() {
                           </div>
 
                           {/* Show revision notes if they exist */}
-                          {contract.revision_notes && (
+                          {!hasMilestones(contract) && contract.revision_notes && (
                             <div className="mb-4 p-3 bg-yellow-500/10 border border-yellow-500/20 rounded-lg">
                               <div className="flex items-center gap-2 mb-1">
                                 <AlertCircle className="h-4 w-4 text-yellow-500" />
@@ -638,17 +748,32 @@ export default function FreelancerDashboard() {
                             </div>
                           )}
 
-                          <div className="space-y-2 mb-4">
-                            <div className="flex justify-between text-sm">
-                              <span className="text-muted-foreground">Progress</span>
-                              <span>60%</span>
+                          {isHourly(contract) ? (
+                            <TimesheetPanel className="mb-4" contract={contract} role="freelancer" />
+                          ) : hasMilestones(contract) ? (
+                            <MilestoneList
+                              className="mb-4"
+                              milestones={contract.milestones}
+                              role="freelancer"
+                              disabled={submittingWork === contract.id}
+                              onSubmit={(milestone) => setSubmissionTarget({ contract, milestone })}
+                            />
+                          ) : (
+                            <div className="space-y-2 mb-4">
+                              <div className="flex justify-between text-sm">
+                                <span className="text-muted-foreground">Progress</span>
+                                <span>60%</span>
+                              </div>
+                              <Progress value={60} className="h-2" />
                             </div>
-                            <Progress value={60} className="h-2" />
-                          </div>
+                          )}
                           <div className="flex items-center justify-between gap-2">
-                            <span className="text-sm">
-                              <span className="text-muted-foreground">Escrow: </span>
-                              <span className="font-semibold text-primary">{formatSOL(contract.agreed_amount || 0)}</span>
+                            <span className="text-sm flex items-center gap-2">
+                              <span className="text-muted-foreground">{isHourly(contract) ? 'Rate: ' : hasMilestones(contract) ? 'Total: ' : 'Escrow: '}</span>
+                              <span className="font-semibold text-primary">
+                                {isHourly(contract) ? `${formatSOL(Number(contract.hourly_rate))}/hr` : formatSOL(contract.agreed_amount || 0)}
+                              </span>
+                              {!hasMilestones(contract) && !isHourly(contract) && <EscrowBadge contract={contract} />}
                             </span>
                             <div className="flex gap-2">
                               <Button
@@ -668,13 +793,25 @@ export default function FreelancerDashboard() {
                               </Button>
                               <Button
                                 size="sm"
-                                onClick={() => handleSubmitWork(contract.id)}
+                                variant="outline"
+                                className="text-red-500 hover:text-red-500"
+                                onClick={() => setDisputeContract(contract)}
                                 disabled={submittingWork === contract.id}
                               >
-                                {submittingWork === contract.id ? 'Submitting...' : 'Submit Work'}
+                                <AlertTriangle className="h-3 w-3 mr-1" /> Dispute
                               </Button>
+                              {!hasMilestones(contract) && !isHourly(contract) && (
+                                <Button
+                                  size="sm"
+                                  onClick={() => setSubmissionTarget({ contract, milestone: null })}
+                                  disabled={submittingWork === contract.id}
+                                >
+                                  {submittingWork === contract.id ? 'Submitting...' : 'Submit Work'}
+                                </Button>
+                              )}
                             </div>
                           </div>
+                          <ContractTimeline contractId={contract.id} className="mt-3 pt-3 border-t" />
                         </div>
                       ))}
 
@@ -699,16 +836,61 @@ export default function FreelancerDashboard() {
                                 </Avatar>
                                 <span className="text-sm">{contract.client?.nickname}</span>
                               </div>
+                              {hasMilestones(contract) && (
+                                <MilestoneList
+                                  className="mb-4"
+                                  milestones={contract.milestones}
+                                  role="freelancer"
+                                  disabled={submittingWork === contract.id}
+                                  onSubmit={(milestone) => setSubmissionTarget({ contract, milestone })}
+                                />
+                              )}
+                              {!hasMilestones(contract) && (
+                                <SubmissionHistory className="mb-4" contractId={contract.id} />
+                              )}
                               <div className="flex items-center justify-between">
                                 <div className="text-sm">
                                   <p className="text-muted-foreground">Submitted {formatTimeAgo(contract.submitted_at)}</p>
                                   <p className="text-muted-foreground mt-1">Amount: <span className="font-semibold text-primary">{formatSOL(contract.agreed_amount || 0)}</span></p>
                                 </div>
-                                <div className="flex items-center gap-2 text-sm text-blue-500">
-                                  <Clock className="h-4 w-4" />
-                                  <span>Waiting for client</span>
+                                <div className="flex items-center gap-3">
+                                  <div className="flex items-center gap-2 text-sm text-blue-500">
+                                    <Clock className="h-4 w-4" />
+                                    <span>Waiting for client</span>
+                                  </div>
+                                  <Button
+                                    size="sm"
+                                    variant="outline"
+                                    className="text-red-500 hover:text-red-500"
+                                    onClick={() => setDisputeContract(contract)}
+                                  >
+                                    <AlertTriangle className="h-3 w-3 mr-1" /> Dispute
+                                  </Button>
                                 </div>
                               </div>
+                              <ContractTimeline contractId={contract.id} className="mt-3 pt-3 border-t" />
+                            </div>
+                          ))}
+                        </>
+                      )}
+
+                      {/* Disputed Contracts Section */}
+                      {activeContracts.filter(c => c.status === 'disputed').length > 0 && (
+                        <>
+                          <div className="pt-4 mt-4 border-t">
+                            <h3 className="text-lg font-semibold flex items-center gap-2">
+                              <AlertTriangle className="h-5 w-5 text-red-500" />
+                              Disputed (Escrow Frozen)
+                            </h3>
+                          </div>
+                          {activeContracts.filter(c => c.status === 'disputed').map((contract) => (
+                            <div key={contract.id} className="p-4 rounded-lg border-2 border-red-500/20 bg-red-500/5">
+                              <div className="flex items-center justify-between mb-4">
+                                <h4 className="font-semibold">{contract.job_post?.title || contract.service_post?.title}</h4>
+                                <span className="font-semibold text-primary">{formatSOL(contract.agreed_amount || 0)}</span>
+                              </div>
+                              <DisputePanel contract={contract} />
+                              <ContractTimeline contractId={contract.id} className="mt-3 pt-3 border-t" />
                             </div>
                           ))}
                         </>
@@ -731,20 +913,23 @@ export default function FreelancerDashboard() {
                 <CardContent>
                   <div className="space-y-4">
                     {completedContracts.map((contract) => (
-                      <div key={contract.id} className="flex items-center justify-between p-3 rounded-lg border">
-                        <div>
-                          <h4 className="font-medium">{contract.job_post?.title || contract.service_post?.title}</h4>
-                          <p className="text-sm text-muted-foreground">
-                            Completed {formatTimeAgo(contract.created_at)}
-                          </p>
-                        </div>
-                        <div className="text-right">
-                          <p className="font-semibold text-green-500">+{formatSOL(contract.amount || 0)}</p>
-                          <div className="flex items-center gap-1">
-                            <Star className="h-3 w-3 fill-yellow-500 text-yellow-500" />
-                            <span className="text-sm">5.0</span>
+                      <div key={contract.id} className="p-3 rounded-lg border">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <h4 className="font-medium">{contract.job_post?.title || contract.service_post?.title}</h4>
+                            <p className="text-sm text-muted-foreground">
+                              Completed {formatTimeAgo(contract.completed_at || contract.created_at)}
+                            </p>
+                          </div>
+                          <div className="text-right flex flex-col items-end gap-2">
+                            <p className="font-semibold text-green-500">+{formatSOL(contract.amount || 0)}</p>
+                            <ReviewStatus
+                              status={reviewStatuses.get(contract.id)}
+                              onReview={() => setReviewContract(contract)}
+                            />
                           </div>
                         </div>
+                        <ContractTimeline contractId={contract.id} className="mt-3 pt-3 border-t" />
                       </div>
                     ))}
                     {completedContracts.length === 0 && (
@@ -813,8 +998,57 @@ export default function FreelancerDashboard() {
               </Card>
             </div>
           </TabsContent>
+
+          {/* Saved Searches Tab */}
+          <TabsContent value="saved-searches">
+            <Card>
+              <CardHeader>
+                <CardTitle>Saved Searches</CardTitle>
+                <CardDescription>Get alerted when new jobs match your filters</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <SavedSearchList
+                  savedSearches={savedSearches}
+                  categories={categories}
+                  onUpdate={handleUpdateSavedSearch}
+                  onDelete={handleDeleteSavedSearch}
+                />
+              </CardContent>
+            </Card>
+          </TabsContent>
         </Tabs>
       </div>
+
+      {reviewContract && (
+        <ReviewDialog
+          contract={{ ...reviewContract, title: reviewContract.job_post?.title || reviewContract.service_post?.title }}
+          reviewerId={profile.id}
+          revieweeId={reviewContract.client_id}
+          revieweeName={reviewContract.client?.nickname}
+          isOpen={!!reviewContract}
+          onClose={() => setReviewContract(null)}
+          onSuccess={() => loadReviewStatuses(completedContracts)}
+        />
+      )}
+
+      <OpenDisputeDialog
+        open={!!disputeContract}
+        onOpenChange={(open) => !open && setDisputeContract(null)}
+        contract={disputeContract && { ...disputeContract, title: disputeContract.job_post?.title || disputeContract.service_post?.title }}
+        onSubmit={handleSubmitDispute}
+        isSubmitting={isOpeningDispute}
+      />
+
+      <SubmitWorkDialog
+        open={!!submissionTarget}
+        onOpenChange={(open) => !open && setSubmissionTarget(null)}
+        title={submissionTarget?.milestone
+          ? `"${submissionTarget.milestone.title}"`
+          : submissionTarget?.contract.job_post?.title || submissionTarget?.contract.service_post?.title}
+        revisionNotes={(submissionTarget?.milestone || submissionTarget?.contract)?.revision_notes}
+        onSubmit={handleSubmitWork}
+        isSubmitting={!!submittingWork}
+      />
     </div>
   )
 }
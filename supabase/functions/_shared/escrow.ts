@@ -0,0 +1,144 @@
+import bs58 from 'npm:bs58@6.0.0'
+
+/**
+ * Server-side reads of the PumpWork escrow program (programs/escrow).
+ * Escrow columns are only written after the transaction and the escrow
+ * account have been checked here, never on the browser's word.
+ *
+ * Env:
+ * - SOLANA_RPC_URL      RPC the app sends escrow transactions through
+ *                       (same as VITE_SOLANA_RPC_URL; default: mainnet-beta)
+ * - ESCROW_PROGRAM_ID   Deployed escrow program (same as VITE_ESCROW_PROGRAM_ID)
+ */
+export const SOLANA_RPC_URL = Deno.env.get('SOLANA_RPC_URL') ?? 'https://api.mainnet-beta.solana.com'
+export const ESCROW_PROGRAM_ID = Deno.env.get('ESCROW_PROGRAM_ID') ?? ''
+
+export const LAMPORTS_PER_SOL = 1_000_000_000
+
+// Instruction tags (first data byte)
+export const EscrowInstruction = {
+  INITIALIZE: 0,
+  RELEASE: 1,
+  REFUND: 2,
+  DISPUTE: 3,
+  RESOLVE: 4,
+} as const
+
+// First state byte
+const STATUS_FUNDED = 1
+const STATUS_DISPUTED = 2
+const ESCROW_STATE_LEN = 90
+
+export interface EscrowCall {
+  tag: number
+  accounts: string[]
+  data: Uint8Array
+}
+
+export interface EscrowAccount {
+  client: string
+  freelancer: string
+  lamports: bigint
+  contractId: string
+  disputed: boolean
+}
+
+async function rpc(method: string, params: unknown[]) {
+  const response = await fetch(SOLANA_RPC_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+  })
+
+  if (!response.ok) {
+    throw new Error(`RPC responded with ${response.status}`)
+  }
+
+  const json = await response.json()
+  if (json.error) {
+    throw new Error(json.error.message ?? 'RPC error')
+  }
+  return json.result
+}
+
+export function solToLamports(amount: number | string) {
+  return BigInt(Math.round(Number(amount) * LAMPORTS_PER_SOL))
+}
+
+function readU64(data: Uint8Array, offset: number) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength).getBigUint64(offset, true)
+}
+
+// 16 raw bytes (PDA seed) -> UUID
+function bytesToUuid(bytes: Uint8Array) {
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+}
+
+/**
+ * Escrow program instructions of a confirmed transaction, in order.
+ * Returns null when the transaction is unknown, not yet confirmed or failed.
+ */
+export async function fetchEscrowCalls(signature: string): Promise<EscrowCall[] | null> {
+  if (!ESCROW_PROGRAM_ID) {
+    throw new Error('ESCROW_PROGRAM_ID is not configured')
+  }
+
+  const tx = await rpc('getTransaction', [
+    signature,
+    { encoding: 'json', commitment: 'confirmed', maxSupportedTransactionVersion: 0 },
+  ])
+
+  if (!tx || tx.meta?.err) return null
+
+  const keys: string[] = [
+    ...tx.transaction.message.accountKeys,
+    ...(tx.meta?.loadedAddresses?.writable ?? []),
+    ...(tx.meta?.loadedAddresses?.readonly ?? []),
+  ]
+
+  return tx.transaction.message.instructions
+    .filter((ix: { programIdIndex: number }) => keys[ix.programIdIndex] === ESCROW_PROGRAM_ID)
+    .map((ix: { accounts: number[]; data: string }) => {
+      const data = bs58.decode(ix.data)
+      return { tag: data[0], accounts: ix.accounts.map((i) => keys[i]), data }
+    })
+}
+
+/**
+ * Initialize call's escrow id (the contract, milestone or timesheet UUID) and amount
+ */
+export function decodeInitialize(call: EscrowCall) {
+  if (call.tag !== EscrowInstruction.INITIALIZE || call.data.length !== 1 + 16 + 8) return null
+  return {
+    contractId: bytesToUuid(call.data.slice(1, 17)),
+    lamports: readU64(call.data, 17),
+    client: call.accounts[0],
+    freelancer: call.accounts[1],
+    escrow: call.accounts[2],
+  }
+}
+
+/**
+ * Current state of an escrow account, or null once it has been closed
+ * (released, refunded or resolved) or was never funded
+ */
+export async function fetchEscrowAccount(address: string): Promise<EscrowAccount | null> {
+  const result = await rpc('getAccountInfo', [address, { encoding: 'base64', commitment: 'confirmed' }])
+  const account = result?.value
+
+  if (!account || account.owner !== ESCROW_PROGRAM_ID) return null
+
+  const data = Uint8Array.from(atob(account.data[0]), (c) => c.charCodeAt(0))
+  if (data.length < ESCROW_STATE_LEN || ![STATUS_FUNDED, STATUS_DISPUTED].includes(data[0])) {
+    return null
+  }
+
+  return {
+    client: bs58.encode(data.slice(1, 33)),
+    freelancer: bs58.encode(data.slice(33, 65)),
+    lamports: readU64(data, 65),
+    contractId: bytesToUuid(data.slice(73, 89)),
+    disputed: data[0] === STATUS_DISPUTED,
+  }
+}
@@ -0,0 +1,30 @@
+import nodemailer from 'npm:nodemailer@6.9.16'
+
+/**
+ * SMTP transport configured from the environment.
+ *
+ *   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for port 465),
+ *   SMTP_USER / SMTP_PASS (optional), SMTP_FROM
+ *
+ * For local testing point it at MailHog (SMTP_HOST=host.docker.internal,
+ * SMTP_PORT=1025, no credentials) and read the mail at http://localhost:8025.
+ */
+export function createMailer() {
+  const host = Deno.env.get('SMTP_HOST')
+  if (!host) throw new Error('SMTP_HOST is not configured')
+
+  const user = Deno.env.get('SMTP_USER')
+  const transport = nodemailer.createTransport({
+    host,
+    port: Number(Deno.env.get('SMTP_PORT') ?? 587),
+    secure: Deno.env.get('SMTP_SECURE') === 'true',
+    auth: user ? { user, pass: Deno.env.get('SMTP_PASS') ?? '' } : undefined,
+  })
+
+  const from = Deno.env.get('SMTP_FROM') ?? 'PumpWork <no-reply@pumpwork.app>'
+
+  return {
+    send: ({ to, subject, html, text }: { to: string; subject: string; html: string; text: string }) =>
+      transport.sendMail({ from, to, subject, html, text }),
+  }
+}
@@ -0,0 +1,79 @@
+import nacl from 'npm:tweetnacl@1.0.3'
+import bs58 from 'npm:bs58@6.0.0'
+
+/**
+ * Sign-In With Solana helpers
+ * Message format follows the SIWS spec used by Phantom and Solflare
+ * (modelled on EIP-4361).
+ */
+
+export const SIWS_STATEMENT = 'Sign in to PumpWork. This request will not trigger a blockchain transaction or cost any fees.'
+export const SIWS_LINK_STATEMENT = 'Link this wallet to your PumpWork account. This request will not trigger a blockchain transaction or cost any fees.'
+export const SIWS_TTL_SECONDS = 5 * 60
+
+export function buildSiwsMessage({ domain, uri, address, statement, nonce, chainId, issuedAt, expirationTime }: {
+  domain: string
+  uri: string
+  address: string
+  statement: string
+  nonce: string
+  chainId: string
+  issuedAt: string
+  expirationTime: string
+}) {
+  return [
+    `${domain} wants you to sign in with your Solana account:`,
+    address,
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+  ].join('\n')
+}
+
+export function generateNonce() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  return bs58.encode(bytes)
+}
+
+// Returns the 32-byte ed25519 public key or null if the address is malformed
+export function decodeAddress(address: string) {
+  try {
+    const bytes = bs58.decode(address)
+    return bytes.length === 32 ? bytes : null
+  } catch {
+    return null
+  }
+}
+
+export function decodeBase64(value: string) {
+  return Uint8Array.from(atob(value), (c) => c.charCodeAt(0))
+}
+
+export function verifySignature(message: string, signatureBase64: string, address: string) {
+  const publicKey = decodeAddress(address)
+  if (!publicKey) return false
+
+  let signature: Uint8Array
+  try {
+    signature = decodeBase64(signatureBase64)
+  } catch {
+    return false
+  }
+  if (signature.length !== nacl.sign.signatureLength) return false
+
+  return nacl.sign.detached.verify(new TextEncoder().encode(message), signature, publicKey)
+}
+
+// Stable, case-insensitive auth identifier for a wallet (GoTrue lowercases emails)
+export function walletAuthEmail(address: string) {
+  const publicKey = decodeAddress(address)
+  if (!publicKey) throw new Error('Invalid wallet address')
+  const hex = Array.from(publicKey, (b) => b.toString(16).padStart(2, '0')).join('')
+  return `${hex}@wallet.pumpwork.invalid`
+}
@@ -0,0 +1,31 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+
+/**
+ * Service-role client - bypasses RLS.
+ * Only use inside Edge Functions, never ship the key to the browser.
+ */
+export const supabaseAdmin = createClient(
+  Deno.env.get('SUPABASE_URL') ?? '',
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  }
+)
+
+/**
+ * Resolve the calling user from the request's Authorization header.
+ * Returns null for anonymous (anon key only) requests.
+ */
+export async function getRequestUser(req: Request) {
+  const authHeader = req.headers.get('Authorization') ?? ''
+  const token = authHeader.replace(/^Bearer\s+/i, '')
+  if (!token) return null
+
+  const { data, error } = await supabaseAdmin.auth.getUser(token)
+  if (error || !data?.user) return null
+
+  return data.user
+}
@@ -0,0 +1,143 @@
+import { supabaseAdmin } from './supabaseAdmin.ts'
+
+/**
+ * PumpWork token balances, read straight from a Solana RPC node.
+ * The gate mint is admin-configured in token_settings.
+ *
+ * Env:
+ * - TOKEN_GATE_RPC_URL  RPC to read balances from (default: mainnet-beta).
+ *                       Point it at solana-test-validator, e.g.
+ *                       http://host.docker.internal:8899, to test locally
+ *                       (and set token_settings.mint to the test mint)
+ */
+export const TOKEN_GATE_RPC_URL = Deno.env.get('TOKEN_GATE_RPC_URL') ?? 'https://api.mainnet-beta.solana.com'
+
+/**
+ * Current gate mint - read per request so admin changes apply without a redeploy.
+ */
+export async function getTokenGateMint(): Promise<string> {
+  const { data, error } = await supabaseAdmin
+    .from('token_settings')
+    .select('mint')
+    .single()
+
+  if (error) throw error
+  return data.mint
+}
+
+// getMultipleAccounts takes at most this many accounts per call
+const MAX_ACCOUNTS_PER_READ = 100
+
+async function rpc(method: string, params: unknown[]) {
+  const response = await fetch(TOKEN_GATE_RPC_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+  })
+
+  if (!response.ok) {
+    throw new Error(`RPC responded with ${response.status}`)
+  }
+
+  const json = await response.json()
+  if (json.error) {
+    throw new Error(json.error.message ?? 'RPC error')
+  }
+  return json.result
+}
+
+export interface TokenBalances {
+  balances: Map<string, number>
+  slot: number | null
+}
+
+/**
+ * Each owner's total across their token accounts for the mint (UI amount),
+ * all read at one slot. The accounts are listed per owner first, then read
+ * together with getMultipleAccounts, so tokens moved between two of the
+ * owners count once. (Past 100 accounts the reads are split, each at or
+ * after the previous one's slot.)
+ * Throws when the RPC fails - an unreadable balance must never count as 0.
+ */
+export async function fetchTokenBalances(owners: string[], mint: string): Promise<TokenBalances> {
+  const accountOwners = new Map<string, string>()
+  for (const owner of owners) {
+    const result = await rpc('getTokenAccountsByOwner', [
+      owner,
+      { mint },
+      { encoding: 'base64', dataSlice: { offset: 0, length: 0 }, commitment: 'confirmed' },
+    ])
+    for (const account of result?.value ?? []) {
+      accountOwners.set(account.pubkey, owner)
+    }
+  }
+
+  const balances = new Map(owners.map((owner) => [owner, 0]))
+  const accounts = [...accountOwners.keys()]
+  let slot: number | null = null
+
+  for (let from = 0; from < accounts.length; from += MAX_ACCOUNTS_PER_READ) {
+    const chunk = accounts.slice(from, from + MAX_ACCOUNTS_PER_READ)
+    const result = await rpc('getMultipleAccounts', [
+      chunk,
+      { encoding: 'jsonParsed', commitment: 'confirmed', ...(slot !== null && { minContextSlot: slot }) },
+    ])
+    slot = result?.context?.slot ?? slot
+
+    chunk.forEach((address, index) => {
+      const info = result?.value?.[index]?.data?.parsed?.info
+      const owner = accountOwners.get(address)!
+      // Closed (or closed and reopened for someone else) since it was listed
+      if (!info || info.mint !== mint || info.owner !== owner) return
+
+      const tokenAmount = info.tokenAmount
+      balances.set(owner, balances.get(owner)! + Number(tokenAmount.uiAmountString ?? tokenAmount.uiAmount ?? 0))
+    })
+  }
+
+  return { balances, slot }
+}
+
+/**
+ * Read the given linked wallets of a profile together and store them in
+ * token_balance_snapshots as one batch, which recomputes the profile's
+ * combined balance and token role.
+ */
+export async function recordTokenSnapshots(profileId: string, walletAddresses: string[], mint: string) {
+  if (walletAddresses.length === 0) return []
+
+  const { balances, slot } = await fetchTokenBalances(walletAddresses, mint)
+  const batchId = crypto.randomUUID()
+  const checkedAt = new Date().toISOString()
+
+  const { data, error } = await supabaseAdmin
+    .from('token_balance_snapshots')
+    .insert(walletAddresses.map((walletAddress) => ({
+      profile_id: profileId,
+      wallet_address: walletAddress,
+      mint,
+      balance: balances.get(walletAddress) ?? 0,
+      slot,
+      batch_id: batchId,
+      checked_at: checkedAt,
+    })))
+    .select('wallet_address, balance, checked_at, batch_id')
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Snapshot every verified wallet of a profile in one batch
+ */
+export async function recordProfileBalances(profileId: string, mint: string) {
+  const { data: wallets, error } = await supabaseAdmin
+    .from('profile_wallets')
+    .select('address')
+    .eq('profile_id', profileId)
+    .not('verified_at', 'is', null)
+    .order('created_at')
+
+  if (error) throw error
+  return recordTokenSnapshots(profileId, (wallets ?? []).map((wallet) => wallet.address), mint)
+}
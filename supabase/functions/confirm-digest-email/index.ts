@@ -0,0 +1,137 @@
+import { corsHeaders, jsonResponse, errorResponse } from '../_shared/cors.ts'
+import { supabaseAdmin, getRequestUser } from '../_shared/supabaseAdmin.ts'
+import { createMailer } from '../_shared/mailer.ts'
+
+const TOKEN_TTL_HOURS = 24
+const RESEND_AFTER_SECONDS = 60
+
+/**
+ * confirm-digest-email
+ * Confirms a digest email that isn't the account email before digests are
+ * sent to it (see 20261019003000_confirmed_digest_email.sql).
+ *
+ * Request:  { action: 'send' } - mails a confirmation link to the signed-in
+ *           user's digest email
+ *           { action: 'confirm', token } - the token from that link; no
+ *           session needed, opening the link proves access to the inbox
+ * Response: { sent: true } | { confirmed: true, email }
+ *
+ * The link points at APP_URL/profile/settings?confirm_email=<token>. Only a
+ * hash of the token is stored, it expires after 24 hours and is cleared when
+ * the address changes.
+ */
+
+async function hashToken(token: string) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token))
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+function generateToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32))
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+async function sendConfirmation(req: Request) {
+  const user = await getRequestUser(req)
+  if (!user) {
+    return errorResponse('Unauthorized', 401)
+  }
+
+  const { data: settings, error } = await supabaseAdmin
+    .from('notification_settings')
+    .select('digest_email, digest_email_confirmed_at, digest_email_token_sent_at')
+    .eq('user_id', user.id)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!settings?.digest_email) {
+    return errorResponse('Save a digest email first')
+  }
+  if (settings.digest_email_confirmed_at) {
+    return errorResponse('This email is already confirmed', 409)
+  }
+  if (
+    settings.digest_email_token_sent_at &&
+    Date.now() - new Date(settings.digest_email_token_sent_at).getTime() < RESEND_AFTER_SECONDS * 1000
+  ) {
+    return errorResponse('A confirmation email was just sent; check your inbox', 429)
+  }
+
+  const token = generateToken()
+  const now = new Date()
+
+  // Matching on the address keeps a concurrent change from getting this token
+  const { data: stored, error: storeError } = await supabaseAdmin
+    .from('notification_settings')
+    .update({
+      digest_email_token_hash: await hashToken(token),
+      digest_email_token_expires_at: new Date(now.getTime() + TOKEN_TTL_HOURS * 3600 * 1000).toISOString(),
+      digest_email_token_sent_at: now.toISOString(),
+    })
+    .eq('user_id', user.id)
+    .eq('digest_email', settings.digest_email)
+    .select('user_id')
+    .maybeSingle()
+
+  if (storeError) throw storeError
+  if (!stored) {
+    return errorResponse('Your digest email changed in the meantime; try again', 409)
+  }
+
+  const appUrl = (Deno.env.get('APP_URL') ?? 'http://localhost:5173').replace(/\/+$/, '')
+  const link = `${appUrl}/profile/settings?confirm_email=${encodeURIComponent(token)}`
+
+  await createMailer().send({
+    to: settings.digest_email,
+    subject: 'Confirm your PumpWork digest email',
+    html: `<p>Confirm that PumpWork digests should be sent to this address:</p>
+<p><a href="${link}">Confirm email address</a></p>
+<p style="color:#6b7280;font-size:12px;">The link expires in ${TOKEN_TTL_HOURS} hours. If you didn't ask for this, ignore this email.</p>`,
+    text: `Confirm that PumpWork digests should be sent to this address:\n${link}\n\nThe link expires in ${TOKEN_TTL_HOURS} hours. If you didn't ask for this, ignore this email.`,
+  })
+
+  return jsonResponse({ sent: true })
+}
+
+async function confirmToken(token: unknown) {
+  if (typeof token !== 'string' || !token) {
+    return errorResponse('Missing confirmation token')
+  }
+
+  const { data: confirmed, error } = await supabaseAdmin
+    .from('notification_settings')
+    .update({
+      digest_email_confirmed_at: new Date().toISOString(),
+      digest_email_token_hash: null,
+      digest_email_token_expires_at: null,
+    })
+    .eq('digest_email_token_hash', await hashToken(token))
+    .gt('digest_email_token_expires_at', new Date().toISOString())
+    .select('digest_email')
+    .maybeSingle()
+
+  if (error) throw error
+  if (!confirmed) {
+    return errorResponse('Confirmation link is invalid or has expired', 410)
+  }
+
+  return jsonResponse({ confirmed: true, email: confirmed.digest_email })
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { action, token } = await req.json()
+
+    if (action === 'send') return await sendConfirmation(req)
+    if (action === 'confirm') return await confirmToken(token)
+
+    return errorResponse('Invalid action')
+  } catch (err) {
+    console.error('confirm-digest-email error:', err)
+    return errorResponse('Failed to confirm digest email', 500)
+  }
+})
@@ -0,0 +1,308 @@
+import { corsHeaders, jsonResponse, errorResponse } from '../_shared/cors.ts'
+import { supabaseAdmin, getRequestUser } from '../_shared/supabaseAdmin.ts'
+import {
+  EscrowInstruction,
+  decodeInitialize,
+  fetchEscrowAccount,
+  fetchEscrowCalls,
+  solToLamports,
+} from '../_shared/escrow.ts'
+
+/**
+ * escrow-sync
+ * Records a confirmed escrow transaction on a contract, milestone or
+ * timesheet. The browser signs and sends the transaction; this function
+ * checks it on-chain and is the only writer of the escrow columns (see
+ * 20261019002500_escrow_sync.sql and 20261019002800_verified_timesheet_payments.sql).
+ *
+ * Request:  { target: 'contract' | 'milestone', id, action: 'fund' | 'release' | 'refund' | 'freeze', signature }
+ *           { target: 'timesheet', id, action: 'pay', signature }
+ * Response: { record } - the updated contract, milestone or timesheet
+ *
+ * - fund: the transaction initializes this escrow with the agreed amount for
+ *   the freelancer's payout wallet, from a wallet linked to the client, and
+ *   the escrow account holds exactly that (parties can't change the amount,
+ *   see 20261019004100_agreed_amount_guard.sql)
+ * - release / refund: the transaction settles this escrow and its account is closed
+ * - freeze: the escrow account is frozen for a dispute (no signature needed;
+ *   open_dispute requires every funded escrow to be frozen first)
+ * - pay: the transaction funds the escrow seeded with the timesheet id with
+ *   the approved hours x rate and releases it to the freelancer; the
+ *   timesheet is then approved
+ */
+
+interface EscrowRecord {
+  table: 'contracts' | 'contract_milestones'
+  contractStatus: string
+  clientId: string
+  freelancerId: string
+  freelancerWallet: string | null
+  amount: number
+  escrowStatus: string
+  escrowAddress: string | null
+}
+
+async function loadEscrowRecord(target: string, id: string): Promise<EscrowRecord | null> {
+  if (target === 'contract') {
+    const { data, error } = await supabaseAdmin
+      .from('contracts')
+      .select('status, client_id, freelancer_id, agreed_amount, escrow_status, escrow_address, freelancer:freelancer_id (wallet_address)')
+      .eq('id', id)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!data) return null
+
+    return {
+      table: 'contracts',
+      contractStatus: data.status,
+      clientId: data.client_id,
+      freelancerId: data.freelancer_id,
+      freelancerWallet: data.freelancer?.wallet_address ?? null,
+      amount: Number(data.agreed_amount),
+      escrowStatus: data.escrow_status,
+      escrowAddress: data.escrow_address,
+    }
+  }
+
+  if (target === 'milestone') {
+    const { data, error } = await supabaseAdmin
+      .from('contract_milestones')
+      .select('amount, escrow_status, escrow_address, contract:contract_id (status, client_id, freelancer_id, freelancer:freelancer_id (wallet_address))')
+      .eq('id', id)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!data) return null
+
+    return {
+      table: 'contract_milestones',
+      contractStatus: data.contract.status,
+      clientId: data.contract.client_id,
+      freelancerId: data.contract.freelancer_id,
+      freelancerWallet: data.contract.freelancer?.wallet_address ?? null,
+      amount: Number(data.amount),
+      escrowStatus: data.escrow_status,
+      escrowAddress: data.escrow_address,
+    }
+  }
+
+  return null
+}
+
+async function isClientWallet(clientId: string, address: string) {
+  const { data, error } = await supabaseAdmin
+    .from('profile_wallets')
+    .select('id')
+    .eq('profile_id', clientId)
+    .eq('address', address)
+    .not('verified_at', 'is', null)
+    .maybeSingle()
+
+  if (error) throw error
+  return !!data
+}
+
+async function recordTimesheetPayment(userId: string, id: string, signature: string) {
+  const { data: timesheet, error } = await supabaseAdmin
+    .from('contract_timesheets')
+    .select('status, contract:contract_id (status, client_id, freelancer:freelancer_id (wallet_address))')
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!timesheet || timesheet.contract.client_id !== userId) {
+    return errorResponse('Not found', 404)
+  }
+  if (timesheet.status !== 'submitted' || timesheet.contract.status !== 'active') {
+    return errorResponse('Only submitted timesheets of an active contract can be approved', 409)
+  }
+
+  const { data: payout, error: payoutError } = await supabaseAdmin
+    .rpc('timesheet_payout', { p_timesheet_id: id })
+    .single()
+
+  if (payoutError) throw payoutError
+
+  const calls = await fetchEscrowCalls(signature)
+  if (!calls) {
+    return errorResponse('Transaction not found or failed; try again once it is confirmed', 409)
+  }
+
+  const init = calls.map(decodeInitialize).find((call) => call?.contractId === id)
+  if (!init) {
+    return errorResponse('Transaction does not pay this timesheet', 422)
+  }
+  if (init.lamports !== solToLamports(payout.amount)) {
+    return errorResponse('Paid amount does not match the approved hours', 422)
+  }
+  if (init.freelancer !== timesheet.contract.freelancer?.wallet_address) {
+    return errorResponse("Payment does not go to the freelancer's payout wallet", 422)
+  }
+  if (!(await isClientWallet(userId, init.client))) {
+    return errorResponse('Payment was sent from a wallet that is not linked to the client', 422)
+  }
+  if (!calls.some((call) =>
+    call.tag === EscrowInstruction.RELEASE && call.accounts[1] === init.freelancer && call.accounts[2] === init.escrow
+  )) {
+    return errorResponse('Transaction does not release the payment to the freelancer', 422)
+  }
+  if (await fetchEscrowAccount(init.escrow)) {
+    return errorResponse('Escrow account is still open', 409)
+  }
+
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('contract_timesheets')
+    .update({
+      status: 'approved',
+      escrow_address: init.escrow,
+      payment_signature: signature,
+      approved_minutes: payout.approved_minutes,
+      amount: payout.amount,
+    })
+    .eq('id', id)
+    .eq('status', 'submitted')
+    .select('*')
+    .maybeSingle()
+
+  if (updateError) throw updateError
+  if (!updated) {
+    return errorResponse('Timesheet changed in the meantime; reload and try again', 409)
+  }
+
+  return jsonResponse({ record: updated })
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const user = await getRequestUser(req)
+    if (!user) {
+      return errorResponse('Unauthorized', 401)
+    }
+
+    const { target, id, action, signature } = await req.json()
+
+    if (target === 'timesheet') {
+      if (!id || action !== 'pay' || !signature) {
+        return errorResponse('Missing or invalid escrow parameters')
+      }
+      return await recordTimesheetPayment(user.id, id, signature)
+    }
+
+    if (!id || !['fund', 'release', 'refund', 'freeze'].includes(action) || (!signature && action !== 'freeze')) {
+      return errorResponse('Missing or invalid escrow parameters')
+    }
+
+    const record = await loadEscrowRecord(target, id)
+    if (!record || ![record.clientId, record.freelancerId].includes(user.id)) {
+      return errorResponse('Not found', 404)
+    }
+    if ((action === 'fund' || action === 'release') && user.id !== record.clientId) {
+      return errorResponse('Only the client can fund or release escrow', 403)
+    }
+
+    const calls = action === 'freeze' ? [] : await fetchEscrowCalls(signature)
+    if (!calls) {
+      return errorResponse('Transaction not found or failed; try again once it is confirmed', 409)
+    }
+
+    const now = new Date().toISOString()
+    let updates: Record<string, unknown>
+
+    if (action === 'fund') {
+      if (record.escrowStatus !== 'unfunded') {
+        return errorResponse('Escrow has already been funded', 409)
+      }
+      if (!['active', 'submitted'].includes(record.contractStatus)) {
+        return errorResponse(`Escrow cannot be funded on a ${record.contractStatus} contract`, 409)
+      }
+
+      const init = calls.map(decodeInitialize).find((call) => call?.contractId === id)
+      if (!init) {
+        return errorResponse('Transaction does not fund this escrow', 422)
+      }
+      if (init.lamports !== solToLamports(record.amount)) {
+        return errorResponse('Escrowed amount does not match the agreed amount', 422)
+      }
+      if (init.freelancer !== record.freelancerWallet) {
+        return errorResponse("Escrow does not pay the freelancer's payout wallet", 422)
+      }
+
+      if (!(await isClientWallet(record.clientId, init.client))) {
+        return errorResponse('Escrow was funded from a wallet that is not linked to the client', 422)
+      }
+
+      const state = await fetchEscrowAccount(init.escrow)
+      if (
+        !state ||
+        state.contractId !== id ||
+        state.lamports !== init.lamports ||
+        state.client !== init.client ||
+        state.freelancer !== init.freelancer
+      ) {
+        return errorResponse('Escrow account does not hold these funds', 422)
+      }
+
+      updates = {
+        escrow_address: init.escrow,
+        escrow_status: 'funded',
+        escrow_fund_signature: signature,
+        ...(record.table === 'contracts'
+          ? { escrow_amount: record.amount, escrow_funded_at: now }
+          : { funded_at: now }),
+      }
+    } else if (action === 'freeze') {
+      if (record.escrowStatus !== 'funded' || !record.escrowAddress) {
+        return errorResponse('There is no funded escrow to freeze', 409)
+      }
+      if (!['active', 'submitted'].includes(record.contractStatus)) {
+        return errorResponse(`Escrow of a ${record.contractStatus} contract cannot be frozen`, 409)
+      }
+
+      const state = await fetchEscrowAccount(record.escrowAddress)
+      if (!state?.disputed) {
+        return errorResponse('Escrow account is not frozen', 422)
+      }
+
+      updates = { escrow_status: 'disputed' }
+    } else {
+      if (record.escrowStatus !== 'funded' || !record.escrowAddress) {
+        return errorResponse('There is no funded escrow to settle', 409)
+      }
+
+      const tag = action === 'release' ? EscrowInstruction.RELEASE : EscrowInstruction.REFUND
+      if (!calls.some((call) => call.tag === tag && call.accounts[2] === record.escrowAddress)) {
+        return errorResponse(`Transaction does not ${action} this escrow`, 422)
+      }
+      if (await fetchEscrowAccount(record.escrowAddress)) {
+        return errorResponse('Escrow account is still open', 409)
+      }
+
+      updates = action === 'release'
+        ? { escrow_status: 'released', escrow_release_signature: signature }
+        : { escrow_status: 'refunded', escrow_refund_signature: signature }
+    }
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from(record.table)
+      .update(updates)
+      .eq('id', id)
+      .eq('escrow_status', record.escrowStatus)
+      .select('*')
+      .maybeSingle()
+
+    if (updateError) throw updateError
+    if (!updated) {
+      return errorResponse('Escrow changed in the meantime; reload and try again', 409)
+    }
+
+    return jsonResponse({ record: updated })
+  } catch (err) {
+    console.error('escrow-sync error:', err)
+    return errorResponse('Failed to record escrow transaction', 500)
+  }
+})
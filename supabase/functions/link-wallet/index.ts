@@ -0,0 +1,169 @@
+import { corsHeaders, jsonResponse, errorResponse } from '../_shared/cors.ts'
+import { supabaseAdmin, getRequestUser } from '../_shared/supabaseAdmin.ts'
+import { decodeAddress, verifySignature } from '../_shared/siws.ts'
+import { getTokenGateMint, recordProfileBalances } from '../_shared/tokenBalance.ts'
+
+const MAX_LINKED_WALLETS = 10
+
+// The signature just checked proves this profile owns its unverified link
+async function verifyLink(walletId: string) {
+  const { data: wallet, error } = await supabaseAdmin
+    .from('profile_wallets')
+    .update({ verified_at: new Date().toISOString() })
+    .eq('id', walletId)
+    .is('verified_at', null)
+    .select('*')
+    .maybeSingle()
+
+  if (error) throw error
+  return wallet ?? errorResponse('This wallet is already linked to your account', 409)
+}
+
+// Link the wallet, taking it from the profile that claimed it without a signature
+async function insertLink(profileId: string, address: string, unverifiedId: string | null) {
+  const { data: linked, error: linkedError } = await supabaseAdmin
+    .from('profile_wallets')
+    .select('id, is_primary')
+    .eq('profile_id', profileId)
+
+  if (linkedError) throw linkedError
+  if (linked.length >= MAX_LINKED_WALLETS) {
+    return errorResponse(`You can link up to ${MAX_LINKED_WALLETS} wallets`)
+  }
+
+  if (unverifiedId) {
+    const { error: releaseError } = await supabaseAdmin
+      .from('profile_wallets')
+      .delete()
+      .eq('id', unverifiedId)
+      .is('verified_at', null)
+
+    if (releaseError) throw releaseError
+  }
+
+  const { data: wallet, error: insertError } = await supabaseAdmin
+    .from('profile_wallets')
+    .insert({
+      profile_id: profileId,
+      address,
+      is_primary: !linked.some((w) => w.is_primary),
+    })
+    .select('*')
+    .single()
+
+  if (insertError) {
+    // Lost a race with another link of the same wallet
+    if (insertError.code === '23505') {
+      return errorResponse('This wallet is already linked', 409)
+    }
+    throw insertError
+  }
+
+  return wallet
+}
+
+/**
+ * link-wallet
+ * Links a wallet to the signed-in profile once it has signed a link
+ * challenge (siws-nonce with purpose 'link').
+ *
+ * Request:  { address, nonce, signature }
+ * Response: { wallet, balance }
+ *
+ * - The first linked wallet becomes primary (the payout wallet)
+ * - An unverified link of the wallet (carried over without a signature, see
+ *   20261019003500_unverified_carried_over_wallets.sql) is verified when it
+ *   belongs to this profile and handed over to this profile otherwise
+ * - The wallet's balance is read right away, so it counts towards the token
+ *   gate without waiting for the next verifier run
+ */
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const user = await getRequestUser(req)
+    if (!user) {
+      return errorResponse('Unauthorized', 401)
+    }
+
+    const { address, nonce, signature } = await req.json()
+
+    if (!address || !decodeAddress(address) || !nonce || !signature) {
+      return errorResponse('Missing or invalid link parameters')
+    }
+
+    const { data: challenge, error: challengeError } = await supabaseAdmin
+      .from('siws_nonces')
+      .select('id, message, expires_at, used_at')
+      .eq('nonce', nonce)
+      .eq('wallet_address', address)
+      .eq('purpose', 'link')
+      .eq('profile_id', user.id)
+      .maybeSingle()
+
+    if (challengeError) throw challengeError
+
+    if (!challenge || challenge.used_at || new Date(challenge.expires_at) < new Date()) {
+      return errorResponse('Link challenge is invalid or has expired', 401)
+    }
+
+    if (!verifySignature(challenge.message, signature, address)) {
+      return errorResponse('Invalid wallet signature', 401)
+    }
+
+    const { data: consumed, error: consumeError } = await supabaseAdmin
+      .from('siws_nonces')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', challenge.id)
+      .is('used_at', null)
+      .select('id')
+      .maybeSingle()
+
+    if (consumeError) throw consumeError
+    if (!consumed) {
+      return errorResponse('Link challenge has already been used', 401)
+    }
+
+    const { data: existing, error: existingError } = await supabaseAdmin
+      .from('profile_wallets')
+      .select('id, profile_id, verified_at')
+      .eq('address', address)
+      .maybeSingle()
+
+    if (existingError) throw existingError
+    if (existing?.verified_at) {
+      return errorResponse(
+        existing.profile_id === user.id
+          ? 'This wallet is already linked to your account'
+          : 'This wallet is linked to another account',
+        409
+      )
+    }
+
+    const wallet = existing?.profile_id === user.id
+      ? await verifyLink(existing.id)
+      : await insertLink(user.id, address, existing?.id ?? null)
+
+    if (wallet instanceof Response) return wallet
+
+    try {
+      // Re-read all the profile's wallets so the new one joins their batch
+      await recordProfileBalances(user.id, await getTokenGateMint())
+    } catch (err) {
+      // The verifier picks the wallet up on its next run
+      console.error(`Balance check failed for profile ${user.id}:`, err)
+    }
+
+    const { data: balance, error: balanceError } = await supabaseAdmin.rpc('verified_token_balance', {
+      p_user_id: user.id,
+    })
+    if (balanceError) throw balanceError
+
+    return jsonResponse({ wallet, balance: balance === null ? null : Number(balance) })
+  } catch (err) {
+    console.error('link-wallet error:', err)
+    return errorResponse('Failed to link wallet', 500)
+  }
+})
@@ -0,0 +1,95 @@
+import { corsHeaders, jsonResponse, errorResponse } from '../_shared/cors.ts'
+import { supabaseAdmin } from '../_shared/supabaseAdmin.ts'
+import { createMailer } from '../_shared/mailer.ts'
+import { renderDigest, isDigestEmpty, type DigestContents } from './render.ts'
+
+/**
+ * send-digests
+ * Emails the daily/weekly digest to every user it is due for (see due_digests).
+ * Meant to run hourly from a scheduler with the service role key, e.g. pg_cron:
+ *
+ *   select cron.schedule('send-digests', '0 * * * *', $$
+ *     select net.http_post(
+ *       url := '<project url>/functions/v1/send-digests',
+ *       headers := jsonb_build_object('Authorization', 'Bearer <service role key>')
+ *     )
+ *   $$);
+ *
+ * Request:  { dryRun?: boolean } - dryRun renders without sending or marking sent
+ * Response: { sent, skipped, failed, previews? }
+ *
+ * Local test against MailHog:
+ *   docker run -p 1025:1025 -p 8025:8025 mailhog/mailhog
+ *   SMTP_HOST=host.docker.internal SMTP_PORT=1025 APP_URL=http://localhost:5173 \
+ *     supabase functions serve send-digests --env-file <file with those vars>
+ *   curl -X POST http://localhost:54321/functions/v1/send-digests \
+ *     -H "Authorization: Bearer $SUPABASE_SERVICE_ROLE_KEY"
+ */
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const token = (req.headers.get('Authorization') ?? '').replace(/^Bearer\s+/i, '')
+  if (!token || token !== Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')) {
+    return errorResponse('Unauthorized', 401)
+  }
+
+  try {
+    const { dryRun = false } = await req.json().catch(() => ({}))
+    const appUrl = Deno.env.get('APP_URL') ?? 'http://localhost:5173'
+    const mailer = dryRun ? null : createMailer()
+    const startedAt = new Date().toISOString()
+
+    const { data: due, error: dueError } = await supabaseAdmin.rpc('due_digests', { p_now: startedAt })
+    if (dueError) throw dueError
+
+    const result = { sent: 0, skipped: 0, failed: 0, previews: [] as unknown[] }
+
+    for (const recipient of due ?? []) {
+      try {
+        const { data: contents, error: contentsError } = await supabaseAdmin.rpc('digest_contents', {
+          p_user_id: recipient.user_id,
+          p_since: recipient.since,
+        })
+        if (contentsError) throw contentsError
+
+        if (isDigestEmpty(contents as DigestContents)) {
+          result.skipped += 1
+        } else {
+          const email = renderDigest({
+            nickname: recipient.nickname,
+            frequency: recipient.frequency,
+            contents: contents as DigestContents,
+            appUrl,
+          })
+
+          if (dryRun) {
+            result.previews.push({ to: recipient.email, ...email })
+            continue
+          }
+
+          await mailer!.send({ to: recipient.email, ...email })
+          result.sent += 1
+        }
+
+        // Nothing to report still counts as this period's digest
+        if (!dryRun) {
+          const { error: markError } = await supabaseAdmin
+            .from('notification_settings')
+            .update({ last_digest_sent_at: startedAt })
+            .eq('user_id', recipient.user_id)
+          if (markError) throw markError
+        }
+      } catch (err) {
+        console.error(`send-digests failed for ${recipient.user_id}:`, err)
+        result.failed += 1
+      }
+    }
+
+    return jsonResponse(dryRun ? result : { sent: result.sent, skipped: result.skipped, failed: result.failed })
+  } catch (err) {
+    console.error('send-digests error:', err)
+    return errorResponse('Failed to send digests', 500)
+  }
+})
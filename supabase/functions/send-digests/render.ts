@@ -0,0 +1,124 @@
+/**
+ * Digest email rendering (HTML plus a plain-text alternative)
+ * Input is the jsonb returned by digest_contents().
+ */
+
+export interface DigestContents {
+  messages: { conversation_id: string; sender_nickname: string; unread_count: number; latest_content: string }[]
+  jobs: { id: string; title: string; budget: number | null; category: string | null }[]
+  saved_searches: {
+    id: string; title: string; budget: number | null; category: string | null; saved_search_name: string
+  }[]
+  approvals: { kind: 'contract' | 'milestone' | 'timesheet'; contract_id: string; title: string }[]
+  notifications: { title: string; body: string | null; link: string | null }[]
+}
+
+const approvalLabels = {
+  contract: 'Submitted work',
+  milestone: 'Milestone',
+  timesheet: 'Timesheet',
+}
+
+export function isDigestEmpty(contents: DigestContents) {
+  return ['messages', 'jobs', 'saved_searches', 'approvals', 'notifications']
+    .every((key) => (contents[key as keyof DigestContents] ?? []).length === 0)
+}
+
+const escapeHtml = (value: unknown) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const truncate = (value: string, length = 140) =>
+  value.length > length ? `${value.slice(0, length - 1)}…` : value
+
+function section(title: string, items: string[]) {
+  if (items.length === 0) return ''
+  return `
+    <h2 style="font-size:16px;margin:28px 0 8px;color:#111827;">${escapeHtml(title)}</h2>
+    <ul style="margin:0;padding:0;list-style:none;">${items.join('')}</ul>`
+}
+
+function item(href: string, heading: string, detail = '') {
+  return `
+      <li style="padding:10px 0;border-bottom:1px solid #e5e7eb;">
+        <a href="${escapeHtml(href)}" style="color:#7c3aed;font-weight:600;text-decoration:none;">${escapeHtml(heading)}</a>
+        ${detail ? `<div style="color:#6b7280;font-size:14px;margin-top:2px;">${escapeHtml(detail)}</div>` : ''}
+      </li>`
+}
+
+export function renderDigest({ nickname, frequency, contents, appUrl }: {
+  nickname: string
+  frequency: string
+  contents: DigestContents
+  appUrl: string
+}) {
+  const period = frequency === 'weekly' ? 'weekly' : 'daily'
+  const subject = `Your PumpWork ${period} digest`
+  const url = (path: string) => `${appUrl.replace(/\/+$/, '')}${path}`
+
+  const messages = contents.messages.map((m) => item(
+    url(`/messages/${m.conversation_id}`),
+    `${m.sender_nickname} · ${m.unread_count} unread`,
+    truncate(m.latest_content || 'Sent an attachment')
+  ))
+  const approvals = contents.approvals.map((a) => item(
+    url('/dashboard/client'),
+    a.title,
+    `${approvalLabels[a.kind]} waiting for your review`
+  ))
+  const jobs = contents.jobs.map((j) => item(
+    url(`/jobs/${j.id}`),
+    j.title,
+    [j.category, j.budget != null ? `${j.budget} SOL` : null].filter(Boolean).join(' · ')
+  ))
+  const savedSearches = (contents.saved_searches ?? []).map((j) => item(
+    url(`/jobs/${j.id}`),
+    j.title,
+    [`Matches "${j.saved_search_name}"`, j.budget != null ? `${j.budget} SOL` : null].filter(Boolean).join(' · ')
+  ))
+  const notifications = contents.notifications.map((n) => item(
+    url(n.link || '/notifications'),
+    n.title,
+    n.body ?? ''
+  ))
+
+  const html = `<!doctype html>
+<html>
+  <body style="margin:0;background:#f9fafb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
+    <div style="max-width:560px;margin:0 auto;padding:32px 24px;background:#ffffff;">
+      <h1 style="font-size:20px;margin:0 0 4px;color:#111827;">Hi ${escapeHtml(nickname || 'there')},</h1>
+      <p style="margin:0;color:#4b5563;">Here's what you missed on PumpWork.</p>
+      ${section('Unread messages', messages)}
+      ${section('Pending approvals', approvals)}
+      ${section('New jobs for your saved searches', savedSearches)}
+      ${section('New jobs matching your skills', jobs)}
+      ${section('Other updates', notifications)}
+      <p style="margin:32px 0 0;font-size:12px;color:#9ca3af;">
+        You're receiving this ${period} digest because of your
+        <a href="${escapeHtml(url('/profile/settings'))}" style="color:#9ca3af;">notification settings</a>.
+      </p>
+    </div>
+  </body>
+</html>`
+
+  const textSection = (title: string, lines: string[]) =>
+    lines.length === 0 ? '' : `\n${title}\n${lines.map((line) => `- ${line}`).join('\n')}\n`
+
+  const text = [
+    `Hi ${nickname || 'there'},`,
+    "Here's what you missed on PumpWork.",
+    textSection('Unread messages', contents.messages.map((m) => `${m.sender_nickname}: ${m.unread_count} unread`)),
+    textSection('Pending approvals', contents.approvals.map((a) => `${approvalLabels[a.kind]}: ${a.title}`)),
+    textSection('New jobs for your saved searches', (contents.saved_searches ?? []).map((j) => (
+      `${j.title} (${j.saved_search_name}) ${url(`/jobs/${j.id}`)}`
+    ))),
+    textSection('New jobs matching your skills', contents.jobs.map((j) => `${j.title} ${url(`/jobs/${j.id}`)}`)),
+    textSection('Other updates', contents.notifications.map((n) => n.body ? `${n.title}: ${n.body}` : n.title)),
+    `Manage these emails: ${url('/profile/settings')}`,
+  ].join('\n')
+
+  return { subject, html, text }
+}
@@ -0,0 +1,94 @@
+import { corsHeaders, jsonResponse, errorResponse } from '../_shared/cors.ts'
+import { supabaseAdmin, getRequestUser } from '../_shared/supabaseAdmin.ts'
+import {
+  SIWS_STATEMENT,
+  SIWS_LINK_STATEMENT,
+  SIWS_TTL_SECONDS,
+  buildSiwsMessage,
+  decodeAddress,
+  generateNonce,
+} from '../_shared/siws.ts'
+
+/**
+ * siws-nonce
+ * Issues a single-use SIWS challenge for a wallet.
+ *
+ * Request:  { address, purpose? }
+ * Response: { nonce, message, expiresAt }
+ *
+ * - purpose 'sign_in' (default) is redeemed by siws-verify
+ * - purpose 'link' needs a user session and is redeemed by link-wallet for
+ *   that user only
+ *
+ * The domain and URI are taken from the request Origin so a message signed
+ * for one site cannot be replayed against another.
+ */
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { address, purpose = 'sign_in' } = await req.json()
+
+    if (!address || !decodeAddress(address)) {
+      return errorResponse('Invalid wallet address')
+    }
+    if (purpose !== 'sign_in' && purpose !== 'link') {
+      return errorResponse('Invalid challenge purpose')
+    }
+
+    let profileId: string | null = null
+    if (purpose === 'link') {
+      const user = await getRequestUser(req)
+      if (!user) {
+        return errorResponse('Sign in to link a wallet', 401)
+      }
+      profileId = user.id
+    }
+
+    const origin = req.headers.get('Origin') ?? Deno.env.get('SIWS_DEFAULT_ORIGIN') ?? ''
+    const allowedOrigins = (Deno.env.get('SIWS_ALLOWED_ORIGINS') ?? '')
+      .split(',')
+      .map((o) => o.trim())
+      .filter(Boolean)
+
+    if (!origin || (allowedOrigins.length > 0 && !allowedOrigins.includes(origin))) {
+      return errorResponse('Origin not allowed', 403)
+    }
+
+    const issuedAt = new Date()
+    const expiresAt = new Date(issuedAt.getTime() + SIWS_TTL_SECONDS * 1000)
+    const nonce = generateNonce()
+
+    const message = buildSiwsMessage({
+      domain: new URL(origin).host,
+      uri: origin,
+      address,
+      statement: purpose === 'link' ? SIWS_LINK_STATEMENT : SIWS_STATEMENT,
+      nonce,
+      chainId: Deno.env.get('SIWS_CHAIN_ID') ?? 'mainnet',
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString(),
+    })
+
+    const { error } = await supabaseAdmin
+      .from('siws_nonces')
+      .insert({
+        nonce,
+        wallet_address: address,
+        purpose,
+        profile_id: profileId,
+        message,
+        issued_at: issuedAt.toISOString(),
+        expires_at: expiresAt.toISOString(),
+      })
+
+    if (error) throw error
+
+    return jsonResponse({ nonce, message, expiresAt: expiresAt.toISOString() })
+  } catch (err) {
+    console.error('siws-nonce error:', err)
+    return errorResponse('Failed to issue sign-in challenge', 500)
+  }
+})
@@ -0,0 +1,221 @@
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { corsHeaders, jsonResponse, errorResponse } from '../_shared/cors.ts'
+import { supabaseAdmin } from '../_shared/supabaseAdmin.ts'
+import { decodeAddress, verifySignature, walletAuthEmail } from '../_shared/siws.ts'
+
+const ALLOWED_USER_TYPES = ['client', 'freelancer']
+
+// An unverified link is genuine when its profile is the wallet-only account
+// siws-verify created for this wallet; mark it verified
+async function verifyWalletAccountLink(wallet: { id: string; profile_id: string }, address: string) {
+  const { data, error } = await supabaseAdmin.auth.admin.getUserById(wallet.profile_id)
+  if (error || data.user?.email !== walletAuthEmail(address)) return false
+
+  const { error: verifyError } = await supabaseAdmin
+    .from('profile_wallets')
+    .update({ verified_at: new Date().toISOString() })
+    .eq('id', wallet.id)
+
+  if (verifyError) throw verifyError
+  return true
+}
+
+/**
+ * siws-verify
+ * Verifies a signed SIWS challenge and returns a Supabase session.
+ *
+ * Request:  { address, nonce, signature, register?: { nickname, userType } }
+ * Response: { session, profile, isNewUser }
+ *
+ * - signature is the base64 ed25519 signature over the message issued by siws-nonce
+ * - Any verified wallet linked to a profile (profile_wallets) signs in to it.
+ *   An unverified link (see 20261019003500_unverified_carried_over_wallets.sql)
+ *   signs in only to the wallet-only account created for that wallet, which
+ *   verifies it; otherwise the wallet counts as unregistered and registering
+ *   takes it over
+ * - Without `register`, an unknown wallet gets { isNewUser: true } and no session
+ * - With `register`, a wallet-only auth user is created (no password) and the
+ *   profile trigger fills in nickname/user_type from user metadata. A wallet
+ *   its own account has unlinked (after making another wallet primary) can't
+ *   register again: 409
+ */
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { address, nonce, signature, register } = await req.json()
+
+    if (!address || !decodeAddress(address) || !nonce || !signature) {
+      return errorResponse('Missing or invalid sign-in parameters')
+    }
+
+    // Load the challenge we issued - the client never supplies the message text
+    const { data: challenge, error: challengeError } = await supabaseAdmin
+      .from('siws_nonces')
+      .select('id, message, expires_at, used_at')
+      .eq('nonce', nonce)
+      .eq('wallet_address', address)
+      .eq('purpose', 'sign_in')
+      .maybeSingle()
+
+    if (challengeError) throw challengeError
+
+    if (!challenge || challenge.used_at || new Date(challenge.expires_at) < new Date()) {
+      return errorResponse('Sign-in challenge is invalid or has expired', 401)
+    }
+
+    if (!verifySignature(challenge.message, signature, address)) {
+      return errorResponse('Invalid wallet signature', 401)
+    }
+
+    // Consume the nonce - the used_at guard makes concurrent replays fail
+    const { data: consumed, error: consumeError } = await supabaseAdmin
+      .from('siws_nonces')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', challenge.id)
+      .is('used_at', null)
+      .select('id')
+      .maybeSingle()
+
+    if (consumeError) throw consumeError
+    if (!consumed) {
+      return errorResponse('Sign-in challenge has already been used', 401)
+    }
+
+    const { data: wallet, error: walletError } = await supabaseAdmin
+      .from('profile_wallets')
+      .select('id, profile_id, verified_at')
+      .eq('address', address)
+      .maybeSingle()
+
+    if (walletError) throw walletError
+
+    const linkedWallet = wallet && (wallet.verified_at || await verifyWalletAccountLink(wallet, address))
+      ? wallet
+      : null
+
+    let existingProfile = null
+    if (linkedWallet) {
+      const { data, error: profileError } = await supabaseAdmin
+        .from('profiles')
+        .select('*')
+        .eq('id', linkedWallet.profile_id)
+        .maybeSingle()
+
+      if (profileError) throw profileError
+      existingProfile = data
+    }
+
+    let userId = existingProfile?.id
+    let isNewUser = false
+
+    if (!existingProfile && !register) {
+      return jsonResponse({ session: null, profile: null, isNewUser: true })
+    }
+
+    if (existingProfile && register) {
+      return errorResponse('This wallet is already registered', 409)
+    }
+
+    if (register) {
+      const nickname = `${register.nickname ?? ''}`.trim()
+      const userType = register.userType
+
+      if (nickname.length < 3 || nickname.length > 20) {
+        return errorResponse('Nickname must be between 3 and 20 characters')
+      }
+      if (!ALLOWED_USER_TYPES.includes(userType)) {
+        return errorResponse('Invalid account type')
+      }
+
+      const { data: created, error: createError } = await supabaseAdmin.auth.admin.createUser({
+        email: walletAuthEmail(address),
+        email_confirm: true,
+        user_metadata: {
+          nickname,
+          user_type: userType,
+          wallet_address: address,
+          is_wallet_user: true,
+        },
+      })
+
+      // The wallet's own account exists, but the wallet was unlinked from it
+      if (createError?.code === 'email_exists' || createError?.status === 422) {
+        return errorResponse(
+          'This wallet already has an account. Sign in with a wallet still linked to it and link this one again',
+          409
+        )
+      }
+      if (createError) throw createError
+
+      userId = created.user.id
+      isNewUser = true
+
+      // Take the wallet over from a profile that claimed it without signing
+      if (wallet && !linkedWallet) {
+        const { error: releaseError } = await supabaseAdmin
+          .from('profile_wallets')
+          .delete()
+          .eq('id', wallet.id)
+          .is('verified_at', null)
+
+        if (releaseError) throw releaseError
+      }
+
+      const { error: updateError } = await supabaseAdmin
+        .from('profiles')
+        .update({ wallet_address: address, nickname, user_type: userType })
+        .eq('id', userId)
+
+      if (updateError) throw updateError
+    }
+
+    // Issue a real, refreshable session for the verified user
+    const { data: authUser, error: userError } = await supabaseAdmin.auth.admin.getUserById(userId)
+    if (userError) throw userError
+
+    const email = authUser.user.email
+    if (!email) {
+      return errorResponse('Wallet account has no sign-in identity', 500)
+    }
+
+    const { data: link, error: linkError } = await supabaseAdmin.auth.admin.generateLink({
+      type: 'magiclink',
+      email,
+    })
+    if (linkError) throw linkError
+
+    // Separate client so the service-role client never picks up a user session
+    const sessionClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { auth: { autoRefreshToken: false, persistSession: false } }
+    )
+
+    const { data: otp, error: otpError } = await sessionClient.auth.verifyOtp({
+      type: 'magiclink',
+      token_hash: link.properties.hashed_token,
+    })
+    if (otpError) throw otpError
+
+    const { data: profile } = await supabaseAdmin
+      .from('profiles')
+      .select('*')
+      .eq('id', userId)
+      .maybeSingle()
+
+    return jsonResponse({
+      session: {
+        access_token: otp.session.access_token,
+        refresh_token: otp.session.refresh_token,
+      },
+      profile,
+      isNewUser,
+    })
+  } catch (err) {
+    console.error('siws-verify error:', err)
+    return errorResponse('Wallet sign-in failed', 500)
+  }
+})
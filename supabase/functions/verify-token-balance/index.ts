@@ -0,0 +1,172 @@
+import { corsHeaders, jsonResponse, errorResponse } from '../_shared/cors.ts'
+import { supabaseAdmin, getRequestUser } from '../_shared/supabaseAdmin.ts'
+import { getTokenGateMint, recordTokenSnapshots } from '../_shared/tokenBalance.ts'
+
+// A signed-in user re-reads their balance at most this often
+const USER_REFRESH_SECONDS = 60
+const PAGE_SIZE = 500
+
+/**
+ * verify-token-balance
+ * Reads PumpWork token balances on-chain and records them in
+ * token_balance_snapshots, which RLS uses through effective_role().
+ *
+ * - With the service role key it checks every verified wallet; run it every
+ *   15 minutes (see 20261019002100_token_gate.sql).
+ *   Response: { checked, failed }
+ * - With a user session it checks only the caller's verified wallets, reusing
+ *   their batch from the last minute. balance is their sum.
+ *   Response: { balance, checkedAt, wallets: [{ address, balance, checkedAt }],
+ *               effectiveRole, graceUntil, graceRole }
+ *
+ * A profile's wallets are always read together at one slot and stored as one
+ * batch (see _shared/tokenBalance.ts), so tokens moving between them can't
+ * be counted twice.
+ *
+ * Local test against solana-test-validator (see _shared/tokenBalance.ts), with
+ * token_settings.mint set to a mint created on the validator:
+ *   TOKEN_GATE_RPC_URL=http://host.docker.internal:8899 \
+ *     supabase functions serve verify-token-balance --env-file <file with those vars>
+ */
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const token = (req.headers.get('Authorization') ?? '').replace(/^Bearer\s+/i, '')
+    if (token && token === Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')) {
+      return jsonResponse(await verifyAllWallets())
+    }
+
+    const user = await getRequestUser(req)
+    if (!user) {
+      return errorResponse('Unauthorized', 401)
+    }
+
+    return jsonResponse(await verifyUserWallets(user.id))
+  } catch (err) {
+    console.error('verify-token-balance failed:', err)
+    return errorResponse(err instanceof Error ? err.message : 'Token balance check failed', 500)
+  }
+})
+
+async function verifyAllWallets() {
+  const result = { checked: 0, failed: 0 }
+  const mint = await getTokenGateMint()
+
+  // A profile's wallets are read together, so a page boundary mustn't split them
+  let pending: { profileId: string; addresses: string[] } | null = null
+
+  const record = async ({ profileId, addresses }: { profileId: string; addresses: string[] }) => {
+    try {
+      await recordTokenSnapshots(profileId, addresses, mint)
+      result.checked += addresses.length
+    } catch (err) {
+      // Keep going; the profile's previous batch stays valid until it ages out
+      console.error(`Balance check failed for profile ${profileId}:`, err)
+      result.failed += addresses.length
+    }
+  }
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: wallets, error } = await supabaseAdmin
+      .from('profile_wallets')
+      .select('profile_id, address')
+      .not('verified_at', 'is', null)
+      .order('profile_id')
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1)
+
+    if (error) throw error
+
+    for (const wallet of wallets ?? []) {
+      if (pending?.profileId !== wallet.profile_id) {
+        if (pending) await record(pending)
+        pending = { profileId: wallet.profile_id, addresses: [] }
+      }
+      pending.addresses.push(wallet.address)
+    }
+
+    if (!wallets || wallets.length < PAGE_SIZE) break
+  }
+
+  if (pending) await record(pending)
+  return result
+}
+
+async function verifyUserWallets(userId: string) {
+  const { data: wallets, error: walletsError } = await supabaseAdmin
+    .from('profile_wallets')
+    .select('address')
+    .eq('profile_id', userId)
+    .not('verified_at', 'is', null)
+    .order('created_at')
+
+  if (walletsError) throw walletsError
+
+  const addresses = (wallets ?? []).map((wallet) => wallet.address)
+  const mint = await getTokenGateMint()
+
+  // Reuse the latest batch only while it is fresh and covers exactly the
+  // wallets linked now; otherwise read them all again
+  const { data: latest, error: latestError } = await supabaseAdmin
+    .from('token_balance_snapshots')
+    .select('batch_id, checked_at')
+    .eq('profile_id', userId)
+    .eq('mint', mint)
+    .not('batch_id', 'is', null)
+    .order('checked_at', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (latestError) throw latestError
+
+  let snapshots: { wallet_address: string; balance: number; checked_at: string }[] | null = null
+
+  if (latest && Date.now() - new Date(latest.checked_at).getTime() < USER_REFRESH_SECONDS * 1000) {
+    const { data: batch, error: batchError } = await supabaseAdmin
+      .from('token_balance_snapshots')
+      .select('wallet_address, balance, checked_at')
+      .eq('batch_id', latest.batch_id)
+
+    if (batchError) throw batchError
+
+    const batchAddresses = new Set((batch ?? []).map((snapshot) => snapshot.wallet_address))
+    if (batchAddresses.size === addresses.length && addresses.every((address) => batchAddresses.has(address))) {
+      snapshots = batch
+    }
+  }
+
+  snapshots ??= await recordTokenSnapshots(userId, addresses, mint)
+
+  // The combined balance RLS uses (see 20261019003600_token_snapshot_batches.sql)
+  const { data: balance, error: balanceError } = await supabaseAdmin.rpc('verified_token_balance', {
+    p_user_id: userId,
+  })
+  if (balanceError) throw balanceError
+
+  // New snapshots already synced the role (see 20261019002300_role_grace_period.sql)
+  const { data: status, error: roleError } = await supabaseAdmin
+    .rpc('token_role_status', { p_user_id: userId })
+    .maybeSingle()
+  if (roleError) throw roleError
+
+  // Every wallet in a batch is read at the same time
+  const checkedAt = snapshots[0]?.checked_at ?? null
+
+  return {
+    balance: balance === null ? null : Number(balance),
+    checkedAt,
+    wallets: snapshots.map((snapshot) => ({
+      address: snapshot.wallet_address,
+      balance: Number(snapshot.balance),
+      checkedAt: snapshot.checked_at,
+    })),
+    effectiveRole: status?.effective_role ?? null,
+    // Set while a downgrade is pending: the role kept until graceUntil
+    // and the one after it
+    graceUntil: status?.grace_until ?? null,
+    graceRole: status?.grace_until ? status.balance_role ?? null : null,
+  }
+}
@@ -0,0 +1,36 @@
+-- Sign-In With Solana (SIWS) challenges
+-- Each row is a single-use nonce issued by the siws-nonce Edge Function.
+-- The exact message the wallet must sign is stored with the nonce so that
+-- siws-verify never has to trust message text coming back from the client.
+
+create table if not exists public.siws_nonces (
+  id uuid primary key default gen_random_uuid(),
+  nonce text not null unique,
+  wallet_address text not null,
+  message text not null,
+  issued_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz
+);
+
+create index if not exists siws_nonces_wallet_address_idx
+  on public.siws_nonces (wallet_address);
+
+-- Only the Edge Functions (service role) may read or write challenges
+alter table public.siws_nonces enable row level security;
+
+-- Housekeeping: drop challenges that expired more than a day ago
+create or replace function public.purge_expired_siws_nonces()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  delete from public.siws_nonces
+  where expires_at < now() - interval '1 day';
+$$;
+
+-- A wallet address can only ever belong to one profile
+create unique index if not exists profiles_wallet_address_key
+  on public.profiles (wallet_address)
+  where wallet_address is not null;
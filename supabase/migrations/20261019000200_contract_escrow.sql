@@ -0,0 +1,22 @@
+-- On-chain escrow tracking for contracts
+-- escrow_amount already exists; these columns record where the funds live
+-- and the transactions that moved them (see programs/escrow).
+
+alter table public.contracts
+  add column if not exists escrow_address text,
+  add column if not exists escrow_status text not null default 'unfunded',
+  add column if not exists escrow_fund_signature text,
+  add column if not exists escrow_release_signature text,
+  add column if not exists escrow_refund_signature text,
+  add column if not exists escrow_funded_at timestamptz;
+
+alter table public.contracts
+  drop constraint if exists contracts_escrow_status_check;
+
+alter table public.contracts
+  add constraint contracts_escrow_status_check
+  check (escrow_status in ('unfunded', 'funded', 'released', 'refunded'));
+
+create unique index if not exists contracts_escrow_address_key
+  on public.contracts (escrow_address)
+  where escrow_address is not null;
@@ -0,0 +1,103 @@
+-- Milestone-based contracts
+-- A contract can be split into milestones, each funded, submitted and
+-- approved on its own. Every milestone has its own escrow account (the escrow
+-- program is seeded with the milestone id instead of the contract id).
+-- Contracts without milestones keep the single-unit flow.
+
+create table if not exists public.contract_milestones (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts(id) on delete cascade,
+  position integer not null default 0,
+  title text not null,
+  description text,
+  amount numeric not null check (amount > 0),
+  due_date date,
+  status text not null default 'pending'
+    check (status in ('pending', 'active', 'submitted', 'approved')),
+
+  escrow_address text unique,
+  escrow_status text not null default 'unfunded'
+    check (escrow_status in ('unfunded', 'funded', 'released', 'refunded')),
+  escrow_fund_signature text,
+  escrow_release_signature text,
+  escrow_refund_signature text,
+
+  submission_notes text,
+  revision_notes text,
+  revision_count integer not null default 0,
+
+  funded_at timestamptz,
+  submitted_at timestamptz,
+  approved_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists contract_milestones_contract_id_idx
+  on public.contract_milestones (contract_id, position);
+
+create or replace function public.touch_contract_milestone()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists contract_milestones_touch on public.contract_milestones;
+create trigger contract_milestones_touch
+  before update on public.contract_milestones
+  for each row execute function public.touch_contract_milestone();
+
+-- A contract with milestones only completes once every milestone is approved
+create or replace function public.check_contract_milestones_complete()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'completed' and old.status is distinct from 'completed' and exists (
+    select 1 from public.contract_milestones m
+    where m.contract_id = new.id and m.status <> 'approved'
+  ) then
+    raise exception 'Contract % cannot be completed until all milestones are approved', new.id
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists contracts_milestones_complete on public.contracts;
+create trigger contracts_milestones_complete
+  before update of status on public.contracts
+  for each row execute function public.check_contract_milestones_complete();
+
+-- Row level security: only the two contract parties see or change milestones
+alter table public.contract_milestones enable row level security;
+
+drop policy if exists "Contract parties can view milestones" on public.contract_milestones;
+create policy "Contract parties can view milestones"
+  on public.contract_milestones for select
+  using (exists (
+    select 1 from public.contracts c
+    where c.id = contract_id and auth.uid() in (c.client_id, c.freelancer_id)
+  ));
+
+drop policy if exists "Clients can add milestones" on public.contract_milestones;
+create policy "Clients can add milestones"
+  on public.contract_milestones for insert
+  with check (exists (
+    select 1 from public.contracts c
+    where c.id = contract_id and c.client_id = auth.uid()
+  ));
+
+drop policy if exists "Contract parties can update milestones" on public.contract_milestones;
+create policy "Contract parties can update milestones"
+  on public.contract_milestones for update
+  using (exists (
+    select 1 from public.contracts c
+    where c.id = contract_id and auth.uid() in (c.client_id, c.freelancer_id)
+  ));
+
+alter publication supabase_realtime add table public.contract_milestones;
@@ -0,0 +1,377 @@
+-- Dispute resolution
+-- Either party can open a dispute on an active or submitted contract. The
+-- contract moves to 'disputed' and its escrow accounts are frozen on-chain
+-- until an admin resolves the dispute with a full refund, a full release or a
+-- percentage split. Every step is written to dispute_events, which is append-only.
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.profiles where id = auth.uid() and user_type = 'admin'
+  );
+$$;
+
+-- Escrow can now be frozen by a dispute or settled by a split
+alter table public.contracts
+  drop constraint if exists contracts_escrow_status_check;
+alter table public.contracts
+  add constraint contracts_escrow_status_check
+  check (escrow_status in ('unfunded', 'funded', 'disputed', 'released', 'refunded', 'split'));
+
+alter table public.contract_milestones
+  drop constraint if exists contract_milestones_escrow_status_check;
+alter table public.contract_milestones
+  add constraint contract_milestones_escrow_status_check
+  check (escrow_status in ('unfunded', 'funded', 'disputed', 'released', 'refunded', 'split'));
+
+create table if not exists public.disputes (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts(id) on delete cascade,
+  opened_by uuid not null references public.profiles(id),
+  reason text not null check (length(trim(reason)) > 0),
+  evidence text,
+  evidence_urls text[] not null default '{}',
+  previous_status text not null,
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  resolution text check (resolution in ('refund', 'release', 'split')),
+  freelancer_share_bps integer check (freelancer_share_bps between 0 and 10000),
+  resolution_notes text,
+  resolved_by uuid references public.profiles(id),
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- One open dispute per contract
+create unique index if not exists disputes_open_contract_key
+  on public.disputes (contract_id)
+  where status = 'open';
+
+create index if not exists disputes_status_idx on public.disputes (status, created_at desc);
+
+create table if not exists public.dispute_events (
+  id uuid primary key default gen_random_uuid(),
+  dispute_id uuid not null references public.disputes(id) on delete cascade,
+  actor_id uuid references public.profiles(id),
+  event_type text not null
+    check (event_type in ('opened', 'evidence', 'escrow_frozen', 'resolved')),
+  message text,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists dispute_events_dispute_id_idx
+  on public.dispute_events (dispute_id, created_at);
+
+-- The timeline is immutable, even for the service role
+create or replace function public.prevent_dispute_event_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'Dispute timeline entries cannot be changed or removed'
+    using errcode = 'insufficient_privilege';
+end;
+$$;
+
+drop trigger if exists dispute_events_immutable on public.dispute_events;
+create trigger dispute_events_immutable
+  before update or delete on public.dispute_events
+  for each row execute function public.prevent_dispute_event_changes();
+
+-- Arbitration overrides the milestone completion rule from 20261019000300
+create or replace function public.check_contract_milestones_complete()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'completed' and old.status is distinct from 'completed'
+    and old.status is distinct from 'disputed'
+    and exists (
+      select 1 from public.contract_milestones m
+      where m.contract_id = new.id and m.status <> 'approved'
+    ) then
+    raise exception 'Contract % cannot be completed until all milestones are approved', new.id
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+-- A disputed contract keeps its status until resolve_dispute settles it
+create or replace function public.lock_disputed_contract()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.status = 'disputed' and new.status is distinct from 'disputed'
+    and coalesce(current_setting('pumpwork.resolving_dispute', true), '') <> 'on' then
+    raise exception 'Contract % is under dispute', old.id
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists contracts_lock_disputed on public.contracts;
+create trigger contracts_lock_disputed
+  before update of status on public.contracts
+  for each row execute function public.lock_disputed_contract();
+
+-- Row level security: parties and admins can read; writes go through the functions below
+alter table public.disputes enable row level security;
+alter table public.dispute_events enable row level security;
+
+drop policy if exists "Parties and admins can view disputes" on public.disputes;
+create policy "Parties and admins can view disputes"
+  on public.disputes for select
+  using (
+    public.is_admin() or exists (
+      select 1 from public.contracts c
+      where c.id = contract_id and auth.uid() in (c.client_id, c.freelancer_id)
+    )
+  );
+
+drop policy if exists "Parties and admins can view dispute events" on public.dispute_events;
+create policy "Parties and admins can view dispute events"
+  on public.dispute_events for select
+  using (
+    exists (
+      select 1 from public.disputes d
+      join public.contracts c on c.id = d.contract_id
+      where d.id = dispute_id
+        and (public.is_admin() or auth.uid() in (c.client_id, c.freelancer_id))
+    )
+  );
+
+-- Admins reviewing a dispute can read the contract, its milestones and the
+-- parties' chat history
+drop policy if exists "Admins can view disputed contracts" on public.contracts;
+create policy "Admins can view disputed contracts"
+  on public.contracts for select
+  using (public.is_admin() and exists (
+    select 1 from public.disputes d where d.contract_id = contracts.id
+  ));
+
+drop policy if exists "Admins can view disputed milestones" on public.contract_milestones;
+create policy "Admins can view disputed milestones"
+  on public.contract_milestones for select
+  using (public.is_admin() and exists (
+    select 1 from public.disputes d where d.contract_id = contract_milestones.contract_id
+  ));
+
+drop policy if exists "Admins can view disputed conversations" on public.conversations;
+create policy "Admins can view disputed conversations"
+  on public.conversations for select
+  using (public.is_admin() and exists (
+    select 1 from public.disputes d
+    join public.contracts c on c.id = d.contract_id
+    where least(c.client_id, c.freelancer_id) = participant_1_id
+      and greatest(c.client_id, c.freelancer_id) = participant_2_id
+  ));
+
+drop policy if exists "Admins can view disputed messages" on public.messages;
+create policy "Admins can view disputed messages"
+  on public.messages for select
+  using (public.is_admin() and exists (
+    select 1 from public.conversations conv
+    join public.contracts c
+      on least(c.client_id, c.freelancer_id) = conv.participant_1_id
+     and greatest(c.client_id, c.freelancer_id) = conv.participant_2_id
+    join public.disputes d on d.contract_id = c.id
+    where conv.id = conversation_id
+  ));
+
+-- Open a dispute (either party)
+create or replace function public.open_dispute(
+  p_contract_id uuid,
+  p_reason text,
+  p_evidence text default null,
+  p_evidence_urls text[] default '{}'
+)
+returns public.disputes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_dispute public.disputes;
+begin
+  select * into v_contract from public.contracts where id = p_contract_id for update;
+
+  if v_contract.id is null or auth.uid() not in (v_contract.client_id, v_contract.freelancer_id) then
+    raise exception 'Contract not found' using errcode = 'no_data_found';
+  end if;
+  if v_contract.status not in ('active', 'submitted') then
+    raise exception 'Only active or submitted contracts can be disputed' using errcode = 'check_violation';
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required to open a dispute' using errcode = 'check_violation';
+  end if;
+
+  insert into public.disputes (contract_id, opened_by, reason, evidence, evidence_urls, previous_status)
+  values (p_contract_id, auth.uid(), trim(p_reason), nullif(trim(p_evidence), ''),
+          coalesce(p_evidence_urls, '{}'), v_contract.status)
+  returning * into v_dispute;
+
+  update public.contracts set status = 'disputed' where id = p_contract_id;
+
+  insert into public.dispute_events (dispute_id, actor_id, event_type, message, metadata)
+  values (v_dispute.id, auth.uid(), 'opened', v_dispute.reason,
+          jsonb_build_object('evidence', v_dispute.evidence, 'evidence_urls', to_jsonb(v_dispute.evidence_urls)));
+
+  return v_dispute;
+end;
+$$;
+
+-- Add evidence or record a frozen escrow (parties and admins, open disputes only)
+-- escrow_frozen events carry the frozen escrow id (contract or milestone) in
+-- metadata.escrow_id and mark that escrow as disputed
+create or replace function public.add_dispute_event(
+  p_dispute_id uuid,
+  p_event_type text,
+  p_message text default null,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns public.dispute_events
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_dispute public.disputes;
+  v_contract public.contracts;
+  v_event public.dispute_events;
+begin
+  select * into v_dispute from public.disputes where id = p_dispute_id;
+  select * into v_contract from public.contracts where id = v_dispute.contract_id;
+
+  if v_dispute.id is null
+    or not (public.is_admin() or auth.uid() in (v_contract.client_id, v_contract.freelancer_id)) then
+    raise exception 'Dispute not found' using errcode = 'no_data_found';
+  end if;
+  if v_dispute.status <> 'open' then
+    raise exception 'This dispute has already been resolved' using errcode = 'check_violation';
+  end if;
+  if p_event_type not in ('evidence', 'escrow_frozen') then
+    raise exception 'Unsupported dispute event %', p_event_type using errcode = 'check_violation';
+  end if;
+
+  if p_event_type = 'escrow_frozen' then
+    update public.contracts
+    set escrow_status = 'disputed'
+    where id = v_contract.id
+      and id::text = p_metadata->>'escrow_id'
+      and escrow_status = 'funded';
+
+    update public.contract_milestones
+    set escrow_status = 'disputed'
+    where contract_id = v_contract.id
+      and id::text = p_metadata->>'escrow_id'
+      and escrow_status = 'funded';
+  end if;
+
+  insert into public.dispute_events (dispute_id, actor_id, event_type, message, metadata)
+  values (p_dispute_id, auth.uid(), p_event_type, nullif(trim(p_message), ''), coalesce(p_metadata, '{}'::jsonb))
+  returning * into v_event;
+
+  return v_event;
+end;
+$$;
+
+-- Resolve a dispute (admins only). The escrow has already been settled
+-- on-chain by the arbiter wallet; p_signatures maps escrow ids to transactions.
+create or replace function public.resolve_dispute(
+  p_dispute_id uuid,
+  p_resolution text,
+  p_freelancer_share_bps integer,
+  p_notes text default null,
+  p_signatures jsonb default '{}'::jsonb
+)
+returns public.disputes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_dispute public.disputes;
+  v_bps integer;
+  v_escrow_status text;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can resolve disputes' using errcode = 'insufficient_privilege';
+  end if;
+
+  select * into v_dispute from public.disputes where id = p_dispute_id for update;
+
+  if v_dispute.id is null then
+    raise exception 'Dispute not found' using errcode = 'no_data_found';
+  end if;
+  if v_dispute.status <> 'open' then
+    raise exception 'This dispute has already been resolved' using errcode = 'check_violation';
+  end if;
+
+  v_bps := case p_resolution
+    when 'refund' then 0
+    when 'release' then 10000
+    when 'split' then p_freelancer_share_bps
+  end;
+
+  if v_bps is null or v_bps not between 0 and 10000 then
+    raise exception 'Invalid resolution' using errcode = 'check_violation';
+  end if;
+
+  v_escrow_status := case p_resolution
+    when 'refund' then 'refunded'
+    when 'release' then 'released'
+    else 'split'
+  end;
+
+  update public.disputes
+  set status = 'resolved',
+      resolution = p_resolution,
+      freelancer_share_bps = v_bps,
+      resolution_notes = nullif(trim(p_notes), ''),
+      resolved_by = auth.uid(),
+      resolved_at = now()
+  where id = p_dispute_id
+  returning * into v_dispute;
+
+  perform set_config('pumpwork.resolving_dispute', 'on', true);
+
+  update public.contracts
+  set status = case when p_resolution = 'refund' then 'cancelled' else 'completed' end,
+      completed_at = case when p_resolution = 'refund' then completed_at else now() end,
+      escrow_status = case when escrow_status in ('funded', 'disputed') then v_escrow_status else escrow_status end
+  where id = v_dispute.contract_id;
+
+  update public.contract_milestones
+  set escrow_status = v_escrow_status
+  where contract_id = v_dispute.contract_id
+    and escrow_status in ('funded', 'disputed');
+
+  insert into public.dispute_events (dispute_id, actor_id, event_type, message, metadata)
+  values (p_dispute_id, auth.uid(), 'resolved', v_dispute.resolution_notes,
+          jsonb_build_object(
+            'resolution', p_resolution,
+            'freelancer_share_bps', v_bps,
+            'signatures', coalesce(p_signatures, '{}'::jsonb)
+          ));
+
+  return v_dispute;
+end;
+$$;
+
+revoke all on function public.open_dispute(uuid, text, text, text[]) from public, anon;
+revoke all on function public.add_dispute_event(uuid, text, text, jsonb) from public, anon;
+revoke all on function public.resolve_dispute(uuid, text, integer, text, jsonb) from public, anon;
+grant execute on function public.open_dispute(uuid, text, text, text[]) to authenticated;
+grant execute on function public.add_dispute_event(uuid, text, text, jsonb) to authenticated;
+grant execute on function public.resolve_dispute(uuid, text, integer, text, jsonb) to authenticated;
+
+alter publication supabase_realtime add table public.dispute_events;
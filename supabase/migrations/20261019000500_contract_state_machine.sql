@@ -0,0 +1,287 @@
+-- Contract state machine
+-- Every status change on contracts and contract_milestones is checked against
+-- the transition tables below, including which side of the contract may make
+-- it, and written to contract_events. src/lib/contractStateMachine.js mirrors
+-- these rules so the UI only offers legal actions.
+--
+-- Actor roles: client, freelancer, admin, and system for requests without a
+-- user (service role, scheduled jobs).
+
+create table if not exists public.contract_transitions (
+  from_status text not null,
+  to_status text not null,
+  allowed_roles text[] not null,
+  primary key (from_status, to_status)
+);
+
+insert into public.contract_transitions (from_status, to_status, allowed_roles) values
+  ('active', 'submitted', '{freelancer}'),
+  ('active', 'cancelled', '{client,freelancer}'),
+  ('active', 'disputed', '{client,freelancer}'),
+  ('submitted', 'active', '{client}'),
+  ('submitted', 'completed', '{client}'),
+  ('submitted', 'disputed', '{client,freelancer}'),
+  ('disputed', 'completed', '{admin}'),
+  ('disputed', 'cancelled', '{admin}')
+on conflict (from_status, to_status) do update set allowed_roles = excluded.allowed_roles;
+
+create table if not exists public.milestone_transitions (
+  from_status text not null,
+  to_status text not null,
+  allowed_roles text[] not null,
+  primary key (from_status, to_status)
+);
+
+insert into public.milestone_transitions (from_status, to_status, allowed_roles) values
+  ('pending', 'active', '{client}'),
+  ('active', 'submitted', '{freelancer}'),
+  ('submitted', 'active', '{client}'),
+  ('submitted', 'approved', '{client}')
+on conflict (from_status, to_status) do update set allowed_roles = excluded.allowed_roles;
+
+alter table public.contract_transitions enable row level security;
+alter table public.milestone_transitions enable row level security;
+
+drop policy if exists "Anyone can read contract transitions" on public.contract_transitions;
+create policy "Anyone can read contract transitions"
+  on public.contract_transitions for select using (true);
+
+drop policy if exists "Anyone can read milestone transitions" on public.milestone_transitions;
+create policy "Anyone can read milestone transitions"
+  on public.milestone_transitions for select using (true);
+
+create table if not exists public.contract_events (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts(id) on delete cascade,
+  milestone_id uuid references public.contract_milestones(id) on delete set null,
+  event_type text not null
+    check (event_type in ('created', 'status_changed', 'escrow_changed', 'milestone_created', 'milestone_status_changed')),
+  from_status text,
+  to_status text,
+  actor_id uuid references public.profiles(id),
+  actor_role text not null,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists contract_events_contract_id_idx
+  on public.contract_events (contract_id, created_at);
+
+-- History is append-only
+create or replace function public.prevent_contract_event_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'Contract history entries cannot be changed or removed'
+    using errcode = 'insufficient_privilege';
+end;
+$$;
+
+drop trigger if exists contract_events_immutable on public.contract_events;
+create trigger contract_events_immutable
+  before update or delete on public.contract_events
+  for each row execute function public.prevent_contract_event_changes();
+
+create or replace function public.contract_actor_role(p_client_id uuid, p_freelancer_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when auth.uid() is null then 'system'
+    when auth.uid() = p_client_id then 'client'
+    when auth.uid() = p_freelancer_id then 'freelancer'
+    when public.is_admin() then 'admin'
+    else 'none'
+  end;
+$$;
+
+-- Reject illegal contract transitions
+create or replace function public.enforce_contract_transition()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_role text;
+  v_allowed text[];
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  v_role := public.contract_actor_role(old.client_id, old.freelancer_id);
+
+  select allowed_roles into v_allowed
+  from public.contract_transitions
+  where from_status = old.status and to_status = new.status;
+
+  if v_allowed is null then
+    raise exception 'A % contract cannot become %', old.status, new.status
+      using errcode = 'check_violation';
+  end if;
+  if v_role <> 'system' and not (v_role = any (v_allowed)) then
+    raise exception 'The % cannot move a contract from % to %', v_role, old.status, new.status
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists contracts_enforce_transition on public.contracts;
+create trigger contracts_enforce_transition
+  before update of status on public.contracts
+  for each row execute function public.enforce_contract_transition();
+
+-- Reject illegal milestone transitions and changes on closed or disputed contracts
+create or replace function public.enforce_milestone_transition()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_role text;
+  v_allowed text[];
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  select * into v_contract from public.contracts where id = old.contract_id;
+  v_role := public.contract_actor_role(v_contract.client_id, v_contract.freelancer_id);
+
+  if v_contract.status not in ('active', 'submitted') then
+    raise exception 'Milestones of a % contract cannot change', v_contract.status
+      using errcode = 'check_violation';
+  end if;
+
+  select allowed_roles into v_allowed
+  from public.milestone_transitions
+  where from_status = old.status and to_status = new.status;
+
+  if v_allowed is null then
+    raise exception 'A % milestone cannot become %', old.status, new.status
+      using errcode = 'check_violation';
+  end if;
+  if v_role <> 'system' and not (v_role = any (v_allowed)) then
+    raise exception 'The % cannot move a milestone from % to %', v_role, old.status, new.status
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists contract_milestones_enforce_transition on public.contract_milestones;
+create trigger contract_milestones_enforce_transition
+  before update of status on public.contract_milestones
+  for each row execute function public.enforce_milestone_transition();
+
+-- Record contract creation, status and escrow changes
+create or replace function public.log_contract_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_role text := public.contract_actor_role(new.client_id, new.freelancer_id);
+begin
+  if tg_op = 'INSERT' then
+    insert into public.contract_events (contract_id, event_type, to_status, actor_id, actor_role, metadata)
+    values (new.id, 'created', new.status, auth.uid(), v_role,
+            jsonb_build_object('agreed_amount', new.agreed_amount));
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into public.contract_events (contract_id, event_type, from_status, to_status, actor_id, actor_role, metadata)
+    values (new.id, 'status_changed', old.status, new.status, auth.uid(), v_role,
+            jsonb_strip_nulls(jsonb_build_object(
+              'revision_notes', case when old.status = 'submitted' and new.status = 'active' then new.revision_notes end,
+              'submission_notes', case when new.status = 'submitted' then new.description end
+            )));
+  end if;
+
+  if new.escrow_status is distinct from old.escrow_status then
+    insert into public.contract_events (contract_id, event_type, from_status, to_status, actor_id, actor_role, metadata)
+    values (new.id, 'escrow_changed', old.escrow_status, new.escrow_status, auth.uid(), v_role,
+            jsonb_strip_nulls(jsonb_build_object(
+              'amount', new.escrow_amount,
+              'signature', case new.escrow_status
+                when 'funded' then new.escrow_fund_signature
+                when 'released' then new.escrow_release_signature
+                when 'refunded' then new.escrow_refund_signature
+              end
+            )));
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists contracts_log_event on public.contracts;
+create trigger contracts_log_event
+  after insert or update on public.contracts
+  for each row execute function public.log_contract_event();
+
+create or replace function public.log_milestone_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_role text;
+begin
+  select * into v_contract from public.contracts where id = new.contract_id;
+  v_role := public.contract_actor_role(v_contract.client_id, v_contract.freelancer_id);
+
+  if tg_op = 'INSERT' then
+    insert into public.contract_events (contract_id, milestone_id, event_type, to_status, actor_id, actor_role, metadata)
+    values (new.contract_id, new.id, 'milestone_created', new.status, auth.uid(), v_role,
+            jsonb_build_object('title', new.title, 'amount', new.amount));
+  elsif new.status is distinct from old.status then
+    insert into public.contract_events (contract_id, milestone_id, event_type, from_status, to_status, actor_id, actor_role, metadata)
+    values (new.contract_id, new.id, 'milestone_status_changed', old.status, new.status, auth.uid(), v_role,
+            jsonb_strip_nulls(jsonb_build_object(
+              'title', new.title,
+              'amount', new.amount,
+              'revision_notes', case when old.status = 'submitted' and new.status = 'active' then new.revision_notes end,
+              'submission_notes', case when new.status = 'submitted' then new.submission_notes end,
+              'signature', case new.status
+                when 'active' then case when old.status = 'pending' then new.escrow_fund_signature end
+                when 'approved' then new.escrow_release_signature
+              end
+            )));
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists contract_milestones_log_event on public.contract_milestones;
+create trigger contract_milestones_log_event
+  after insert or update on public.contract_milestones
+  for each row execute function public.log_milestone_event();
+
+alter table public.contract_events enable row level security;
+
+drop policy if exists "Parties and admins can view contract events" on public.contract_events;
+create policy "Parties and admins can view contract events"
+  on public.contract_events for select
+  using (exists (
+    select 1 from public.contracts c
+    where c.id = contract_id
+      and (auth.uid() in (c.client_id, c.freelancer_id) or public.is_admin())
+  ));
+
+alter publication supabase_realtime add table public.contract_events;
@@ -0,0 +1,435 @@
+-- Hourly contracts
+-- An hourly contract has an agreed rate and a weekly hour limit instead of a
+-- fixed price. The freelancer logs time entries (manual or with a timer),
+-- grouped into one timesheet per UTC week (Monday to Sunday). The client
+-- approves a submitted timesheet by paying approved hours x rate through the
+-- escrow program, seeded with the timesheet id. For hourly contracts
+-- agreed_amount is the total paid out so far.
+
+alter table public.contracts
+  add column if not exists billing_type text not null default 'fixed',
+  add column if not exists hourly_rate numeric,
+  add column if not exists weekly_hour_limit numeric;
+
+alter table public.contracts
+  drop constraint if exists contracts_billing_type_check,
+  drop constraint if exists contracts_hourly_terms_check;
+
+alter table public.contracts
+  add constraint contracts_billing_type_check
+  check (billing_type in ('fixed', 'hourly')),
+  add constraint contracts_hourly_terms_check
+  check (
+    billing_type = 'fixed'
+    or (hourly_rate > 0 and weekly_hour_limit > 0 and weekly_hour_limit <= 168)
+  );
+
+-- The rate and billing type are fixed at hire; only the client moves the weekly limit
+create or replace function public.protect_hourly_terms()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_role text := public.contract_actor_role(old.client_id, old.freelancer_id);
+begin
+  if v_role = 'system' then
+    return new;
+  end if;
+
+  if new.billing_type is distinct from old.billing_type or new.hourly_rate is distinct from old.hourly_rate then
+    raise exception 'Billing terms cannot change after hiring'
+      using errcode = 'insufficient_privilege';
+  end if;
+  if new.weekly_hour_limit is distinct from old.weekly_hour_limit and v_role <> 'client' then
+    raise exception 'Only the client can change the weekly limit'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists contracts_protect_hourly_terms on public.contracts;
+create trigger contracts_protect_hourly_terms
+  before update of billing_type, hourly_rate, weekly_hour_limit on public.contracts
+  for each row execute function public.protect_hourly_terms();
+
+create table if not exists public.contract_timesheets (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts(id) on delete cascade,
+  week_start date not null check (extract(isodow from week_start) = 1),
+  status text not null default 'open'
+    check (status in ('open', 'submitted', 'approved')),
+
+  -- Filled in on submission and approval; never written by clients directly
+  submitted_minutes integer,
+  approved_minutes integer,
+  hourly_rate numeric,
+  amount numeric,
+
+  submission_notes text,
+  revision_notes text,
+  revision_count integer not null default 0,
+
+  escrow_address text unique,
+  payment_signature text,
+
+  submitted_at timestamptz,
+  approved_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  unique (contract_id, week_start)
+);
+
+create table if not exists public.time_entries (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts(id) on delete cascade,
+  timesheet_id uuid references public.contract_timesheets(id) on delete cascade,
+  freelancer_id uuid not null default auth.uid() references public.profiles(id),
+  description text not null check (length(trim(description)) > 0),
+  source text not null default 'manual' check (source in ('manual', 'timer')),
+  work_date date not null default (now() at time zone 'utc')::date,
+  -- Null while a timer is running
+  minutes integer check (minutes > 0 and minutes <= 1440),
+  started_at timestamptz,
+  ended_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  check (source = 'manual' and minutes is not null or source = 'timer' and started_at is not null),
+  check (ended_at is null or ended_at > started_at)
+);
+
+create index if not exists time_entries_timesheet_id_idx
+  on public.time_entries (timesheet_id, work_date);
+
+-- A freelancer runs at most one timer at a time
+create unique index if not exists time_entries_running_timer_key
+  on public.time_entries (freelancer_id)
+  where source = 'timer' and ended_at is null;
+
+create index if not exists contract_timesheets_contract_id_idx
+  on public.contract_timesheets (contract_id, week_start desc);
+
+drop trigger if exists contract_timesheets_touch on public.contract_timesheets;
+create trigger contract_timesheets_touch
+  before update on public.contract_timesheets
+  for each row execute function public.touch_contract_milestone();
+
+drop trigger if exists time_entries_touch on public.time_entries;
+create trigger time_entries_touch
+  before update on public.time_entries
+  for each row execute function public.touch_contract_milestone();
+
+-- File a time entry into its week's timesheet and enforce the weekly limit
+create or replace function public.prepare_time_entry()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_role text;
+  v_timesheet public.contract_timesheets;
+  v_logged integer;
+begin
+  if tg_op = 'UPDATE' then
+    new.contract_id := old.contract_id;
+    new.freelancer_id := old.freelancer_id;
+    new.source := old.source;
+  end if;
+
+  select * into v_contract from public.contracts where id = new.contract_id;
+  v_role := public.contract_actor_role(v_contract.client_id, v_contract.freelancer_id);
+
+  if v_contract.billing_type <> 'hourly' then
+    raise exception 'Time can only be logged on hourly contracts'
+      using errcode = 'check_violation';
+  end if;
+  if v_contract.status <> 'active' then
+    raise exception 'Time cannot be logged on a % contract', v_contract.status
+      using errcode = 'check_violation';
+  end if;
+  if v_role not in ('freelancer', 'system') or new.freelancer_id <> v_contract.freelancer_id then
+    raise exception 'Only the freelancer can log time'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  if new.source = 'timer' then
+    new.work_date := (new.started_at at time zone 'utc')::date;
+    new.minutes := case
+      when new.ended_at is null then null
+      else greatest(1, ceil(extract(epoch from new.ended_at - new.started_at) / 60))::integer
+    end;
+  end if;
+
+  insert into public.contract_timesheets (contract_id, week_start)
+  values (new.contract_id, date_trunc('week', new.work_date)::date)
+  on conflict (contract_id, week_start) do nothing;
+
+  select * into v_timesheet
+  from public.contract_timesheets
+  where contract_id = new.contract_id
+    and week_start = date_trunc('week', new.work_date)::date;
+
+  if v_timesheet.status <> 'open' then
+    raise exception 'The timesheet for the week of % is already %', v_timesheet.week_start, v_timesheet.status
+      using errcode = 'check_violation';
+  end if;
+  if tg_op = 'UPDATE' and old.timesheet_id <> v_timesheet.id and exists (
+    select 1 from public.contract_timesheets t where t.id = old.timesheet_id and t.status <> 'open'
+  ) then
+    raise exception 'Entries on a submitted timesheet cannot be moved'
+      using errcode = 'check_violation';
+  end if;
+
+  new.timesheet_id := v_timesheet.id;
+
+  select coalesce(sum(minutes), 0) into v_logged
+  from public.time_entries
+  where timesheet_id = v_timesheet.id and id <> new.id;
+
+  -- A running timer needs at least a minute of room left
+  if v_logged + coalesce(new.minutes, 1) > v_contract.weekly_hour_limit * 60 then
+    raise exception 'This would exceed the weekly limit of % hours', v_contract.weekly_hour_limit
+      using errcode = 'check_violation';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists time_entries_prepare on public.time_entries;
+create trigger time_entries_prepare
+  before insert or update on public.time_entries
+  for each row execute function public.prepare_time_entry();
+
+create or replace function public.check_time_entry_delete()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (
+    select 1 from public.contract_timesheets t
+    where t.id = old.timesheet_id and t.status <> 'open'
+  ) then
+    raise exception 'Entries on a submitted timesheet cannot be removed'
+      using errcode = 'check_violation';
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists time_entries_check_delete on public.time_entries;
+create trigger time_entries_check_delete
+  before delete on public.time_entries
+  for each row execute function public.check_time_entry_delete();
+
+-- Timesheet review: the freelancer submits, the client approves (after paying)
+-- or sends it back. Totals and the payout are always computed here.
+create or replace function public.enforce_timesheet_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_role text;
+begin
+  new.contract_id := old.contract_id;
+  new.week_start := old.week_start;
+
+  select * into v_contract from public.contracts where id = old.contract_id;
+  v_role := public.contract_actor_role(v_contract.client_id, v_contract.freelancer_id);
+
+  if v_role = 'system' then
+    return new;
+  end if;
+
+  if v_contract.status <> 'active' then
+    raise exception 'Timesheets of a % contract cannot change', v_contract.status
+      using errcode = 'check_violation';
+  end if;
+
+  if old.status = 'open' and new.status = 'submitted' and v_role = 'freelancer' then
+    if exists (
+      select 1 from public.time_entries
+      where timesheet_id = old.id and ended_at is null and source = 'timer'
+    ) then
+      raise exception 'Stop the running timer before submitting'
+        using errcode = 'check_violation';
+    end if;
+
+    select coalesce(sum(minutes), 0) into new.submitted_minutes
+    from public.time_entries
+    where timesheet_id = old.id;
+
+    if new.submitted_minutes = 0 then
+      raise exception 'Log some time before submitting the timesheet'
+        using errcode = 'check_violation';
+    end if;
+
+    new.hourly_rate := v_contract.hourly_rate;
+    new.revision_notes := old.revision_notes;
+    new.submitted_at := now();
+  elsif old.status = 'submitted' and new.status = 'open' and v_role = 'client' then
+    new.submitted_minutes := null;
+    new.hourly_rate := null;
+    new.submission_notes := old.submission_notes;
+    new.revision_count := old.revision_count + 1;
+    new.submitted_at := null;
+  elsif old.status = 'submitted' and new.status = 'approved' and v_role = 'client' then
+    if new.payment_signature is null then
+      raise exception 'A timesheet is approved by paying it'
+        using errcode = 'check_violation';
+    end if;
+
+    new.submitted_minutes := old.submitted_minutes;
+    new.hourly_rate := old.hourly_rate;
+    new.submission_notes := old.submission_notes;
+    new.revision_notes := old.revision_notes;
+    new.approved_minutes := least(old.submitted_minutes, (v_contract.weekly_hour_limit * 60)::integer);
+    new.amount := round(new.approved_minutes * old.hourly_rate / 60, 9);
+    new.approved_at := now();
+
+    update public.contracts
+    set agreed_amount = coalesce(agreed_amount, 0) + new.amount
+    where id = old.contract_id;
+  else
+    raise exception 'The % cannot move a timesheet from % to %', v_role, old.status, new.status
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists contract_timesheets_enforce_update on public.contract_timesheets;
+create trigger contract_timesheets_enforce_update
+  before update on public.contract_timesheets
+  for each row execute function public.enforce_timesheet_update();
+
+-- Clients end hourly contracts directly (there is no single delivery to submit)
+insert into public.contract_transitions (from_status, to_status, allowed_roles) values
+  ('active', 'completed', '{client}')
+on conflict (from_status, to_status) do update set allowed_roles = excluded.allowed_roles;
+
+-- Fixed-price contracts still go through submission. Hourly contracts only
+-- close once every logged hour has been submitted and settled; an admin
+-- closing a disputed contract discards timers that are still running.
+create or replace function public.check_hourly_contract_close()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status = old.status or new.status not in ('completed', 'cancelled') then
+    return new;
+  end if;
+
+  if new.billing_type = 'fixed' and old.status = 'active' and new.status = 'completed' then
+    raise exception 'Fixed-price contracts complete through an approved submission'
+      using errcode = 'check_violation';
+  end if;
+
+  if new.billing_type = 'hourly' and old.status <> 'disputed' and exists (
+    select 1 from public.contract_timesheets t
+    where t.contract_id = new.id
+      and (
+        t.status = 'submitted'
+        or (t.status = 'open' and exists (select 1 from public.time_entries e where e.timesheet_id = t.id))
+      )
+  ) then
+    raise exception 'Submit and settle all logged time before closing the contract'
+      using errcode = 'check_violation';
+  end if;
+
+  if new.billing_type = 'hourly' then
+    delete from public.time_entries
+    where contract_id = new.id and source = 'timer' and ended_at is null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists contracts_hourly_close on public.contracts;
+create trigger contracts_hourly_close
+  before update of status on public.contracts
+  for each row execute function public.check_hourly_contract_close();
+
+-- Hourly contracts are paid per timesheet, never through milestones
+create or replace function public.check_milestone_billing_type()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (
+    select 1 from public.contracts c
+    where c.id = new.contract_id and c.billing_type = 'hourly'
+  ) then
+    raise exception 'Hourly contracts cannot have milestones'
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists contract_milestones_billing_type on public.contract_milestones;
+create trigger contract_milestones_billing_type
+  before insert on public.contract_milestones
+  for each row execute function public.check_milestone_billing_type();
+
+-- Row level security
+alter table public.contract_timesheets enable row level security;
+alter table public.time_entries enable row level security;
+
+drop policy if exists "Parties and admins can view timesheets" on public.contract_timesheets;
+create policy "Parties and admins can view timesheets"
+  on public.contract_timesheets for select
+  using (exists (
+    select 1 from public.contracts c
+    where c.id = contract_id
+      and (auth.uid() in (c.client_id, c.freelancer_id) or public.is_admin())
+  ));
+
+drop policy if exists "Contract parties can update timesheets" on public.contract_timesheets;
+create policy "Contract parties can update timesheets"
+  on public.contract_timesheets for update
+  using (exists (
+    select 1 from public.contracts c
+    where c.id = contract_id and auth.uid() in (c.client_id, c.freelancer_id)
+  ));
+
+drop policy if exists "Parties and admins can view time entries" on public.time_entries;
+create policy "Parties and admins can view time entries"
+  on public.time_entries for select
+  using (exists (
+    select 1 from public.contracts c
+    where c.id = contract_id
+      and (auth.uid() in (c.client_id, c.freelancer_id) or public.is_admin())
+  ));
+
+drop policy if exists "Freelancers can log time" on public.time_entries;
+create policy "Freelancers can log time"
+  on public.time_entries for insert
+  with check (freelancer_id = auth.uid());
+
+drop policy if exists "Freelancers can edit their time" on public.time_entries;
+create policy "Freelancers can edit their time"
+  on public.time_entries for update
+  using (freelancer_id = auth.uid());
+
+drop policy if exists "Freelancers can remove their time" on public.time_entries;
+create policy "Freelancers can remove their time"
+  on public.time_entries for delete
+  using (freelancer_id = auth.uid());
+
+alter publication supabase_realtime add table public.contract_timesheets;
+alter publication supabase_realtime add table public.time_entries;
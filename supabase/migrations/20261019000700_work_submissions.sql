@@ -0,0 +1,345 @@
+-- Versioned work submissions
+-- Every time the freelancer submits a contract (or one of its milestones) a new
+-- numbered version is recorded with its notes and deliverables: files in the
+-- private `deliverables` storage bucket, links, and commit references. Versions
+-- are never edited; the client's verdict (revisions requested or approved) is
+-- copied onto the version when the contract or milestone moves on.
+--
+-- Files live under deliverables/<contract id>/<submission folder>/<file name>.
+
+create table if not exists public.work_submissions (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references public.contracts(id) on delete cascade,
+  milestone_id uuid references public.contract_milestones(id) on delete cascade,
+  version integer not null,
+  notes text,
+  submitted_by uuid not null references public.profiles(id),
+  status text not null default 'pending'
+    check (status in ('pending', 'revisions_requested', 'approved')),
+  review_notes text,
+  reviewed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists work_submissions_version_key
+  on public.work_submissions (contract_id, coalesce(milestone_id, '00000000-0000-0000-0000-000000000000'::uuid), version);
+
+create table if not exists public.submission_deliverables (
+  id uuid primary key default gen_random_uuid(),
+  submission_id uuid not null references public.work_submissions(id) on delete cascade,
+  kind text not null check (kind in ('file', 'link', 'commit')),
+  label text,
+  -- file
+  storage_path text,
+  file_name text,
+  file_size bigint,
+  content_type text,
+  -- link
+  url text,
+  -- commit
+  repository_url text,
+  commit_sha text,
+  created_at timestamptz not null default now(),
+
+  check (
+    kind = 'file' and storage_path is not null and file_name is not null
+    or kind = 'link' and url ~* '^https?://'
+    or kind = 'commit' and commit_sha ~* '^[0-9a-f]{7,40}$'
+      and (repository_url is null or repository_url ~* '^https?://')
+  )
+);
+
+create index if not exists submission_deliverables_submission_id_idx
+  on public.submission_deliverables (submission_id);
+
+-- Deliverables never change once submitted
+drop trigger if exists submission_deliverables_immutable on public.submission_deliverables;
+create trigger submission_deliverables_immutable
+  before update or delete on public.submission_deliverables
+  for each row execute function public.prevent_contract_event_changes();
+
+-- Freelancer submits a contract or milestone with its deliverables
+-- p_deliverables: [{ kind, label, storage_path, file_name, file_size,
+--                    content_type, url, repository_url, commit_sha }]
+create or replace function public.submit_work(
+  p_contract_id uuid,
+  p_milestone_id uuid default null,
+  p_notes text default null,
+  p_deliverables jsonb default '[]'::jsonb
+)
+returns public.work_submissions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_milestone public.contract_milestones;
+  v_submission public.work_submissions;
+  v_item jsonb;
+begin
+  select * into v_contract from public.contracts where id = p_contract_id for update;
+
+  if v_contract.id is null or auth.uid() is distinct from v_contract.freelancer_id then
+    raise exception 'Only the freelancer can submit work'
+      using errcode = 'insufficient_privilege';
+  end if;
+  if v_contract.billing_type = 'hourly' then
+    raise exception 'Hourly contracts are submitted as timesheets'
+      using errcode = 'check_violation';
+  end if;
+  if jsonb_array_length(coalesce(p_deliverables, '[]'::jsonb)) > 20 then
+    raise exception 'A submission can have at most 20 deliverables'
+      using errcode = 'check_violation';
+  end if;
+
+  if p_milestone_id is not null then
+    select * into v_milestone
+    from public.contract_milestones
+    where id = p_milestone_id and contract_id = p_contract_id
+    for update;
+
+    if v_milestone.id is null then
+      raise exception 'Milestone not found' using errcode = 'no_data_found';
+    end if;
+    if v_milestone.status <> 'active' then
+      raise exception 'Only milestones in progress can be submitted'
+        using errcode = 'check_violation';
+    end if;
+  elsif exists (select 1 from public.contract_milestones where contract_id = p_contract_id) then
+    raise exception 'Submit the milestones of this contract individually'
+      using errcode = 'check_violation';
+  elsif v_contract.status <> 'active' then
+    raise exception 'Only contracts in progress can be submitted'
+      using errcode = 'check_violation';
+  end if;
+
+  insert into public.work_submissions (contract_id, milestone_id, version, notes, submitted_by)
+  values (
+    p_contract_id,
+    p_milestone_id,
+    coalesce((
+      select max(version) from public.work_submissions
+      where contract_id = p_contract_id and milestone_id is not distinct from p_milestone_id
+    ), 0) + 1,
+    nullif(trim(p_notes), ''),
+    auth.uid()
+  )
+  returning * into v_submission;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_deliverables, '[]'::jsonb)) loop
+    if v_item->>'kind' = 'file' and v_item->>'storage_path' not like p_contract_id::text || '/%' then
+      raise exception 'Deliverable files must be uploaded to this contract''s folder'
+        using errcode = 'check_violation';
+    end if;
+
+    insert into public.submission_deliverables (
+      submission_id, kind, label, storage_path, file_name, file_size, content_type,
+      url, repository_url, commit_sha
+    ) values (
+      v_submission.id,
+      v_item->>'kind',
+      nullif(trim(v_item->>'label'), ''),
+      v_item->>'storage_path',
+      v_item->>'file_name',
+      (v_item->>'file_size')::bigint,
+      v_item->>'content_type',
+      nullif(trim(v_item->>'url'), ''),
+      nullif(trim(v_item->>'repository_url'), ''),
+      lower(nullif(trim(v_item->>'commit_sha'), ''))
+    );
+  end loop;
+
+  if p_milestone_id is not null then
+    update public.contract_milestones
+    set status = 'submitted',
+        submission_notes = v_submission.notes,
+        submitted_at = v_submission.created_at
+    where id = p_milestone_id;
+  else
+    update public.contracts
+    set status = 'submitted',
+        submitted_at = v_submission.created_at
+    where id = p_contract_id;
+  end if;
+
+  return v_submission;
+end;
+$$;
+
+revoke all on function public.submit_work(uuid, uuid, text, jsonb) from public, anon;
+grant execute on function public.submit_work(uuid, uuid, text, jsonb) to authenticated;
+
+-- Copy the client's verdict onto the latest pending version
+create or replace function public.review_latest_submission(
+  p_contract_id uuid,
+  p_milestone_id uuid,
+  p_status text,
+  p_review_notes text
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.work_submissions
+  set status = p_status, review_notes = p_review_notes, reviewed_at = now()
+  where id = (
+    select id from public.work_submissions
+    where contract_id = p_contract_id
+      and milestone_id is not distinct from p_milestone_id
+      and status = 'pending'
+    order by version desc
+    limit 1
+  );
+$$;
+
+revoke all on function public.review_latest_submission(uuid, uuid, text, text) from public, anon, authenticated;
+
+create or replace function public.review_contract_submission()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.status = 'submitted' and new.status = 'active' then
+    perform public.review_latest_submission(new.id, null, 'revisions_requested', new.revision_notes);
+  elsif old.status = 'submitted' and new.status = 'completed' then
+    perform public.review_latest_submission(new.id, null, 'approved', null);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists contracts_review_submission on public.contracts;
+create trigger contracts_review_submission
+  after update of status on public.contracts
+  for each row execute function public.review_contract_submission();
+
+create or replace function public.review_milestone_submission()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.status = 'submitted' and new.status = 'active' then
+    perform public.review_latest_submission(new.contract_id, new.id, 'revisions_requested', new.revision_notes);
+  elsif old.status = 'submitted' and new.status = 'approved' then
+    perform public.review_latest_submission(new.contract_id, new.id, 'approved', null);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists contract_milestones_review_submission on public.contract_milestones;
+create trigger contract_milestones_review_submission
+  after update of status on public.contract_milestones
+  for each row execute function public.review_milestone_submission();
+
+-- Contract history now takes submission notes from the submission instead of
+-- the contract description, which submitting no longer overwrites
+create or replace function public.log_contract_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_role text := public.contract_actor_role(new.client_id, new.freelancer_id);
+  v_submission public.work_submissions;
+begin
+  if tg_op = 'INSERT' then
+    insert into public.contract_events (contract_id, event_type, to_status, actor_id, actor_role, metadata)
+    values (new.id, 'created', new.status, auth.uid(), v_role,
+            jsonb_build_object('agreed_amount', new.agreed_amount));
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    if new.status = 'submitted' then
+      select * into v_submission
+      from public.work_submissions
+      where contract_id = new.id and milestone_id is null
+      order by version desc
+      limit 1;
+    end if;
+
+    insert into public.contract_events (contract_id, event_type, from_status, to_status, actor_id, actor_role, metadata)
+    values (new.id, 'status_changed', old.status, new.status, auth.uid(), v_role,
+            jsonb_strip_nulls(jsonb_build_object(
+              'revision_notes', case when old.status = 'submitted' and new.status = 'active' then new.revision_notes end,
+              'submission_notes', v_submission.notes,
+              'version', v_submission.version
+            )));
+  end if;
+
+  if new.escrow_status is distinct from old.escrow_status then
+    insert into public.contract_events (contract_id, event_type, from_status, to_status, actor_id, actor_role, metadata)
+    values (new.id, 'escrow_changed', old.escrow_status, new.escrow_status, auth.uid(), v_role,
+            jsonb_strip_nulls(jsonb_build_object(
+              'amount', new.escrow_amount,
+              'signature', case new.escrow_status
+                when 'funded' then new.escrow_fund_signature
+                when 'released' then new.escrow_release_signature
+                when 'refunded' then new.escrow_refund_signature
+              end
+            )));
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Row level security: parties and admins read; writes go through submit_work
+alter table public.work_submissions enable row level security;
+alter table public.submission_deliverables enable row level security;
+
+drop policy if exists "Parties and admins can view submissions" on public.work_submissions;
+create policy "Parties and admins can view submissions"
+  on public.work_submissions for select
+  using (exists (
+    select 1 from public.contracts c
+    where c.id = contract_id
+      and (auth.uid() in (c.client_id, c.freelancer_id) or public.is_admin())
+  ));
+
+drop policy if exists "Parties and admins can view deliverables" on public.submission_deliverables;
+create policy "Parties and admins can view deliverables"
+  on public.submission_deliverables for select
+  using (exists (
+    select 1 from public.work_submissions s
+    join public.contracts c on c.id = s.contract_id
+    where s.id = submission_id
+      and (auth.uid() in (c.client_id, c.freelancer_id) or public.is_admin())
+  ));
+
+-- Storage: private bucket, folders named after the contract
+insert into storage.buckets (id, name, public, file_size_limit)
+values ('deliverables', 'deliverables', false, 52428800)
+on conflict (id) do update set public = false, file_size_limit = excluded.file_size_limit;
+
+drop policy if exists "Contract parties and admins can read deliverables" on storage.objects;
+create policy "Contract parties and admins can read deliverables"
+  on storage.objects for select
+  using (
+    bucket_id = 'deliverables' and exists (
+      select 1 from public.contracts c
+      where c.id::text = (storage.foldername(name))[1]
+        and (auth.uid() in (c.client_id, c.freelancer_id) or public.is_admin())
+    )
+  );
+
+drop policy if exists "Freelancers can upload deliverables" on storage.objects;
+create policy "Freelancers can upload deliverables"
+  on storage.objects for insert
+  with check (
+    bucket_id = 'deliverables' and exists (
+      select 1 from public.contracts c
+      where c.id::text = (storage.foldername(name))[1]
+        and c.freelancer_id = auth.uid()
+    )
+  );
+
+alter publication supabase_realtime add table public.work_submissions;
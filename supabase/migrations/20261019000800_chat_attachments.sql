@@ -0,0 +1,191 @@
+-- Chat attachments
+-- Files are uploaded to the private `chat-attachments` bucket under
+-- <conversation id>/<attachment folder>/<file name> (images also get a
+-- preview/thumbnail.jpg in the same folder), then send_message records the message and
+-- its attachments in one transaction so realtime subscribers never see a
+-- message without its files. Size and type come from the stored object, not
+-- from the client.
+
+create table if not exists public.message_attachments (
+  id uuid primary key default gen_random_uuid(),
+  message_id uuid not null references public.messages(id) on delete cascade,
+  conversation_id uuid not null references public.conversations(id) on delete cascade,
+  storage_path text not null unique,
+  thumbnail_path text,
+  file_name text not null,
+  file_size bigint not null check (file_size > 0),
+  content_type text not null,
+  width integer check (width > 0),
+  height integer check (height > 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists message_attachments_message_id_idx
+  on public.message_attachments (message_id);
+
+-- Attachments never change once sent (they go away with their message)
+create or replace function public.prevent_message_attachment_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'Attachments cannot be changed once sent'
+    using errcode = 'insufficient_privilege';
+end;
+$$;
+
+drop trigger if exists message_attachments_immutable on public.message_attachments;
+create trigger message_attachments_immutable
+  before update on public.message_attachments
+  for each row execute function public.prevent_message_attachment_changes();
+
+-- Send a message with optional attachments (participants only)
+-- p_attachments: [{ storage_path, thumbnail_path, file_name, width, height }]
+create or replace function public.send_message(
+  p_conversation_id uuid,
+  p_content text default null,
+  p_attachments jsonb default '[]'::jsonb
+)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_content text := coalesce(trim(p_content), '');
+  v_attachments jsonb := coalesce(p_attachments, '[]'::jsonb);
+  v_message public.messages;
+  v_item jsonb;
+  v_folder text := p_conversation_id::text || '/';
+  v_object storage.objects;
+begin
+  if not exists (
+    select 1 from public.conversations
+    where id = p_conversation_id
+      and auth.uid() in (participant_1_id, participant_2_id)
+  ) then
+    raise exception 'Only conversation participants can send messages'
+      using errcode = 'insufficient_privilege';
+  end if;
+  if v_content = '' and jsonb_array_length(v_attachments) = 0 then
+    raise exception 'Message content cannot be empty' using errcode = 'check_violation';
+  end if;
+  if length(v_content) > 2000 then
+    raise exception 'Messages are limited to 2000 characters' using errcode = 'check_violation';
+  end if;
+  if jsonb_array_length(v_attachments) > 10 then
+    raise exception 'A message can have at most 10 attachments' using errcode = 'check_violation';
+  end if;
+
+  insert into public.messages (conversation_id, sender_id, content)
+  values (p_conversation_id, auth.uid(), v_content)
+  returning * into v_message;
+
+  for v_item in select * from jsonb_array_elements(v_attachments) loop
+    select * into v_object
+    from storage.objects
+    where bucket_id = 'chat-attachments'
+      and name = v_item->>'storage_path'
+      and starts_with(name, v_folder)
+      and owner_id = auth.uid()::text;
+
+    if v_object.id is null then
+      raise exception 'Attachment % was not uploaded to this conversation', v_item->>'file_name'
+        using errcode = 'check_violation';
+    end if;
+    -- Thumbnails must sit next to their file
+    if v_item->>'thumbnail_path' is not null and not exists (
+      select 1 from storage.objects
+      where bucket_id = 'chat-attachments'
+        and name = v_item->>'thumbnail_path'
+        and owner_id = auth.uid()::text
+        and (storage.foldername(name))[2] = (storage.foldername(v_object.name))[2]
+    ) then
+      raise exception 'Thumbnail for % was not uploaded', v_item->>'file_name'
+        using errcode = 'check_violation';
+    end if;
+
+    insert into public.message_attachments (
+      message_id, conversation_id, storage_path, thumbnail_path,
+      file_name, file_size, content_type, width, height
+    ) values (
+      v_message.id,
+      p_conversation_id,
+      v_object.name,
+      v_item->>'thumbnail_path',
+      coalesce(nullif(trim(v_item->>'file_name'), ''), 'file'),
+      (v_object.metadata->>'size')::bigint,
+      coalesce(v_object.metadata->>'mimetype', 'application/octet-stream'),
+      (v_item->>'width')::integer,
+      (v_item->>'height')::integer
+    );
+  end loop;
+
+  update public.conversations
+  set last_message_at = v_message.created_at
+  where id = p_conversation_id;
+
+  return v_message;
+end;
+$$;
+
+revoke all on function public.send_message(uuid, text, jsonb) from public, anon;
+grant execute on function public.send_message(uuid, text, jsonb) to authenticated;
+
+-- Row level security: whoever can read the message can read its attachments
+-- (participants, and admins for disputed conversations)
+alter table public.message_attachments enable row level security;
+
+drop policy if exists "Message readers can view attachments" on public.message_attachments;
+create policy "Message readers can view attachments"
+  on public.message_attachments for select
+  using (exists (select 1 from public.messages m where m.id = message_id));
+
+-- Storage: private bucket with size and type limits
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'chat-attachments',
+  'chat-attachments',
+  false,
+  26214400,
+  array[
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf', 'text/plain', 'text/markdown', 'text/csv', 'application/json',
+    'application/zip', 'application/x-zip-compressed', 'application/x-7z-compressed',
+    'application/gzip', 'application/x-tar',
+    'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ]
+)
+on conflict (id) do update
+  set public = false,
+      file_size_limit = excluded.file_size_limit,
+      allowed_mime_types = excluded.allowed_mime_types;
+
+drop policy if exists "Participants can upload chat attachments" on storage.objects;
+create policy "Participants can upload chat attachments"
+  on storage.objects for insert
+  with check (
+    bucket_id = 'chat-attachments' and exists (
+      select 1 from public.conversations conv
+      where conv.id::text = (storage.foldername(name))[1]
+        and auth.uid() in (conv.participant_1_id, conv.participant_2_id)
+    )
+  );
+
+-- Uploaders can read their own objects until they are attached; afterwards
+-- access follows the attachment row
+drop policy if exists "Message readers can read chat attachments" on storage.objects;
+create policy "Message readers can read chat attachments"
+  on storage.objects for select
+  using (
+    bucket_id = 'chat-attachments' and (
+      owner_id = auth.uid()::text
+      or exists (
+        select 1 from public.message_attachments a
+        where name in (a.storage_path, a.thumbnail_path)
+      )
+    )
+  );
@@ -0,0 +1,55 @@
+-- Online presence and typing indicators
+-- Who is online right now comes from a Realtime presence channel; this adds the
+-- persisted "last seen" time shown once a user goes offline, and restricts the
+-- per-conversation typing channels (private broadcast, topic
+-- typing:<conversation id>) to the two participants.
+
+alter table public.profiles
+  add column if not exists last_seen_at timestamptz;
+
+-- Heartbeat from the signed-in user's open tab
+create or replace function public.touch_last_seen()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.profiles set last_seen_at = now() where id = auth.uid();
+$$;
+
+revoke all on function public.touch_last_seen() from public, anon;
+grant execute on function public.touch_last_seen() to authenticated;
+
+create or replace function public.is_typing_channel_participant()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.conversations c
+    where c.id::text = split_part(realtime.topic(), ':', 2)
+      and auth.uid() in (c.participant_1_id, c.participant_2_id)
+  );
+$$;
+
+drop policy if exists "Participants can receive typing events" on realtime.messages;
+create policy "Participants can receive typing events"
+  on realtime.messages for select
+  to authenticated
+  using (
+    realtime.topic() like 'typing:%'
+    and extension = 'broadcast'
+    and public.is_typing_channel_participant()
+  );
+
+drop policy if exists "Participants can send typing events" on realtime.messages;
+create policy "Participants can send typing events"
+  on realtime.messages for insert
+  to authenticated
+  with check (
+    realtime.topic() like 'typing:%'
+    and extension = 'broadcast'
+    and public.is_typing_channel_participant()
+  );
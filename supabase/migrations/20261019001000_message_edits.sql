@@ -0,0 +1,253 @@
+-- Message editing, deletion and quote-replies
+-- Senders can edit a message (the previous text is kept in message_edits and
+-- the message gets edited_at) or delete it for everyone (the text, history and
+-- attachments are hidden and deleted_at is set; the row stays so replies and
+-- ordering still make sense). Replies point at an earlier message in the same
+-- conversation. All three go through the functions below, and the changes reach
+-- the other participant as realtime UPDATE events on messages.
+
+alter table public.messages
+  add column if not exists edited_at timestamptz,
+  add column if not exists deleted_at timestamptz,
+  add column if not exists reply_to_id uuid references public.messages(id) on delete set null;
+
+create table if not exists public.message_edits (
+  id uuid primary key default gen_random_uuid(),
+  message_id uuid not null references public.messages(id) on delete cascade,
+  previous_content text not null,
+  edited_at timestamptz not null default now()
+);
+
+create index if not exists message_edits_message_id_idx
+  on public.message_edits (message_id, edited_at);
+
+-- Content, edit and delete markers only change through edit_message/delete_message
+-- (participants can still update is_read directly)
+create or replace function public.protect_message_content()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.content is distinct from old.content
+      or new.edited_at is distinct from old.edited_at
+      or new.deleted_at is distinct from old.deleted_at
+      or new.reply_to_id is distinct from old.reply_to_id
+      or new.sender_id is distinct from old.sender_id
+      or new.conversation_id is distinct from old.conversation_id)
+    and coalesce(current_setting('pumpwork.changing_message', true), '') <> 'on' then
+    raise exception 'Use edit_message or delete_message to change a message'
+      using errcode = 'insufficient_privilege';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists messages_protect_content on public.messages;
+create trigger messages_protect_content
+  before update on public.messages
+  for each row execute function public.protect_message_content();
+
+-- Sender edits their own message
+create or replace function public.edit_message(p_message_id uuid, p_content text)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+  v_content text := coalesce(trim(p_content), '');
+begin
+  select * into v_message from public.messages where id = p_message_id for update;
+
+  if v_message.id is null or v_message.sender_id is distinct from auth.uid() then
+    raise exception 'Only the sender can edit a message' using errcode = 'insufficient_privilege';
+  end if;
+  if v_message.deleted_at is not null then
+    raise exception 'Deleted messages cannot be edited' using errcode = 'check_violation';
+  end if;
+  if length(v_content) > 2000 then
+    raise exception 'Messages are limited to 2000 characters' using errcode = 'check_violation';
+  end if;
+  if v_content = '' and not exists (
+    select 1 from public.message_attachments where message_id = p_message_id
+  ) then
+    raise exception 'Message content cannot be empty' using errcode = 'check_violation';
+  end if;
+  if v_content = v_message.content then
+    return v_message;
+  end if;
+
+  insert into public.message_edits (message_id, previous_content)
+  values (p_message_id, v_message.content);
+
+  perform set_config('pumpwork.changing_message', 'on', true);
+
+  update public.messages
+  set content = v_content, edited_at = now()
+  where id = p_message_id
+  returning * into v_message;
+
+  perform set_config('pumpwork.changing_message', 'off', true);
+
+  return v_message;
+end;
+$$;
+
+-- Sender deletes their own message for everyone
+create or replace function public.delete_message(p_message_id uuid)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  select * into v_message from public.messages where id = p_message_id for update;
+
+  if v_message.id is null or v_message.sender_id is distinct from auth.uid() then
+    raise exception 'Only the sender can delete a message' using errcode = 'insufficient_privilege';
+  end if;
+  if v_message.deleted_at is not null then
+    return v_message;
+  end if;
+
+  delete from public.message_edits where message_id = p_message_id;
+
+  perform set_config('pumpwork.changing_message', 'on', true);
+
+  update public.messages
+  set content = '', deleted_at = now()
+  where id = p_message_id
+  returning * into v_message;
+
+  perform set_config('pumpwork.changing_message', 'off', true);
+
+  return v_message;
+end;
+$$;
+
+revoke all on function public.edit_message(uuid, text) from public, anon;
+revoke all on function public.delete_message(uuid) from public, anon;
+grant execute on function public.edit_message(uuid, text) to authenticated;
+grant execute on function public.delete_message(uuid) to authenticated;
+
+-- send_message gains an optional message to reply to
+drop function if exists public.send_message(uuid, text, jsonb);
+
+create or replace function public.send_message(
+  p_conversation_id uuid,
+  p_content text default null,
+  p_attachments jsonb default '[]'::jsonb,
+  p_reply_to_id uuid default null
+)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_content text := coalesce(trim(p_content), '');
+  v_attachments jsonb := coalesce(p_attachments, '[]'::jsonb);
+  v_message public.messages;
+  v_item jsonb;
+  v_folder text := p_conversation_id::text || '/';
+  v_object storage.objects;
+begin
+  if not exists (
+    select 1 from public.conversations
+    where id = p_conversation_id
+      and auth.uid() in (participant_1_id, participant_2_id)
+  ) then
+    raise exception 'Only conversation participants can send messages'
+      using errcode = 'insufficient_privilege';
+  end if;
+  if v_content = '' and jsonb_array_length(v_attachments) = 0 then
+    raise exception 'Message content cannot be empty' using errcode = 'check_violation';
+  end if;
+  if length(v_content) > 2000 then
+    raise exception 'Messages are limited to 2000 characters' using errcode = 'check_violation';
+  end if;
+  if jsonb_array_length(v_attachments) > 10 then
+    raise exception 'A message can have at most 10 attachments' using errcode = 'check_violation';
+  end if;
+  if p_reply_to_id is not null and not exists (
+    select 1 from public.messages
+    where id = p_reply_to_id and conversation_id = p_conversation_id
+  ) then
+    raise exception 'Replies must quote a message from the same conversation'
+      using errcode = 'check_violation';
+  end if;
+
+  insert into public.messages (conversation_id, sender_id, content, reply_to_id)
+  values (p_conversation_id, auth.uid(), v_content, p_reply_to_id)
+  returning * into v_message;
+
+  for v_item in select * from jsonb_array_elements(v_attachments) loop
+    select * into v_object
+    from storage.objects
+    where bucket_id = 'chat-attachments'
+      and name = v_item->>'storage_path'
+      and starts_with(name, v_folder)
+      and owner_id = auth.uid()::text;
+
+    if v_object.id is null then
+      raise exception 'Attachment % was not uploaded to this conversation', v_item->>'file_name'
+        using errcode = 'check_violation';
+    end if;
+    -- Thumbnails must sit next to their file
+    if v_item->>'thumbnail_path' is not null and not exists (
+      select 1 from storage.objects
+      where bucket_id = 'chat-attachments'
+        and name = v_item->>'thumbnail_path'
+        and owner_id = auth.uid()::text
+        and (storage.foldername(name))[2] = (storage.foldername(v_object.name))[2]
+    ) then
+      raise exception 'Thumbnail for % was not uploaded', v_item->>'file_name'
+        using errcode = 'check_violation';
+    end if;
+
+    insert into public.message_attachments (
+      message_id, conversation_id, storage_path, thumbnail_path,
+      file_name, file_size, content_type, width, height
+    ) values (
+      v_message.id,
+      p_conversation_id,
+      v_object.name,
+      v_item->>'thumbnail_path',
+      coalesce(nullif(trim(v_item->>'file_name'), ''), 'file'),
+      (v_object.metadata->>'size')::bigint,
+      coalesce(v_object.metadata->>'mimetype', 'application/octet-stream'),
+      (v_item->>'width')::integer,
+      (v_item->>'height')::integer
+    );
+  end loop;
+
+  update public.conversations
+  set last_message_at = v_message.created_at
+  where id = p_conversation_id;
+
+  return v_message;
+end;
+$$;
+
+revoke all on function public.send_message(uuid, text, jsonb, uuid) from public, anon;
+grant execute on function public.send_message(uuid, text, jsonb, uuid) to authenticated;
+
+-- Row level security: edit history follows the message; attachments of deleted
+-- messages are hidden (which also revokes access to their files)
+alter table public.message_edits enable row level security;
+
+drop policy if exists "Message readers can view edit history" on public.message_edits;
+create policy "Message readers can view edit history"
+  on public.message_edits for select
+  using (exists (select 1 from public.messages m where m.id = message_id));
+
+drop policy if exists "Message readers can view attachments" on public.message_attachments;
+create policy "Message readers can view attachments"
+  on public.message_attachments for select
+  using (exists (
+    select 1 from public.messages m
+    where m.id = message_id and m.deleted_at is null
+  ));
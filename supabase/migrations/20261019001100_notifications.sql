@@ -0,0 +1,194 @@
+-- In-app notifications
+-- One row per recipient, written by triggers on the events users would
+-- otherwise only notice by reloading a dashboard: new job applications,
+-- contract status changes, accepted service requests and new reviews.
+-- Rows reach the recipient through Realtime (INSERT on notifications).
+
+create table if not exists public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  type text not null
+    check (type in ('application_received', 'contract_status', 'service_request_accepted', 'review_received')),
+  title text not null,
+  body text,
+  link text,
+  actor_id uuid references public.profiles(id) on delete set null,
+  metadata jsonb not null default '{}'::jsonb,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_id_idx
+  on public.notifications (user_id, created_at desc);
+
+create index if not exists notifications_unread_idx
+  on public.notifications (user_id)
+  where read_at is null;
+
+-- Internal helper for the triggers below; skips notifying users about their own actions
+create or replace function public.create_notification(
+  p_user_id uuid,
+  p_type text,
+  p_title text,
+  p_body text default null,
+  p_link text default null,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_user_id is null or p_user_id = auth.uid() then
+    return;
+  end if;
+
+  insert into public.notifications (user_id, type, title, body, link, actor_id, metadata)
+  values (p_user_id, p_type, p_title, p_body, p_link, auth.uid(), coalesce(p_metadata, '{}'::jsonb));
+end;
+$$;
+
+revoke all on function public.create_notification(uuid, text, text, text, text, jsonb) from public, anon, authenticated;
+
+-- New application -> the job's client
+create or replace function public.notify_application_received()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_job public.job_posts;
+  v_nickname text;
+begin
+  select * into v_job from public.job_posts where id = new.job_post_id;
+  select nickname into v_nickname from public.profiles where id = new.freelancer_id;
+
+  perform public.create_notification(
+    v_job.client_id,
+    'application_received',
+    'New application',
+    format('%s applied to "%s"', coalesce(v_nickname, 'A freelancer'), v_job.title),
+    '/dashboard/client',
+    jsonb_build_object('job_post_id', new.job_post_id, 'application_id', new.id)
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists job_applications_notify on public.job_applications;
+create trigger job_applications_notify
+  after insert on public.job_applications
+  for each row execute function public.notify_application_received();
+
+-- Contract status change -> both parties, except whoever made the change
+create or replace function public.notify_contract_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_body text := format('"%s" is now %s', new.title, new.status);
+  v_metadata jsonb := jsonb_build_object(
+    'contract_id', new.id, 'from_status', old.status, 'to_status', new.status
+  );
+begin
+  perform public.create_notification(
+    new.client_id, 'contract_status', 'Contract updated', v_body, '/dashboard/client', v_metadata
+  );
+  perform public.create_notification(
+    new.freelancer_id, 'contract_status', 'Contract updated', v_body, '/dashboard/freelancer', v_metadata
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists contracts_notify_status on public.contracts;
+create trigger contracts_notify_status
+  after update of status on public.contracts
+  for each row
+  when (new.status is distinct from old.status)
+  execute function public.notify_contract_status();
+
+-- Accepted service request -> the client who sent it
+create or replace function public.notify_service_request_accepted()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_title text;
+  v_nickname text;
+begin
+  select title into v_title from public.service_posts where id = new.service_post_id;
+  select nickname into v_nickname from public.profiles where id = new.freelancer_id;
+
+  perform public.create_notification(
+    new.client_id,
+    'service_request_accepted',
+    'Service request accepted',
+    format('%s accepted your request for "%s"', coalesce(v_nickname, 'The freelancer'), coalesce(v_title, 'their service')),
+    '/dashboard/client',
+    jsonb_build_object('service_request_id', new.id, 'service_post_id', new.service_post_id)
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists service_requests_notify_accepted on public.service_requests;
+create trigger service_requests_notify_accepted
+  after update of status on public.service_requests
+  for each row
+  when (new.status = 'accepted' and old.status is distinct from 'accepted')
+  execute function public.notify_service_request_accepted();
+
+-- New review -> the reviewee
+create or replace function public.notify_review_received()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_nickname text;
+begin
+  select nickname into v_nickname from public.profiles where id = new.reviewer_id;
+
+  perform public.create_notification(
+    new.reviewee_id,
+    'review_received',
+    'New review',
+    format('%s left you a %s-star review', coalesce(v_nickname, 'Someone'), new.rating),
+    '/profile/' || new.reviewee_id,
+    jsonb_build_object('review_id', new.id, 'contract_id', new.contract_id)
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists reviews_notify on public.reviews;
+create trigger reviews_notify
+  after insert on public.reviews
+  for each row execute function public.notify_review_received();
+
+-- Recipients read their notifications and may only set read_at
+alter table public.notifications enable row level security;
+
+drop policy if exists "Users can view their notifications" on public.notifications;
+create policy "Users can view their notifications"
+  on public.notifications for select
+  using (user_id = auth.uid());
+
+drop policy if exists "Users can mark their notifications read" on public.notifications;
+create policy "Users can mark their notifications read"
+  on public.notifications for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+revoke insert, update on public.notifications from anon, authenticated;
+grant update (read_at) on public.notifications to authenticated;
+
+alter publication supabase_realtime add table public.notifications;
@@ -0,0 +1,270 @@
+-- Notification preferences and email digests
+-- Per event type, users choose in-app, email and push delivery. In-app is
+-- applied when notifications are created; email decides whether unread
+-- notifications of that type are included in the digest; push is stored for
+-- a push sender (none reads it yet). Quiet hours hold back the digest until
+-- they end. The send-digests Edge Function sends the daily or weekly digest
+-- using due_digests() and digest_contents() below.
+
+create table if not exists public.notification_preferences (
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  event_type text not null
+    check (event_type in ('application_received', 'contract_status', 'service_request_accepted', 'review_received')),
+  in_app boolean not null default true,
+  email boolean not null default true,
+  push boolean not null default false,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, event_type)
+);
+
+create table if not exists public.notification_settings (
+  user_id uuid primary key references public.profiles(id) on delete cascade,
+  digest_frequency text not null default 'off'
+    check (digest_frequency in ('off', 'daily', 'weekly')),
+  -- Falls back to the account email; wallet-only accounts must set one
+  digest_email text check (digest_email is null or digest_email ~* '^[^@\s]+@[^@\s]+\.[^@\s]+$'),
+  quiet_hours_start time,
+  quiet_hours_end time,
+  timezone text not null default 'UTC',
+  last_digest_sent_at timestamptz,
+  updated_at timestamptz not null default now(),
+  check ((quiet_hours_start is null) = (quiet_hours_end is null))
+);
+
+-- Reject unknown time zones up front instead of failing in the digest job
+create or replace function public.validate_notification_settings()
+returns trigger
+language plpgsql
+as $$
+begin
+  if not exists (select 1 from pg_timezone_names where name = new.timezone) then
+    raise exception 'Unknown time zone %', new.timezone using errcode = 'check_violation';
+  end if;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists notification_settings_validate on public.notification_settings;
+create trigger notification_settings_validate
+  before insert or update on public.notification_settings
+  for each row execute function public.validate_notification_settings();
+
+-- Whether a user wants a channel for an event type (no row = defaults)
+create or replace function public.notification_channel_enabled(p_user_id uuid, p_event_type text, p_channel text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (
+      select case p_channel
+        when 'in_app' then in_app
+        when 'email' then email
+        when 'push' then push
+      end
+      from public.notification_preferences
+      where user_id = p_user_id and event_type = p_event_type
+    ),
+    p_channel <> 'push'
+  );
+$$;
+
+-- create_notification now skips users who turned the type off in-app
+create or replace function public.create_notification(
+  p_user_id uuid,
+  p_type text,
+  p_title text,
+  p_body text default null,
+  p_link text default null,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_user_id is null or p_user_id = auth.uid() then
+    return;
+  end if;
+  if not public.notification_channel_enabled(p_user_id, p_type, 'in_app') then
+    return;
+  end if;
+
+  insert into public.notifications (user_id, type, title, body, link, actor_id, metadata)
+  values (p_user_id, p_type, p_title, p_body, p_link, auth.uid(), coalesce(p_metadata, '{}'::jsonb));
+end;
+$$;
+
+-- Users whose digest is due now and outside their quiet hours
+create or replace function public.due_digests(p_now timestamptz default now())
+returns table (user_id uuid, email text, nickname text, frequency text, since timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    s.user_id,
+    coalesce(s.digest_email, u.email) as email,
+    p.nickname,
+    s.digest_frequency as frequency,
+    coalesce(
+      s.last_digest_sent_at,
+      p_now - case s.digest_frequency when 'weekly' then interval '7 days' else interval '1 day' end
+    ) as since
+  from public.notification_settings s
+  join public.profiles p on p.id = s.user_id
+  join auth.users u on u.id = s.user_id
+  where s.digest_frequency <> 'off'
+    and coalesce(s.digest_email, u.email) is not null
+    and coalesce(s.digest_email, u.email) not like '%@wallet.pumpwork.invalid'
+    -- An hour of slack so an hourly schedule doesn't drift a day later each time
+    and (
+      s.last_digest_sent_at is null
+      or s.last_digest_sent_at <= p_now - case s.digest_frequency
+        when 'weekly' then interval '7 days' - interval '1 hour'
+        else interval '1 day' - interval '1 hour'
+      end
+    )
+    and not (
+      s.quiet_hours_start is not null
+      and case
+        when s.quiet_hours_start <= s.quiet_hours_end then
+          (p_now at time zone s.timezone)::time >= s.quiet_hours_start
+          and (p_now at time zone s.timezone)::time < s.quiet_hours_end
+        else
+          (p_now at time zone s.timezone)::time >= s.quiet_hours_start
+          or (p_now at time zone s.timezone)::time < s.quiet_hours_end
+      end
+    );
+$$;
+
+-- Everything a digest covers for one user since the last one
+create or replace function public.digest_contents(p_user_id uuid, p_since timestamptz)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    -- Unread messages, grouped by conversation
+    'messages', coalesce((
+      select jsonb_agg(row_to_json(m) order by m.latest_at desc)
+      from (
+        select
+          c.id as conversation_id,
+          sender.nickname as sender_nickname,
+          count(*) as unread_count,
+          max(msg.created_at) as latest_at,
+          (array_agg(msg.content order by msg.created_at desc))[1] as latest_content
+        from public.conversations c
+        join public.messages msg on msg.conversation_id = c.id
+        join public.profiles sender on sender.id = msg.sender_id
+        where p_user_id in (c.participant_1_id, c.participant_2_id)
+          and msg.sender_id <> p_user_id
+          and not msg.is_read
+          and msg.deleted_at is null
+        group by c.id, sender.nickname
+      ) m
+    ), '[]'::jsonb),
+    -- Open jobs posted since the last digest that share a skill with a freelancer
+    'jobs', coalesce((
+      select jsonb_agg(row_to_json(j) order by j.created_at desc)
+      from (
+        select jp.id, jp.title, jp.budget, jp.category, jp.skills, jp.created_at
+        from public.job_posts jp
+        join public.profiles me on me.id = p_user_id
+        where me.user_type = 'freelancer'
+          and jp.status = 'open'
+          and jp.created_at > p_since
+          and jp.skills && me.skills
+        order by jp.created_at desc
+        limit 10
+      ) j
+    ), '[]'::jsonb),
+    -- Work waiting for the client's review
+    'approvals', coalesce((
+      select jsonb_agg(row_to_json(a) order by a.title)
+      from (
+        select 'contract' as kind, c.id as contract_id, c.title
+        from public.contracts c
+        where c.client_id = p_user_id and c.status = 'submitted'
+        union all
+        select 'milestone', c.id, c.title || ' - ' || m.title
+        from public.contract_milestones m
+        join public.contracts c on c.id = m.contract_id
+        where c.client_id = p_user_id and m.status = 'submitted'
+        union all
+        select 'timesheet', c.id, c.title
+        from public.contract_timesheets t
+        join public.contracts c on c.id = t.contract_id
+        where c.client_id = p_user_id and t.status = 'submitted'
+      ) a
+    ), '[]'::jsonb),
+    -- Unread notifications the user wants by email
+    'notifications', coalesce((
+      select jsonb_agg(jsonb_build_object('title', n.title, 'body', n.body, 'link', n.link, 'created_at', n.created_at)
+        order by n.created_at desc)
+      from public.notifications n
+      where n.user_id = p_user_id
+        and n.read_at is null
+        and n.created_at > p_since
+        and public.notification_channel_enabled(p_user_id, n.type, 'email')
+    ), '[]'::jsonb)
+  );
+$$;
+
+revoke all on function public.notification_channel_enabled(uuid, text, text) from public, anon, authenticated;
+revoke all on function public.due_digests(timestamptz) from public, anon, authenticated;
+revoke all on function public.digest_contents(uuid, timestamptz) from public, anon, authenticated;
+grant execute on function public.due_digests(timestamptz) to service_role;
+grant execute on function public.digest_contents(uuid, timestamptz) to service_role;
+
+-- Row level security: users manage their own rows
+alter table public.notification_preferences enable row level security;
+alter table public.notification_settings enable row level security;
+
+drop policy if exists "Users can view their notification preferences" on public.notification_preferences;
+create policy "Users can view their notification preferences"
+  on public.notification_preferences for select
+  using (user_id = auth.uid());
+
+drop policy if exists "Users can save their notification preferences" on public.notification_preferences;
+create policy "Users can save their notification preferences"
+  on public.notification_preferences for insert
+  with check (user_id = auth.uid());
+
+drop policy if exists "Users can update their notification preferences" on public.notification_preferences;
+create policy "Users can update their notification preferences"
+  on public.notification_preferences for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "Users can view their notification settings" on public.notification_settings;
+create policy "Users can view their notification settings"
+  on public.notification_settings for select
+  using (user_id = auth.uid());
+
+drop policy if exists "Users can save their notification settings" on public.notification_settings;
+create policy "Users can save their notification settings"
+  on public.notification_settings for insert
+  with check (user_id = auth.uid());
+
+drop policy if exists "Users can update their notification settings" on public.notification_settings;
+create policy "Users can update their notification settings"
+  on public.notification_settings for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+-- last_digest_sent_at belongs to the digest job
+revoke insert, update on public.notification_settings from anon, authenticated;
+-- (user_id is listed for upserts; the policies pin it to the caller)
+grant insert (user_id, digest_frequency, digest_email, quiet_hours_start, quiet_hours_end, timezone)
+  on public.notification_settings to authenticated;
+grant update (user_id, digest_frequency, digest_email, quiet_hours_start, quiet_hours_end, timezone)
+  on public.notification_settings to authenticated;
@@ -0,0 +1,103 @@
+-- Full-text search for jobs and services
+-- Replaces the ilike filters built from raw user input. Documents weight the
+-- title (A) over skills (B) over the description (C); every search word is
+-- matched as a prefix, so "reac dev" finds "React developer". The search
+-- functions return ids ranked by relevance with highlighted title and
+-- description snippets (matches wrapped in <mark></mark>); the client loads
+-- the rows themselves with its usual select.
+
+create or replace function public.search_document(p_title text, p_skills text[], p_description text)
+returns tsvector
+language sql
+immutable
+as $$
+  select setweight(to_tsvector('english'::regconfig, coalesce(p_title, '')), 'A')
+      || setweight(to_tsvector('english'::regconfig, coalesce(array_to_string(p_skills, ' '), '')), 'B')
+      || setweight(to_tsvector('english'::regconfig, coalesce(p_description, '')), 'C');
+$$;
+
+-- Free text -> prefix query; anything but letters and digits only separates words
+create or replace function public.search_query(p_text text)
+returns tsquery
+language sql
+immutable
+as $$
+  select to_tsquery('english'::regconfig, string_agg(token || ':*', ' & '))
+  from regexp_split_to_table(lower(coalesce(p_text, '')), '[^[:alnum:]]+') as token
+  where token <> '';
+$$;
+
+create index if not exists job_posts_search_idx
+  on public.job_posts using gin (public.search_document(title, skills, description));
+
+create index if not exists service_posts_search_idx
+  on public.service_posts using gin (public.search_document(title, skills, description));
+
+create or replace function public.search_jobs(
+  p_query text,
+  p_statuses text[] default array['open', 'in_progress'],
+  p_category text default null,
+  p_skills text[] default null,
+  p_budget_min numeric default null,
+  p_budget_max numeric default null,
+  p_limit integer default 100
+)
+returns table (id uuid, rank real, title_highlight text, snippet text)
+language sql
+stable
+set search_path = public
+as $$
+  with q as (select public.search_query(p_query) as query)
+  select
+    j.id,
+    ts_rank(public.search_document(j.title, j.skills, j.description), q.query) as rank,
+    ts_headline('english', j.title, q.query, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', coalesce(j.description, ''), q.query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "')
+  from public.job_posts j, q
+  where q.query is not null
+    and public.search_document(j.title, j.skills, j.description) @@ q.query
+    and j.status = any (p_statuses)
+    and (p_category is null or j.category = p_category)
+    and (p_skills is null or j.skills && p_skills)
+    and (p_budget_min is null or j.budget >= p_budget_min)
+    and (p_budget_max is null or j.budget <= p_budget_max)
+  order by rank desc, j.created_at desc
+  limit least(greatest(coalesce(p_limit, 100), 1), 200);
+$$;
+
+create or replace function public.search_services(
+  p_query text,
+  p_status text default 'active',
+  p_category text default null,
+  p_skills text[] default null,
+  p_price_min numeric default null,
+  p_price_max numeric default null,
+  p_limit integer default 100
+)
+returns table (id uuid, rank real, title_highlight text, snippet text)
+language sql
+stable
+set search_path = public
+as $$
+  with q as (select public.search_query(p_query) as query)
+  select
+    s.id,
+    ts_rank(public.search_document(s.title, s.skills, s.description), q.query) as rank,
+    ts_headline('english', s.title, q.query, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', coalesce(s.description, ''), q.query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "')
+  from public.service_posts s, q
+  where q.query is not null
+    and public.search_document(s.title, s.skills, s.description) @@ q.query
+    and s.status = coalesce(p_status, 'active')
+    and (p_category is null or s.category = p_category)
+    and (p_skills is null or s.skills && p_skills)
+    and (p_price_min is null or s.price >= p_price_min)
+    and (p_price_max is null or s.price <= p_price_max)
+  order by rank desc, s.created_at desc
+  limit least(greatest(coalesce(p_limit, 100), 1), 200);
+$$;
+
+grant execute on function public.search_jobs(text, text[], text, text[], numeric, numeric, integer) to anon, authenticated;
+grant execute on function public.search_services(text, text, text, text[], numeric, numeric, integer) to anon, authenticated;
@@ -0,0 +1,186 @@
+-- Keyset pagination for listings
+-- Jobs, services and profiles are paged by (sort key, id). Table listings use
+-- plain PostgREST filters; the search functions take the same kind of cursor
+-- so a search can also be sorted by date, budget or price and paged.
+
+create index if not exists job_posts_created_at_id_idx
+  on public.job_posts (created_at desc, id desc);
+
+create index if not exists service_posts_created_at_id_idx
+  on public.service_posts (created_at desc, id desc);
+
+create index if not exists profiles_created_at_id_idx
+  on public.profiles (created_at desc, id desc);
+
+drop function if exists public.search_jobs(text, text[], text, text[], numeric, numeric, integer);
+drop function if exists public.search_services(text, text, text, text[], numeric, numeric, integer);
+
+-- p_sort: relevance, created_at, budget or applicant_count. Each row's sort key
+-- comes back as sort_value; pass the last row's sort_value and id to get the
+-- next page. Missing budgets sort last either way.
+create or replace function public.search_jobs(
+  p_query text,
+  p_statuses text[] default array['open', 'in_progress'],
+  p_category text default null,
+  p_skills text[] default null,
+  p_budget_min numeric default null,
+  p_budget_max numeric default null,
+  p_sort text default 'relevance',
+  p_ascending boolean default false,
+  p_after_value double precision default null,
+  p_after_id uuid default null,
+  p_limit integer default 20
+)
+returns table (id uuid, rank real, sort_value double precision, title_highlight text, snippet text, total_count bigint)
+language plpgsql
+stable
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_query tsquery := public.search_query(p_query);
+  v_missing double precision := case when p_ascending then 'infinity' else '-infinity' end;
+begin
+  if coalesce(p_sort, 'relevance') not in ('relevance', 'created_at', 'budget', 'applicant_count') then
+    raise exception 'Cannot sort jobs by %', p_sort using errcode = 'invalid_parameter_value';
+  end if;
+  if v_query is null then
+    return;
+  end if;
+
+  return query
+  with matches as (
+    select
+      j.id,
+      j.title,
+      j.description,
+      ts_rank(public.search_document(j.title, j.skills, j.description), v_query) as rank,
+      coalesce(case coalesce(p_sort, 'relevance')
+        when 'relevance' then ts_rank(public.search_document(j.title, j.skills, j.description), v_query)::double precision
+        when 'created_at' then extract(epoch from j.created_at)::double precision
+        when 'budget' then j.budget::double precision
+        when 'applicant_count' then j.applicant_count::double precision
+      end, v_missing) as sort_value
+    from public.job_posts j
+    where public.search_document(j.title, j.skills, j.description) @@ v_query
+      and j.status = any (p_statuses)
+      and (p_category is null or j.category = p_category)
+      and (p_skills is null or j.skills && p_skills)
+      and (p_budget_min is null or j.budget >= p_budget_min)
+      and (p_budget_max is null or j.budget <= p_budget_max)
+  ),
+  page as (
+    select m.*
+    from matches m
+    where p_after_id is null
+      or (p_ascending and (m.sort_value, m.id) > (p_after_value, p_after_id))
+      or (not p_ascending and (m.sort_value, m.id) < (p_after_value, p_after_id))
+    order by
+      case when p_ascending then m.sort_value end asc,
+      case when p_ascending then m.id end asc,
+      case when not p_ascending then m.sort_value end desc,
+      case when not p_ascending then m.id end desc
+    limit least(greatest(coalesce(p_limit, 20), 1), 100)
+  )
+  select
+    p.id,
+    p.rank,
+    p.sort_value,
+    ts_headline('english', p.title, v_query, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', coalesce(p.description, ''), v_query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'),
+    (select count(*) from matches)
+  from page p
+  order by
+    case when p_ascending then p.sort_value end asc,
+    case when p_ascending then p.id end asc,
+    case when not p_ascending then p.sort_value end desc,
+    case when not p_ascending then p.id end desc;
+end;
+$$;
+
+-- p_sort: relevance, created_at or price
+create or replace function public.search_services(
+  p_query text,
+  p_status text default 'active',
+  p_category text default null,
+  p_skills text[] default null,
+  p_price_min numeric default null,
+  p_price_max numeric default null,
+  p_sort text default 'relevance',
+  p_ascending boolean default false,
+  p_after_value double precision default null,
+  p_after_id uuid default null,
+  p_limit integer default 20
+)
+returns table (id uuid, rank real, sort_value double precision, title_highlight text, snippet text, total_count bigint)
+language plpgsql
+stable
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_query tsquery := public.search_query(p_query);
+  v_missing double precision := case when p_ascending then 'infinity' else '-infinity' end;
+begin
+  if coalesce(p_sort, 'relevance') not in ('relevance', 'created_at', 'price') then
+    raise exception 'Cannot sort services by %', p_sort using errcode = 'invalid_parameter_value';
+  end if;
+  if v_query is null then
+    return;
+  end if;
+
+  return query
+  with matches as (
+    select
+      s.id,
+      s.title,
+      s.description,
+      ts_rank(public.search_document(s.title, s.skills, s.description), v_query) as rank,
+      coalesce(case coalesce(p_sort, 'relevance')
+        when 'relevance' then ts_rank(public.search_document(s.title, s.skills, s.description), v_query)::double precision
+        when 'created_at' then extract(epoch from s.created_at)::double precision
+        when 'price' then s.price::double precision
+      end, v_missing) as sort_value
+    from public.service_posts s
+    where public.search_document(s.title, s.skills, s.description) @@ v_query
+      and s.status = coalesce(p_status, 'active')
+      and (p_category is null or s.category = p_category)
+      and (p_skills is null or s.skills && p_skills)
+      and (p_price_min is null or s.price >= p_price_min)
+      and (p_price_max is null or s.price <= p_price_max)
+  ),
+  page as (
+    select m.*
+    from matches m
+    where p_after_id is null
+      or (p_ascending and (m.sort_value, m.id) > (p_after_value, p_after_id))
+      or (not p_ascending and (m.sort_value, m.id) < (p_after_value, p_after_id))
+    order by
+      case when p_ascending then m.sort_value end asc,
+      case when p_ascending then m.id end asc,
+      case when not p_ascending then m.sort_value end desc,
+      case when not p_ascending then m.id end desc
+    limit least(greatest(coalesce(p_limit, 20), 1), 100)
+  )
+  select
+    p.id,
+    p.rank,
+    p.sort_value,
+    ts_headline('english', p.title, v_query, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', coalesce(p.description, ''), v_query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'),
+    (select count(*) from matches)
+  from page p
+  order by
+    case when p_ascending then p.sort_value end asc,
+    case when p_ascending then p.id end asc,
+    case when not p_ascending then p.sort_value end desc,
+    case when not p_ascending then p.id end desc;
+end;
+$$;
+
+grant execute on function public.search_jobs(text, text[], text, text[], numeric, numeric, text, boolean, double precision, uuid, integer)
+  to anon, authenticated;
+grant execute on function public.search_services(text, text, text, text[], numeric, numeric, text, boolean, double precision, uuid, integer)
+  to anon, authenticated;
@@ -0,0 +1,242 @@
+-- Saved job searches with new-match alerts
+-- Freelancers save the Jobs page filters (text, category, skills, budget and
+-- sort) under a name. When a job is posted, a trigger checks it against every
+-- saved search: searches with in-app alerts get a saved_search_match
+-- notification, and searches with digest alerts list the job in the next email
+-- digest (digest_contents below).
+
+create table if not exists public.saved_searches (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  name text not null check (length(btrim(name)) between 1 and 80),
+  query text,
+  category text,
+  skills text[],
+  budget_min numeric,
+  budget_max numeric,
+  sort text,
+  notify_in_app boolean not null default true,
+  notify_digest boolean not null default false,
+  last_matched_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (budget_min is null or budget_max is null or budget_min <= budget_max)
+);
+
+create index if not exists saved_searches_user_id_idx
+  on public.saved_searches (user_id, created_at desc);
+
+-- The new notification type, also configurable in notification preferences
+alter table public.notifications drop constraint if exists notifications_type_check;
+alter table public.notifications add constraint notifications_type_check
+  check (type in ('application_received', 'contract_status', 'service_request_accepted', 'review_received', 'saved_search_match'));
+
+alter table public.notification_preferences drop constraint if exists notification_preferences_event_type_check;
+alter table public.notification_preferences add constraint notification_preferences_event_type_check
+  check (event_type in ('application_received', 'contract_status', 'service_request_accepted', 'review_received', 'saved_search_match'));
+
+-- Whether an open job matches a saved search's filters
+create or replace function public.job_matches_saved_search(p_job public.job_posts, p_search public.saved_searches)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select p_job.status = 'open'
+    and (p_search.category is null or p_job.category = p_search.category)
+    and (coalesce(cardinality(p_search.skills), 0) = 0 or p_job.skills && p_search.skills)
+    and (p_search.budget_min is null or p_job.budget >= p_search.budget_min)
+    and (p_search.budget_max is null or p_job.budget <= p_search.budget_max)
+    and (
+      public.search_query(p_search.query) is null
+      or public.search_document(p_job.title, p_job.skills, p_job.description) @@ public.search_query(p_search.query)
+    );
+$$;
+
+-- New job -> owners of matching saved searches (never the client who posted it)
+create or replace function public.notify_saved_search_matches()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_search public.saved_searches;
+begin
+  for v_search in
+    select s.*
+    from public.saved_searches s
+    where s.user_id <> new.client_id
+      and (s.notify_in_app or s.notify_digest)
+      and public.job_matches_saved_search(new, s)
+  loop
+    update public.saved_searches set last_matched_at = now() where id = v_search.id;
+
+    if v_search.notify_in_app then
+      perform public.create_notification(
+        v_search.user_id,
+        'saved_search_match',
+        format('New job for "%s"', v_search.name),
+        new.title,
+        '/jobs/' || new.id,
+        jsonb_build_object('saved_search_id', v_search.id, 'job_post_id', new.id)
+      );
+    end if;
+  end loop;
+  return new;
+end;
+$$;
+
+drop trigger if exists job_posts_notify_saved_searches on public.job_posts;
+create trigger job_posts_notify_saved_searches
+  after insert on public.job_posts
+  for each row
+  when (new.status = 'open')
+  execute function public.notify_saved_search_matches();
+
+-- digest_contents gains saved_searches: jobs posted since the last digest that
+-- match a search with digest alerts, each job listed once
+create or replace function public.digest_contents(p_user_id uuid, p_since timestamptz)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    -- Unread messages, grouped by conversation
+    'messages', coalesce((
+      select jsonb_agg(row_to_json(m) order by m.latest_at desc)
+      from (
+        select
+          c.id as conversation_id,
+          sender.nickname as sender_nickname,
+          count(*) as unread_count,
+          max(msg.created_at) as latest_at,
+          (array_agg(msg.content order by msg.created_at desc))[1] as latest_content
+        from public.conversations c
+        join public.messages msg on msg.conversation_id = c.id
+        join public.profiles sender on sender.id = msg.sender_id
+        where p_user_id in (c.participant_1_id, c.participant_2_id)
+          and msg.sender_id <> p_user_id
+          and not msg.is_read
+          and msg.deleted_at is null
+        group by c.id, sender.nickname
+      ) m
+    ), '[]'::jsonb),
+    -- Open jobs posted since the last digest that share a skill with a freelancer
+    'jobs', coalesce((
+      select jsonb_agg(row_to_json(j) order by j.created_at desc)
+      from (
+        select jp.id, jp.title, jp.budget, jp.category, jp.skills, jp.created_at
+        from public.job_posts jp
+        join public.profiles me on me.id = p_user_id
+        where me.user_type = 'freelancer'
+          and jp.status = 'open'
+          and jp.created_at > p_since
+          and jp.skills && me.skills
+        order by jp.created_at desc
+        limit 10
+      ) j
+    ), '[]'::jsonb),
+    -- Open jobs posted since the last digest that match a saved search
+    'saved_searches', coalesce((
+      select jsonb_agg(row_to_json(j) order by j.created_at desc)
+      from (
+        select *
+        from (
+          select distinct on (jp.id)
+            jp.id, jp.title, jp.budget, jp.category, jp.created_at, s.name as saved_search_name
+          from public.saved_searches s
+          join public.job_posts jp
+            on jp.created_at > p_since
+            and jp.client_id <> p_user_id
+            and public.job_matches_saved_search(jp, s)
+          where s.user_id = p_user_id
+            and s.notify_digest
+          order by jp.id, s.created_at
+        ) matched
+        order by matched.created_at desc
+        limit 10
+      ) j
+    ), '[]'::jsonb),
+    -- Work waiting for the client's review
+    'approvals', coalesce((
+      select jsonb_agg(row_to_json(a) order by a.title)
+      from (
+        select 'contract' as kind, c.id as contract_id, c.title
+        from public.contracts c
+        where c.client_id = p_user_id and c.status = 'submitted'
+        union all
+        select 'milestone', c.id, c.title || ' - ' || m.title
+        from public.contract_milestones m
+        join public.contracts c on c.id = m.contract_id
+        where c.client_id = p_user_id and m.status = 'submitted'
+        union all
+        select 'timesheet', c.id, c.title
+        from public.contract_timesheets t
+        join public.contracts c on c.id = t.contract_id
+        where c.client_id = p_user_id and t.status = 'submitted'
+      ) a
+    ), '[]'::jsonb),
+    -- Unread notifications the user wants by email
+    'notifications', coalesce((
+      select jsonb_agg(jsonb_build_object('title', n.title, 'body', n.body, 'link', n.link, 'created_at', n.created_at)
+        order by n.created_at desc)
+      from public.notifications n
+      where n.user_id = p_user_id
+        and n.read_at is null
+        and n.created_at > p_since
+        and public.notification_channel_enabled(p_user_id, n.type, 'email')
+    ), '[]'::jsonb)
+  );
+$$;
+
+revoke all on function public.job_matches_saved_search(public.job_posts, public.saved_searches) from public, anon, authenticated;
+revoke all on function public.digest_contents(uuid, timestamptz) from public, anon, authenticated;
+grant execute on function public.digest_contents(uuid, timestamptz) to service_role;
+
+-- updated_at bookkeeping
+create or replace function public.touch_saved_search()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists saved_searches_touch on public.saved_searches;
+create trigger saved_searches_touch
+  before update on public.saved_searches
+  for each row execute function public.touch_saved_search();
+
+-- Row level security: users manage their own saved searches
+alter table public.saved_searches enable row level security;
+
+drop policy if exists "Users can view their saved searches" on public.saved_searches;
+create policy "Users can view their saved searches"
+  on public.saved_searches for select
+  using (user_id = auth.uid());
+
+drop policy if exists "Users can create saved searches" on public.saved_searches;
+create policy "Users can create saved searches"
+  on public.saved_searches for insert
+  with check (user_id = auth.uid());
+
+drop policy if exists "Users can update their saved searches" on public.saved_searches;
+create policy "Users can update their saved searches"
+  on public.saved_searches for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "Users can delete their saved searches" on public.saved_searches;
+create policy "Users can delete their saved searches"
+  on public.saved_searches for delete
+  using (user_id = auth.uid());
+
+-- last_matched_at is only written by the match trigger
+revoke update on public.saved_searches from authenticated;
+grant update (name, query, category, skills, budget_min, budget_max, sort, notify_in_app, notify_digest)
+  on public.saved_searches to authenticated;
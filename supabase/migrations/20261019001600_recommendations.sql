@@ -0,0 +1,232 @@
+-- Job <-> freelancer recommendations
+-- Scores a freelancer against an open job from four signals:
+--   skills    share of the job's skills the freelancer lists (case-insensitive)
+--   category  whether the freelancer has had contracts in the job's category
+--   budget    the job's budget against the freelancer's typical rate (median
+--             of their fixed contracts, or of their service prices, or of
+--             their hourly rates for hourly jobs)
+--   rating    well-rated freelancers (4.5+, 3+ reviews) fit jobs above their
+--             usual budget; clients also see rating as its own signal
+-- Both functions return the reasons alongside the score so the UI can explain
+-- each recommendation ("matches 4 of 5 skills, within your usual budget").
+
+-- What the scoring needs to know about a freelancer
+create or replace function public.freelancer_match_profile(p_freelancer_id uuid)
+returns table (
+  skills text[],
+  categories text[],
+  rating numeric,
+  review_count integer,
+  typical_fixed numeric,
+  typical_hourly numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    coalesce((select array_agg(distinct lower(btrim(s))) from unnest(p.skills) s), '{}'),
+    coalesce((
+      select array_agg(distinct coalesce(jp.category, sp.category))
+      from public.contracts c
+      left join public.job_posts jp on jp.id = c.job_post_id
+      left join public.service_posts sp on sp.id = c.service_post_id
+      where c.freelancer_id = p.id
+        and c.status <> 'cancelled'
+        and coalesce(jp.category, sp.category) is not null
+    ), '{}'),
+    coalesce(p.rating, 0)::numeric,
+    coalesce(p.review_count, 0)::integer,
+    coalesce(
+      (
+        select percentile_cont(0.5) within group (order by c.agreed_amount)
+        from public.contracts c
+        where c.freelancer_id = p.id
+          and c.billing_type = 'fixed'
+          and c.status in ('active', 'submitted', 'completed')
+          and c.agreed_amount > 0
+      ),
+      (
+        select percentile_cont(0.5) within group (order by sp.price)
+        from public.service_posts sp
+        where sp.freelancer_id = p.id and sp.status = 'active' and sp.price > 0
+      )
+    )::numeric,
+    (
+      select percentile_cont(0.5) within group (order by c.hourly_rate)
+      from public.contracts c
+      where c.freelancer_id = p.id
+        and c.billing_type = 'hourly'
+        and c.status in ('active', 'submitted', 'completed')
+        and c.hourly_rate > 0
+    )::numeric
+  from public.profiles p
+  where p.id = p_freelancer_id;
+$$;
+
+-- Score one freelancer profile against one job. base_score (0-0.9) covers
+-- skills (0.5), category (0.2) and budget (0.2); callers add their own last signal.
+create or replace function public.score_job_match(
+  p_skills text[],
+  p_categories text[],
+  p_rating numeric,
+  p_review_count integer,
+  p_typical_fixed numeric,
+  p_typical_hourly numeric,
+  p_job public.job_posts
+)
+returns table (
+  matched_skills text[],
+  total_skills integer,
+  category_match boolean,
+  budget_fit text,
+  base_score numeric
+)
+language sql
+immutable
+as $$
+  with skills as (
+    select
+      coalesce(array_agg(s) filter (where lower(btrim(s)) = any (p_skills)), '{}') as matched,
+      count(*)::integer as total
+    from unnest(coalesce(p_job.skills, '{}')) s
+  ),
+  budget as (
+    select
+      case when p_job.budget_type = 'hourly' then p_typical_hourly else p_typical_fixed end as typical,
+      p_rating >= 4.5 and p_review_count >= 3 as rated_well
+  ),
+  fit as (
+    select
+      case
+        when b.typical is null or b.typical <= 0 or coalesce(p_job.budget, 0) <= 0 then null
+        when p_job.budget < b.typical * 0.75 then 'below'
+        when p_job.budget <= b.typical * 1.5 then 'within'
+        else 'above'
+      end as label,
+      b.typical,
+      b.rated_well
+    from budget b
+  )
+  select
+    sk.matched,
+    sk.total,
+    coalesce(p_job.category = any (p_categories), false),
+    f.label,
+    round((
+      0.5 * case when sk.total = 0 then 0.5 else cardinality(sk.matched)::numeric / sk.total end
+      + 0.2 * case when p_job.category = any (p_categories) then 1 else 0 end
+      + 0.2 * case f.label
+          when 'within' then 1
+          when 'above' then case when f.rated_well then 1 else 0.7 end
+          when 'below' then p_job.budget / (f.typical * 0.75)
+          else 0.5
+        end
+    )::numeric, 4)
+  from skills sk, fit f;
+$$;
+
+-- Open jobs for the signed-in freelancer, best first. Skips their own jobs and
+-- jobs they already applied to; a job needs a skill or category in common.
+-- The last 0.1 of the score favours fresh jobs (falls to 0 over 30 days).
+create or replace function public.recommend_jobs(p_limit integer default 10)
+returns table (
+  job_id uuid,
+  score numeric,
+  matched_skills text[],
+  total_skills integer,
+  category_match boolean,
+  budget_fit text
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with me as (
+    select * from public.freelancer_match_profile(auth.uid())
+  )
+  select
+    j.id,
+    round(m.base_score + 0.1 * greatest(0, 1 - extract(epoch from now() - j.created_at) / (30 * 86400))::numeric, 4) as score,
+    m.matched_skills,
+    m.total_skills,
+    m.category_match,
+    m.budget_fit
+  from me
+  cross join public.job_posts j
+  cross join lateral public.score_job_match(
+    me.skills, me.categories, me.rating, me.review_count, me.typical_fixed, me.typical_hourly, j
+  ) m
+  where j.status = 'open'
+    and j.client_id <> auth.uid()
+    and not exists (
+      select 1 from public.job_applications a
+      where a.job_post_id = j.id and a.freelancer_id = auth.uid()
+    )
+    and (cardinality(m.matched_skills) > 0 or m.category_match)
+  order by score desc, j.created_at desc
+  limit least(greatest(coalesce(p_limit, 10), 1), 50);
+$$;
+
+-- Freelancers to invite to one of the signed-in client's jobs, best first.
+-- Skips freelancers who already applied. The last 0.2 of the score is the
+-- freelancer's rating, discounted until they have 5 reviews.
+create or replace function public.recommend_freelancers(p_job_id uuid, p_limit integer default 10)
+returns table (
+  freelancer_id uuid,
+  score numeric,
+  matched_skills text[],
+  total_skills integer,
+  category_match boolean,
+  budget_fit text
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_job public.job_posts;
+begin
+  select * into v_job from public.job_posts where id = p_job_id;
+
+  if v_job.id is null or v_job.client_id is distinct from auth.uid() then
+    raise exception 'Only the client who posted this job can see recommended freelancers'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return query
+  select
+    p.id,
+    round(m.base_score + 0.2 * (fp.rating / 5) * least(fp.review_count, 5) / 5.0, 4) as score,
+    m.matched_skills,
+    m.total_skills,
+    m.category_match,
+    m.budget_fit
+  from public.profiles p
+  cross join lateral public.freelancer_match_profile(p.id) fp
+  cross join lateral public.score_job_match(
+    fp.skills, fp.categories, fp.rating, fp.review_count, fp.typical_fixed, fp.typical_hourly, v_job
+  ) m
+  where p.user_type = 'freelancer'
+    and p.id <> v_job.client_id
+    and not exists (
+      select 1 from public.job_applications a
+      where a.job_post_id = v_job.id and a.freelancer_id = p.id
+    )
+    and (cardinality(m.matched_skills) > 0 or m.category_match)
+  order by score desc, fp.rating desc, p.id
+  limit least(greatest(coalesce(p_limit, 10), 1), 50);
+end;
+$$;
+
+revoke all on function public.freelancer_match_profile(uuid) from public, anon, authenticated;
+revoke all on function public.score_job_match(text[], text[], numeric, integer, numeric, numeric, public.job_posts)
+  from public, anon, authenticated;
+revoke all on function public.recommend_jobs(integer) from public, anon;
+revoke all on function public.recommend_freelancers(uuid, integer) from public, anon;
+grant execute on function public.recommend_jobs(integer) to authenticated;
+grant execute on function public.recommend_freelancers(uuid, integer) to authenticated;
@@ -0,0 +1,280 @@
+-- Double-blind contract reviews
+-- Once a contract is completed both parties have 14 days to review each other.
+-- A review stays hidden from everyone but its author until the other party has
+-- reviewed too, or the window closes, so neither side can answer a bad review
+-- with one of their own. reveal_at is when a review becomes visible;
+-- revealed_at records that the reveal was processed (notification sent,
+-- profile rating refreshed).
+--
+-- Reviews whose window closes are revealed by process_review_reveals(), meant
+-- to run hourly, e.g. with pg_cron:
+--
+--   select cron.schedule('reveal-reviews', '0 * * * *', 'select public.process_review_reveals()');
+
+alter table public.reviews
+  add column if not exists reveal_at timestamptz,
+  add column if not exists revealed_at timestamptz;
+
+-- Existing reviews were published when written
+update public.reviews
+set reveal_at = created_at, revealed_at = created_at
+where reveal_at is null;
+
+alter table public.reviews alter column reveal_at set not null;
+
+create index if not exists reviews_reviewee_reveal_idx on public.reviews (reviewee_id, reveal_at desc);
+create index if not exists reviews_pending_reveal_idx on public.reviews (reveal_at) where revealed_at is null;
+
+-- End of the review window for a completed contract
+create or replace function public.review_deadline(p_contract public.contracts)
+returns timestamptz
+language sql
+immutable
+as $$
+  select coalesce(p_contract.completed_at, p_contract.created_at) + interval '14 days';
+$$;
+
+-- Recompute a profile's rating and review count from visible reviews only
+create or replace function public.refresh_profile_rating(p_user_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.profiles p
+  set rating = s.rating, review_count = s.review_count
+  from (
+    select coalesce(round(avg(r.rating)::numeric, 2), 0) as rating, count(*)::integer as review_count
+    from public.reviews r
+    where r.reviewee_id = p_user_id and r.reveal_at <= now()
+  ) s
+  where p.id = p_user_id;
+$$;
+
+-- Validates a new review and decides when it becomes visible. The contract row
+-- is locked so two reviews submitted together still see each other.
+create or replace function public.prepare_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_deadline timestamptz;
+begin
+  select * into v_contract from public.contracts where id = new.contract_id for update;
+
+  if v_contract.id is null or v_contract.status <> 'completed' then
+    raise exception 'Only completed contracts can be reviewed';
+  end if;
+
+  if new.reviewer_id = v_contract.client_id then
+    new.reviewee_id := v_contract.freelancer_id;
+  elsif new.reviewer_id = v_contract.freelancer_id then
+    new.reviewee_id := v_contract.client_id;
+  else
+    raise exception 'Only the client and freelancer on this contract can review it'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  if exists (
+    select 1 from public.reviews
+    where contract_id = new.contract_id and reviewer_id = new.reviewer_id
+  ) then
+    raise exception 'You have already reviewed this contract';
+  end if;
+
+  v_deadline := public.review_deadline(v_contract);
+  if now() > v_deadline then
+    raise exception 'The review window for this contract closed on %', to_char(v_deadline, 'Mon DD, YYYY');
+  end if;
+
+  new.created_at := now();
+  new.revealed_at := null;
+  -- Second review: both go public now. First review: wait for the other party.
+  if exists (
+    select 1 from public.reviews
+    where contract_id = new.contract_id and reviewer_id = new.reviewee_id
+  ) then
+    new.reveal_at := now();
+  else
+    new.reveal_at := v_deadline;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists reviews_prepare on public.reviews;
+create trigger reviews_prepare
+  before insert on public.reviews
+  for each row execute function public.prepare_review();
+
+-- Publishes due reviews: notifies each reviewee and refreshes their rating.
+-- Returns how many reviews were revealed.
+create or replace function public.process_review_reveals()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_review record;
+  v_count integer := 0;
+begin
+  for v_review in
+    update public.reviews r
+    set revealed_at = now()
+    where r.revealed_at is null and r.reveal_at <= now()
+    returning r.id, r.contract_id, r.reviewer_id, r.reviewee_id, r.rating
+  loop
+    perform public.create_notification(
+      v_review.reviewee_id,
+      'review_received',
+      'New review',
+      format(
+        '%s left you a %s-star review',
+        coalesce((select nickname from public.profiles where id = v_review.reviewer_id), 'Someone'),
+        v_review.rating
+      ),
+      '/profile/' || v_review.reviewee_id,
+      jsonb_build_object('review_id', v_review.id, 'contract_id', v_review.contract_id)
+    );
+    perform public.refresh_profile_rating(v_review.reviewee_id);
+    v_count := v_count + 1;
+  end loop;
+
+  return v_count;
+end;
+$$;
+
+-- The second review of a contract reveals the first one with it
+create or replace function public.reveal_reviews_on_insert()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.reveal_at <= now() then
+    update public.reviews
+    set reveal_at = new.reveal_at
+    where contract_id = new.contract_id
+      and reviewer_id = new.reviewee_id
+      and reveal_at > new.reveal_at;
+
+    perform public.process_review_reveals();
+  else
+    -- Keep a hidden review out of the reviewee's rating
+    perform public.refresh_profile_rating(new.reviewee_id);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists reviews_reveal on public.reviews;
+create trigger reviews_reveal
+  after insert on public.reviews
+  for each row execute function public.reveal_reviews_on_insert();
+
+-- New hidden review -> the reviewee, without the rating. Revealed reviews are
+-- announced by process_review_reveals().
+create or replace function public.notify_review_received()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_nickname text;
+  v_title text;
+begin
+  if new.reveal_at <= now() then
+    return new;
+  end if;
+
+  select nickname into v_nickname from public.profiles where id = new.reviewer_id;
+  select title into v_title from public.contracts where id = new.contract_id;
+
+  perform public.create_notification(
+    new.reviewee_id,
+    'review_received',
+    'Review waiting for you',
+    format(
+      '%s reviewed you on "%s". Leave your review by %s to see it.',
+      coalesce(v_nickname, 'Someone'),
+      coalesce(v_title, 'your contract'),
+      to_char(new.reveal_at, 'Mon DD')
+    ),
+    '/dashboard',
+    jsonb_build_object('review_id', new.id, 'contract_id', new.contract_id)
+  );
+  return new;
+end;
+$$;
+
+-- Reviews are written once and read by everyone after the reveal
+alter table public.reviews enable row level security;
+
+do $$
+declare
+  v_policy record;
+begin
+  for v_policy in
+    select policyname from pg_policies where schemaname = 'public' and tablename = 'reviews'
+  loop
+    execute format('drop policy %I on public.reviews', v_policy.policyname);
+  end loop;
+end;
+$$;
+
+create policy "Revealed reviews are public"
+  on public.reviews for select
+  using (reveal_at <= now() or reviewer_id = auth.uid() or public.is_admin());
+
+create policy "Contract parties can review each other"
+  on public.reviews for insert
+  with check (reviewer_id = auth.uid());
+
+-- Review progress on the signed-in user's contracts. revealed is true once
+-- both reviews are public or the window has closed; other_submitted never
+-- exposes the other party's rating.
+create or replace function public.contract_review_status(p_contract_ids uuid[])
+returns table (
+  contract_id uuid,
+  deadline timestamptz,
+  my_review_id uuid,
+  my_rating integer,
+  my_reviewed_at timestamptz,
+  other_submitted boolean,
+  revealed boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    c.id,
+    public.review_deadline(c),
+    mine.id,
+    mine.rating::integer,
+    mine.created_at,
+    theirs.id is not null,
+    coalesce(mine.reveal_at <= now(), false) or now() > public.review_deadline(c)
+  from public.contracts c
+  left join public.reviews mine
+    on mine.contract_id = c.id and mine.reviewer_id = auth.uid()
+  left join public.reviews theirs
+    on theirs.contract_id = c.id and theirs.reviewer_id <> auth.uid()
+  where c.id = any (p_contract_ids)
+    and c.status = 'completed'
+    and auth.uid() in (c.client_id, c.freelancer_id);
+$$;
+
+revoke all on function public.review_deadline(public.contracts) from public, anon, authenticated;
+revoke all on function public.refresh_profile_rating(uuid) from public, anon, authenticated;
+revoke all on function public.process_review_reveals() from public, anon, authenticated;
+revoke all on function public.contract_review_status(uuid[]) from public, anon;
+grant execute on function public.contract_review_status(uuid[]) to authenticated;
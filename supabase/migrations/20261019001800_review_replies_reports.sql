@@ -0,0 +1,154 @@
+-- Review replies and moderation
+-- The reviewee can post one public reply under each published review. Anyone
+-- signed in (other than the author) can report a review; reports queue up for
+-- admins, who either dismiss them or hide the review with a recorded reason.
+-- Hidden reviews drop out of profiles and ratings but are kept for the record.
+
+alter table public.reviews
+  add column if not exists reply text check (reply is null or length(trim(reply)) between 1 and 1000),
+  add column if not exists replied_at timestamptz,
+  add column if not exists hidden_at timestamptz,
+  add column if not exists hidden_by uuid references public.profiles(id),
+  add column if not exists hidden_reason text;
+
+create table if not exists public.review_reports (
+  id uuid primary key default gen_random_uuid(),
+  review_id uuid not null references public.reviews(id) on delete cascade,
+  reporter_id uuid not null references public.profiles(id) on delete cascade,
+  reason text not null check (reason in ('abusive', 'spam', 'false_claims', 'personal_info', 'other')),
+  details text check (details is null or length(details) <= 1000),
+  status text not null default 'open' check (status in ('open', 'dismissed', 'actioned')),
+  resolved_by uuid references public.profiles(id),
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (review_id, reporter_id)
+);
+
+create index if not exists review_reports_open_idx on public.review_reports (created_at) where status = 'open';
+
+-- Ratings only count published, unhidden reviews
+create or replace function public.refresh_profile_rating(p_user_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.profiles p
+  set rating = s.rating, review_count = s.review_count
+  from (
+    select coalesce(round(avg(r.rating)::numeric, 2), 0) as rating, count(*)::integer as review_count
+    from public.reviews r
+    where r.reviewee_id = p_user_id and r.reveal_at <= now() and r.hidden_at is null
+  ) s
+  where p.id = p_user_id;
+$$;
+
+drop policy if exists "Revealed reviews are public" on public.reviews;
+create policy "Revealed reviews are public"
+  on public.reviews for select
+  using (
+    (reveal_at <= now() and hidden_at is null)
+    or reviewer_id = auth.uid()
+    or public.is_admin()
+  );
+
+-- The reviewee's one public reply
+create or replace function public.reply_to_review(p_review_id uuid, p_reply text)
+returns public.reviews
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_review public.reviews;
+begin
+  select * into v_review from public.reviews where id = p_review_id for update;
+
+  if v_review.id is null or v_review.reviewee_id is distinct from auth.uid() then
+    raise exception 'Only the person reviewed can reply' using errcode = 'insufficient_privilege';
+  end if;
+  if v_review.reveal_at > now() or v_review.hidden_at is not null then
+    raise exception 'This review is not published';
+  end if;
+  if v_review.reply is not null then
+    raise exception 'You have already replied to this review';
+  end if;
+  if length(trim(coalesce(p_reply, ''))) = 0 then
+    raise exception 'Reply cannot be empty';
+  end if;
+
+  update public.reviews
+  set reply = trim(p_reply), replied_at = now()
+  where id = p_review_id
+  returning * into v_review;
+
+  return v_review;
+end;
+$$;
+
+-- Admin decision on a reported review: 'hide' it (reason required) or
+-- 'dismiss' its open reports
+create or replace function public.moderate_review(p_review_id uuid, p_action text, p_reason text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_review public.reviews;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can moderate reviews' using errcode = 'insufficient_privilege';
+  end if;
+
+  select * into v_review from public.reviews where id = p_review_id for update;
+  if v_review.id is null then
+    raise exception 'Review not found';
+  end if;
+
+  if p_action = 'hide' then
+    if length(trim(coalesce(p_reason, ''))) = 0 then
+      raise exception 'A reason is required to hide a review';
+    end if;
+
+    update public.reviews
+    set hidden_at = now(), hidden_by = auth.uid(), hidden_reason = trim(p_reason)
+    where id = p_review_id;
+
+    perform public.refresh_profile_rating(v_review.reviewee_id);
+  elsif p_action <> 'dismiss' then
+    raise exception 'Unknown moderation action: %', p_action;
+  end if;
+
+  update public.review_reports
+  set status = case when p_action = 'hide' then 'actioned' else 'dismissed' end,
+      resolved_by = auth.uid(),
+      resolved_at = now()
+  where review_id = p_review_id and status = 'open';
+end;
+$$;
+
+alter table public.review_reports enable row level security;
+
+create policy "Reporters and admins can view review reports"
+  on public.review_reports for select
+  using (reporter_id = auth.uid() or public.is_admin());
+
+create policy "Users can report published reviews"
+  on public.review_reports for insert
+  with check (
+    reporter_id = auth.uid()
+    and status = 'open'
+    and exists (
+      select 1 from public.reviews r
+      where r.id = review_id
+        and r.reviewer_id <> auth.uid()
+        and r.reveal_at <= now()
+        and r.hidden_at is null
+    )
+  );
+
+revoke all on function public.reply_to_review(uuid, text) from public, anon;
+revoke all on function public.moderate_review(uuid, text, text) from public, anon;
+grant execute on function public.reply_to_review(uuid, text) to authenticated;
+grant execute on function public.moderate_review(uuid, text, text) to authenticated;
@@ -0,0 +1,386 @@
+-- Multi-criteria reviews and Bayesian scores
+-- Reviews rate communication, quality, timeliness and value alongside the
+-- overall stars. Profiles keep the plain average in rating and gain:
+--   rating_score              overall stars shrunk towards the platform mean,
+--                             (10 * mean + sum) / (10 + n),
+--                             so one 5-star review no longer beats 200 at 4.9
+--   rating_<criterion>        per-criterion averages (reviews written before
+--                             criteria existed don't count)
+-- service_posts.freelancer_score copies the freelancer's rating_score so the
+-- Freelancers listing can sort and page by it.
+--
+-- The platform mean drifts as reviews come in; refresh every profile daily:
+--
+--   select cron.schedule('refresh-ratings', '30 3 * * *', 'select public.refresh_all_profile_ratings()');
+
+alter table public.reviews
+  add column if not exists communication_rating smallint check (communication_rating between 1 and 5),
+  add column if not exists quality_rating smallint check (quality_rating between 1 and 5),
+  add column if not exists timeliness_rating smallint check (timeliness_rating between 1 and 5),
+  add column if not exists value_rating smallint check (value_rating between 1 and 5);
+
+alter table public.profiles
+  add column if not exists rating_score numeric(4, 2) not null default 0,
+  add column if not exists rating_communication numeric(4, 2),
+  add column if not exists rating_quality numeric(4, 2),
+  add column if not exists rating_timeliness numeric(4, 2),
+  add column if not exists rating_value numeric(4, 2);
+
+alter table public.service_posts
+  add column if not exists freelancer_score numeric(4, 2) not null default 0;
+
+create index if not exists service_posts_freelancer_score_idx on public.service_posts (freelancer_score desc, id desc);
+
+-- Prior for the Bayesian score: the mean of all published reviews
+create or replace function public.rating_prior_mean()
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(avg(rating)::numeric, 4)
+  from public.reviews
+  where reveal_at <= now() and hidden_at is null;
+$$;
+
+drop function if exists public.refresh_profile_rating(uuid);
+
+-- Recompute a profile's averages and score from published reviews, and copy
+-- the score onto their services. The prior counts as 10 reviews.
+create or replace function public.refresh_profile_rating(p_user_id uuid, p_prior_mean numeric default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_mean numeric := coalesce(p_prior_mean, public.rating_prior_mean());
+  v_weight constant integer := 10;
+begin
+  update public.profiles p
+  set rating = s.rating,
+      review_count = s.review_count,
+      rating_score = round((v_weight * v_mean + s.rating_sum) / (v_weight + s.review_count), 2),
+      rating_communication = s.communication,
+      rating_quality = s.quality,
+      rating_timeliness = s.timeliness,
+      rating_value = s.value
+  from (
+    select
+      coalesce(round(avg(r.rating)::numeric, 2), 0) as rating,
+      count(*)::integer as review_count,
+      coalesce(sum(r.rating), 0)::numeric as rating_sum,
+      round(avg(r.communication_rating)::numeric, 2) as communication,
+      round(avg(r.quality_rating)::numeric, 2) as quality,
+      round(avg(r.timeliness_rating)::numeric, 2) as timeliness,
+      round(avg(r.value_rating)::numeric, 2) as value
+    from public.reviews r
+    where r.reviewee_id = p_user_id and r.reveal_at <= now() and r.hidden_at is null
+  ) s
+  where p.id = p_user_id;
+
+  update public.service_posts sp
+  set freelancer_score = p.rating_score
+  from public.profiles p
+  where p.id = p_user_id
+    and sp.freelancer_id = p.id
+    and sp.freelancer_score is distinct from p.rating_score;
+end;
+$$;
+
+-- Every profile against the current platform mean. Returns how many were refreshed.
+create or replace function public.refresh_all_profile_ratings()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_mean numeric := public.rating_prior_mean();
+  v_user_id uuid;
+  v_count integer := 0;
+begin
+  for v_user_id in
+    select id from public.profiles
+  loop
+    perform public.refresh_profile_rating(v_user_id, v_mean);
+    v_count := v_count + 1;
+  end loop;
+  return v_count;
+end;
+$$;
+
+-- New services start with their freelancer's score
+create or replace function public.set_service_freelancer_score()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.freelancer_score := coalesce((select rating_score from public.profiles where id = new.freelancer_id), 0);
+  return new;
+end;
+$$;
+
+drop trigger if exists service_posts_freelancer_score on public.service_posts;
+create trigger service_posts_freelancer_score
+  before insert or update of freelancer_id on public.service_posts
+  for each row execute function public.set_service_freelancer_score();
+
+-- Same checks as before, and new reviews must rate every criterion
+create or replace function public.prepare_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_deadline timestamptz;
+begin
+  select * into v_contract from public.contracts where id = new.contract_id for update;
+
+  if v_contract.id is null or v_contract.status <> 'completed' then
+    raise exception 'Only completed contracts can be reviewed';
+  end if;
+
+  if new.reviewer_id = v_contract.client_id then
+    new.reviewee_id := v_contract.freelancer_id;
+  elsif new.reviewer_id = v_contract.freelancer_id then
+    new.reviewee_id := v_contract.client_id;
+  else
+    raise exception 'Only the client and freelancer on this contract can review it'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  if new.communication_rating is null or new.quality_rating is null
+    or new.timeliness_rating is null or new.value_rating is null then
+    raise exception 'Rate communication, quality, timeliness and value';
+  end if;
+
+  if exists (
+    select 1 from public.reviews
+    where contract_id = new.contract_id and reviewer_id = new.reviewer_id
+  ) then
+    raise exception 'You have already reviewed this contract';
+  end if;
+
+  v_deadline := public.review_deadline(v_contract);
+  if now() > v_deadline then
+    raise exception 'The review window for this contract closed on %', to_char(v_deadline, 'Mon DD, YYYY');
+  end if;
+
+  new.created_at := now();
+  new.revealed_at := null;
+  new.hidden_at := null;
+  new.reply := null;
+  -- Second review: both go public now. First review: wait for the other party.
+  if exists (
+    select 1 from public.reviews
+    where contract_id = new.contract_id and reviewer_id = new.reviewee_id
+  ) then
+    new.reveal_at := now();
+  else
+    new.reveal_at := v_deadline;
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Recommendations weigh freelancers by their Bayesian score
+create or replace function public.freelancer_match_profile(p_freelancer_id uuid)
+returns table (
+  skills text[],
+  categories text[],
+  rating numeric,
+  review_count integer,
+  typical_fixed numeric,
+  typical_hourly numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    coalesce((select array_agg(distinct lower(btrim(s))) from unnest(p.skills) s), '{}'),
+    coalesce((
+      select array_agg(distinct coalesce(jp.category, sp.category))
+      from public.contracts c
+      left join public.job_posts jp on jp.id = c.job_post_id
+      left join public.service_posts sp on sp.id = c.service_post_id
+      where c.freelancer_id = p.id
+        and c.status <> 'cancelled'
+        and coalesce(jp.category, sp.category) is not null
+    ), '{}'),
+    coalesce(p.rating_score, 0)::numeric,
+    coalesce(p.review_count, 0)::integer,
+    coalesce(
+      (
+        select percentile_cont(0.5) within group (order by c.agreed_amount)
+        from public.contracts c
+        where c.freelancer_id = p.id
+          and c.billing_type = 'fixed'
+          and c.status in ('active', 'submitted', 'completed')
+          and c.agreed_amount > 0
+      ),
+      (
+        select percentile_cont(0.5) within group (order by sp.price)
+        from public.service_posts sp
+        where sp.freelancer_id = p.id and sp.status = 'active' and sp.price > 0
+      )
+    )::numeric,
+    (
+      select percentile_cont(0.5) within group (order by c.hourly_rate)
+      from public.contracts c
+      where c.freelancer_id = p.id
+        and c.billing_type = 'hourly'
+        and c.status in ('active', 'submitted', 'completed')
+        and c.hourly_rate > 0
+    )::numeric
+  from public.profiles p
+  where p.id = p_freelancer_id;
+$$;
+
+-- The last 0.2 of the score is the freelancer's Bayesian score, which already
+-- discounts profiles with few reviews
+create or replace function public.recommend_freelancers(p_job_id uuid, p_limit integer default 10)
+returns table (
+  freelancer_id uuid,
+  score numeric,
+  matched_skills text[],
+  total_skills integer,
+  category_match boolean,
+  budget_fit text
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_job public.job_posts;
+begin
+  select * into v_job from public.job_posts where id = p_job_id;
+
+  if v_job.id is null or v_job.client_id is distinct from auth.uid() then
+    raise exception 'Only the client who posted this job can see recommended freelancers'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return query
+  select
+    p.id,
+    round(m.base_score + 0.2 * fp.rating / 5, 4) as score,
+    m.matched_skills,
+    m.total_skills,
+    m.category_match,
+    m.budget_fit
+  from public.profiles p
+  cross join lateral public.freelancer_match_profile(p.id) fp
+  cross join lateral public.score_job_match(
+    fp.skills, fp.categories, fp.rating, fp.review_count, fp.typical_fixed, fp.typical_hourly, v_job
+  ) m
+  where p.user_type = 'freelancer'
+    and p.id <> v_job.client_id
+    and not exists (
+      select 1 from public.job_applications a
+      where a.job_post_id = v_job.id and a.freelancer_id = p.id
+    )
+    and (cardinality(m.matched_skills) > 0 or m.category_match)
+  order by score desc, fp.rating desc, p.id
+  limit least(greatest(coalesce(p_limit, 10), 1), 50);
+end;
+$$;
+
+-- Service search can sort by the freelancer's score
+create or replace function public.search_services(
+  p_query text,
+  p_status text default 'active',
+  p_category text default null,
+  p_skills text[] default null,
+  p_price_min numeric default null,
+  p_price_max numeric default null,
+  p_sort text default 'relevance',
+  p_ascending boolean default false,
+  p_after_value double precision default null,
+  p_after_id uuid default null,
+  p_limit integer default 20
+)
+returns table (id uuid, rank real, sort_value double precision, title_highlight text, snippet text, total_count bigint)
+language plpgsql
+stable
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_query tsquery := public.search_query(p_query);
+  v_missing double precision := case when p_ascending then 'infinity' else '-infinity' end;
+begin
+  if coalesce(p_sort, 'relevance') not in ('relevance', 'created_at', 'price', 'freelancer_score') then
+    raise exception 'Cannot sort services by %', p_sort using errcode = 'invalid_parameter_value';
+  end if;
+  if v_query is null then
+    return;
+  end if;
+
+  return query
+  with matches as (
+    select
+      s.id,
+      s.title,
+      s.description,
+      ts_rank(public.search_document(s.title, s.skills, s.description), v_query) as rank,
+      coalesce(case coalesce(p_sort, 'relevance')
+        when 'relevance' then ts_rank(public.search_document(s.title, s.skills, s.description), v_query)::double precision
+        when 'created_at' then extract(epoch from s.created_at)::double precision
+        when 'price' then s.price::double precision
+        when 'freelancer_score' then s.freelancer_score::double precision
+      end, v_missing) as sort_value
+    from public.service_posts s
+    where public.search_document(s.title, s.skills, s.description) @@ v_query
+      and s.status = coalesce(p_status, 'active')
+      and (p_category is null or s.category = p_category)
+      and (p_skills is null or s.skills && p_skills)
+      and (p_price_min is null or s.price >= p_price_min)
+      and (p_price_max is null or s.price <= p_price_max)
+  ),
+  page as (
+    select m.*
+    from matches m
+    where p_after_id is null
+      or (p_ascending and (m.sort_value, m.id) > (p_after_value, p_after_id))
+      or (not p_ascending and (m.sort_value, m.id) < (p_after_value, p_after_id))
+    order by
+      case when p_ascending then m.sort_value end asc,
+      case when p_ascending then m.id end asc,
+      case when not p_ascending then m.sort_value end desc,
+      case when not p_ascending then m.id end desc
+    limit least(greatest(coalesce(p_limit, 20), 1), 100)
+  )
+  select
+    p.id,
+    p.rank,
+    p.sort_value,
+    ts_headline('english', p.title, v_query, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', coalesce(p.description, ''), v_query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'),
+    (select count(*) from matches)
+  from page p
+  order by
+    case when p_ascending then p.sort_value end asc,
+    case when p_ascending then p.id end asc,
+    case when not p_ascending then p.sort_value end desc,
+    case when not p_ascending then p.id end desc;
+end;
+$$;
+
+revoke all on function public.rating_prior_mean() from public, anon, authenticated;
+revoke all on function public.refresh_profile_rating(uuid, numeric) from public, anon, authenticated;
+revoke all on function public.refresh_all_profile_ratings() from public, anon, authenticated;
+
+select public.refresh_all_profile_ratings();
@@ -0,0 +1,145 @@
+-- Freelancer portfolios
+-- Each portfolio item is a case study: title, description, images, external
+-- links, tech tags and optionally the completed PumpWork contract it came
+-- from. Items are ordered by position, which the owner sets by dragging.
+-- Images go to the public `portfolio-images` bucket under
+-- <freelancer id>/<item folder>/<file name>; image_paths keeps them in
+-- display order with the cover first.
+
+create table if not exists public.portfolio_items (
+  id uuid primary key default gen_random_uuid(),
+  freelancer_id uuid not null references public.profiles(id) on delete cascade,
+  title text not null check (length(trim(title)) between 1 and 120),
+  description text check (description is null or length(description) <= 5000),
+  image_paths text[] not null default '{}' check (cardinality(image_paths) <= 10),
+  links text[] not null default '{}' check (cardinality(links) <= 5),
+  tags text[] not null default '{}' check (cardinality(tags) <= 15),
+  contract_id uuid references public.contracts(id) on delete set null,
+  position integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists portfolio_items_freelancer_idx on public.portfolio_items (freelancer_id, position);
+
+-- Links must be http(s), images must sit in the owner's folder, and a linked
+-- contract must be one the owner completed as the freelancer
+create or replace function public.validate_portfolio_item()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (select 1 from unnest(new.links) link where link !~* '^https?://\S+$') then
+    raise exception 'Portfolio links must start with http:// or https://' using errcode = 'check_violation';
+  end if;
+
+  if exists (select 1 from unnest(new.image_paths) path where split_part(path, '/', 1) <> new.freelancer_id::text) then
+    raise exception 'Portfolio images must be uploaded to your own folder' using errcode = 'check_violation';
+  end if;
+
+  if new.contract_id is not null
+    and (tg_op = 'INSERT' or new.contract_id is distinct from old.contract_id)
+    and not exists (
+      select 1 from public.contracts
+      where id = new.contract_id and freelancer_id = new.freelancer_id and status = 'completed'
+    ) then
+    raise exception 'Only contracts you completed can be linked' using errcode = 'check_violation';
+  end if;
+
+  new.tags := coalesce((select array_agg(distinct btrim(t)) from unnest(new.tags) t where btrim(t) <> ''), '{}');
+
+  -- New items go to the end of the portfolio
+  if tg_op = 'INSERT' then
+    new.position := coalesce((select max(position) + 1 from public.portfolio_items where freelancer_id = new.freelancer_id), 0);
+  end if;
+
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists portfolio_items_validate on public.portfolio_items;
+create trigger portfolio_items_validate
+  before insert or update on public.portfolio_items
+  for each row execute function public.validate_portfolio_item();
+
+-- Save a new order for the signed-in freelancer's items (ids in display order)
+create or replace function public.reorder_portfolio_items(p_item_ids uuid[])
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (
+    select 1 from unnest(p_item_ids) item_id
+    where not exists (
+      select 1 from public.portfolio_items where id = item_id and freelancer_id = auth.uid()
+    )
+  ) then
+    raise exception 'You can only reorder your own portfolio' using errcode = 'insufficient_privilege';
+  end if;
+
+  update public.portfolio_items p
+  set position = o.ordinality - 1
+  from unnest(p_item_ids) with ordinality o(item_id, ordinality)
+  where p.id = o.item_id;
+end;
+$$;
+
+revoke all on function public.reorder_portfolio_items(uuid[]) from public, anon;
+grant execute on function public.reorder_portfolio_items(uuid[]) to authenticated;
+
+-- Row level security: portfolios are public, freelancers manage their own
+alter table public.portfolio_items enable row level security;
+
+drop policy if exists "Anyone can view portfolios" on public.portfolio_items;
+create policy "Anyone can view portfolios"
+  on public.portfolio_items for select
+  using (true);
+
+drop policy if exists "Freelancers can add portfolio items" on public.portfolio_items;
+create policy "Freelancers can add portfolio items"
+  on public.portfolio_items for insert
+  with check (freelancer_id = auth.uid());
+
+drop policy if exists "Freelancers can update their portfolio items" on public.portfolio_items;
+create policy "Freelancers can update their portfolio items"
+  on public.portfolio_items for update
+  using (freelancer_id = auth.uid())
+  with check (freelancer_id = auth.uid());
+
+drop policy if exists "Freelancers can delete their portfolio items" on public.portfolio_items;
+create policy "Freelancers can delete their portfolio items"
+  on public.portfolio_items for delete
+  using (freelancer_id = auth.uid());
+
+-- Storage: public bucket, images only
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'portfolio-images',
+  'portfolio-images',
+  true,
+  10485760,
+  array['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+)
+on conflict (id) do update
+  set public = true,
+      file_size_limit = excluded.file_size_limit,
+      allowed_mime_types = excluded.allowed_mime_types;
+
+drop policy if exists "Users can upload portfolio images" on storage.objects;
+create policy "Users can upload portfolio images"
+  on storage.objects for insert
+  with check (
+    bucket_id = 'portfolio-images' and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+drop policy if exists "Users can delete their portfolio images" on storage.objects;
+create policy "Users can delete their portfolio images"
+  on storage.objects for delete
+  using (
+    bucket_id = 'portfolio-images' and (storage.foldername(name))[1] = auth.uid()::text
+  );
@@ -0,0 +1,214 @@
+-- Server-side token gate
+-- Client and freelancer rights depend on how many PumpWork tokens a user holds.
+-- The browser used to decide that alone; now the verify-token-balance Edge
+-- Function reads SPL balances from an RPC node and stores them here as
+-- timestamped snapshots, and RLS checks effective_role() before anyone can
+-- post a job, list a service or apply to a job.
+--
+-- effective_role() mirrors the thresholds in AuthContext:
+--   client      1,000 tokens
+--   freelancer  10,000 tokens (a freelancer below that but above 1,000 acts
+--               as a client)
+-- Only a wallet signed for counts: profiles.wallet_verified_at is set when
+-- the service role (siws-verify, after checking the SIWS signature) sets
+-- wallet_address, and cleared whenever a user changes it or a profile is
+-- created with one (sign-up data is whatever the caller sent). A wallet an
+-- email account connects in the browser is stored but counts for nothing.
+--
+-- Balances count only while their snapshot is less than a day old, so the
+-- verifier must run well within that, e.g. every 15 minutes:
+--
+--   select cron.schedule('verify-token-balances', '*/15 * * * *', $$
+--     select net.http_post(
+--       url := '<project url>/functions/v1/verify-token-balance',
+--       headers := jsonb_build_object('Authorization', 'Bearer <service role key>')
+--     )
+--   $$);
+--
+-- Snapshots older than 30 days are pruned daily:
+--
+--   select cron.schedule('prune-token-snapshots', '15 4 * * *', 'select public.prune_token_balance_snapshots()');
+
+create table if not exists public.token_balance_snapshots (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  wallet_address text not null,
+  balance numeric not null check (balance >= 0),
+  slot bigint,
+  checked_at timestamptz not null default now()
+);
+
+create index if not exists token_balance_snapshots_wallet_idx
+  on public.token_balance_snapshots (profile_id, wallet_address, checked_at desc);
+create index if not exists token_balance_snapshots_checked_idx
+  on public.token_balance_snapshots (checked_at);
+
+-- Tokens needed for each role
+create or replace function public.token_threshold(p_role text)
+returns numeric
+language sql
+immutable
+as $$
+  select case p_role
+    when 'client' then 1000
+    when 'freelancer' then 10000
+    when 'boosted' then 50000
+  end::numeric;
+$$;
+
+alter table public.profiles
+  add column if not exists wallet_verified_at timestamptz;
+
+-- Wallets of accounts siws-verify registered were signed for
+update public.profiles p
+set wallet_verified_at = now()
+from auth.users u
+where u.id = p.id
+  and p.wallet_address is not null
+  and p.wallet_verified_at is null
+  and u.email like '%@wallet.pumpwork.invalid'
+  and u.raw_user_meta_data->>'wallet_address' = p.wallet_address;
+
+create or replace function public.guard_profile_wallet_verification()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.wallet_verified_at := null;
+  elsif auth.uid() is not null then
+    new.wallet_verified_at := case
+      when new.wallet_address is not distinct from old.wallet_address then old.wallet_verified_at
+    end;
+  else
+    new.wallet_verified_at := case when new.wallet_address is not null then now() end;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_wallet_verification_guard on public.profiles;
+create trigger profiles_wallet_verification_guard
+  before insert or update of wallet_address, wallet_verified_at on public.profiles
+  for each row execute function public.guard_profile_wallet_verification();
+
+-- Latest balance of the user's signed-for wallet, or null without a snapshot
+-- from the last day
+create or replace function public.verified_token_balance(p_user_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select s.balance
+  from public.profiles p
+  join lateral (
+    select balance, checked_at
+    from public.token_balance_snapshots
+    where profile_id = p.id and wallet_address = p.wallet_address
+    order by checked_at desc
+    limit 1
+  ) s on true
+  where p.id = p_user_id
+    and p.wallet_verified_at is not null
+    and s.checked_at > now() - interval '1 day';
+$$;
+
+-- The role the user's verified balance allows: 'admin', 'freelancer', 'client' or null
+create or replace function public.effective_role(p_user_id uuid default auth.uid())
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when p.user_type = 'admin' then 'admin'
+    when p.user_type = 'freelancer' and b.balance >= public.token_threshold('freelancer') then 'freelancer'
+    when p.user_type in ('freelancer', 'client') and b.balance >= public.token_threshold('client') then 'client'
+  end
+  from public.profiles p
+  cross join lateral (select public.verified_token_balance(p.id) as balance) b
+  where p.id = p_user_id;
+$$;
+
+revoke all on function public.verified_token_balance(uuid) from public, anon;
+grant execute on function public.verified_token_balance(uuid) to authenticated, service_role;
+revoke all on function public.effective_role(uuid) from public, anon;
+grant execute on function public.effective_role(uuid) to authenticated, service_role;
+
+-- profiles.token_balance is display only; keep it on the latest snapshot
+create or replace function public.sync_profile_token_balance()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.profiles
+  set token_balance = new.balance
+  where id = new.profile_id and wallet_address = new.wallet_address;
+  return new;
+end;
+$$;
+
+drop trigger if exists token_balance_snapshots_sync on public.token_balance_snapshots;
+create trigger token_balance_snapshots_sync
+  after insert on public.token_balance_snapshots
+  for each row execute function public.sync_profile_token_balance();
+
+create or replace function public.prune_token_balance_snapshots()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_deleted integer;
+begin
+  delete from public.token_balance_snapshots
+  where checked_at < now() - interval '30 days';
+
+  get diagnostics v_deleted = row_count;
+  return v_deleted;
+end;
+$$;
+
+revoke all on function public.prune_token_balance_snapshots() from public, anon, authenticated;
+
+-- Row level security: users see their own snapshots; only the verifier
+-- (service role) writes them
+alter table public.token_balance_snapshots enable row level security;
+
+drop policy if exists "Users can view their token snapshots" on public.token_balance_snapshots;
+create policy "Users can view their token snapshots"
+  on public.token_balance_snapshots for select
+  using (profile_id = auth.uid() or public.is_admin());
+
+-- Restrictive policies apply on top of the existing ones: posting and applying
+-- need the verified role, while closing or deleting a listing never does
+drop policy if exists "Posting jobs requires the client token gate" on public.job_posts;
+create policy "Posting jobs requires the client token gate"
+  on public.job_posts as restrictive for insert
+  with check (public.effective_role() in ('client', 'admin'));
+
+drop policy if exists "Open jobs require the client token gate" on public.job_posts;
+create policy "Open jobs require the client token gate"
+  on public.job_posts as restrictive for update
+  with check (status <> 'open' or public.effective_role() in ('client', 'admin'));
+
+drop policy if exists "Listing services requires the freelancer token gate" on public.service_posts;
+create policy "Listing services requires the freelancer token gate"
+  on public.service_posts as restrictive for insert
+  with check (public.effective_role() in ('freelancer', 'admin'));
+
+drop policy if exists "Active services require the freelancer token gate" on public.service_posts;
+create policy "Active services require the freelancer token gate"
+  on public.service_posts as restrictive for update
+  with check (status <> 'active' or public.effective_role() in ('freelancer', 'admin'));
+
+drop policy if exists "Applying requires the freelancer token gate" on public.job_applications;
+create policy "Applying requires the freelancer token gate"
+  on public.job_applications as restrictive for insert
+  with check (public.effective_role() in ('freelancer', 'admin'));
@@ -0,0 +1,157 @@
+-- Admin-configurable token gate
+-- The gate token and its tiers used to be constants in the app and in
+-- token_threshold(). They now live in two tables that admins edit from the
+-- dev dashboard, and changes apply as soon as they are saved:
+--   token_settings  one row: the gate token's mint and decimals
+--   token_tiers     named tiers, each with a threshold and perks. grants_role
+--                   marks the tiers that unlock the client or freelancer role
+--                   (the lowest such threshold counts); other tiers such as
+--                   'boosted' are perks only.
+-- Snapshots now record their mint, so switching the mint ignores balances
+-- of the old token until the verifier has re-read every wallet.
+
+create table if not exists public.token_settings (
+  id boolean primary key default true check (id),
+  mint text not null check (mint ~ '^[1-9A-HJ-NP-Za-km-z]{32,44}$'),
+  decimals smallint not null default 6 check (decimals between 0 and 18),
+  updated_at timestamptz not null default now(),
+  updated_by uuid references public.profiles(id) on delete set null
+);
+
+insert into public.token_settings (id, mint, decimals)
+values (true, '8LSpERCFafc1qfxrHVj4QaZ9k1jgNuUNAfVMJ9gApump', 6)
+on conflict (id) do nothing;
+
+create table if not exists public.token_tiers (
+  id uuid primary key default gen_random_uuid(),
+  key text not null unique check (key ~ '^[a-z][a-z0-9_]{1,31}$'),
+  name text not null check (length(trim(name)) between 1 and 40),
+  threshold numeric not null check (threshold >= 0),
+  perks text[] not null default '{}' check (cardinality(perks) <= 10),
+  grants_role text check (grants_role in ('client', 'freelancer')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  updated_by uuid references public.profiles(id) on delete set null
+);
+
+insert into public.token_tiers (key, name, threshold, perks, grants_role)
+values
+  ('client', 'Client', 1000, array['Post jobs and hire freelancers'], 'client'),
+  ('freelancer', 'Freelancer', 10000, array['List services and apply to jobs'], 'freelancer'),
+  ('boosted', 'Boosted Freelancer', 50000, array['Enhanced visibility', 'Priority placement'], null),
+  ('dev_access', 'Dev Access', 100000, array['Dev Access badge on your profile'], null)
+on conflict (key) do nothing;
+
+create or replace function public.touch_token_config()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  new.updated_by := auth.uid();
+  return new;
+end;
+$$;
+
+drop trigger if exists token_settings_touch on public.token_settings;
+create trigger token_settings_touch
+  before update on public.token_settings
+  for each row execute function public.touch_token_config();
+
+drop trigger if exists token_tiers_touch on public.token_tiers;
+create trigger token_tiers_touch
+  before insert or update on public.token_tiers
+  for each row execute function public.touch_token_config();
+
+-- Without a tier for each role nobody could be a client or freelancer
+create or replace function public.check_role_tiers()
+returns trigger
+language plpgsql
+as $$
+begin
+  if not exists (select 1 from public.token_tiers where grants_role = 'client')
+    or not exists (select 1 from public.token_tiers where grants_role = 'freelancer') then
+    raise exception 'Keep at least one tier that grants the client role and one that grants the freelancer role'
+      using errcode = 'check_violation';
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists token_tiers_check_roles on public.token_tiers;
+create trigger token_tiers_check_roles
+  after update or delete on public.token_tiers
+  for each statement execute function public.check_role_tiers();
+
+-- Tokens needed for a role (lowest tier granting it) or for a tier by key
+create or replace function public.token_threshold(p_role text)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select min(threshold) from public.token_tiers where grants_role = p_role or key = p_role;
+$$;
+
+alter table public.token_balance_snapshots
+  add column if not exists mint text;
+
+update public.token_balance_snapshots
+set mint = (select mint from public.token_settings)
+where mint is null;
+
+alter table public.token_balance_snapshots alter column mint set not null;
+
+-- Only snapshots of the current gate token count
+create or replace function public.verified_token_balance(p_user_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select s.balance
+  from public.profiles p
+  join lateral (
+    select balance, checked_at
+    from public.token_balance_snapshots
+    where profile_id = p.id
+      and wallet_address = p.wallet_address
+      and mint = (select mint from public.token_settings)
+    order by checked_at desc
+    limit 1
+  ) s on true
+  where p.id = p_user_id
+    and p.wallet_verified_at is not null
+    and s.checked_at > now() - interval '1 day';
+$$;
+
+-- Row level security: everyone reads the config, admins change it
+alter table public.token_settings enable row level security;
+alter table public.token_tiers enable row level security;
+
+drop policy if exists "Anyone can view token settings" on public.token_settings;
+create policy "Anyone can view token settings"
+  on public.token_settings for select
+  using (true);
+
+drop policy if exists "Admins can update token settings" on public.token_settings;
+create policy "Admins can update token settings"
+  on public.token_settings for update
+  using (public.is_admin())
+  with check (public.is_admin());
+
+drop policy if exists "Anyone can view token tiers" on public.token_tiers;
+create policy "Anyone can view token tiers"
+  on public.token_tiers for select
+  using (true);
+
+drop policy if exists "Admins can manage token tiers" on public.token_tiers;
+create policy "Admins can manage token tiers"
+  on public.token_tiers for all
+  using (public.is_admin())
+  with check (public.is_admin());
+
+alter publication supabase_realtime add table public.token_settings;
+alter publication supabase_realtime add table public.token_tiers;
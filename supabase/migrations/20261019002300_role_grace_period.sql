@@ -0,0 +1,344 @@
+-- Grace period before token-based role downgrades
+-- effective_role() used to follow the verified balance instantly, so a
+-- freelancer moving tokens between wallets lost access mid-contract. Each
+-- user now has a committed token role in token_role_states. When the balance
+-- only supports a lower role, a grace period (token_settings.grace_period_hours)
+-- starts and the committed role stays until it ends:
+--   - a warning notification when the grace period starts, and another when
+--     less than a day is left
+--   - topping up during the grace period cancels it
+--   - when it ends, the role drops to what the balance supports
+-- Upgrades apply immediately. Every role change and grace period is recorded
+-- in role_history.
+--
+-- sync_token_role() runs on every balance snapshot; grace periods that end
+-- between snapshots (and tier changes) are handled by process_token_roles(),
+-- meant to run hourly:
+--
+--   select cron.schedule('process-token-roles', '5 * * * *', 'select public.process_token_roles()');
+
+alter table public.token_settings
+  add column if not exists grace_period_hours integer not null default 72
+    check (grace_period_hours between 0 and 720);
+
+create table if not exists public.token_role_states (
+  profile_id uuid primary key references public.profiles(id) on delete cascade,
+  role text check (role in ('client', 'freelancer')),
+  grace_until timestamptz,
+  final_warning_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists token_role_states_grace_idx
+  on public.token_role_states (grace_until) where grace_until is not null;
+
+create table if not exists public.role_history (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  event text not null check (event in ('role_changed', 'grace_started', 'grace_cleared')),
+  from_role text,
+  to_role text,
+  balance numeric,
+  grace_until timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists role_history_profile_idx on public.role_history (profile_id, created_at desc);
+create index if not exists role_history_created_idx on public.role_history (created_at desc);
+
+-- The new notification type, also configurable in notification preferences
+alter table public.notifications drop constraint if exists notifications_type_check;
+alter table public.notifications add constraint notifications_type_check
+  check (type in ('application_received', 'contract_status', 'service_request_accepted', 'review_received', 'saved_search_match', 'token_role'));
+
+alter table public.notification_preferences drop constraint if exists notification_preferences_event_type_check;
+alter table public.notification_preferences add constraint notification_preferences_event_type_check
+  check (event_type in ('application_received', 'contract_status', 'service_request_accepted', 'review_received', 'saved_search_match', 'token_role'));
+
+create or replace function public.token_role_rank(p_role text)
+returns integer
+language sql
+immutable
+as $$
+  select case p_role when 'freelancer' then 2 when 'client' then 1 else 0 end;
+$$;
+
+-- The role the verified balance supports right now, ignoring grace periods
+create or replace function public.balance_role(p_user_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when p.user_type = 'freelancer' and b.balance >= public.token_threshold('freelancer') then 'freelancer'
+    when p.user_type in ('freelancer', 'client') and b.balance >= public.token_threshold('client') then 'client'
+  end
+  from public.profiles p
+  cross join lateral (select public.verified_token_balance(p.id) as balance) b
+  where p.id = p_user_id;
+$$;
+
+-- The committed role (kept through grace periods); users not synced yet
+-- fall back to their balance
+create or replace function public.effective_role(p_user_id uuid default auth.uid())
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when p.user_type = 'admin' then 'admin'
+    when s.profile_id is not null then s.role
+    else public.balance_role(p.id)
+  end
+  from public.profiles p
+  left join public.token_role_states s on s.profile_id = p.id
+  where p.id = p_user_id;
+$$;
+
+revoke all on function public.balance_role(uuid) from public, anon;
+grant execute on function public.balance_role(uuid) to authenticated, service_role;
+
+create or replace function public.log_role_event(
+  p_user_id uuid,
+  p_event text,
+  p_from_role text,
+  p_to_role text,
+  p_grace_until timestamptz default null
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into public.role_history (profile_id, event, from_role, to_role, balance, grace_until)
+  values (p_user_id, p_event, p_from_role, p_to_role, public.verified_token_balance(p_user_id), p_grace_until);
+$$;
+
+revoke all on function public.log_role_event(uuid, text, text, text, timestamptz) from public, anon, authenticated;
+
+-- Human-readable role for notification text
+create or replace function public.token_role_label(p_role text)
+returns text
+language sql
+immutable
+as $$
+  select coalesce(initcap(p_role), 'no role');
+$$;
+
+/**
+ * Move the user's committed role towards what their balance supports,
+ * starting, ending or cancelling grace periods. Returns the committed role.
+ */
+create or replace function public.sync_token_role(p_user_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_type text;
+  v_state public.token_role_states%rowtype;
+  v_target text;
+  v_grace_hours integer;
+  v_grace_until timestamptz;
+  v_metadata jsonb;
+begin
+  select user_type into v_user_type from public.profiles where id = p_user_id;
+  if v_user_type is null or v_user_type = 'admin' then
+    return public.effective_role(p_user_id);
+  end if;
+
+  v_target := public.balance_role(p_user_id);
+
+  select * into v_state from public.token_role_states where profile_id = p_user_id for update;
+
+  -- First sync: take the balance's role as is, without notifying
+  if not found then
+    insert into public.token_role_states (profile_id, role) values (p_user_id, v_target);
+    if v_target is not null then
+      perform public.log_role_event(p_user_id, 'role_changed', null, v_target);
+    end if;
+    return v_target;
+  end if;
+
+  v_metadata := jsonb_build_object('from_role', v_state.role, 'to_role', v_target);
+
+  -- Same role or an upgrade: apply now and cancel any grace period
+  if public.token_role_rank(v_target) >= public.token_role_rank(v_state.role) then
+    if v_state.grace_until is not null then
+      perform public.log_role_event(p_user_id, 'grace_cleared', v_state.role, v_target);
+      if v_target is not distinct from v_state.role then
+        perform public.create_notification(
+          p_user_id, 'token_role',
+          format('Your %s access is safe', public.token_role_label(v_state.role)),
+          'Your token balance is back above the tier threshold.',
+          '/token', v_metadata
+        );
+      end if;
+    end if;
+
+    if v_target is distinct from v_state.role then
+      perform public.log_role_event(p_user_id, 'role_changed', v_state.role, v_target);
+      perform public.create_notification(
+        p_user_id, 'token_role',
+        format('%s access unlocked', public.token_role_label(v_target)),
+        'Your verified token balance now covers this tier.',
+        '/token', v_metadata
+      );
+    end if;
+
+    update public.token_role_states
+    set role = v_target, grace_until = null, final_warning_at = null, updated_at = now()
+    where profile_id = p_user_id;
+    return v_target;
+  end if;
+
+  -- The balance supports less than the committed role
+  select grace_period_hours into v_grace_hours from public.token_settings;
+
+  if v_state.grace_until is null and coalesce(v_grace_hours, 0) > 0 then
+    v_grace_until := now() + make_interval(hours => v_grace_hours);
+
+    update public.token_role_states
+    set grace_until = v_grace_until, final_warning_at = null, updated_at = now()
+    where profile_id = p_user_id;
+
+    perform public.log_role_event(p_user_id, 'grace_started', v_state.role, v_target, v_grace_until);
+    perform public.create_notification(
+      p_user_id, 'token_role',
+      format('Your balance is below the %s tier', public.token_role_label(v_state.role)),
+      format(
+        'Hold %s tokens again by %s UTC to keep %s access. Active contracts are unaffected until then; after that your role becomes %s.',
+        to_char(public.token_threshold(v_state.role), 'FM999,999,999,990'),
+        to_char(v_grace_until at time zone 'UTC', 'Mon DD, HH24:MI'),
+        lower(public.token_role_label(v_state.role)),
+        lower(public.token_role_label(v_target))
+      ),
+      '/token', v_metadata || jsonb_build_object('grace_until', v_grace_until)
+    );
+    return v_state.role;
+  end if;
+
+  -- Grace period over (or disabled): downgrade
+  if v_state.grace_until is null or v_state.grace_until <= now() then
+    update public.token_role_states
+    set role = v_target, grace_until = null, final_warning_at = null, updated_at = now()
+    where profile_id = p_user_id;
+
+    perform public.log_role_event(p_user_id, 'role_changed', v_state.role, v_target);
+    perform public.create_notification(
+      p_user_id, 'token_role',
+      format('Your %s access has ended', public.token_role_label(v_state.role)),
+      format('Your token balance now supports: %s. Hold more tokens to get it back.', lower(public.token_role_label(v_target))),
+      '/token', v_metadata
+    );
+    return v_target;
+  end if;
+
+  -- Still in the grace period: one last warning on the final day
+  if v_state.final_warning_at is null and v_state.grace_until - now() <= interval '24 hours' then
+    update public.token_role_states
+    set final_warning_at = now(), updated_at = now()
+    where profile_id = p_user_id;
+
+    perform public.create_notification(
+      p_user_id, 'token_role',
+      format('Less than a day left to keep %s access', public.token_role_label(v_state.role)),
+      format(
+        'Your grace period ends %s UTC. Top up to %s tokens to keep your role.',
+        to_char(v_state.grace_until at time zone 'UTC', 'Mon DD, HH24:MI'),
+        to_char(public.token_threshold(v_state.role), 'FM999,999,999,990')
+      ),
+      '/token', v_metadata || jsonb_build_object('grace_until', v_state.grace_until)
+    );
+  end if;
+
+  return v_state.role;
+end;
+$$;
+
+revoke all on function public.sync_token_role(uuid) from public, anon, authenticated;
+grant execute on function public.sync_token_role(uuid) to service_role;
+
+create or replace function public.sync_token_role_on_snapshot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.sync_token_role(new.profile_id);
+  return new;
+end;
+$$;
+
+drop trigger if exists token_balance_snapshots_role on public.token_balance_snapshots;
+create trigger token_balance_snapshots_role
+  after insert on public.token_balance_snapshots
+  for each row execute function public.sync_token_role_on_snapshot();
+
+-- Hourly: end grace periods, send final warnings and apply tier changes
+create or replace function public.process_token_roles()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_profile_id uuid;
+  v_count integer := 0;
+begin
+  for v_profile_id in
+    select id from public.profiles where user_type in ('client', 'freelancer')
+  loop
+    perform public.sync_token_role(v_profile_id);
+    v_count := v_count + 1;
+  end loop;
+  return v_count;
+end;
+$$;
+
+revoke all on function public.process_token_roles() from public, anon, authenticated;
+
+-- Role and grace state for the signed-in user (or any user, for admins
+-- and the verify-token-balance function)
+create or replace function public.token_role_status(p_user_id uuid default auth.uid())
+returns table (effective_role text, balance_role text, grace_until timestamptz)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is not null and p_user_id is distinct from auth.uid() and not public.is_admin() then
+    raise exception 'You can only view your own token role' using errcode = 'insufficient_privilege';
+  end if;
+
+  return query
+  select public.effective_role(p_user_id), public.balance_role(p_user_id), s.grace_until
+  from (select p_user_id as id) u
+  left join public.token_role_states s on s.profile_id = u.id;
+end;
+$$;
+
+revoke all on function public.token_role_status(uuid) from public, anon;
+grant execute on function public.token_role_status(uuid) to authenticated, service_role;
+
+-- Row level security: users see their own state and history, admins see all;
+-- only the functions above write
+alter table public.token_role_states enable row level security;
+alter table public.role_history enable row level security;
+
+drop policy if exists "Users can view their token role" on public.token_role_states;
+create policy "Users can view their token role"
+  on public.token_role_states for select
+  using (profile_id = auth.uid() or public.is_admin());
+
+drop policy if exists "Users can view their role history" on public.role_history;
+create policy "Users can view their role history"
+  on public.role_history for select
+  using (profile_id = auth.uid() or public.is_admin());
@@ -0,0 +1,241 @@
+-- Several wallets per profile
+-- A profile used to hold one wallet_address, overwritten whenever the user
+-- connected another wallet. Wallets are now linked in profile_wallets, each
+-- proven by signing a link challenge (siws-nonce with purpose 'link', then
+-- the link-wallet Edge Function). Any linked wallet can sign in.
+--
+-- - The gated token balance is the sum of every linked wallet's latest
+--   snapshot from the last day
+-- - One linked wallet is primary; profiles.wallet_address follows it and
+--   stays the payout wallet used by escrow
+-- - Users change wallet_address only through set_primary_wallet(); the
+--   service role (wallet registration) can still set it directly, which
+--   links that wallet
+--
+-- Existing profile wallets that were signed for (wallet_verified_at, see
+-- 20261019002100_token_gate.sql) are carried over as primary; others have to
+-- be linked like any new wallet. profiles.wallet_verified_at is then dropped.
+
+create table if not exists public.profile_wallets (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  address text not null unique,
+  is_primary boolean not null default false,
+  verified_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists profile_wallets_profile_idx on public.profile_wallets (profile_id, created_at);
+create unique index if not exists profile_wallets_primary_key
+  on public.profile_wallets (profile_id) where is_primary;
+
+insert into public.profile_wallets (profile_id, address, is_primary)
+select id, wallet_address, true
+from public.profiles
+where wallet_address is not null
+  and wallet_verified_at is not null
+on conflict (address) do nothing;
+
+-- Link challenges are bound to the signed-in profile that asked for them
+alter table public.siws_nonces
+  add column if not exists purpose text not null default 'sign_in'
+    check (purpose in ('sign_in', 'link')),
+  add column if not exists profile_id uuid references public.profiles(id) on delete cascade;
+
+-- Sum of the latest current-mint snapshot of each linked wallet, or null
+-- without any snapshot from the last day
+create or replace function public.verified_token_balance(p_user_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select sum(s.balance)
+  from public.profile_wallets w
+  join lateral (
+    select balance, checked_at
+    from public.token_balance_snapshots
+    where profile_id = w.profile_id
+      and wallet_address = w.address
+      and mint = (select mint from public.token_settings)
+    order by checked_at desc
+    limit 1
+  ) s on true
+  where w.profile_id = p_user_id
+    and s.checked_at > now() - interval '1 day';
+$$;
+
+-- Linking replaces the single verified wallet
+drop trigger if exists profiles_wallet_verification_guard on public.profiles;
+drop function if exists public.guard_profile_wallet_verification();
+alter table public.profiles drop column if exists wallet_verified_at;
+
+-- profiles.token_balance shows the combined balance
+create or replace function public.sync_profile_token_balance()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.profiles
+  set token_balance = coalesce(public.verified_token_balance(new.profile_id), 0)
+  where id = new.profile_id;
+  return new;
+end;
+$$;
+
+-- Keep profiles.wallet_address on the primary wallet, and the balance and
+-- token role in step with the linked wallets
+create or replace function public.sync_profile_wallets()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_profile_id uuid := coalesce(new.profile_id, old.profile_id);
+begin
+  update public.profiles
+  set wallet_address = (
+        select address from public.profile_wallets
+        where profile_id = v_profile_id and is_primary
+      ),
+      token_balance = coalesce(public.verified_token_balance(v_profile_id), 0)
+  where id = v_profile_id;
+
+  if tg_op <> 'UPDATE' then
+    perform public.sync_token_role(v_profile_id);
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists profile_wallets_sync on public.profile_wallets;
+create trigger profile_wallets_sync
+  after insert or update or delete on public.profile_wallets
+  for each row execute function public.sync_profile_wallets();
+
+-- Users can't point wallet_address at a wallet they haven't linked
+create or replace function public.guard_profile_wallet_address()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is not null
+    and new.wallet_address is distinct from old.wallet_address
+    and new.wallet_address is distinct from (
+      select address from public.profile_wallets
+      where profile_id = new.id and is_primary
+    )
+  then
+    raise exception 'Link the wallet and make it primary to change your payout wallet'
+      using errcode = 'insufficient_privilege';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_wallet_address_guard on public.profiles;
+create trigger profiles_wallet_address_guard
+  before update of wallet_address on public.profiles
+  for each row execute function public.guard_profile_wallet_address();
+
+-- A wallet the service role sets (wallet registration) is linked too. New
+-- profiles aren't adopted: their wallet_address comes from sign-up data
+create or replace function public.adopt_profile_wallet()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.profile_wallets (profile_id, address, is_primary)
+  select new.id, new.wallet_address,
+    not exists (select 1 from public.profile_wallets where profile_id = new.id and is_primary)
+  on conflict (address) do nothing;
+  return null;
+end;
+$$;
+
+drop trigger if exists profiles_adopt_wallet on public.profiles;
+create trigger profiles_adopt_wallet
+  after update of wallet_address on public.profiles
+  for each row
+  when (new.wallet_address is not null)
+  execute function public.adopt_profile_wallet();
+
+create or replace function public.set_primary_wallet(p_wallet_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from public.profile_wallets
+    where id = p_wallet_id and profile_id = auth.uid()
+  ) then
+    raise exception 'Wallet not found' using errcode = 'insufficient_privilege';
+  end if;
+
+  -- Two statements: the partial unique index allows one primary at a time
+  update public.profile_wallets
+  set is_primary = false
+  where profile_id = auth.uid() and is_primary and id <> p_wallet_id;
+
+  update public.profile_wallets
+  set is_primary = true
+  where id = p_wallet_id and not is_primary;
+end;
+$$;
+
+create or replace function public.unlink_wallet(p_wallet_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_wallet public.profile_wallets%rowtype;
+begin
+  select * into v_wallet
+  from public.profile_wallets
+  where id = p_wallet_id and profile_id = auth.uid();
+
+  if not found then
+    raise exception 'Wallet not found' using errcode = 'insufficient_privilege';
+  end if;
+
+  if v_wallet.is_primary then
+    if exists (select 1 from public.profile_wallets where profile_id = auth.uid() and id <> p_wallet_id) then
+      raise exception 'Make another wallet primary before unlinking this one' using errcode = 'check_violation';
+    end if;
+
+    -- Wallet-only accounts sign in with their wallets, so keep at least one
+    if exists (select 1 from auth.users where id = auth.uid() and email like '%@wallet.pumpwork.invalid') then
+      raise exception 'Your account signs in with this wallet, so it can''t be unlinked' using errcode = 'check_violation';
+    end if;
+  end if;
+
+  delete from public.profile_wallets where id = p_wallet_id;
+end;
+$$;
+
+revoke all on function public.set_primary_wallet(uuid) from public, anon;
+grant execute on function public.set_primary_wallet(uuid) to authenticated;
+revoke all on function public.unlink_wallet(uuid) from public, anon;
+grant execute on function public.unlink_wallet(uuid) to authenticated;
+
+-- Row level security: users see their own wallets; linking goes through the
+-- link-wallet Edge Function and changes through the functions above
+alter table public.profile_wallets enable row level security;
+
+drop policy if exists "Users can view their linked wallets" on public.profile_wallets;
+create policy "Users can view their linked wallets"
+  on public.profile_wallets for select
+  using (profile_id = auth.uid() or public.is_admin());
@@ -0,0 +1,104 @@
+-- Contract escrow columns follow the chain
+-- The browser used to write escrow_status and the escrow_* signatures after
+-- sending an escrow transaction, so a party could mark escrow funded,
+-- released or refunded without moving any SOL. Those columns are now written
+-- by the escrow-sync Edge Function (service role), which confirms the
+-- transaction and reads the escrow account on-chain first, and by dispute
+-- handling.
+--
+-- Column privileges can't narrow the table-wide UPDATE grant authenticated
+-- users already hold, so a trigger rejects the change instead.
+
+create or replace function public.guard_contract_escrow()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null
+    or coalesce(current_setting('pumpwork.resolving_dispute', true), '') = 'on'
+    or coalesce(current_setting('pumpwork.freezing_escrow', true), '') = 'on' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.escrow_status <> 'unfunded'
+      or coalesce(new.escrow_amount, 0) <> 0
+      or num_nonnulls(new.escrow_address, new.escrow_fund_signature, new.escrow_release_signature,
+                      new.escrow_refund_signature, new.escrow_funded_at) > 0 then
+      raise exception 'New contracts start with an unfunded escrow'
+        using errcode = 'insufficient_privilege';
+    end if;
+  elsif (new.escrow_amount, new.escrow_address, new.escrow_status, new.escrow_fund_signature,
+         new.escrow_release_signature, new.escrow_refund_signature, new.escrow_funded_at)
+    is distinct from
+        (old.escrow_amount, old.escrow_address, old.escrow_status, old.escrow_fund_signature,
+         old.escrow_release_signature, old.escrow_refund_signature, old.escrow_funded_at) then
+    raise exception 'Escrow changes are recorded from confirmed transactions only'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists contracts_escrow_guard on public.contracts;
+create trigger contracts_escrow_guard
+  before insert or update on public.contracts
+  for each row execute function public.guard_contract_escrow();
+
+-- Recording a frozen escrow is the one escrow change a party makes directly
+create or replace function public.add_dispute_event(
+  p_dispute_id uuid,
+  p_event_type text,
+  p_message text default null,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns public.dispute_events
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_dispute public.disputes;
+  v_contract public.contracts;
+  v_event public.dispute_events;
+begin
+  select * into v_dispute from public.disputes where id = p_dispute_id;
+  select * into v_contract from public.contracts where id = v_dispute.contract_id;
+
+  if v_dispute.id is null
+    or not (public.is_admin() or auth.uid() in (v_contract.client_id, v_contract.freelancer_id)) then
+    raise exception 'Dispute not found' using errcode = 'no_data_found';
+  end if;
+  if v_dispute.status <> 'open' then
+    raise exception 'This dispute has already been resolved' using errcode = 'check_violation';
+  end if;
+  if p_event_type not in ('evidence', 'escrow_frozen') then
+    raise exception 'Unsupported dispute event %', p_event_type using errcode = 'check_violation';
+  end if;
+
+  if p_event_type = 'escrow_frozen' then
+    perform set_config('pumpwork.freezing_escrow', 'on', true);
+
+    update public.contracts
+    set escrow_status = 'disputed'
+    where id = v_contract.id
+      and id::text = p_metadata->>'escrow_id'
+      and escrow_status = 'funded';
+
+    update public.contract_milestones
+    set escrow_status = 'disputed'
+    where contract_id = v_contract.id
+      and id::text = p_metadata->>'escrow_id'
+      and escrow_status = 'funded';
+
+    perform set_config('pumpwork.freezing_escrow', 'off', true);
+  end if;
+
+  insert into public.dispute_events (dispute_id, actor_id, event_type, message, metadata)
+  values (p_dispute_id, auth.uid(), p_event_type, nullif(trim(p_message), ''), coalesce(p_metadata, '{}'::jsonb))
+  returning * into v_event;
+
+  return v_event;
+end;
+$$;
@@ -0,0 +1,63 @@
+-- What contract parties may change on a milestone
+-- "Contract parties can update milestones" allows any column, so the
+-- freelancer could rewrite a milestone's amount or mark its escrow funded or
+-- released. As for contracts (20261019002500), escrow columns are written by
+-- the escrow-sync Edge Function after checking the transaction on-chain, and
+-- by dispute handling. The client can still edit the terms of a milestone
+-- that hasn't been funded; the freelancer can't edit them at all.
+
+create or replace function public.guard_milestone_changes()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_client_id uuid;
+begin
+  if auth.uid() is null
+    or coalesce(current_setting('pumpwork.resolving_dispute', true), '') = 'on'
+    or coalesce(current_setting('pumpwork.freezing_escrow', true), '') = 'on' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.escrow_status <> 'unfunded'
+      or num_nonnulls(new.escrow_address, new.escrow_fund_signature, new.escrow_release_signature,
+                      new.escrow_refund_signature, new.funded_at) > 0 then
+      raise exception 'New milestones start with an unfunded escrow'
+        using errcode = 'insufficient_privilege';
+    end if;
+    return new;
+  end if;
+
+  if (new.escrow_address, new.escrow_status, new.escrow_fund_signature,
+      new.escrow_release_signature, new.escrow_refund_signature, new.funded_at)
+    is distinct from
+     (old.escrow_address, old.escrow_status, old.escrow_fund_signature,
+      old.escrow_release_signature, old.escrow_refund_signature, old.funded_at) then
+    raise exception 'Escrow changes are recorded from confirmed transactions only'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  if (new.contract_id, new.amount, new.title, new.description, new.due_date, new.position)
+    is distinct from
+     (old.contract_id, old.amount, old.title, old.description, old.due_date, old.position) then
+    select client_id into v_client_id from public.contracts where id = old.contract_id;
+
+    if auth.uid() is distinct from v_client_id or new.contract_id <> old.contract_id then
+      raise exception 'Only the client can change the terms of a milestone'
+        using errcode = 'insufficient_privilege';
+    end if;
+    if old.escrow_status <> 'unfunded' then
+      raise exception 'The terms of a funded milestone cannot change'
+        using errcode = 'check_violation';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists contract_milestones_guard on public.contract_milestones;
+create trigger contract_milestones_guard
+  before insert or update on public.contract_milestones
+  for each row execute function public.guard_milestone_changes();
@@ -0,0 +1,188 @@
+-- A dispute only opens once its escrow is frozen
+-- Freezing used to be best effort: the dispute opened first and the party
+-- then tried to freeze each funded escrow from their wallet, so a failed or
+-- skipped freeze left funds releasable (or refundable) during the dispute.
+-- Now every funded escrow of the contract must be frozen on-chain and
+-- recorded by the escrow-sync Edge Function ('freeze' reads the escrow
+-- account) before open_dispute accepts the dispute. The frozen escrows are
+-- logged on the dispute timeline as it opens.
+--
+-- Parties no longer record frozen escrows themselves, so add_dispute_event
+-- only takes evidence and the escrow guards lose their freeze exception.
+
+create or replace function public.guard_contract_escrow()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null
+    or coalesce(current_setting('pumpwork.resolving_dispute', true), '') = 'on' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.escrow_status <> 'unfunded'
+      or coalesce(new.escrow_amount, 0) <> 0
+      or num_nonnulls(new.escrow_address, new.escrow_fund_signature, new.escrow_release_signature,
+                      new.escrow_refund_signature, new.escrow_funded_at) > 0 then
+      raise exception 'New contracts start with an unfunded escrow'
+        using errcode = 'insufficient_privilege';
+    end if;
+  elsif (new.escrow_amount, new.escrow_address, new.escrow_status, new.escrow_fund_signature,
+         new.escrow_release_signature, new.escrow_refund_signature, new.escrow_funded_at)
+    is distinct from
+        (old.escrow_amount, old.escrow_address, old.escrow_status, old.escrow_fund_signature,
+         old.escrow_release_signature, old.escrow_refund_signature, old.escrow_funded_at) then
+    raise exception 'Escrow changes are recorded from confirmed transactions only'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return new;
+end;
+$$;
+
+create or replace function public.guard_milestone_changes()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_client_id uuid;
+begin
+  if auth.uid() is null
+    or coalesce(current_setting('pumpwork.resolving_dispute', true), '') = 'on' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.escrow_status <> 'unfunded'
+      or num_nonnulls(new.escrow_address, new.escrow_fund_signature, new.escrow_release_signature,
+                      new.escrow_refund_signature, new.funded_at) > 0 then
+      raise exception 'New milestones start with an unfunded escrow'
+        using errcode = 'insufficient_privilege';
+    end if;
+    return new;
+  end if;
+
+  if (new.escrow_address, new.escrow_status, new.escrow_fund_signature,
+      new.escrow_release_signature, new.escrow_refund_signature, new.funded_at)
+    is distinct from
+     (old.escrow_address, old.escrow_status, old.escrow_fund_signature,
+      old.escrow_release_signature, old.escrow_refund_signature, old.funded_at) then
+    raise exception 'Escrow changes are recorded from confirmed transactions only'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  if (new.contract_id, new.amount, new.title, new.description, new.due_date, new.position)
+    is distinct from
+     (old.contract_id, old.amount, old.title, old.description, old.due_date, old.position) then
+    select client_id into v_client_id from public.contracts where id = old.contract_id;
+
+    if auth.uid() is distinct from v_client_id or new.contract_id <> old.contract_id then
+      raise exception 'Only the client can change the terms of a milestone'
+        using errcode = 'insufficient_privilege';
+    end if;
+    if old.escrow_status <> 'unfunded' then
+      raise exception 'The terms of a funded milestone cannot change'
+        using errcode = 'check_violation';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+create or replace function public.open_dispute(
+  p_contract_id uuid,
+  p_reason text,
+  p_evidence text default null,
+  p_evidence_urls text[] default '{}'
+)
+returns public.disputes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_dispute public.disputes;
+begin
+  select * into v_contract from public.contracts where id = p_contract_id for update;
+
+  if v_contract.id is null or auth.uid() not in (v_contract.client_id, v_contract.freelancer_id) then
+    raise exception 'Contract not found' using errcode = 'no_data_found';
+  end if;
+  if v_contract.status not in ('active', 'submitted') then
+    raise exception 'Only active or submitted contracts can be disputed' using errcode = 'check_violation';
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required to open a dispute' using errcode = 'check_violation';
+  end if;
+  if v_contract.escrow_status = 'funded' or exists (
+    select 1 from public.contract_milestones
+    where contract_id = p_contract_id and escrow_status = 'funded'
+  ) then
+    raise exception 'Freeze every funded escrow before opening a dispute' using errcode = 'check_violation';
+  end if;
+
+  insert into public.disputes (contract_id, opened_by, reason, evidence, evidence_urls, previous_status)
+  values (p_contract_id, auth.uid(), trim(p_reason), nullif(trim(p_evidence), ''),
+          coalesce(p_evidence_urls, '{}'), v_contract.status)
+  returning * into v_dispute;
+
+  update public.contracts set status = 'disputed' where id = p_contract_id;
+
+  insert into public.dispute_events (dispute_id, actor_id, event_type, message, metadata)
+  values (v_dispute.id, auth.uid(), 'opened', v_dispute.reason,
+          jsonb_build_object('evidence', v_dispute.evidence, 'evidence_urls', to_jsonb(v_dispute.evidence_urls)));
+
+  insert into public.dispute_events (dispute_id, actor_id, event_type, message, metadata)
+  select v_dispute.id, auth.uid(), 'escrow_frozen', frozen.title, jsonb_build_object('escrow_id', frozen.id)
+  from (
+    select id, title from public.contracts
+    where id = p_contract_id and escrow_status = 'disputed'
+    union all
+    select id, title from public.contract_milestones
+    where contract_id = p_contract_id and escrow_status = 'disputed'
+  ) frozen;
+
+  return v_dispute;
+end;
+$$;
+
+create or replace function public.add_dispute_event(
+  p_dispute_id uuid,
+  p_event_type text,
+  p_message text default null,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns public.dispute_events
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_dispute public.disputes;
+  v_contract public.contracts;
+  v_event public.dispute_events;
+begin
+  select * into v_dispute from public.disputes where id = p_dispute_id;
+  select * into v_contract from public.contracts where id = v_dispute.contract_id;
+
+  if v_dispute.id is null
+    or not (public.is_admin() or auth.uid() in (v_contract.client_id, v_contract.freelancer_id)) then
+    raise exception 'Dispute not found' using errcode = 'no_data_found';
+  end if;
+  if v_dispute.status <> 'open' then
+    raise exception 'This dispute has already been resolved' using errcode = 'check_violation';
+  end if;
+  if p_event_type <> 'evidence' then
+    raise exception 'Unsupported dispute event %', p_event_type using errcode = 'check_violation';
+  end if;
+
+  insert into public.dispute_events (dispute_id, actor_id, event_type, message, metadata)
+  values (p_dispute_id, auth.uid(), p_event_type, nullif(trim(p_message), ''), coalesce(p_metadata, '{}'::jsonb))
+  returning * into v_event;
+
+  return v_event;
+end;
+$$;
@@ -0,0 +1,31 @@
+-- One updated_at trigger function for every table
+-- Milestones, timesheets and time entries shared touch_contract_milestone(),
+-- named after the first table that used it. touch_updated_at() does the same
+-- job under a name that fits any table with an updated_at column.
+
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists contract_milestones_touch on public.contract_milestones;
+create trigger contract_milestones_touch
+  before update on public.contract_milestones
+  for each row execute function public.touch_updated_at();
+
+drop trigger if exists contract_timesheets_touch on public.contract_timesheets;
+create trigger contract_timesheets_touch
+  before update on public.contract_timesheets
+  for each row execute function public.touch_updated_at();
+
+drop trigger if exists time_entries_touch on public.time_entries;
+create trigger time_entries_touch
+  before update on public.time_entries
+  for each row execute function public.touch_updated_at();
+
+drop function if exists public.touch_contract_milestone();
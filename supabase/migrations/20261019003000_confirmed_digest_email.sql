@@ -0,0 +1,128 @@
+-- Digests go to a confirmed address only
+-- digest_email was used as soon as it was saved, so anyone could point their
+-- digest (and its message previews) at someone else's inbox. A digest email
+-- other than the account email now needs confirming: the confirm-digest-email
+-- Edge Function mails a one-time link and marks the address confirmed when
+-- it is opened. Until then digests go to the account email, or nowhere for
+-- wallet accounts. Changing the address clears the confirmation; addresses
+-- saved before this migration need confirming as well.
+--
+-- The push channel is dropped: it was stored for a push sender that never
+-- existed, so the toggle did nothing.
+
+alter table public.notification_settings
+  add column if not exists digest_email_confirmed_at timestamptz,
+  add column if not exists digest_email_token_hash text,
+  add column if not exists digest_email_token_expires_at timestamptz,
+  add column if not exists digest_email_token_sent_at timestamptz;
+
+create unique index if not exists notification_settings_digest_email_token_idx
+  on public.notification_settings (digest_email_token_hash)
+  where digest_email_token_hash is not null;
+
+create or replace function public.validate_notification_settings()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from pg_timezone_names where name = new.timezone) then
+    raise exception 'Unknown time zone %', new.timezone using errcode = 'check_violation';
+  end if;
+
+  if tg_op = 'INSERT' or new.digest_email is distinct from old.digest_email then
+    new.digest_email_token_hash := null;
+    new.digest_email_token_expires_at := null;
+    new.digest_email_token_sent_at := null;
+    -- The account email is already confirmed
+    new.digest_email_confirmed_at := case
+      when exists (
+        select 1 from auth.users
+        where id = new.user_id and lower(email) = lower(new.digest_email)
+      ) then now()
+    end;
+  end if;
+
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+-- Users whose digest is due now and outside their quiet hours
+create or replace function public.due_digests(p_now timestamptz default now())
+returns table (user_id uuid, email text, nickname text, frequency text, since timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    s.user_id,
+    r.email,
+    p.nickname,
+    s.digest_frequency as frequency,
+    coalesce(
+      s.last_digest_sent_at,
+      p_now - case s.digest_frequency when 'weekly' then interval '7 days' else interval '1 day' end
+    ) as since
+  from public.notification_settings s
+  join public.profiles p on p.id = s.user_id
+  join auth.users u on u.id = s.user_id
+  cross join lateral (
+    select coalesce(
+      case when s.digest_email_confirmed_at is not null then s.digest_email end,
+      u.email
+    ) as email
+  ) r
+  where s.digest_frequency <> 'off'
+    and r.email is not null
+    and r.email not like '%@wallet.pumpwork.invalid'
+    -- An hour of slack so an hourly schedule doesn't drift a day later each time
+    and (
+      s.last_digest_sent_at is null
+      or s.last_digest_sent_at <= p_now - case s.digest_frequency
+        when 'weekly' then interval '7 days' - interval '1 hour'
+        else interval '1 day' - interval '1 hour'
+      end
+    )
+    and not (
+      s.quiet_hours_start is not null
+      and case
+        when s.quiet_hours_start <= s.quiet_hours_end then
+          (p_now at time zone s.timezone)::time >= s.quiet_hours_start
+          and (p_now at time zone s.timezone)::time < s.quiet_hours_end
+        else
+          (p_now at time zone s.timezone)::time >= s.quiet_hours_start
+          or (p_now at time zone s.timezone)::time < s.quiet_hours_end
+      end
+    );
+$$;
+
+-- The token columns stay with the service role
+revoke select on public.notification_settings from anon, authenticated;
+grant select (user_id, digest_frequency, digest_email, digest_email_confirmed_at, quiet_hours_start,
+              quiet_hours_end, timezone, last_digest_sent_at, updated_at)
+  on public.notification_settings to authenticated;
+
+create or replace function public.notification_channel_enabled(p_user_id uuid, p_event_type text, p_channel text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (
+      select case p_channel
+        when 'in_app' then in_app
+        when 'email' then email
+      end
+      from public.notification_preferences
+      where user_id = p_user_id and event_type = p_event_type
+    ),
+    p_channel in ('in_app', 'email')
+  );
+$$;
+
+alter table public.notification_preferences drop column if exists push;
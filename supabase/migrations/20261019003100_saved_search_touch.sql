@@ -0,0 +1,9 @@
+-- Saved searches use the shared touch_updated_at() (20261019002900)
+-- touch_saved_search() was a copy of it under a table-specific name.
+
+drop trigger if exists saved_searches_touch on public.saved_searches;
+create trigger saved_searches_touch
+  before update on public.saved_searches
+  for each row execute function public.touch_updated_at();
+
+drop function if exists public.touch_saved_search();
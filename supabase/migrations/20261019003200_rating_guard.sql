@@ -0,0 +1,121 @@
+-- Ratings are written by refresh_profile_rating() only
+-- "Users can update own profile" covers every column, so a user could set
+-- their own rating_score or criterion averages, and a freelancer could raise
+-- freelancer_score on their services to climb the Freelancers listing.
+-- refresh_profile_rating() now flags its writes (pumpwork.refreshing_rating)
+-- and guard triggers reject any other change to these columns. New profiles
+-- start unrated, and a service's score can only ever be its freelancer's
+-- current rating_score (set_service_freelancer_score copies it on insert).
+
+create or replace function public.refresh_profile_rating(p_user_id uuid, p_prior_mean numeric default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_mean numeric := coalesce(p_prior_mean, public.rating_prior_mean());
+  v_weight constant integer := 10;
+begin
+  perform set_config('pumpwork.refreshing_rating', 'on', true);
+
+  update public.profiles p
+  set rating = s.rating,
+      review_count = s.review_count,
+      rating_score = round((v_weight * v_mean + s.rating_sum) / (v_weight + s.review_count), 2),
+      rating_communication = s.communication,
+      rating_quality = s.quality,
+      rating_timeliness = s.timeliness,
+      rating_value = s.value
+  from (
+    select
+      coalesce(round(avg(r.rating)::numeric, 2), 0) as rating,
+      count(*)::integer as review_count,
+      coalesce(sum(r.rating), 0)::numeric as rating_sum,
+      round(avg(r.communication_rating)::numeric, 2) as communication,
+      round(avg(r.quality_rating)::numeric, 2) as quality,
+      round(avg(r.timeliness_rating)::numeric, 2) as timeliness,
+      round(avg(r.value_rating)::numeric, 2) as value
+    from public.reviews r
+    where r.reviewee_id = p_user_id and r.reveal_at <= now() and r.hidden_at is null
+  ) s
+  where p.id = p_user_id;
+
+  update public.service_posts sp
+  set freelancer_score = p.rating_score
+  from public.profiles p
+  where p.id = p_user_id
+    and sp.freelancer_id = p.id
+    and sp.freelancer_score is distinct from p.rating_score;
+
+  perform set_config('pumpwork.refreshing_rating', 'off', true);
+end;
+$$;
+
+revoke all on function public.refresh_profile_rating(uuid, numeric) from public, anon, authenticated;
+
+create or replace function public.guard_profile_rating()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null
+    or coalesce(current_setting('pumpwork.refreshing_rating', true), '') = 'on' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if coalesce(new.rating, 0) <> 0
+      or coalesce(new.review_count, 0) <> 0
+      or new.rating_score <> 0
+      or num_nonnulls(new.rating_communication, new.rating_quality, new.rating_timeliness, new.rating_value) > 0 then
+      raise exception 'New profiles start without ratings'
+        using errcode = 'insufficient_privilege';
+    end if;
+  elsif (new.rating, new.review_count, new.rating_score, new.rating_communication,
+         new.rating_quality, new.rating_timeliness, new.rating_value)
+    is distinct from
+        (old.rating, old.review_count, old.rating_score, old.rating_communication,
+         old.rating_quality, old.rating_timeliness, old.rating_value) then
+    raise exception 'Ratings are calculated from reviews'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_rating_guard on public.profiles;
+create trigger profiles_rating_guard
+  before insert or update on public.profiles
+  for each row execute function public.guard_profile_rating();
+
+create or replace function public.guard_service_freelancer_score()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null
+    or coalesce(current_setting('pumpwork.refreshing_rating', true), '') = 'on'
+    or (tg_op = 'UPDATE' and new.freelancer_score is not distinct from old.freelancer_score) then
+    return new;
+  end if;
+
+  if new.freelancer_score is distinct from (
+    select rating_score from public.profiles where id = new.freelancer_id
+  ) then
+    raise exception 'Service scores are copied from the freelancer''s rating'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Named to run after service_posts_freelancer_score, which sets the score
+drop trigger if exists service_posts_score_guard on public.service_posts;
+create trigger service_posts_score_guard
+  before insert or update on public.service_posts
+  for each row execute function public.guard_service_freelancer_score();
@@ -0,0 +1,66 @@
+-- Only signed-for wallets are snapshotted
+-- profiles_wallet_address_guard only fired on update, so a profile could be
+-- created with any wallet_address (the auth trigger copies sign-up data the
+-- caller controls) and keep it as its payout wallet. Snapshots weren't tied
+-- to linked wallets either, so anything the verifier was pointed at could
+-- count towards the token gate.
+--
+-- - New profiles start without a wallet_address, whoever inserts them.
+--   siws-verify sets it after the SIWS signature checks out, which links it
+-- - Users still can't update it except through set_primary_wallet()
+-- - A snapshot is only accepted for a wallet linked to that profile; wallets
+--   are linked by siws-verify or link-wallet, both after a signed challenge
+
+create or replace function public.guard_profile_wallet_address()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.wallet_address := null;
+    return new;
+  end if;
+
+  if auth.uid() is not null
+    and new.wallet_address is distinct from old.wallet_address
+    and new.wallet_address is distinct from (
+      select address from public.profile_wallets
+      where profile_id = new.id and is_primary
+    )
+  then
+    raise exception 'Link the wallet and make it primary to change your payout wallet'
+      using errcode = 'insufficient_privilege';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_wallet_address_guard on public.profiles;
+create trigger profiles_wallet_address_guard
+  before insert or update of wallet_address on public.profiles
+  for each row execute function public.guard_profile_wallet_address();
+
+create or replace function public.guard_token_balance_snapshot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from public.profile_wallets
+    where profile_id = new.profile_id and address = new.wallet_address
+  ) then
+    raise exception 'Only wallets linked with a signature are checked for tokens'
+      using errcode = 'insufficient_privilege';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists token_balance_snapshots_guard on public.token_balance_snapshots;
+create trigger token_balance_snapshots_guard
+  before insert on public.token_balance_snapshots
+  for each row execute function public.guard_token_balance_snapshot();
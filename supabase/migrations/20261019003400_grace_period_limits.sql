@@ -0,0 +1,211 @@
+-- Grace periods keep active work going, not new work
+-- During a downgrade grace period effective_role() keeps the old role, and
+-- the token gate policies checked effective_role(), so a user could sell
+-- their tokens, keep posting and applying for the whole grace period, buy
+-- back for a moment to clear it and start over. Now:
+--   - posting jobs, listing services and applying need the role the balance
+--     supports right now (gate_role()); the grace period only keeps existing
+--     contracts, listings and dashboards working
+--   - a new grace period starts only if the last one started more than
+--     token_settings.grace_cooldown_days ago (default 30); otherwise the
+--     downgrade applies at once
+
+alter table public.token_settings
+  add column if not exists grace_cooldown_days integer not null default 30
+    check (grace_cooldown_days between 0 and 365);
+
+-- The role that unlocks new posts and applications: admin, or what the
+-- verified balance supports, without grace periods
+create or replace function public.gate_role(p_user_id uuid default auth.uid())
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case when p.user_type = 'admin' then 'admin' else public.balance_role(p.id) end
+  from public.profiles p
+  where p.id = p_user_id;
+$$;
+
+revoke all on function public.gate_role(uuid) from public, anon;
+grant execute on function public.gate_role(uuid) to authenticated, service_role;
+
+drop policy if exists "Posting jobs requires the client token gate" on public.job_posts;
+create policy "Posting jobs requires the client token gate"
+  on public.job_posts as restrictive for insert
+  with check (public.gate_role() in ('client', 'admin'));
+
+drop policy if exists "Open jobs require the client token gate" on public.job_posts;
+create policy "Open jobs require the client token gate"
+  on public.job_posts as restrictive for update
+  with check (status <> 'open' or public.gate_role() in ('client', 'admin'));
+
+drop policy if exists "Listing services requires the freelancer token gate" on public.service_posts;
+create policy "Listing services requires the freelancer token gate"
+  on public.service_posts as restrictive for insert
+  with check (public.gate_role() in ('freelancer', 'admin'));
+
+drop policy if exists "Active services require the freelancer token gate" on public.service_posts;
+create policy "Active services require the freelancer token gate"
+  on public.service_posts as restrictive for update
+  with check (status <> 'active' or public.gate_role() in ('freelancer', 'admin'));
+
+drop policy if exists "Applying requires the freelancer token gate" on public.job_applications;
+create policy "Applying requires the freelancer token gate"
+  on public.job_applications as restrictive for insert
+  with check (public.gate_role() in ('freelancer', 'admin'));
+
+/**
+ * Move the user's committed role towards what their balance supports,
+ * starting (at most one per cooldown), ending or cancelling grace periods.
+ * Returns the committed role.
+ */
+create or replace function public.sync_token_role(p_user_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_type text;
+  v_state public.token_role_states%rowtype;
+  v_target text;
+  v_grace_hours integer;
+  v_cooldown_days integer;
+  v_recent_grace boolean;
+  v_grace_until timestamptz;
+  v_metadata jsonb;
+begin
+  select user_type into v_user_type from public.profiles where id = p_user_id;
+  if v_user_type is null or v_user_type = 'admin' then
+    return public.effective_role(p_user_id);
+  end if;
+
+  v_target := public.balance_role(p_user_id);
+
+  select * into v_state from public.token_role_states where profile_id = p_user_id for update;
+
+  -- First sync: take the balance's role as is, without notifying
+  if not found then
+    insert into public.token_role_states (profile_id, role) values (p_user_id, v_target);
+    if v_target is not null then
+      perform public.log_role_event(p_user_id, 'role_changed', null, v_target);
+    end if;
+    return v_target;
+  end if;
+
+  v_metadata := jsonb_build_object('from_role', v_state.role, 'to_role', v_target);
+
+  -- Same role or an upgrade: apply now and cancel any grace period
+  if public.token_role_rank(v_target) >= public.token_role_rank(v_state.role) then
+    if v_state.grace_until is not null then
+      perform public.log_role_event(p_user_id, 'grace_cleared', v_state.role, v_target);
+      if v_target is not distinct from v_state.role then
+        perform public.create_notification(
+          p_user_id, 'token_role',
+          format('Your %s access is safe', public.token_role_label(v_state.role)),
+          'Your token balance is back above the tier threshold.',
+          '/token', v_metadata
+        );
+      end if;
+    end if;
+
+    if v_target is distinct from v_state.role then
+      perform public.log_role_event(p_user_id, 'role_changed', v_state.role, v_target);
+      perform public.create_notification(
+        p_user_id, 'token_role',
+        format('%s access unlocked', public.token_role_label(v_target)),
+        'Your verified token balance now covers this tier.',
+        '/token', v_metadata
+      );
+    end if;
+
+    update public.token_role_states
+    set role = v_target, grace_until = null, final_warning_at = null, updated_at = now()
+    where profile_id = p_user_id;
+    return v_target;
+  end if;
+
+  -- The balance supports less than the committed role
+  select grace_period_hours, grace_cooldown_days into v_grace_hours, v_cooldown_days from public.token_settings;
+
+  -- One grace period per cooldown, so topping up for a moment and selling
+  -- again can't keep a role indefinitely
+  v_recent_grace := exists (
+    select 1 from public.role_history
+    where profile_id = p_user_id
+      and event = 'grace_started'
+      and created_at > now() - make_interval(days => coalesce(v_cooldown_days, 0))
+  );
+
+  if v_state.grace_until is null and coalesce(v_grace_hours, 0) > 0 and not v_recent_grace then
+    v_grace_until := now() + make_interval(hours => v_grace_hours);
+
+    update public.token_role_states
+    set grace_until = v_grace_until, final_warning_at = null, updated_at = now()
+    where profile_id = p_user_id;
+
+    perform public.log_role_event(p_user_id, 'grace_started', v_state.role, v_target, v_grace_until);
+    perform public.create_notification(
+      p_user_id, 'token_role',
+      format('Your balance is below the %s tier', public.token_role_label(v_state.role)),
+      format(
+        'Hold %s tokens again by %s UTC to keep %s access. Your active contracts carry on, but new posts and applications are paused until you top up; after the deadline your role becomes %s.',
+        to_char(public.token_threshold(v_state.role), 'FM999,999,999,990'),
+        to_char(v_grace_until at time zone 'UTC', 'Mon DD, HH24:MI'),
+        lower(public.token_role_label(v_state.role)),
+        lower(public.token_role_label(v_target))
+      ),
+      '/token', v_metadata || jsonb_build_object('grace_until', v_grace_until)
+    );
+    return v_state.role;
+  end if;
+
+  -- Grace period over (or disabled, or used up within the cooldown): downgrade
+  if v_state.grace_until is null or v_state.grace_until <= now() then
+    update public.token_role_states
+    set role = v_target, grace_until = null, final_warning_at = null, updated_at = now()
+    where profile_id = p_user_id;
+
+    perform public.log_role_event(p_user_id, 'role_changed', v_state.role, v_target);
+    perform public.create_notification(
+      p_user_id, 'token_role',
+      format('Your %s access has ended', public.token_role_label(v_state.role)),
+      format(
+        'Your token balance now supports: %s. Hold more tokens to get it back.%s',
+        lower(public.token_role_label(v_target)),
+        case when v_state.grace_until is null and v_recent_grace
+          then format(' You had a grace period in the last %s days, so this one applied right away.', v_cooldown_days)
+          else ''
+        end
+      ),
+      '/token', v_metadata
+    );
+    return v_target;
+  end if;
+
+  -- Still in the grace period: one last warning on the final day
+  if v_state.final_warning_at is null and v_state.grace_until - now() <= interval '24 hours' then
+    update public.token_role_states
+    set final_warning_at = now(), updated_at = now()
+    where profile_id = p_user_id;
+
+    perform public.create_notification(
+      p_user_id, 'token_role',
+      format('Less than a day left to keep %s access', public.token_role_label(v_state.role)),
+      format(
+        'Your grace period ends %s UTC. Top up to %s tokens to keep your role.',
+        to_char(v_state.grace_until at time zone 'UTC', 'Mon DD, HH24:MI'),
+        to_char(public.token_threshold(v_state.role), 'FM999,999,999,990')
+      ),
+      '/token', v_metadata || jsonb_build_object('grace_until', v_state.grace_until)
+    );
+  end if;
+
+  return v_state.role;
+end;
+$$;
+
+revoke all on function public.sync_token_role(uuid) from public, anon, authenticated;
+grant execute on function public.sync_token_role(uuid) to service_role;
@@ -0,0 +1,99 @@
+-- Carried-over wallets count once they are signed for
+-- 20261019002400 carried over the wallets 20261019002100 had marked as
+-- signed for, but for accounts registered before that the mark came from
+-- sign-up metadata the caller controls, so a wallet nobody had signed for
+-- could count towards the token gate and sign in to the profile that
+-- claimed it. verified_at is now null for links
+-- without a signature on record (a used link challenge for that profile);
+-- such wallets count for nothing and sign in to nothing until verified:
+--   - link-wallet verifies the link when its profile signs a link challenge
+--     for it, and hands it over when another profile does
+--   - siws-verify verifies it when the profile is the wallet-only account
+--     created for that wallet (its sign-in email encodes the address), and
+--     lets anyone else who signs for it register it
+-- Pruned challenges mean some genuine links need verifying again; the
+-- Wallets card shows them as unverified.
+
+alter table public.profile_wallets alter column verified_at drop not null;
+
+-- Sum of the latest current-mint snapshot of each verified wallet, or null
+-- without any snapshot from the last day
+create or replace function public.verified_token_balance(p_user_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select sum(s.balance)
+  from public.profile_wallets w
+  join lateral (
+    select balance, checked_at
+    from public.token_balance_snapshots
+    where profile_id = w.profile_id
+      and wallet_address = w.address
+      and mint = (select mint from public.token_settings)
+    order by checked_at desc
+    limit 1
+  ) s on true
+  where w.profile_id = p_user_id
+    and w.verified_at is not null
+    and s.checked_at > now() - interval '1 day';
+$$;
+
+create or replace function public.guard_token_balance_snapshot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from public.profile_wallets
+    where profile_id = new.profile_id
+      and address = new.wallet_address
+      and verified_at is not null
+  ) then
+    raise exception 'Only wallets linked with a signature are checked for tokens'
+      using errcode = 'insufficient_privilege';
+  end if;
+  return new;
+end;
+$$;
+
+-- Verifying a wallet changes the combined balance and maybe the role
+create or replace function public.sync_profile_wallets()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_profile_id uuid := coalesce(new.profile_id, old.profile_id);
+begin
+  update public.profiles
+  set wallet_address = (
+        select address from public.profile_wallets
+        where profile_id = v_profile_id and is_primary
+      ),
+      token_balance = coalesce(public.verified_token_balance(v_profile_id), 0)
+  where id = v_profile_id;
+
+  if tg_op <> 'UPDATE' or new.verified_at is distinct from old.verified_at then
+    perform public.sync_token_role(v_profile_id);
+  end if;
+
+  return null;
+end;
+$$;
+
+-- Runs the trigger above, so balances and roles drop with the unverified wallets
+update public.profile_wallets w
+set verified_at = null
+where not exists (
+  select 1 from public.siws_nonces n
+  where n.purpose = 'link'
+    and n.profile_id = w.profile_id
+    and n.wallet_address = w.address
+    and n.used_at is not null
+);
@@ -0,0 +1,45 @@
+-- A profile's token balance comes from one reading of all its wallets
+-- verified_token_balance() summed each wallet's latest snapshot, and those
+-- were taken at different times, so tokens moved from a checked wallet to an
+-- unchecked one between readings counted twice. The verifier now reads all of
+-- a profile's verified wallets at one slot (_shared/tokenBalance.ts) and
+-- stores them as one batch; only the profile's latest batch counts.
+--
+-- Snapshots taken before this have no batch and no longer count, so run
+-- verify-token-balance with the service role key right after deploying.
+
+alter table public.token_balance_snapshots
+  add column if not exists batch_id uuid;
+
+create index if not exists token_balance_snapshots_batch_idx
+  on public.token_balance_snapshots (batch_id);
+create index if not exists token_balance_snapshots_profile_batch_idx
+  on public.token_balance_snapshots (profile_id, checked_at desc)
+  where batch_id is not null;
+
+-- Sum of the profile's latest current-mint batch over wallets still verified,
+-- or null without a batch from the last day
+create or replace function public.verified_token_balance(p_user_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select sum(s.balance)
+  from (
+    select batch_id, checked_at
+    from public.token_balance_snapshots
+    where profile_id = p_user_id
+      and batch_id is not null
+      and mint = (select mint from public.token_settings)
+    order by checked_at desc
+    limit 1
+  ) latest
+  join public.token_balance_snapshots s on s.batch_id = latest.batch_id
+  join public.profile_wallets w
+    on w.profile_id = p_user_id
+    and w.address = s.wallet_address
+    and w.verified_at is not null
+  where latest.checked_at > now() - interval '1 day';
+$$;
@@ -0,0 +1,5 @@
+-- purge_expired_siws_nonces() is housekeeping for the service role
+-- It is security definer and execute was never revoked, so anyone could call
+-- it over RPC.
+
+revoke all on function public.purge_expired_siws_nonces() from public, anon, authenticated;
@@ -0,0 +1,88 @@
+-- Contracts become disputed only through open_dispute
+-- contract_transitions let either party set status = 'disputed' with a plain
+-- update, which skipped open_dispute: no disputes row was created and no
+-- escrow frozen, and since only resolve_dispute (which needs that row) may
+-- move a contract out of disputed, the contract was stuck for good.
+-- lock_disputed_contract now guards the way in as well, and open_dispute is
+-- the only thing that sets pumpwork.opening_dispute.
+
+-- A contract enters disputed through open_dispute and keeps that status
+-- until resolve_dispute settles it
+create or replace function public.lock_disputed_contract()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'disputed' and old.status is distinct from 'disputed'
+    and coalesce(current_setting('pumpwork.opening_dispute', true), '') <> 'on' then
+    raise exception 'Open a dispute to dispute contract %', old.id
+      using errcode = 'check_violation';
+  end if;
+  if old.status = 'disputed' and new.status is distinct from 'disputed'
+    and coalesce(current_setting('pumpwork.resolving_dispute', true), '') <> 'on' then
+    raise exception 'Contract % is under dispute', old.id
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+create or replace function public.open_dispute(
+  p_contract_id uuid,
+  p_reason text,
+  p_evidence text default null,
+  p_evidence_urls text[] default '{}'
+)
+returns public.disputes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_dispute public.disputes;
+begin
+  select * into v_contract from public.contracts where id = p_contract_id for update;
+
+  if v_contract.id is null or auth.uid() not in (v_contract.client_id, v_contract.freelancer_id) then
+    raise exception 'Contract not found' using errcode = 'no_data_found';
+  end if;
+  if v_contract.status not in ('active', 'submitted') then
+    raise exception 'Only active or submitted contracts can be disputed' using errcode = 'check_violation';
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required to open a dispute' using errcode = 'check_violation';
+  end if;
+  if v_contract.escrow_status = 'funded' or exists (
+    select 1 from public.contract_milestones
+    where contract_id = p_contract_id and escrow_status = 'funded'
+  ) then
+    raise exception 'Freeze every funded escrow before opening a dispute' using errcode = 'check_violation';
+  end if;
+
+  insert into public.disputes (contract_id, opened_by, reason, evidence, evidence_urls, previous_status)
+  values (p_contract_id, auth.uid(), trim(p_reason), nullif(trim(p_evidence), ''),
+          coalesce(p_evidence_urls, '{}'), v_contract.status)
+  returning * into v_dispute;
+
+  perform set_config('pumpwork.opening_dispute', 'on', true);
+  update public.contracts set status = 'disputed' where id = p_contract_id;
+  perform set_config('pumpwork.opening_dispute', 'off', true);
+
+  insert into public.dispute_events (dispute_id, actor_id, event_type, message, metadata)
+  values (v_dispute.id, auth.uid(), 'opened', v_dispute.reason,
+          jsonb_build_object('evidence', v_dispute.evidence, 'evidence_urls', to_jsonb(v_dispute.evidence_urls)));
+
+  insert into public.dispute_events (dispute_id, actor_id, event_type, message, metadata)
+  select v_dispute.id, auth.uid(), 'escrow_frozen', frozen.title, jsonb_build_object('escrow_id', frozen.id)
+  from (
+    select id, title from public.contracts
+    where id = p_contract_id and escrow_status = 'disputed'
+    union all
+    select id, title from public.contract_milestones
+    where contract_id = p_contract_id and escrow_status = 'disputed'
+  ) frozen;
+
+  return v_dispute;
+end;
+$$;
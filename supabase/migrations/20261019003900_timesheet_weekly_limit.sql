@@ -0,0 +1,129 @@
+-- Timesheets keep the weekly limit they were submitted under
+-- Approval and payout capped submitted time at the contract's current
+-- weekly_hour_limit, which the client can change at any time, so lowering it
+-- after a submission paid for fewer hours than were logged within the limit.
+-- The limit is now captured on the timesheet when it is submitted, like
+-- hourly_rate, and payouts use that. A later change applies to time logged
+-- from then on.
+
+alter table public.contract_timesheets
+  add column if not exists weekly_hour_limit numeric;
+
+-- Timesheets already submitted or paid take the limit in force now
+update public.contract_timesheets t
+set weekly_hour_limit = c.weekly_hour_limit
+from public.contracts c
+where c.id = t.contract_id
+  and t.status in ('submitted', 'approved')
+  and t.weekly_hour_limit is null;
+
+-- Approved minutes and payout of a submitted timesheet (parties and the service role)
+create or replace function public.timesheet_payout(p_timesheet_id uuid)
+returns table (approved_minutes integer, amount numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.minutes, round(m.minutes * t.hourly_rate / 60, 9)
+  from public.contract_timesheets t
+  join public.contracts c on c.id = t.contract_id
+  cross join lateral (
+    select least(t.submitted_minutes, (t.weekly_hour_limit * 60)::integer) as minutes
+  ) m
+  where t.id = p_timesheet_id
+    and t.status = 'submitted'
+    and (auth.uid() is null or auth.uid() in (c.client_id, c.freelancer_id));
+$$;
+
+create or replace function public.enforce_timesheet_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract public.contracts;
+  v_role text;
+  v_payout record;
+begin
+  new.contract_id := old.contract_id;
+  new.week_start := old.week_start;
+
+  select * into v_contract from public.contracts where id = old.contract_id;
+  v_role := public.contract_actor_role(v_contract.client_id, v_contract.freelancer_id);
+
+  if v_role = 'system' then
+    -- escrow-sync recording a confirmed payment
+    if old.status = 'submitted' and new.status = 'approved' then
+      select * into v_payout from public.timesheet_payout(old.id);
+
+      if new.payment_signature is null
+        or new.approved_minutes is distinct from v_payout.approved_minutes
+        or round(new.amount, 9) is distinct from v_payout.amount then
+        raise exception 'Timesheet payment does not match the approved hours'
+          using errcode = 'check_violation';
+      end if;
+
+      new.amount := v_payout.amount;
+      new.approved_at := now();
+
+      update public.contracts
+      set agreed_amount = coalesce(agreed_amount, 0) + new.amount
+      where id = old.contract_id;
+    end if;
+    return new;
+  end if;
+
+  if v_contract.status <> 'active' then
+    raise exception 'Timesheets of a % contract cannot change', v_contract.status
+      using errcode = 'check_violation';
+  end if;
+
+  new.weekly_hour_limit := old.weekly_hour_limit;
+  new.escrow_address := old.escrow_address;
+  new.payment_signature := old.payment_signature;
+  new.approved_minutes := old.approved_minutes;
+  new.amount := old.amount;
+  new.approved_at := old.approved_at;
+
+  if old.status = 'open' and new.status = 'submitted' and v_role = 'freelancer' then
+    if exists (
+      select 1 from public.time_entries
+      where timesheet_id = old.id and ended_at is null and source = 'timer'
+    ) then
+      raise exception 'Stop the running timer before submitting'
+        using errcode = 'check_violation';
+    end if;
+
+    select coalesce(sum(minutes), 0) into new.submitted_minutes
+    from public.time_entries
+    where timesheet_id = old.id;
+
+    if new.submitted_minutes = 0 then
+      raise exception 'Log some time before submitting the timesheet'
+        using errcode = 'check_violation';
+    end if;
+
+    new.hourly_rate := v_contract.hourly_rate;
+    new.weekly_hour_limit := v_contract.weekly_hour_limit;
+    new.revision_notes := old.revision_notes;
+    new.submitted_at := now();
+  elsif old.status = 'submitted' and new.status = 'open' and v_role = 'client' then
+    new.submitted_minutes := null;
+    new.hourly_rate := null;
+    new.weekly_hour_limit := null;
+    new.submission_notes := old.submission_notes;
+    new.revision_count := old.revision_count + 1;
+    new.submitted_at := null;
+  elsif old.status = 'submitted' and new.status = 'approved' and v_role = 'client' then
+    raise exception 'A timesheet is approved by paying it'
+      using errcode = 'check_violation';
+  else
+    raise exception 'The % cannot move a timesheet from % to %', v_role, old.status, new.status
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return new;
+end;
+$$;
@@ -0,0 +1,62 @@
+-- Milestone contracts are priced and started by the database
+-- The browser kept agreed_amount equal to the sum of a contract's milestones
+-- after adding them, so the price depended on the client doing so. A trigger
+-- now recomputes it whenever a milestone is added, removed or repriced.
+--
+-- The pending -> active milestone transition also only checked who made it,
+-- so a client could start a milestone without funding it and approval then
+-- had nothing to release. It now needs the milestone's escrow funded
+-- (recorded by escrow-sync from a confirmed transaction).
+
+create or replace function public.sync_milestone_contract_amount()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract_id uuid := coalesce(new.contract_id, old.contract_id);
+begin
+  update public.contracts
+  set agreed_amount = (
+    select coalesce(sum(amount), 0) from public.contract_milestones
+    where contract_id = v_contract_id
+  )
+  where id = v_contract_id;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists contract_milestones_sync_amount on public.contract_milestones;
+create trigger contract_milestones_sync_amount
+  after insert or delete or update of amount on public.contract_milestones
+  for each row execute function public.sync_milestone_contract_amount();
+
+update public.contracts c
+set agreed_amount = m.total
+from (
+  select contract_id, sum(amount) as total
+  from public.contract_milestones
+  group by contract_id
+) m
+where m.contract_id = c.id
+  and c.agreed_amount is distinct from m.total;
+
+create or replace function public.require_funded_milestone()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.status = 'pending' and new.status = 'active' and new.escrow_status <> 'funded' then
+    raise exception 'Fund the milestone escrow before starting it'
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists contract_milestones_require_funded on public.contract_milestones;
+create trigger contract_milestones_require_funded
+  before update of status on public.contract_milestones
+  for each row execute function public.require_funded_milestone();
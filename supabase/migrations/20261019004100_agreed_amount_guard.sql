@@ -0,0 +1,69 @@
+-- agreed_amount is set at hire
+-- escrow-sync funds a contract escrow only with agreed_amount, but either
+-- party could rewrite that column at any time, so a client could lower the
+-- price and fund a matching smaller escrow. Users now set it only when the
+-- contract is created. Afterwards it changes only when the milestones of
+-- an unfunded contract change (20261019004000) and when the service role
+-- records a paid timesheet; a contract's escrow is funded with the final price.
+
+create or replace function public.sync_milestone_contract_amount()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contract_id uuid := coalesce(new.contract_id, old.contract_id);
+begin
+  perform set_config('pumpwork.pricing_milestones', 'on', true);
+
+  update public.contracts
+  set agreed_amount = (
+    select coalesce(sum(amount), 0) from public.contract_milestones
+    where contract_id = v_contract_id
+  )
+  where id = v_contract_id;
+
+  perform set_config('pumpwork.pricing_milestones', 'off', true);
+  return null;
+end;
+$$;
+
+create or replace function public.guard_contract_amount()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.billing_type = 'hourly' and coalesce(new.agreed_amount, 0) <> 0 then
+      raise exception 'Hourly contracts start with nothing paid'
+        using errcode = 'check_violation';
+    end if;
+    return new;
+  end if;
+
+  if new.agreed_amount is not distinct from old.agreed_amount then
+    return new;
+  end if;
+
+  if old.escrow_status <> 'unfunded' then
+    raise exception 'The price of a funded contract cannot change'
+      using errcode = 'check_violation';
+  end if;
+  if coalesce(current_setting('pumpwork.pricing_milestones', true), '') <> 'on' then
+    raise exception 'The price is set at hire; milestone contracts follow their milestones'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists contracts_amount_guard on public.contracts;
+create trigger contracts_amount_guard
+  before insert or update of agreed_amount on public.contracts
+  for each row execute function public.guard_contract_amount();